@@ -0,0 +1,104 @@
+import React from 'react';
+import { BlockStack, InlineStack, Text } from '@shopify/polaris';
+
+const WIDTH = 560;
+const HEIGHT = 180;
+const PADDING = 32;
+
+const SERIES = [
+  { key: 'Price', oldField: 'oldPrice', newField: 'newPrice', color: '#2c6ecb' },
+  { key: 'Cost', oldField: 'oldCost', newField: 'newCost', color: '#8a8a8a' }
+];
+
+// Step line points for one series: the value before the first change, then
+// the value each change set, held until the next change (or now)
+function seriesPoints(history, { oldField, newField }) {
+  const points = [];
+  const first = history[0];
+
+  if (first[oldField] !== null) {
+    points.push({ time: new Date(first.createdAt).getTime(), value: first[oldField] });
+  }
+
+  history.forEach((change, index) => {
+    const time = new Date(change.createdAt).getTime();
+    if (change[newField] === null) return;
+    if (points.length > 0 && index > 0) {
+      points.push({ time, value: points[points.length - 1].value });
+    }
+    points.push({ time, value: change[newField] });
+  });
+
+  if (points.length > 0) {
+    points.push({ time: Date.now(), value: points[points.length - 1].value });
+  }
+
+  return points;
+}
+
+/**
+ * Selling price and supplier cost of a product over time, drawn from its
+ * price history (oldest change first)
+ */
+export const PriceHistoryChart = ({ history }) => {
+  if (!history || history.length === 0) {
+    return <Text tone="subdued" as="p">No price changes recorded yet.</Text>;
+  }
+
+  const lines = SERIES.map(series => ({ ...series, points: seriesPoints(history, series) }));
+  const allPoints = lines.flatMap(line => line.points);
+  const times = allPoints.map(point => point.time);
+  const values = allPoints.map(point => point.value);
+
+  const minTime = Math.min(...times);
+  const timeSpan = Math.max(Math.max(...times) - minTime, 1);
+  const minValue = Math.min(...values) * 0.95;
+  const valueSpan = Math.max(Math.max(...values) * 1.05 - minValue, 1);
+
+  const x = time => PADDING + ((time - minTime) / timeSpan) * (WIDTH - PADDING * 2);
+  const y = value => HEIGHT - PADDING - ((value - minValue) / valueSpan) * (HEIGHT - PADDING * 2);
+
+  return (
+    <BlockStack gap="200">
+      <svg
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        width="100%"
+        role="img"
+        aria-label="Price history chart"
+      >
+        <line x1={PADDING} y1={HEIGHT - PADDING} x2={WIDTH - PADDING} y2={HEIGHT - PADDING} stroke="#e3e3e3" />
+        <text x={4} y={y(minValue + valueSpan) + 4} fontSize="10" fill="#616161">
+          ${(minValue + valueSpan).toFixed(0)}
+        </text>
+        <text x={4} y={HEIGHT - PADDING} fontSize="10" fill="#616161">
+          ${minValue.toFixed(0)}
+        </text>
+        <text x={PADDING} y={HEIGHT - 8} fontSize="10" fill="#616161">
+          {new Date(minTime).toLocaleDateString()}
+        </text>
+        <text x={WIDTH - PADDING} y={HEIGHT - 8} fontSize="10" fill="#616161" textAnchor="end">
+          Now
+        </text>
+        {lines.filter(line => line.points.length > 0).map(line => (
+          <polyline
+            key={line.key}
+            fill="none"
+            stroke={line.color}
+            strokeWidth="2"
+            points={line.points.map(point => `${x(point.time)},${y(point.value)}`).join(' ')}
+          />
+        ))}
+      </svg>
+      <InlineStack gap="400">
+        {SERIES.map(series => (
+          <InlineStack key={series.key} gap="100" blockAlign="center">
+            <svg width="12" height="12" aria-hidden="true">
+              <rect width="12" height="12" fill={series.color} />
+            </svg>
+            <Text variant="bodySm" as="span">{series.key}</Text>
+          </InlineStack>
+        ))}
+      </InlineStack>
+    </BlockStack>
+  );
+};
@@ -9,3 +9,4 @@ if (process.env.NODE_ENV !== "production") {
 const prisma = global.prisma || new PrismaClient();
 
 export default prisma;
+export { prisma, prisma as db };
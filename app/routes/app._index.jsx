@@ -26,7 +26,10 @@ import {
 } from "@shopify/polaris-icons";
 import { TitleBar, useAppBridge } from "@shopify/app-bridge-react";
 import { authenticate } from "../shopify.server";
-import { getTurn14Config } from "../services/turn14-api.server";
+import {
+  getTurn14Config,
+  getTurn14ShopCircuitStatus
+} from "../services/turn14-api.server";
 import { getLatestSyncLogs, getSyncStats } from "~/utils/sync-log.server";
 import { getImportStats } from "../utils/product-import.server.js";
 import { SyncScheduleManager } from "../services/sync-engine.server.js";
@@ -82,8 +85,14 @@ export const loader = async ({ request }) => {
       }
     }
 
+    // Circuit breaker state tells us whether each Turn 14 account is currently reachable
+    const supplierStatus = turn14Status.isConfigured
+      ? await getTurn14ShopCircuitStatus(session.shop)
+      : null;
+
     return json({
       turn14Status,
+      supplierStatus,
       syncStats,
       inventoryStats,
       syncSchedules,
@@ -174,7 +183,7 @@ export const action = async ({ request }) => {
 };
 
 export default function Index() {
-  const { turn14Status, syncStats, inventoryStats, syncSchedules, ymmStats, garageStats, shop, error } = useLoaderData();
+  const { turn14Status, supplierStatus, syncStats, inventoryStats, syncSchedules, ymmStats, garageStats, shop, error } = useLoaderData();
   const fetcher = useFetcher();
   const shopify = useAppBridge();
   const isLoading =
@@ -205,6 +214,27 @@ export default function Index() {
               </Banner>
             )}
 
+            {!supplierStatus?.isOpen && supplierStatus?.openAccounts?.length > 0 && (
+              <Banner status="warning" title="Some Turn 14 accounts are unreachable">
+                <p>
+                  Requests are paused for {supplierStatus.openAccounts.map(account => account.name).join(", ")}.
+                  Products from other accounts keep syncing.
+                </p>
+              </Banner>
+            )}
+
+            {supplierStatus?.isOpen && (
+              <Banner status="critical" title="Turn 14 is currently unreachable">
+                <p>
+                  Requests to Turn 14 Distribution are paused after repeated failures, and scheduled syncs are being deferred.
+                  {supplierStatus.retryAt && ` We'll try again at ${new Date(supplierStatus.retryAt).toLocaleTimeString()}.`}
+                </p>
+                {supplierStatus.lastError && (
+                  <p>Last error: {supplierStatus.lastError}</p>
+                )}
+              </Banner>
+            )}
+
             {/* Turn 14 Integration Status */}
             <Card>
               <BlockStack gap="400">
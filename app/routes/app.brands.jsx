@@ -1,6 +1,6 @@
 import { useState, useCallback, useEffect } from "react";
 import { json } from "@remix-run/node";
-import { useLoaderData, useFetcher, useNavigation } from "@remix-run/react";
+import { useLoaderData, useFetcher, useNavigation, useSearchParams } from "@remix-run/react";
 import {
   Page,
   Layout,
@@ -11,6 +11,7 @@ import {
   InlineStack,
   BlockStack,
   TextField,
+  Select,
   Checkbox,
   Box,
   Badge,
@@ -25,7 +26,8 @@ import { authenticate } from "../shopify.server";
 import { 
   getTurn14Config, 
   saveTurn14Config, 
-  fetchTurn14Brands 
+  iterateTurn14Brands,
+  listTurn14Accounts
 } from "../services/turn14-api.server";
 
 export async function loader({ request }) {
@@ -33,15 +35,20 @@ export async function loader({ request }) {
   const url = new URL(request.url);
   const search = url.searchParams.get('search') || '';
   const page = parseInt(url.searchParams.get('page') || '1');
+  const accountId = url.searchParams.get('account') || null;
   const limit = 50;
   
   try {
+    // Each account selects its own brands; the default account is shown first
+    const accounts = (await listTurn14Accounts(session.shop, { activeOnly: true }))
+      .map(account => ({ id: account.id, name: account.name }));
+
     // Check if Turn 14 is configured
     let config = null;
     let isConfigured = false;
     
     try {
-      config = await getTurn14Config(session.shop);
+      config = await getTurn14Config(session.shop, accountId);
       isConfigured = config && config.isActive;
     } catch (error) {
       isConfigured = false;
@@ -52,14 +59,19 @@ export async function loader({ request }) {
         brands: [],
         selectedBrands: [],
         isConfigured: false,
+        accounts,
+        accountId: null,
         pagination: { currentPage: 1, totalPages: 0, hasNext: false, hasPrev: false },
         search: ''
       });
     }
 
     // Fetch brands from Turn 14 API
-    const brandsData = await fetchTurn14Brands(session.shop);
-    let brands = brandsData.brands || brandsData || [];
+    // Collect every page of brands before filtering and paginating locally
+    let brands = [];
+    for await (const page of iterateTurn14Brands({ shop: session.shop, accountId: config.id })) {
+      brands.push(...page.items);
+    }
     
     // Filter brands by search term
     if (search) {
@@ -78,6 +90,8 @@ export async function loader({ request }) {
       brands: paginatedBrands,
       selectedBrands: config.selectedBrands || [],
       isConfigured: true,
+      accounts,
+      accountId: config.id,
       pagination: {
         currentPage: page,
         totalPages,
@@ -94,6 +108,8 @@ export async function loader({ request }) {
       brands: [],
       selectedBrands: [],
       isConfigured: false,
+      accounts: [],
+      accountId: null,
       error: error.message,
       pagination: { currentPage: 1, totalPages: 0, hasNext: false, hasPrev: false },
       search: ''
@@ -105,6 +121,7 @@ export async function action({ request }) {
   const { session } = await authenticate.admin(request);
   const formData = await request.formData();
   const action = formData.get('_action');
+  const accountId = formData.get('accountId') || null;
 
   try {
     switch (action) {
@@ -112,11 +129,11 @@ export async function action({ request }) {
         const selectedBrandsJson = formData.get('selectedBrands');
         const selectedBrands = JSON.parse(selectedBrandsJson || '[]');
 
-        const config = await getTurn14Config(session.shop);
+        const config = await getTurn14Config(session.shop, accountId);
         await saveTurn14Config(session.shop, {
           ...config,
           selectedBrands
-        });
+        }, config.id);
 
         return json({
           success: true,
@@ -133,11 +150,11 @@ export async function action({ request }) {
           displayName: brand.displayName || brand.name
         }));
 
-        const config = await getTurn14Config(session.shop);
+        const config = await getTurn14Config(session.shop, accountId);
         await saveTurn14Config(session.shop, {
           ...config,
           selectedBrands
-        });
+        }, config.id);
 
         return json({
           success: true,
@@ -146,11 +163,11 @@ export async function action({ request }) {
       }
 
       case 'clear_all': {
-        const config = await getTurn14Config(session.shop);
+        const config = await getTurn14Config(session.shop, accountId);
         await saveTurn14Config(session.shop, {
           ...config,
           selectedBrands: []
-        });
+        }, config.id);
 
         return json({
           success: true,
@@ -175,6 +192,8 @@ export default function BrandSelection() {
     brands, 
     selectedBrands, 
     isConfigured, 
+    accounts,
+    accountId,
     error, 
     pagination, 
     search: initialSearch,
@@ -183,6 +202,7 @@ export default function BrandSelection() {
   
   const fetcher = useFetcher();
   const navigation = useNavigation();
+  const [searchParams, setSearchParams] = useSearchParams();
   
   const [search, setSearch] = useState(initialSearch || '');
   const [localSelectedBrands, setLocalSelectedBrands] = useState(selectedBrands || []);
@@ -212,22 +232,32 @@ export default function BrandSelection() {
   const handleSaveBrands = useCallback(() => {
     const formData = new FormData();
     formData.append('_action', 'save_brands');
+    formData.append('accountId', accountId);
     formData.append('selectedBrands', JSON.stringify(localSelectedBrands));
     fetcher.submit(formData, { method: 'post' });
-  }, [localSelectedBrands, fetcher]);
+  }, [accountId, localSelectedBrands, fetcher]);
 
   const handleSelectAll = useCallback(() => {
     const formData = new FormData();
     formData.append('_action', 'select_all');
+    formData.append('accountId', accountId);
     formData.append('allBrands', JSON.stringify(brands));
     fetcher.submit(formData, { method: 'post' });
-  }, [brands, fetcher]);
+  }, [accountId, brands, fetcher]);
 
   const handleClearAll = useCallback(() => {
     const formData = new FormData();
     formData.append('_action', 'clear_all');
+    formData.append('accountId', accountId);
     fetcher.submit(formData, { method: 'post' });
-  }, [fetcher]);
+  }, [accountId, fetcher]);
+
+  const handleAccountChange = useCallback((value) => {
+    const params = new URLSearchParams(searchParams);
+    params.set('account', value);
+    params.delete('page');
+    setSearchParams(params);
+  }, [searchParams, setSearchParams]);
 
   const isSelected = useCallback((brandId) => {
     return localSelectedBrands.some(b => b.id === brandId);
@@ -292,6 +322,19 @@ export default function BrandSelection() {
             </Banner>
           )}
 
+          {/* Account Selection */}
+          {accounts.length > 1 && (
+            <Card sectioned>
+              <Select
+                label="Turn 14 account"
+                options={accounts.map(account => ({ label: account.name, value: account.id }))}
+                value={accountId}
+                onChange={handleAccountChange}
+                helpText="Each account imports products from its own selected brands"
+              />
+            </Card>
+          )}
+
           {/* Selection Summary */}
           <Card sectioned>
             <BlockStack gap="400">
@@ -415,7 +458,7 @@ export default function BrandSelection() {
               <InlineStack gap="300" align="center">
                 <Button
                   disabled={!pagination.hasPrev}
-                  url={`/app/brands?page=${pagination.currentPage - 1}${search ? `&search=${encodeURIComponent(search)}` : ''}`}
+                  url={`/app/brands?page=${pagination.currentPage - 1}${search ? `&search=${encodeURIComponent(search)}` : ''}${accounts.length > 1 ? `&account=${accountId}` : ''}`}
                 >
                   Previous
                 </Button>
@@ -426,7 +469,7 @@ export default function BrandSelection() {
                 
                 <Button
                   disabled={!pagination.hasNext}
-                  url={`/app/brands?page=${pagination.currentPage + 1}${search ? `&search=${encodeURIComponent(search)}` : ''}`}
+                  url={`/app/brands?page=${pagination.currentPage + 1}${search ? `&search=${encodeURIComponent(search)}` : ''}${accounts.length > 1 ? `&account=${accountId}` : ''}`}
                 >
                   Next
                 </Button>
@@ -0,0 +1,498 @@
+// Product Field Mapping Page
+
+// app/routes/app.field-mapping.jsx
+import { useState, useCallback, useEffect, useMemo } from "react";
+import { json } from "@remix-run/node";
+import { useLoaderData, useFetcher } from "@remix-run/react";
+import {
+  Page,
+  Layout,
+  Card,
+  FormLayout,
+  TextField,
+  Select,
+  Button,
+  Banner,
+  Text,
+  InlineStack,
+  BlockStack,
+  Badge,
+  Divider,
+  Thumbnail
+} from "@shopify/polaris";
+import { authenticate } from "../shopify.server";
+import {
+  getFieldMapping,
+  resetFieldMapping,
+  saveFieldMapping
+} from "../services/product-mapping.server";
+import { getSupplierAdapters } from "../services/supplier-registry.server";
+import {
+  METAFIELD_TYPES,
+  TAG_RULE_OPERATORS,
+  getTemplateAttributes,
+  transformSupplierProduct
+} from "../utils/product-mapping.js";
+
+const EMPTY_RULE = { field: "", operator: "equals", value: "", tag: "" };
+const EMPTY_RENAME = { from: "", to: "" };
+const EMPTY_METAFIELD = { namespace: "{{supplier}}", key: "", template: "", type: "single_line_text_field" };
+
+export async function loader({ request }) {
+  const { session } = await authenticate.admin(request);
+
+  const [mapping, adapters] = await Promise.all([
+    getFieldMapping(session.shop),
+    getSupplierAdapters(session.shop)
+  ]);
+
+  return json({
+    mapping,
+    suppliers: adapters
+      .filter(adapter => adapter.supports("catalog"))
+      .map(adapter => ({
+        id: adapter.id,
+        name: adapter.name,
+        label: adapter.label,
+        profile: adapter.profile
+      }))
+  });
+}
+
+export async function action({ request }) {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const action = formData.get("_action");
+
+  try {
+    switch (action) {
+      case "save_mapping": {
+        const mapping = await saveFieldMapping(session.shop, JSON.parse(formData.get("mapping") || "{}"));
+        return json({ success: true, message: "Field mapping saved", mapping });
+      }
+
+      case "reset_mapping": {
+        const mapping = await resetFieldMapping(session.shop);
+        return json({ success: true, message: "Field mapping reset to the defaults", mapping });
+      }
+
+      case "load_preview": {
+        const supplierId = formData.get("supplierId");
+        const sku = (formData.get("sku") || "").trim();
+        if (!sku) {
+          return json({ error: "Enter a SKU to preview", success: false }, { status: 400 });
+        }
+
+        const adapters = await getSupplierAdapters(session.shop);
+        const adapter = adapters.find(candidate => candidate.id === supplierId);
+        if (!adapter) {
+          return json({ error: "Supplier not found", success: false }, { status: 404 });
+        }
+
+        const product = await adapter.getProduct(sku);
+        if (!product) {
+          return json({ error: `${adapter.name} has no product with SKU ${sku}`, success: false }, { status: 404 });
+        }
+
+        return json({
+          success: true,
+          preview: {
+            product,
+            tag: adapter.getProductTag(),
+            supplier: adapter.supplier
+          }
+        });
+      }
+
+      default:
+        return json({ error: "Invalid action", success: false }, { status: 400 });
+    }
+  } catch (error) {
+    return json({ error: error.message, success: false }, { status: 400 });
+  }
+}
+
+// Editor state from a stored mapping; tag templates are edited one per line
+function toForm(mapping) {
+  return {
+    titleTemplate: mapping.titleTemplate,
+    descriptionTemplate: mapping.descriptionTemplate,
+    vendorTemplate: mapping.vendorTemplate,
+    productTypeTemplate: mapping.productTypeTemplate,
+    tags: mapping.tags.join("\n"),
+    tagRules: mapping.tagRules,
+    vendorRenames: mapping.vendorRenames,
+    metafields: mapping.metafields
+  };
+}
+
+function toMapping(form) {
+  return {
+    ...form,
+    tags: form.tags.split("\n").map(tag => tag.trim()).filter(Boolean)
+  };
+}
+
+export default function FieldMappingPage() {
+  const { mapping, suppliers } = useLoaderData();
+  const fetcher = useFetcher();
+  const previewFetcher = useFetcher();
+  const [form, setForm] = useState(() => toForm(mapping));
+  const [previewSupplier, setPreviewSupplier] = useState(suppliers[0]?.id || "");
+  const [previewSku, setPreviewSku] = useState("");
+
+  const isSubmitting = fetcher.state === "submitting";
+  const preview = previewFetcher.data?.preview;
+
+  // Saving or resetting returns the stored mapping, which may have dropped blank rows
+  useEffect(() => {
+    if (fetcher.data?.mapping) {
+      setForm(toForm(fetcher.data.mapping));
+    }
+  }, [fetcher.data]);
+
+  const updateField = useCallback((field) => (value) => {
+    setForm(prev => ({ ...prev, [field]: value }));
+  }, []);
+
+  const updateRow = useCallback((list, index, field) => (value) => {
+    setForm(prev => ({
+      ...prev,
+      [list]: prev[list].map((row, i) => (i === index ? { ...row, [field]: value } : row))
+    }));
+  }, []);
+
+  const addRow = useCallback((list, row) => () => {
+    setForm(prev => ({ ...prev, [list]: [...prev[list], row] }));
+  }, []);
+
+  const removeRow = useCallback((list, index) => () => {
+    setForm(prev => ({ ...prev, [list]: prev[list].filter((row, i) => i !== index) }));
+  }, []);
+
+  const handleSave = useCallback(() => {
+    fetcher.submit({
+      _action: "save_mapping",
+      mapping: JSON.stringify(toMapping(form))
+    }, { method: "post" });
+  }, [form, fetcher]);
+
+  const handleReset = useCallback(() => {
+    if (!confirm("Replace the field mapping with the defaults?")) return;
+    fetcher.submit({ _action: "reset_mapping" }, { method: "post" });
+  }, [fetcher]);
+
+  const handleLoadPreview = useCallback(() => {
+    previewFetcher.submit({
+      _action: "load_preview",
+      supplierId: previewSupplier,
+      sku: previewSku
+    }, { method: "post" });
+  }, [previewSupplier, previewSku, previewFetcher]);
+
+  // Re-rendered on every edit, before anything is saved
+  const rendered = useMemo(() => {
+    if (!preview) return null;
+    return transformSupplierProduct(preview.product, toMapping(form), {
+      tag: preview.tag,
+      supplier: preview.supplier
+    });
+  }, [preview, form]);
+
+  const attributeNames = useMemo(() => {
+    if (!preview) return [];
+    return Object.keys(getTemplateAttributes(preview.product, preview)).sort();
+  }, [preview]);
+
+  return (
+    <Page
+      title="Product Field Mapping"
+      subtitle="How supplier data becomes Shopify product fields on import"
+      backAction={{ content: "Dashboard", url: "/app" }}
+      primaryAction={{ content: "Save mapping", onAction: handleSave, loading: isSubmitting }}
+      secondaryActions={[{ content: "Reset to defaults", onAction: handleReset, disabled: mapping.isDefault }]}
+    >
+      <Layout>
+        {fetcher.data?.error && (
+          <Layout.Section>
+            <Banner tone="critical" title="Error">
+              <p>{fetcher.data.error}</p>
+            </Banner>
+          </Layout.Section>
+        )}
+
+        {fetcher.data?.success && (
+          <Layout.Section>
+            <Banner tone="success" title={fetcher.data.message} />
+          </Layout.Section>
+        )}
+
+        <Layout.Section>
+          <BlockStack gap="400">
+            <Card>
+              <BlockStack gap="400">
+                <BlockStack gap="100">
+                  <Text variant="headingMd" as="h2">Templates</Text>
+                  <Text tone="subdued" as="p">
+                    Use {"{{attribute}}"} to insert a supplier attribute, e.g. {"{{brand}} {{part_number}} - {{name}}"}.
+                    {" "}{"{{attribute|fallback}}"} renders the fallback when the attribute is empty.
+                  </Text>
+                </BlockStack>
+
+                <FormLayout>
+                  <TextField
+                    label="Title"
+                    value={form.titleTemplate}
+                    onChange={updateField("titleTemplate")}
+                    autoComplete="off"
+                    requiredIndicator
+                  />
+                  <FormLayout.Group>
+                    <TextField
+                      label="Vendor"
+                      value={form.vendorTemplate}
+                      onChange={updateField("vendorTemplate")}
+                      autoComplete="off"
+                    />
+                    <TextField
+                      label="Product type"
+                      value={form.productTypeTemplate}
+                      onChange={updateField("productTypeTemplate")}
+                      autoComplete="off"
+                    />
+                  </FormLayout.Group>
+                  <TextField
+                    label="Description"
+                    value={form.descriptionTemplate}
+                    onChange={updateField("descriptionTemplate")}
+                    multiline={3}
+                    autoComplete="off"
+                  />
+                  <TextField
+                    label="Tags"
+                    value={form.tags}
+                    onChange={updateField("tags")}
+                    multiline={3}
+                    helpText="One tag template per line; tags that render empty are skipped"
+                    autoComplete="off"
+                  />
+                </FormLayout>
+              </BlockStack>
+            </Card>
+
+            <Card>
+              <BlockStack gap="300">
+                <BlockStack gap="100">
+                  <Text variant="headingMd" as="h2">Conditional tags</Text>
+                  <Text tone="subdued" as="p">Add a tag when a supplier attribute matches</Text>
+                </BlockStack>
+
+                {form.tagRules.map((rule, index) => (
+                  <FormLayout.Group key={index} condensed>
+                    <TextField
+                      label="Attribute"
+                      value={rule.field}
+                      onChange={updateRow("tagRules", index, "field")}
+                      autoComplete="off"
+                    />
+                    <Select
+                      label="Condition"
+                      options={TAG_RULE_OPERATORS}
+                      value={rule.operator}
+                      onChange={updateRow("tagRules", index, "operator")}
+                    />
+                    <TextField
+                      label="Value"
+                      value={rule.value}
+                      onChange={updateRow("tagRules", index, "value")}
+                      disabled={rule.operator === "exists" || rule.operator === "is_true"}
+                      autoComplete="off"
+                    />
+                    <TextField
+                      label="Tag"
+                      value={rule.tag}
+                      onChange={updateRow("tagRules", index, "tag")}
+                      autoComplete="off"
+                      connectedRight={
+                        <Button onClick={removeRow("tagRules", index)} accessibilityLabel="Remove rule">Remove</Button>
+                      }
+                    />
+                  </FormLayout.Group>
+                ))}
+
+                <InlineStack>
+                  <Button onClick={addRow("tagRules", EMPTY_RULE)}>Add tag rule</Button>
+                </InlineStack>
+              </BlockStack>
+            </Card>
+
+            <Card>
+              <BlockStack gap="300">
+                <BlockStack gap="100">
+                  <Text variant="headingMd" as="h2">Vendor renames</Text>
+                  <Text tone="subdued" as="p">Replace a rendered vendor name; matching ignores case</Text>
+                </BlockStack>
+
+                {form.vendorRenames.map((rename, index) => (
+                  <FormLayout.Group key={index} condensed>
+                    <TextField
+                      label="Supplier vendor"
+                      value={rename.from}
+                      onChange={updateRow("vendorRenames", index, "from")}
+                      autoComplete="off"
+                    />
+                    <TextField
+                      label="Shopify vendor"
+                      value={rename.to}
+                      onChange={updateRow("vendorRenames", index, "to")}
+                      autoComplete="off"
+                      connectedRight={
+                        <Button onClick={removeRow("vendorRenames", index)} accessibilityLabel="Remove rename">Remove</Button>
+                      }
+                    />
+                  </FormLayout.Group>
+                ))}
+
+                <InlineStack>
+                  <Button onClick={addRow("vendorRenames", EMPTY_RENAME)}>Add vendor rename</Button>
+                </InlineStack>
+              </BlockStack>
+            </Card>
+
+            <Card>
+              <BlockStack gap="300">
+                <BlockStack gap="100">
+                  <Text variant="headingMd" as="h2">Metafields</Text>
+                  <Text tone="subdued" as="p">Metafields that render empty are not created</Text>
+                </BlockStack>
+
+                {form.metafields.map((metafield, index) => (
+                  <FormLayout.Group key={index} condensed>
+                    <TextField
+                      label="Namespace"
+                      value={metafield.namespace}
+                      onChange={updateRow("metafields", index, "namespace")}
+                      autoComplete="off"
+                    />
+                    <TextField
+                      label="Key"
+                      value={metafield.key}
+                      onChange={updateRow("metafields", index, "key")}
+                      autoComplete="off"
+                    />
+                    <TextField
+                      label="Value"
+                      value={metafield.template}
+                      onChange={updateRow("metafields", index, "template")}
+                      autoComplete="off"
+                    />
+                    <Select
+                      label="Type"
+                      options={METAFIELD_TYPES}
+                      value={metafield.type}
+                      onChange={updateRow("metafields", index, "type")}
+                    />
+                    <Button onClick={removeRow("metafields", index)} accessibilityLabel="Remove metafield">Remove</Button>
+                  </FormLayout.Group>
+                ))}
+
+                <InlineStack>
+                  <Button onClick={addRow("metafields", EMPTY_METAFIELD)}>Add metafield</Button>
+                </InlineStack>
+              </BlockStack>
+            </Card>
+          </BlockStack>
+        </Layout.Section>
+
+        <Layout.Section variant="oneThird">
+          <Card>
+            <BlockStack gap="400">
+              <Text variant="headingMd" as="h2">Preview</Text>
+
+              {suppliers.length === 0 ? (
+                <Text tone="subdued" as="p">Connect a supplier to preview the mapping against a real product.</Text>
+              ) : (
+                <FormLayout>
+                  <Select
+                    label="Supplier"
+                    options={suppliers.map(supplier => ({
+                      label: `${supplier.name} (${supplier.label}${supplier.profile === "sandbox" ? ", sandbox" : ""})`,
+                      value: supplier.id
+                    }))}
+                    value={previewSupplier}
+                    onChange={setPreviewSupplier}
+                  />
+                  <TextField
+                    label="SKU"
+                    value={previewSku}
+                    onChange={setPreviewSku}
+                    autoComplete="off"
+                    connectedRight={
+                      <Button onClick={handleLoadPreview} loading={previewFetcher.state === "submitting"}>
+                        Load
+                      </Button>
+                    }
+                  />
+                </FormLayout>
+              )}
+
+              {previewFetcher.data?.error && (
+                <Banner tone="critical">
+                  <p>{previewFetcher.data.error}</p>
+                </Banner>
+              )}
+
+              {rendered && (
+                <BlockStack gap="300">
+                  <Divider />
+                  <InlineStack gap="300" blockAlign="center" wrap={false}>
+                    {rendered.images[0] && (
+                      <Thumbnail source={rendered.images[0].src} alt={rendered.title} size="small" />
+                    )}
+                    <Text variant="headingSm" as="h3">{rendered.title}</Text>
+                  </InlineStack>
+
+                  <Text as="p"><strong>Vendor:</strong> {rendered.vendor || "-"}</Text>
+                  <Text as="p"><strong>Product type:</strong> {rendered.product_type || "-"}</Text>
+                  <Text as="p"><strong>Price:</strong> ${rendered.variants[0].price}</Text>
+
+                  <InlineStack gap="100">
+                    {rendered.tags.split(", ").filter(Boolean).map(tag => (
+                      <Badge key={tag}>{tag}</Badge>
+                    ))}
+                  </InlineStack>
+
+                  {rendered.metafields.length > 0 && (
+                    <BlockStack gap="100">
+                      <Text variant="headingSm" as="h3">Metafields</Text>
+                      {rendered.metafields.map(metafield => (
+                        <Text key={`${metafield.namespace}.${metafield.key}`} as="p" tone="subdued" breakWord>
+                          {metafield.namespace}.{metafield.key}: {metafield.value}
+                        </Text>
+                      ))}
+                    </BlockStack>
+                  )}
+
+                  {rendered.body_html && (
+                    <BlockStack gap="100">
+                      <Text variant="headingSm" as="h3">Description</Text>
+                      <Text as="p" tone="subdued" breakWord>{rendered.body_html}</Text>
+                    </BlockStack>
+                  )}
+
+                  <Divider />
+                  <BlockStack gap="100">
+                    <Text variant="headingSm" as="h3">Available attributes</Text>
+                    <Text as="p" tone="subdued" breakWord>
+                      {attributeNames.map(name => `{{${name}}}`).join(" ")}
+                    </Text>
+                  </BlockStack>
+                </BlockStack>
+              )}
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
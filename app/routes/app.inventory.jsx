@@ -39,6 +39,17 @@ import {
 import { authenticate } from "../shopify.server.js";
 import { prisma } from "../db.server.js";
 import { SyncEngine } from "../services/sync-engine.server.js";
+import { SyncLockedError } from "../services/sync-locks.server.js";
+import { SUPPLIER_LABELS } from "../services/supplier-registry.server.js";
+import { getPriceHistory } from "../services/price-history.server.js";
+import { PriceHistoryChart } from "../components/PriceHistoryChart.jsx";
+import { LOCKABLE_FIELDS, getLockedFields, normalizeLockedFields } from "../utils/field-locks.js";
+
+const PRICE_CHANGE_SOURCES = {
+  sync: "Pricing sync",
+  manual: "Manual edit",
+  rollback: "Rollback"
+};
 
 export const loader = async ({ request }) => {
   const { session } = await authenticate.admin(request);
@@ -52,6 +63,7 @@ export const loader = async ({ request }) => {
 
   // Filters
   const syncStatus = url.searchParams.get("syncStatus");
+  const supplier = url.searchParams.get("supplier");
   const brand = url.searchParams.get("brand");
   const category = url.searchParams.get("category");
   const search = url.searchParams.get("search");
@@ -65,18 +77,22 @@ export const loader = async ({ request }) => {
     where.syncStatus = syncStatus;
   }
   
+  if (supplier) {
+    where.supplier = supplier;
+  }
+  
   if (brand) {
-    where.turn14Brand = { contains: brand, mode: 'insensitive' };
+    where.brand = { contains: brand, mode: 'insensitive' };
   }
   
   if (category) {
-    where.turn14Category = { contains: category, mode: 'insensitive' };
+    where.category = { contains: category, mode: 'insensitive' };
   }
   
   if (search) {
     where.OR = [
-      { turn14Sku: { contains: search, mode: 'insensitive' } },
-      { turn14Brand: { contains: search, mode: 'insensitive' } }
+      { sku: { contains: search, mode: 'insensitive' } },
+      { brand: { contains: search, mode: 'insensitive' } }
     ];
   }
 
@@ -92,16 +108,21 @@ export const loader = async ({ request }) => {
   ]);
 
   // Get filter options
-  const [brands, categories, syncStatuses] = await Promise.all([
+  const [suppliers, brands, categories, syncStatuses] = await Promise.all([
     prisma.turn14ImportedProduct.findMany({
       where: { shop },
-      select: { turn14Brand: true },
-      distinct: ['turn14Brand']
+      select: { supplier: true },
+      distinct: ['supplier']
     }),
     prisma.turn14ImportedProduct.findMany({
       where: { shop },
-      select: { turn14Category: true },
-      distinct: ['turn14Category']
+      select: { brand: true },
+      distinct: ['brand']
+    }),
+    prisma.turn14ImportedProduct.findMany({
+      where: { shop },
+      select: { category: true },
+      distinct: ['category']
     }),
     prisma.turn14ImportedProduct.groupBy({
       by: ['syncStatus'],
@@ -122,8 +143,12 @@ export const loader = async ({ request }) => {
     totalPages,
     hasNextPage,
     hasPreviousPage,
-    brands: brands.map(b => b.turn14Brand).filter(Boolean),
-    categories: categories.map(c => c.turn14Category).filter(Boolean),
+    suppliers: suppliers.map(s => ({
+      value: s.supplier,
+      label: SUPPLIER_LABELS[s.supplier] || s.supplier
+    })),
+    brands: brands.map(b => b.brand).filter(Boolean),
+    categories: categories.map(c => c.category).filter(Boolean),
     syncStatuses: syncStatuses.map(s => ({ 
       value: s.syncStatus, 
       count: s._count 
@@ -132,7 +157,7 @@ export const loader = async ({ request }) => {
 };
 
 export const action = async ({ request }) => {
-  const { session } = await authenticate.admin(request);
+  const { session, admin } = await authenticate.admin(request);
   const shop = session.shop;
   const formData = await request.formData();
   const actionType = formData.get("action");
@@ -141,7 +166,7 @@ export const action = async ({ request }) => {
     switch (actionType) {
       case "syncSingleProduct": {
         const productId = formData.get("productId");
-        const syncEngine = new SyncEngine(shop, session.accessToken);
+        const syncEngine = new SyncEngine(shop, session.accessToken, admin);
         
         const product = await prisma.turn14ImportedProduct.findUnique({
           where: { id: productId }
@@ -151,9 +176,15 @@ export const action = async ({ request }) => {
           throw new Error("Product not found");
         }
 
-        // Sync inventory and pricing for this product
-        await syncEngine.syncInventory({ productIds: [productId] });
-        await syncEngine.syncPricing({ productIds: [productId] });
+        // Sync inventory and pricing for this product, unless a queued sync is writing them
+        try {
+          await syncEngine.syncProduct(productId);
+        } catch (error) {
+          if (error instanceof SyncLockedError) {
+            return json({ waitingFor: error.lock?.syncType || "running", productId }, { status: 409 });
+          }
+          throw error;
+        }
         
         return json({ success: true, message: "Product synced successfully" });
       }
@@ -162,19 +193,39 @@ export const action = async ({ request }) => {
         const productId = formData.get("productId");
         const priceMarkup = parseFloat(formData.get("priceMarkup") || "0");
         const syncStatus = formData.get("syncStatus");
+        const price = formData.get("price");
+        const lockedFields = formData.get("lockedFields");
         
         const updates = {};
         if (priceMarkup !== undefined) updates.priceMarkup = priceMarkup;
         if (syncStatus) updates.syncStatus = syncStatus;
+        if (lockedFields) updates.lockedFields = JSON.stringify(normalizeLockedFields(JSON.parse(lockedFields)));
         
-        await prisma.turn14ImportedProduct.update({
+        const product = await prisma.turn14ImportedProduct.update({
           where: { id: productId },
           data: updates
         });
+
+        // A changed selling price is written to Shopify and recorded in the price history
+        if (price && parseFloat(price) !== product.currentPrice) {
+          const syncEngine = new SyncEngine(shop, session.accessToken, admin);
+          await syncEngine.setManualPrice(productId, parseFloat(price));
+        }
         
         return json({ success: true, message: "Product updated successfully" });
       }
 
+      case "priceHistory": {
+        const history = await getPriceHistory(shop, formData.get("productId"));
+        return json({ history });
+      }
+
+      case "fieldDifferences": {
+        const syncEngine = new SyncEngine(shop, session.accessToken, admin);
+        const fields = await syncEngine.getFieldDifferences(formData.get("productId"));
+        return json({ fields });
+      }
+
       case "bulkUpdateStatus": {
         const productIds = JSON.parse(formData.get("productIds"));
         const syncStatus = formData.get("syncStatus");
@@ -236,12 +287,15 @@ export default function InventoryPage() {
     totalPages, 
     hasNextPage, 
     hasPreviousPage,
+    suppliers,
     brands,
     categories,
     syncStatuses
   } = useLoaderData();
   const actionData = useActionData();
   const fetcher = useFetcher();
+  const historyFetcher = useFetcher();
+  const fieldsFetcher = useFetcher();
   const [searchParams, setSearchParams] = useSearchParams();
 
   const [selectedProducts, setSelectedProducts] = useState([]);
@@ -252,6 +306,9 @@ export default function InventoryPage() {
   const [syncStatusFilter, setSyncStatusFilter] = useState(
     searchParams.get("syncStatus") || null
   );
+  const [supplierFilter, setSupplierFilter] = useState(
+    searchParams.get("supplier") || null
+  );
   const [brandFilter, setBrandFilter] = useState(
     searchParams.get("brand") || null
   );
@@ -289,6 +346,9 @@ export default function InventoryPage() {
       case "syncStatus":
         setSyncStatusFilter(value || null);
         break;
+      case "supplier":
+        setSupplierFilter(value || null);
+        break;
       case "brand":
         setBrandFilter(value || null);
         break;
@@ -303,6 +363,7 @@ export default function InventoryPage() {
     newParams.set("page", "1");
     setSearchParams(newParams);
     setSyncStatusFilter(null);
+    setSupplierFilter(null);
     setBrandFilter(null);
     setCategoryFilter(null);
     setSearchValue("");
@@ -316,9 +377,21 @@ export default function InventoryPage() {
   }, [fetcher]);
 
   const handleEditProduct = useCallback((product) => {
-    setEditingProduct(product);
+    setEditingProduct({
+      ...product,
+      price: product.currentPrice?.toFixed(2) || "",
+      locks: getLockedFields(product)
+    });
     setActiveModal("editProduct");
-  }, []);
+    historyFetcher.submit(
+      { action: "priceHistory", productId: product.id },
+      { method: "post" }
+    );
+    fieldsFetcher.submit(
+      { action: "fieldDifferences", productId: product.id },
+      { method: "post" }
+    );
+  }, [historyFetcher, fieldsFetcher]);
 
   const handleSaveProduct = useCallback(() => {
     if (!editingProduct) return;
@@ -328,7 +401,9 @@ export default function InventoryPage() {
         action: "updateProduct",
         productId: editingProduct.id,
         priceMarkup: editingProduct.priceMarkup,
-        syncStatus: editingProduct.syncStatus
+        syncStatus: editingProduct.syncStatus,
+        price: editingProduct.price,
+        lockedFields: JSON.stringify(editingProduct.locks)
       },
       { method: "post" }
     );
@@ -393,6 +468,18 @@ export default function InventoryPage() {
       ),
       shortcut: true
     },
+    {
+      key: 'supplier',
+      label: 'Supplier',
+      filter: (
+        <ChoiceList
+          title="Supplier"
+          choices={suppliers}
+          selected={supplierFilter ? [supplierFilter] : []}
+          onChange={(value) => handleFilterChange('supplier', value[0])}
+        />
+      )
+    },
     {
       key: 'brand',
       label: 'Brand',
@@ -427,6 +514,13 @@ export default function InventoryPage() {
       onRemove: () => handleFilterChange('syncStatus', null)
     });
   }
+  if (supplierFilter) {
+    appliedFilters.push({
+      key: 'supplier',
+      label: `Supplier: ${suppliers.find(s => s.value === supplierFilter)?.label || supplierFilter}`,
+      onRemove: () => handleFilterChange('supplier', null)
+    });
+  }
   if (brandFilter) {
     appliedFilters.push({
       key: 'brand',
@@ -455,14 +549,16 @@ export default function InventoryPage() {
       }}
     />,
     <Stack spacing="tight">
-      <Text variant="bodyMd" fontWeight="semibold">{product.turn14Sku}</Text>
-      <Text variant="bodySm" tone="subdued">{product.turn14Brand}</Text>
+      <Text variant="bodyMd" fontWeight="semibold">{product.sku}</Text>
+      <Text variant="bodySm" tone="subdued">
+        {[product.brand, suppliers.find(s => s.value === product.supplier)?.label].filter(Boolean).join(" · ")}
+      </Text>
     </Stack>,
-    product.turn14Category || "-",
+    product.category || "-",
     <Stack spacing="tight">
       <Text variant="bodyMd">${product.currentPrice?.toFixed(2) || "0.00"}</Text>
       <Text variant="bodySm" tone="subdued">
-        {product.priceMarkup}% markup
+        {product.pricingRule ? `Rule: ${product.pricingRule}` : `${product.priceMarkup}% markup`}
       </Text>
     </Stack>,
     product.inventoryQuantity || 0,
@@ -533,6 +629,17 @@ export default function InventoryPage() {
           </Layout.Section>
         )}
 
+        {fetcher.data?.waitingFor && (
+          <Layout.Section>
+            <Banner status="warning" title="Waiting for a running sync">
+              <p>
+                A {fetcher.data.waitingFor} sync is updating products right now. Sync this
+                product again once it finishes.
+              </p>
+            </Banner>
+          </Layout.Section>
+        )}
+
         {actionData?.success && (
           <Layout.Section>
             <Banner status="success" title="Success">
@@ -595,7 +702,7 @@ export default function InventoryPage() {
                   <p>
                     {appliedFilters.length > 0 || searchValue
                       ? "Try adjusting your filters or search terms."
-                      : "Import products from Turn 14 to get started."
+                      : "Import products from a supplier to get started."
                     }
                   </p>
                   <Button variant="primary" url="/app/products">
@@ -629,8 +736,8 @@ export default function InventoryPage() {
           {editingProduct && (
             <FormLayout>
               <Stack spacing="tight">
-                <Text variant="headingMd">{editingProduct.turn14Sku}</Text>
-                <Text variant="bodyMd" tone="subdued">{editingProduct.turn14Brand}</Text>
+                <Text variant="headingMd">{editingProduct.sku}</Text>
+                <Text variant="bodyMd" tone="subdued">{editingProduct.brand}</Text>
               </Stack>
 
               <TextField
@@ -644,7 +751,22 @@ export default function InventoryPage() {
                 min="0"
                 max="1000"
                 suffix="%"
-                helpText="Markup percentage applied to Turn 14 price"
+                helpText="Markup percentage applied to the supplier price"
+              />
+
+              <TextField
+                label="Selling Price"
+                type="number"
+                value={editingProduct.price}
+                onChange={(value) => setEditingProduct(prev => ({
+                  ...prev,
+                  price: value
+                }))}
+                min="0"
+                step={0.01}
+                prefix="$"
+                helpText="Changing it updates Shopify now. Lock the price below to keep it through pricing syncs."
+                autoComplete="off"
               />
 
               <Select
@@ -665,7 +787,7 @@ export default function InventoryPage() {
                 <Text variant="bodyMd" fontWeight="semibold">Current Pricing</Text>
                 <Stack spacing="tight">
                   <Text variant="bodyMd">
-                    Turn 14 Price: ${editingProduct.originalPrice?.toFixed(2) || "0.00"}
+                    Supplier Price: ${editingProduct.originalPrice?.toFixed(2) || "0.00"}
                   </Text>
                   <Text variant="bodyMd">
                     Your Price: ${editingProduct.currentPrice?.toFixed(2) || "0.00"}
@@ -675,6 +797,59 @@ export default function InventoryPage() {
                   </Text>
                 </Stack>
               </Box>
+
+              <Box>
+                <Text variant="bodyMd" fontWeight="semibold">Field Locks</Text>
+                <Text variant="bodySm" tone="subdued">
+                  Locked fields keep the values edited in Shopify; syncs leave them alone.
+                </Text>
+                {fieldsFetcher.data?.error && (
+                  <Text variant="bodySm" tone="critical">{fieldsFetcher.data.error}</Text>
+                )}
+                <Stack vertical spacing="extraTight">
+                  {LOCKABLE_FIELDS.map(({ label, value: field }) => {
+                    const difference = fieldsFetcher.data?.fields?.find(f => f.field === field);
+
+                    return (
+                      <InlineStack key={field} gap="200" blockAlign="center">
+                        <Checkbox
+                          label={label}
+                          checked={editingProduct.locks.includes(field)}
+                          onChange={(checked) => setEditingProduct(prev => ({
+                            ...prev,
+                            locks: checked
+                              ? [...prev.locks, field]
+                              : prev.locks.filter(locked => locked !== field)
+                          }))}
+                        />
+                        {difference?.differs && (
+                          <Badge tone={difference.locked ? "info" : "warning"}>
+                            {difference.locked ? "Edited in Shopify" : "Differs from supplier data"}
+                          </Badge>
+                        )}
+                      </InlineStack>
+                    );
+                  })}
+                </Stack>
+              </Box>
+
+              <Box>
+                <Text variant="bodyMd" fontWeight="semibold">Price History</Text>
+                {historyFetcher.state !== "idle" || !historyFetcher.data?.history ? (
+                  <Text variant="bodyMd" tone="subdued">Loading...</Text>
+                ) : (
+                  <Stack vertical spacing="tight">
+                    <PriceHistoryChart history={historyFetcher.data.history} />
+                    {historyFetcher.data.history.slice(-5).reverse().map((change) => (
+                      <Text key={change.id} variant="bodySm" tone="subdued">
+                        {new Date(change.createdAt).toLocaleString()} · {PRICE_CHANGE_SOURCES[change.source] || change.source}:
+                        {" "}${change.oldPrice?.toFixed(2) ?? "-"} → ${change.newPrice?.toFixed(2) ?? "-"}
+                        {change.newCost !== change.oldCost && ` (cost $${change.oldCost?.toFixed(2) ?? "-"} → $${change.newCost?.toFixed(2) ?? "-"})`}
+                      </Text>
+                    ))}
+                  </Stack>
+                )}
+              </Box>
             </FormLayout>
           )}
         </Modal.Section>
@@ -30,6 +30,10 @@ export default function App() {
           Dashboard
         </Link>
         <Link to="/app/turn14-config">Turn 14 Configuration</Link>
+        <Link to="/app/suppliers">Suppliers</Link>
+        <Link to="/app/field-mapping">Field Mapping</Link>
+        <Link to="/app/pricing">Pricing Rules</Link>
+        <Link to="/app/map-compliance">MAP Compliance</Link>
         <Link to="/app/brands">Brand Selection</Link>
         <Link to="/app/products">Browse Products</Link>
         <Link to="/app/sync">Sync Management</Link>
@@ -37,6 +41,7 @@ export default function App() {
         <Link to="/app/ymm">YMM Compatibility</Link>
         <Link to="/app/garage">Vehicle Garage</Link>
         <Link to="/app/turn14-sync">Sync Logs</Link>
+        <Link to="/app/turn14-api-logs">API Call Log</Link>
       </NavMenu>
       <Outlet />
     </AppProvider>
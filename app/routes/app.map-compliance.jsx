@@ -0,0 +1,291 @@
+// MAP Compliance Page
+
+// app/routes/app.map-compliance.jsx
+import { json } from "@remix-run/node";
+import { useLoaderData, useSearchParams, useFetcher } from "@remix-run/react";
+import { useCallback, useEffect, useState } from "react";
+import {
+  Page,
+  Layout,
+  Card,
+  DataTable,
+  Text,
+  Badge,
+  Button,
+  Banner,
+  TextField,
+  Select,
+  FormLayout,
+  InlineStack,
+  BlockStack,
+  Box,
+  Pagination,
+  EmptyState
+} from "@shopify/polaris";
+import { authenticate } from "../shopify.server";
+import {
+  getMapPolicies,
+  listMapViolations,
+  saveMapPolicies
+} from "../services/map-enforcement.server";
+
+const POLICY_OPTIONS = [
+  { label: "Raise the price to MAP", value: "clamp" },
+  { label: "Hide the product", value: "hide" },
+  { label: "Flag only", value: "flag" },
+  { label: "Ignore (brand has no MAP)", value: "ignore" }
+];
+
+const ACTION_BADGES = {
+  clamped: { tone: "info", label: "Raised to MAP" },
+  hidden: { tone: "warning", label: "Hidden" },
+  flagged: { tone: "critical", label: "Flagged" }
+};
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const url = new URL(request.url);
+
+  const filters = {
+    status: url.searchParams.get("status") || "open",
+    brand: url.searchParams.get("brand") || "",
+    page: parseInt(url.searchParams.get("page") || "1")
+  };
+
+  const [result, policies] = await Promise.all([
+    listMapViolations(session.shop, {
+      status: filters.status === "all" ? null : filters.status,
+      brand: filters.brand || null,
+      page: filters.page
+    }),
+    getMapPolicies(session.shop)
+  ]);
+
+  return json({ ...result, policies, filters });
+};
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+
+  if (formData.get("_action") !== "save_policies") {
+    return json({ error: "Invalid action", success: false }, { status: 400 });
+  }
+
+  try {
+    await saveMapPolicies(session.shop, {
+      defaultPolicy: formData.get("defaultPolicy"),
+      brands: JSON.parse(formData.get("brands") || "[]")
+    });
+    return json({ success: true, message: "MAP policies saved. They apply from the next pricing sync." });
+  } catch (error) {
+    return json({ error: error.message, success: false }, { status: 400 });
+  }
+};
+
+function formatPrice(price) {
+  return price !== null && price !== undefined ? `$${price.toFixed(2)}` : "-";
+}
+
+export default function MapCompliancePage() {
+  const { violations, total, openCount, brands, pagination, policies, filters } = useLoaderData();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const fetcher = useFetcher();
+  const [defaultPolicy, setDefaultPolicy] = useState(policies.defaultPolicy);
+  const [brandPolicies, setBrandPolicies] = useState(Object.values(policies.brands));
+
+  // Reload the editor from what was stored after a save
+  useEffect(() => {
+    setDefaultPolicy(policies.defaultPolicy);
+    setBrandPolicies(Object.values(policies.brands));
+  }, [policies]);
+
+  const updateParams = useCallback((updates) => {
+    const newParams = new URLSearchParams(searchParams);
+    Object.entries(updates).forEach(([key, value]) => {
+      if (value) {
+        newParams.set(key, value);
+      } else {
+        newParams.delete(key);
+      }
+    });
+    if (!("page" in updates)) {
+      newParams.set("page", "1");
+    }
+    setSearchParams(newParams);
+  }, [searchParams, setSearchParams]);
+
+  const updateBrandPolicy = useCallback((index, field) => (value) => {
+    setBrandPolicies(prev => prev.map((entry, i) => (i === index ? { ...entry, [field]: value } : entry)));
+  }, []);
+
+  const handleSavePolicies = useCallback(() => {
+    fetcher.submit({
+      _action: "save_policies",
+      defaultPolicy,
+      brands: JSON.stringify(brandPolicies)
+    }, { method: "post" });
+  }, [defaultPolicy, brandPolicies, fetcher]);
+
+  const rows = violations.map((violation) => {
+    const badge = ACTION_BADGES[violation.action] || ACTION_BADGES.flagged;
+
+    return [
+      violation.sku,
+      violation.brand || "-",
+      formatPrice(violation.mapPrice),
+      formatPrice(violation.computedPrice),
+      formatPrice(violation.appliedPrice),
+      <Badge key={`${violation.id}-action`} tone={badge.tone}>{badge.label}</Badge>,
+      new Date(violation.detectedAt).toLocaleString(),
+      violation.status === "open"
+        ? <Badge key={`${violation.id}-status`} tone="critical">Open</Badge>
+        : `Resolved ${new Date(violation.resolvedAt).toLocaleDateString()}`
+    ];
+  });
+
+  return (
+    <Page
+      title="MAP Compliance"
+      subtitle="Prices that fell below a brand's Minimum Advertised Price during syncs"
+      backAction={{ content: "Pricing Rules", url: "/app/pricing" }}
+    >
+      <Layout>
+        {fetcher.data?.error && (
+          <Layout.Section>
+            <Banner tone="critical" title="Error">
+              <p>{fetcher.data.error}</p>
+            </Banner>
+          </Layout.Section>
+        )}
+
+        {fetcher.data?.success && (
+          <Layout.Section>
+            <Banner tone="success" title={fetcher.data.message} />
+          </Layout.Section>
+        )}
+
+        {openCount > 0 && (
+          <Layout.Section>
+            <Banner tone="warning" title={`${openCount} product${openCount === 1 ? " is" : "s are"} priced below MAP`}>
+              <p>Flagged products are still advertised below MAP. Adjust their pricing rules or the brand's policy.</p>
+            </Banner>
+          </Layout.Section>
+        )}
+
+        <Layout.Section>
+          <Card>
+            <Box padding="400">
+              <BlockStack gap="300">
+                <InlineStack gap="300" blockAlign="end">
+                  <Select
+                    label="Status"
+                    options={[
+                      { label: "Open", value: "open" },
+                      { label: "Resolved", value: "resolved" },
+                      { label: "All", value: "all" }
+                    ]}
+                    value={filters.status}
+                    onChange={(value) => updateParams({ status: value })}
+                  />
+                  <Select
+                    label="Brand"
+                    options={[
+                      { label: "All brands", value: "" },
+                      ...brands.map(brand => ({ label: brand, value: brand }))
+                    ]}
+                    value={filters.brand}
+                    onChange={(value) => updateParams({ brand: value })}
+                  />
+                </InlineStack>
+                <Text variant="bodySm" tone="subdued" as="p">{total} violations</Text>
+              </BlockStack>
+            </Box>
+
+            {violations.length > 0 ? (
+              <>
+                <DataTable
+                  columnContentTypes={["text", "text", "numeric", "numeric", "numeric", "text", "text", "text"]}
+                  headings={["SKU", "Brand", "MAP", "Computed", "Applied", "Action", "Detected", "Status"]}
+                  rows={rows}
+                />
+                <Box padding="400">
+                  <InlineStack align="center">
+                    <Pagination
+                      hasPrevious={pagination.hasPrevPage}
+                      onPrevious={() => updateParams({ page: String(pagination.currentPage - 1) })}
+                      hasNext={pagination.hasNextPage}
+                      onNext={() => updateParams({ page: String(pagination.currentPage + 1) })}
+                    />
+                  </InlineStack>
+                </Box>
+              </>
+            ) : (
+              <Box padding="400">
+                <EmptyState
+                  heading="No MAP violations"
+                  image="https://cdn.shopify.com/s/files/1/0757/9955/files/empty-state.svg"
+                >
+                  <p>Pricing syncs record every price they compute below a brand's MAP here.</p>
+                </EmptyState>
+              </Box>
+            )}
+          </Card>
+        </Layout.Section>
+
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="400">
+              <BlockStack gap="100">
+                <Text variant="headingMd" as="h2">Brand policies</Text>
+                <Text tone="subdued" as="p">What a sync does when a computed price is below MAP</Text>
+              </BlockStack>
+
+              <FormLayout>
+                <Select
+                  label="Default policy"
+                  options={POLICY_OPTIONS}
+                  value={defaultPolicy}
+                  onChange={setDefaultPolicy}
+                  helpText="Applies to every brand without its own policy"
+                />
+
+                {brandPolicies.map((entry, index) => (
+                  <FormLayout.Group key={index} condensed>
+                    <TextField
+                      label="Brand"
+                      value={entry.brand}
+                      onChange={updateBrandPolicy(index, "brand")}
+                      autoComplete="off"
+                    />
+                    <Select
+                      label="Policy"
+                      options={POLICY_OPTIONS}
+                      value={entry.policy}
+                      onChange={updateBrandPolicy(index, "policy")}
+                    />
+                    <Button
+                      tone="critical"
+                      onClick={() => setBrandPolicies(prev => prev.filter((e, i) => i !== index))}
+                    >
+                      Remove
+                    </Button>
+                  </FormLayout.Group>
+                ))}
+
+                <InlineStack gap="200">
+                  <Button onClick={() => setBrandPolicies(prev => [...prev, { brand: "", policy: "clamp" }])}>
+                    Add brand policy
+                  </Button>
+                  <Button variant="primary" onClick={handleSavePolicies} loading={fetcher.state === "submitting"}>
+                    Save policies
+                  </Button>
+                </InlineStack>
+              </FormLayout>
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
@@ -0,0 +1,506 @@
+// Pricing Rules Page
+
+// app/routes/app.pricing.jsx
+import { useState, useCallback, useEffect, useMemo } from "react";
+import { json } from "@remix-run/node";
+import { useLoaderData, useFetcher } from "@remix-run/react";
+import {
+  Page,
+  Layout,
+  Card,
+  FormLayout,
+  TextField,
+  Select,
+  Checkbox,
+  Button,
+  ButtonGroup,
+  Banner,
+  Text,
+  InlineStack,
+  BlockStack,
+  Badge,
+  Divider
+} from "@shopify/polaris";
+import { authenticate } from "../shopify.server";
+import { listPricingRuleSets, savePricingRules } from "../services/pricing-rules.server";
+import { getCompareAtSettings, saveCompareAtSettings } from "../services/compare-at-pricing.server";
+import {
+  COST_BASES,
+  PRICING_METHODS,
+  ROUNDING_STRATEGIES,
+  evaluatePricingRules
+} from "../utils/pricing-rules.js";
+
+const EMPTY_RULE = {
+  name: "",
+  enabled: true,
+  brand: "",
+  category: "",
+  minCost: "",
+  maxCost: "",
+  costBasis: "cost",
+  method: "markup",
+  value: "30",
+  minMargin: "",
+  rounding: "none"
+};
+
+const EMPTY_SAMPLE = {
+  brand: "",
+  category: "",
+  price: "100",
+  jobberPrice: "",
+  mapPrice: "",
+  retailPrice: "",
+  fallbackMarkup: "0"
+};
+
+export async function loader({ request }) {
+  const { session } = await authenticate.admin(request);
+
+  const [ruleSets, compareAtSettings] = await Promise.all([
+    listPricingRuleSets(session.shop),
+    getCompareAtSettings(session.shop)
+  ]);
+
+  return json({ ruleSets, compareAtSettings });
+}
+
+export async function action({ request }) {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const action = formData.get("_action");
+
+  try {
+    switch (action) {
+      case "save_rules": {
+        const rules = await savePricingRules(
+          session.shop,
+          formData.get("connectionId"),
+          JSON.parse(formData.get("rules") || "[]")
+        );
+        return json({
+          success: true,
+          message: `Saved ${rules.length} pricing rule${rules.length === 1 ? "" : "s"}. They apply from the next pricing sync.`
+        });
+      }
+
+      case "save_compare_at": {
+        await saveCompareAtSettings(session.shop, JSON.parse(formData.get("compareAt") || "{}"));
+        return json({
+          success: true,
+          message: "Compare-at settings saved. They apply from the next pricing sync."
+        });
+      }
+
+      default:
+        return json({ error: "Invalid action", success: false }, { status: 400 });
+    }
+  } catch (error) {
+    return json({ error: error.message, success: false }, { status: 400 });
+  }
+}
+
+// Editor rows keep numbers as strings so fields can be cleared
+function toFormRules(rules) {
+  return rules.map(rule => ({
+    ...EMPTY_RULE,
+    ...rule,
+    ...Object.fromEntries(["minCost", "maxCost", "value", "minMargin"].map(field => [
+      field,
+      rule[field] === null || rule[field] === undefined ? "" : String(rule[field])
+    ]))
+  }));
+}
+
+function toNumber(value) {
+  return value === "" ? null : parseFloat(value);
+}
+
+// Editor state for compare-at settings; percentages stay strings while typing
+function toCompareAtForm(settings) {
+  const toRow = setting => ({ ...setting, minDiscountPercent: String(setting.minDiscountPercent) });
+
+  return {
+    defaultSetting: toRow(settings.defaultSetting),
+    brands: Object.values(settings.brands).map(toRow)
+  };
+}
+
+export default function PricingRulesPage() {
+  const { ruleSets, compareAtSettings } = useLoaderData();
+  const fetcher = useFetcher();
+  const [connectionId, setConnectionId] = useState(ruleSets[0]?.id || "");
+  const [rules, setRules] = useState(() => toFormRules(ruleSets[0]?.rules || []));
+  const [sample, setSample] = useState(EMPTY_SAMPLE);
+  const [compareAt, setCompareAt] = useState(() => toCompareAtForm(compareAtSettings));
+
+  const isSubmitting = fetcher.state === "submitting";
+  const ruleSet = ruleSets.find(set => set.id === connectionId);
+
+  // Switching connections (or reloading after a save) shows that connection's stored rules
+  useEffect(() => {
+    setRules(toFormRules(ruleSet?.rules || []));
+  }, [ruleSet]);
+
+  useEffect(() => {
+    setCompareAt(toCompareAtForm(compareAtSettings));
+  }, [compareAtSettings]);
+
+  const updateCompareAtDefault = useCallback((field) => (value) => {
+    setCompareAt(prev => ({ ...prev, defaultSetting: { ...prev.defaultSetting, [field]: value } }));
+  }, []);
+
+  const updateCompareAtBrand = useCallback((index, field) => (value) => {
+    setCompareAt(prev => ({
+      ...prev,
+      brands: prev.brands.map((entry, i) => (i === index ? { ...entry, [field]: value } : entry))
+    }));
+  }, []);
+
+  const handleSaveCompareAt = useCallback(() => {
+    fetcher.submit({
+      _action: "save_compare_at",
+      compareAt: JSON.stringify(compareAt)
+    }, { method: "post" });
+  }, [compareAt, fetcher]);
+
+  const updateRule = useCallback((index, field) => (value) => {
+    setRules(prev => prev.map((rule, i) => (i === index ? { ...rule, [field]: value } : rule)));
+  }, []);
+
+  const moveRule = useCallback((index, offset) => () => {
+    setRules(prev => {
+      const next = [...prev];
+      const [rule] = next.splice(index, 1);
+      next.splice(index + offset, 0, rule);
+      return next;
+    });
+  }, []);
+
+  const removeRule = useCallback((index) => () => {
+    setRules(prev => prev.filter((rule, i) => i !== index));
+  }, []);
+
+  const addRule = useCallback(() => {
+    setRules(prev => [...prev, { ...EMPTY_RULE, name: `Rule ${prev.length + 1}` }]);
+  }, []);
+
+  const handleSave = useCallback(() => {
+    fetcher.submit({
+      _action: "save_rules",
+      connectionId,
+      rules: JSON.stringify(rules)
+    }, { method: "post" });
+  }, [connectionId, rules, fetcher]);
+
+  const updateSample = useCallback((field) => (value) => {
+    setSample(prev => ({ ...prev, [field]: value }));
+  }, []);
+
+  // Evaluated against the unsaved rules so edits can be checked before saving
+  const sampleResult = useMemo(() => evaluatePricingRules(
+    rules.map(rule => ({
+      ...rule,
+      minCost: toNumber(rule.minCost),
+      maxCost: toNumber(rule.maxCost),
+      value: toNumber(rule.value) ?? 0,
+      minMargin: toNumber(rule.minMargin)
+    })),
+    { brand: sample.brand, category: sample.category },
+    {
+      price: toNumber(sample.price) ?? 0,
+      jobberPrice: toNumber(sample.jobberPrice),
+      mapPrice: toNumber(sample.mapPrice),
+      retailPrice: toNumber(sample.retailPrice)
+    },
+    { fallbackMarkup: toNumber(sample.fallbackMarkup) ?? 0 }
+  ), [rules, sample]);
+
+  return (
+    <Page
+      title="Pricing Rules"
+      subtitle="Tiered markups and margins applied when products are imported and prices sync"
+      backAction={{ content: "Dashboard", url: "/app" }}
+      primaryAction={{
+        content: "Save rules",
+        onAction: handleSave,
+        loading: isSubmitting,
+        disabled: !ruleSet
+      }}
+    >
+      <Layout>
+        {fetcher.data?.error && (
+          <Layout.Section>
+            <Banner tone="critical" title="Error">
+              <p>{fetcher.data.error}</p>
+            </Banner>
+          </Layout.Section>
+        )}
+
+        {fetcher.data?.success && (
+          <Layout.Section>
+            <Banner tone="success" title={fetcher.data.message} />
+          </Layout.Section>
+        )}
+
+        {ruleSets.length === 0 ? (
+          <Layout.Section>
+            <Banner tone="warning" title="No suppliers with pricing">
+              <p>Connect a supplier before setting up pricing rules.</p>
+            </Banner>
+          </Layout.Section>
+        ) : (
+          <>
+            <Layout.Section>
+              <BlockStack gap="400">
+                <Card>
+                  <BlockStack gap="200">
+                    <Select
+                      label="Supplier connection"
+                      options={ruleSets.map(set => ({
+                        label: `${set.name} (${set.label}${set.profile === "sandbox" ? ", sandbox" : ""})`,
+                        value: set.id
+                      }))}
+                      value={connectionId}
+                      onChange={setConnectionId}
+                    />
+                    <Text tone="subdued" as="p">
+                      Rules are checked top to bottom and the first match sets the price. A rule is passed over
+                      when the supplier doesn't provide its cost basis. Products no rule matches keep their flat markup.
+                    </Text>
+                  </BlockStack>
+                </Card>
+
+                {rules.map((rule, index) => (
+                  <Card key={index}>
+                    <BlockStack gap="300">
+                      <InlineStack align="space-between" blockAlign="center">
+                        <InlineStack gap="200" blockAlign="center">
+                          <Badge>{index + 1}</Badge>
+                          <Text variant="headingSm" as="h3">{rule.name || `Rule ${index + 1}`}</Text>
+                          {sampleResult.rule === rule.name && <Badge tone="success">Matches sample</Badge>}
+                        </InlineStack>
+                        <ButtonGroup>
+                          <Button size="micro" onClick={moveRule(index, -1)} disabled={index === 0}>Up</Button>
+                          <Button size="micro" onClick={moveRule(index, 1)} disabled={index === rules.length - 1}>
+                            Down
+                          </Button>
+                          <Button size="micro" tone="critical" onClick={removeRule(index)}>Remove</Button>
+                        </ButtonGroup>
+                      </InlineStack>
+
+                      <FormLayout>
+                        <FormLayout.Group>
+                          <TextField label="Name" value={rule.name} onChange={updateRule(index, "name")} autoComplete="off" />
+                          <TextField
+                            label="Brand"
+                            value={rule.brand}
+                            onChange={updateRule(index, "brand")}
+                            placeholder="Any brand"
+                            autoComplete="off"
+                          />
+                          <TextField
+                            label="Category"
+                            value={rule.category}
+                            onChange={updateRule(index, "category")}
+                            placeholder="Any category"
+                            autoComplete="off"
+                          />
+                        </FormLayout.Group>
+                        <FormLayout.Group>
+                          <TextField
+                            label="Cost from"
+                            type="number"
+                            prefix="$"
+                            value={rule.minCost}
+                            onChange={updateRule(index, "minCost")}
+                            autoComplete="off"
+                          />
+                          <TextField
+                            label="Cost below"
+                            type="number"
+                            prefix="$"
+                            value={rule.maxCost}
+                            onChange={updateRule(index, "maxCost")}
+                            helpText="Band on purchase cost; leave blank for no limit"
+                            autoComplete="off"
+                          />
+                        </FormLayout.Group>
+                        <FormLayout.Group>
+                          <Select
+                            label="Cost basis"
+                            options={COST_BASES}
+                            value={rule.costBasis}
+                            onChange={updateRule(index, "costBasis")}
+                          />
+                          <Select
+                            label="Method"
+                            options={PRICING_METHODS}
+                            value={rule.method}
+                            onChange={updateRule(index, "method")}
+                          />
+                          <TextField
+                            label={rule.method === "fixed" ? "Amount" : "Percent"}
+                            type="number"
+                            value={rule.value}
+                            onChange={updateRule(index, "value")}
+                            autoComplete="off"
+                          />
+                        </FormLayout.Group>
+                        <FormLayout.Group>
+                          <TextField
+                            label="Minimum margin"
+                            type="number"
+                            suffix="%"
+                            value={rule.minMargin}
+                            onChange={updateRule(index, "minMargin")}
+                            helpText="Floor over purchase cost"
+                            autoComplete="off"
+                          />
+                          <Select
+                            label="Rounding"
+                            options={ROUNDING_STRATEGIES}
+                            value={rule.rounding}
+                            onChange={updateRule(index, "rounding")}
+                          />
+                        </FormLayout.Group>
+                        <Checkbox label="Enabled" checked={rule.enabled} onChange={updateRule(index, "enabled")} />
+                      </FormLayout>
+                    </BlockStack>
+                  </Card>
+                ))}
+
+                <InlineStack>
+                  <Button onClick={addRule}>Add rule</Button>
+                </InlineStack>
+              </BlockStack>
+            </Layout.Section>
+
+            <Layout.Section variant="oneThird">
+              <Card>
+                <BlockStack gap="300">
+                  <Text variant="headingMd" as="h2">Price calculator</Text>
+                  <FormLayout>
+                    <TextField label="Brand" value={sample.brand} onChange={updateSample("brand")} autoComplete="off" />
+                    <TextField label="Category" value={sample.category} onChange={updateSample("category")} autoComplete="off" />
+                    <TextField
+                      label="Purchase cost"
+                      type="number"
+                      prefix="$"
+                      value={sample.price}
+                      onChange={updateSample("price")}
+                      autoComplete="off"
+                    />
+                    <FormLayout.Group condensed>
+                      <TextField label="Jobber" type="number" value={sample.jobberPrice} onChange={updateSample("jobberPrice")} autoComplete="off" />
+                      <TextField label="MAP" type="number" value={sample.mapPrice} onChange={updateSample("mapPrice")} autoComplete="off" />
+                      <TextField label="Retail" type="number" value={sample.retailPrice} onChange={updateSample("retailPrice")} autoComplete="off" />
+                    </FormLayout.Group>
+                    <TextField
+                      label="Product markup"
+                      type="number"
+                      suffix="%"
+                      value={sample.fallbackMarkup}
+                      onChange={updateSample("fallbackMarkup")}
+                      helpText="Used when no rule matches"
+                      autoComplete="off"
+                    />
+                  </FormLayout>
+
+                  <Divider />
+                  <Text variant="headingLg" as="p">${sampleResult.price.toFixed(2)}</Text>
+                  <Text tone="subdued" as="p">
+                    {sampleResult.rule ? `Set by "${sampleResult.rule}"` : "No rule matched; flat markup applied"}
+                    {sampleResult.floorApplied && " (raised to the minimum margin)"}
+                  </Text>
+                </BlockStack>
+              </Card>
+            </Layout.Section>
+          </>
+        )}
+
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="400">
+              <BlockStack gap="100">
+                <Text variant="headingMd" as="h2">Compare-at pricing</Text>
+                <Text tone="subdued" as="p">
+                  Show the supplier's retail price (MSRP) as the compare-at price when the selling price is lower,
+                  so the storefront displays the saving.
+                </Text>
+              </BlockStack>
+
+              <FormLayout>
+                <FormLayout.Group>
+                  <Checkbox
+                    label="Show compare-at prices by default"
+                    checked={compareAt.defaultSetting.enabled}
+                    onChange={updateCompareAtDefault("enabled")}
+                  />
+                  <TextField
+                    label="Minimum discount"
+                    type="number"
+                    suffix="%"
+                    value={compareAt.defaultSetting.minDiscountPercent}
+                    onChange={updateCompareAtDefault("minDiscountPercent")}
+                    helpText="Smaller savings don't show a compare-at price"
+                    autoComplete="off"
+                  />
+                </FormLayout.Group>
+
+                {compareAt.brands.map((entry, index) => (
+                  <FormLayout.Group key={index} condensed>
+                    <TextField
+                      label="Brand"
+                      value={entry.brand}
+                      onChange={updateCompareAtBrand(index, "brand")}
+                      autoComplete="off"
+                    />
+                    <TextField
+                      label="Minimum discount"
+                      type="number"
+                      suffix="%"
+                      value={entry.minDiscountPercent}
+                      onChange={updateCompareAtBrand(index, "minDiscountPercent")}
+                      disabled={!entry.enabled}
+                      autoComplete="off"
+                    />
+                    <Checkbox
+                      label="Show compare-at price"
+                      checked={entry.enabled}
+                      onChange={updateCompareAtBrand(index, "enabled")}
+                    />
+                    <Button
+                      tone="critical"
+                      onClick={() => setCompareAt(prev => ({
+                        ...prev,
+                        brands: prev.brands.filter((e, i) => i !== index)
+                      }))}
+                    >
+                      Remove
+                    </Button>
+                  </FormLayout.Group>
+                ))}
+
+                <InlineStack gap="200">
+                  <Button
+                    onClick={() => setCompareAt(prev => ({
+                      ...prev,
+                      brands: [...prev.brands, { brand: "", enabled: true, minDiscountPercent: "0" }]
+                    }))}
+                  >
+                    Add brand setting
+                  </Button>
+                  <Button variant="primary" onClick={handleSaveCompareAt} loading={isSubmitting}>
+                    Save compare-at settings
+                  </Button>
+                </InlineStack>
+              </FormLayout>
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
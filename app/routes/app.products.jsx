@@ -28,10 +28,9 @@ import {
 import { authenticate } from "../shopify.server";
 import { 
   getTurn14Config, 
-  fetchTurn14Inventory,
-  fetchTurn14Product,
-  transformProductForShopify
+  fetchTurn14Inventory
 } from "../services/turn14-api.server";
+import { SyncEngine } from "../services/sync-engine.server.js";
 
 export async function loader({ request }) {
   const { session, admin } = await authenticate.admin(request);
@@ -138,52 +137,16 @@ export async function action({ request }) {
       case 'import_product': {
         const sku = formData.get('sku');
         const priceMarkup = parseFloat(formData.get('priceMarkup') || '0');
-        
-        // Fetch detailed product data
-        const turn14Product = await fetchTurn14Product(session.shop, sku);
-        
-        // Transform for Shopify
-        const shopifyProduct = transformProductForShopify(turn14Product, {
-          priceMarkup
-        });
-
-        // Create product in Shopify
-        const response = await admin.graphql(
-          `#graphql
-            mutation productCreate($product: ProductCreateInput!) {
-              productCreate(product: $product) {
-                product {
-                  id
-                  title
-                  handle
-                  status
-                }
-                userErrors {
-                  field
-                  message
-                }
-              }
-            }`,
-          {
-            variables: {
-              product: shopifyProduct
-            }
-          }
-        );
+        const syncEngine = new SyncEngine(session.shop, session.accessToken, admin);
 
-        const responseJson = await response.json();
-        
-        if (responseJson.data.productCreate.userErrors.length > 0) {
-          return json({
-            error: responseJson.data.productCreate.userErrors[0].message,
-            success: false
-          }, { status: 400 });
-        }
+        // Priced by the account's pricing rules, MAP policy and compare-at settings,
+        // then tracked for inventory and pricing syncs
+        const { shopifyProduct } = await syncEngine.importCatalogProduct(sku, { priceMarkup });
 
         return json({
           success: true,
-          message: `Product "${turn14Product.name}" imported successfully!`,
-          productId: responseJson.data.productCreate.product.id
+          message: `Product "${shopifyProduct.title}" imported successfully!`,
+          productId: shopifyProduct.id
         });
       }
 
@@ -191,6 +154,7 @@ export async function action({ request }) {
         const skusJson = formData.get('skus');
         const skus = JSON.parse(skusJson || '[]');
         const priceMarkup = parseFloat(formData.get('priceMarkup') || '0');
+        const syncEngine = new SyncEngine(session.shop, session.accessToken, admin);
         
         let imported = 0;
         let failed = 0;
@@ -198,44 +162,8 @@ export async function action({ request }) {
 
         for (const sku of skus) {
           try {
-            // Fetch detailed product data
-            const turn14Product = await fetchTurn14Product(session.shop, sku);
-            
-            // Transform for Shopify
-            const shopifyProduct = transformProductForShopify(turn14Product, {
-              priceMarkup
-            });
-
-            // Create product in Shopify
-            const response = await admin.graphql(
-              `#graphql
-                mutation productCreate($product: ProductCreateInput!) {
-                  productCreate(product: $product) {
-                    product {
-                      id
-                      title
-                    }
-                    userErrors {
-                      field
-                      message
-                    }
-                  }
-                }`,
-              {
-                variables: {
-                  product: shopifyProduct
-                }
-              }
-            );
-
-            const responseJson = await response.json();
-            
-            if (responseJson.data.productCreate.userErrors.length > 0) {
-              failed++;
-              errors.push(`${sku}: ${responseJson.data.productCreate.userErrors[0].message}`);
-            } else {
-              imported++;
-            }
+            await syncEngine.importCatalogProduct(sku, { priceMarkup });
+            imported++;
           } catch (error) {
             failed++;
             errors.push(`${sku}: ${error.message}`);
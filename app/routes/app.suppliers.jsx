@@ -0,0 +1,438 @@
+// Supplier Connections Page
+
+// app/routes/app.suppliers.jsx
+import { useState, useCallback, useEffect } from "react";
+import { json } from "@remix-run/node";
+import { useLoaderData, useFetcher } from "@remix-run/react";
+import {
+  Page,
+  Layout,
+  Card,
+  FormLayout,
+  TextField,
+  Select,
+  Checkbox,
+  Button,
+  Banner,
+  Text,
+  Box,
+  InlineStack,
+  BlockStack,
+  Badge,
+  DataTable
+} from "@shopify/polaris";
+import { authenticate } from "../shopify.server";
+import { listTurn14Accounts } from "../services/turn14-api.server";
+import {
+  SUPPLIER_LABELS,
+  deleteSupplierConfig,
+  inspectSupplierFeed,
+  listSupplierConfigs,
+  saveSupplierConfig
+} from "../services/supplier-registry.server";
+import { DEFAULT_CSV_COLUMNS } from "../services/supplier-csv.server";
+import { SupplierError } from "../services/supplier-adapter.server";
+
+const COLUMN_LABELS = {
+  sku: "SKU",
+  name: "Title",
+  description: "Description",
+  brand: "Brand",
+  category: "Category",
+  price: "Cost price",
+  mapPrice: "MAP price",
+  retailPrice: "Retail price (MSRP)",
+  jobberPrice: "Jobber price",
+  inventoryQuantity: "Quantity",
+  images: "Image URLs",
+  weight: "Weight",
+  barcode: "Barcode / UPC"
+};
+
+const EMPTY_FORM = {
+  id: null,
+  name: "",
+  profile: "production",
+  isActive: true,
+  source: "",
+  delimiter: ",",
+  imageSeparator: "|",
+  productTag: "",
+  selectedBrands: "",
+  columns: DEFAULT_CSV_COLUMNS
+};
+
+export async function loader({ request }) {
+  const { session } = await authenticate.admin(request);
+
+  const [turn14Accounts, suppliers] = await Promise.all([
+    listTurn14Accounts(session.shop),
+    listSupplierConfigs(session.shop)
+  ]);
+
+  return json({
+    turn14Accounts: turn14Accounts.map(account => ({
+      id: account.id,
+      name: account.name,
+      profile: account.profile,
+      isActive: account.isActive,
+      isDefault: account.isDefault
+    })),
+    suppliers,
+    labels: SUPPLIER_LABELS
+  });
+}
+
+export async function action({ request }) {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const action = formData.get("_action");
+  const supplierId = formData.get("supplierId") || null;
+
+  try {
+    switch (action) {
+      case "save_supplier": {
+        const settings = JSON.parse(formData.get("settings") || "{}");
+        const supplier = await saveSupplierConfig(session.shop, {
+          supplier: "csv",
+          name: formData.get("name") || "",
+          profile: formData.get("profile") || "production",
+          isActive: formData.get("isActive") === "true",
+          settings
+        }, supplierId);
+
+        return json({
+          success: true,
+          message: `Supplier "${supplier.name}" saved`,
+          supplierId: supplier.id
+        });
+      }
+
+      case "delete_supplier": {
+        await deleteSupplierConfig(session.shop, supplierId);
+        return json({
+          success: true,
+          message: "Supplier removed; its imported products are paused"
+        });
+      }
+
+      case "inspect_feed": {
+        const report = await inspectSupplierFeed(session.shop, supplierId);
+        return json({
+          success: true,
+          message: `Feed read: ${report.productCount} products found`,
+          report
+        });
+      }
+
+      default:
+        return json({ error: "Invalid action", success: false }, { status: 400 });
+    }
+  } catch (error) {
+    return json({
+      error: error.message,
+      success: false
+    }, { status: error instanceof SupplierError ? 400 : 500 });
+  }
+}
+
+// Admin form fields from a stored supplier
+function toForm(supplier) {
+  const { settings } = supplier;
+
+  return {
+    id: supplier.id,
+    name: supplier.name,
+    profile: supplier.profile,
+    isActive: supplier.isActive,
+    source: settings.source || "",
+    delimiter: settings.delimiter || ",",
+    imageSeparator: settings.imageSeparator || "|",
+    productTag: settings.productTag || "",
+    selectedBrands: (settings.selectedBrands || []).join(", "),
+    columns: { ...DEFAULT_CSV_COLUMNS, ...settings.columns }
+  };
+}
+
+export default function SuppliersPage() {
+  const { turn14Accounts, suppliers, labels } = useLoaderData();
+  const fetcher = useFetcher();
+  const [form, setForm] = useState(EMPTY_FORM);
+
+  const isSubmitting = fetcher.state === "submitting";
+  const report = fetcher.data?.report;
+
+  // A new supplier keeps the form open on what was just created
+  useEffect(() => {
+    const supplierId = fetcher.data?.supplierId;
+    if (supplierId) {
+      setForm(prev => (prev.id ? prev : { ...prev, id: supplierId }));
+    }
+  }, [fetcher.data]);
+
+  const updateField = useCallback((field) => (value) => {
+    setForm(prev => ({ ...prev, [field]: value }));
+  }, []);
+
+  const updateColumn = useCallback((field) => (value) => {
+    setForm(prev => ({ ...prev, columns: { ...prev.columns, [field]: value } }));
+  }, []);
+
+  const handleSave = useCallback(() => {
+    const settings = {
+      source: form.source.trim(),
+      delimiter: form.delimiter || ",",
+      imageSeparator: form.imageSeparator || "|",
+      productTag: form.productTag.trim(),
+      selectedBrands: form.selectedBrands.split(",").map(brand => brand.trim()).filter(Boolean),
+      columns: form.columns
+    };
+
+    fetcher.submit({
+      _action: "save_supplier",
+      ...(form.id && { supplierId: form.id }),
+      name: form.name,
+      profile: form.profile,
+      isActive: String(form.isActive),
+      settings: JSON.stringify(settings)
+    }, { method: "post" });
+  }, [form, fetcher]);
+
+  const handleDelete = useCallback((supplier) => {
+    if (!confirm(`Remove supplier "${supplier.name}"? Its imported products stay in Shopify but stop syncing.`)) {
+      return;
+    }
+
+    fetcher.submit({ _action: "delete_supplier", supplierId: supplier.id }, { method: "post" });
+    if (form.id === supplier.id) {
+      setForm(EMPTY_FORM);
+    }
+  }, [form.id, fetcher]);
+
+  const handleInspect = useCallback((supplierId) => {
+    fetcher.submit({ _action: "inspect_feed", supplierId }, { method: "post" });
+  }, [fetcher]);
+
+  const turn14Rows = turn14Accounts.map((account) => [
+    <InlineStack key={`${account.id}-name`} gap="100">
+      {account.name}
+      {account.isDefault && <Badge>Default</Badge>}
+    </InlineStack>,
+    labels.turn14,
+    account.profile === "sandbox" ? <Badge key={`${account.id}-profile`} tone="attention">Sandbox</Badge> : "Production",
+    <Badge key={`${account.id}-status`} tone={account.isActive ? "success" : "warning"}>
+      {account.isActive ? "Active" : "Disabled"}
+    </Badge>,
+    <Button key={`${account.id}-manage`} size="micro" url={`/app/turn14-config?account=${account.id}`}>
+      Manage
+    </Button>
+  ]);
+
+  const supplierRows = suppliers.map((supplier) => [
+    supplier.name,
+    labels[supplier.supplier] || supplier.supplier,
+    supplier.profile === "sandbox" ? <Badge key={`${supplier.id}-profile`} tone="attention">Sandbox</Badge> : "Production",
+    <Badge
+      key={`${supplier.id}-status`}
+      tone={supplier.validationError ? "critical" : supplier.isActive ? "success" : "warning"}
+    >
+      {supplier.validationError ? "Feed error" : supplier.isActive ? "Active" : "Disabled"}
+    </Badge>,
+    <InlineStack key={`${supplier.id}-actions`} gap="100">
+      <Button size="micro" onClick={() => setForm(toForm(supplier))}>Edit</Button>
+      <Button size="micro" onClick={() => handleInspect(supplier.id)} loading={isSubmitting}>Test feed</Button>
+      <Button size="micro" tone="critical" onClick={() => handleDelete(supplier)}>Remove</Button>
+    </InlineStack>
+  ]);
+
+  return (
+    <Page
+      title="Suppliers"
+      subtitle="Distributors products are imported and synced from"
+      backAction={{ content: "Dashboard", url: "/app" }}
+    >
+      <Layout>
+        {fetcher.data?.error && (
+          <Layout.Section>
+            <Banner tone="critical" title="Error">
+              <p>{fetcher.data.error}</p>
+            </Banner>
+          </Layout.Section>
+        )}
+
+        {fetcher.data?.success && (
+          <Layout.Section>
+            <Banner tone="success" title={fetcher.data.message}>
+              {report && report.missingColumns.length > 0 && (
+                <p>
+                  Columns not found in the feed:{" "}
+                  {report.missingColumns.map(({ field, column }) => `${COLUMN_LABELS[field]} ("${column}")`).join(", ")}
+                </p>
+              )}
+            </Banner>
+          </Layout.Section>
+        )}
+
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="400">
+              <Text variant="headingMd" as="h2">Connected suppliers</Text>
+              <DataTable
+                columnContentTypes={["text", "text", "text", "text", "text"]}
+                headings={["Name", "Supplier", "Profile", "Status", ""]}
+                rows={[...turn14Rows, ...supplierRows]}
+              />
+              {turn14Rows.length + supplierRows.length === 0 && (
+                <Text tone="subdued" as="p">No suppliers yet. Connect a Turn 14 account or add a CSV feed below.</Text>
+              )}
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+
+        {report && report.sample.length > 0 && (
+          <Layout.Section>
+            <Card>
+              <BlockStack gap="300">
+                <Text variant="headingMd" as="h2">Feed sample</Text>
+                <DataTable
+                  columnContentTypes={["text", "text", "text", "numeric", "numeric"]}
+                  headings={["SKU", "Title", "Brand", "Price", "Quantity"]}
+                  rows={report.sample.map(product => [
+                    product.sku,
+                    product.name,
+                    product.brand || "-",
+                    `$${product.price.toFixed(2)}`,
+                    product.inventoryQuantity
+                  ])}
+                />
+              </BlockStack>
+            </Card>
+          </Layout.Section>
+        )}
+
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="400">
+              <InlineStack align="space-between">
+                <Text variant="headingMd" as="h2">
+                  {form.id ? `Edit ${form.name}` : "Add CSV / flat-file supplier"}
+                </Text>
+                {form.id && <Button variant="plain" onClick={() => setForm(EMPTY_FORM)}>Add another supplier</Button>}
+              </InlineStack>
+
+              <FormLayout>
+                <FormLayout.Group>
+                  <TextField
+                    label="Supplier name"
+                    value={form.name}
+                    onChange={updateField("name")}
+                    autoComplete="off"
+                    requiredIndicator
+                  />
+                  <Select
+                    label="Profile"
+                    options={[
+                      { label: "Production", value: "production" },
+                      { label: "Sandbox", value: "sandbox" }
+                    ]}
+                    value={form.profile}
+                    onChange={updateField("profile")}
+                  />
+                </FormLayout.Group>
+
+                <TextField
+                  label="Feed location"
+                  value={form.source}
+                  onChange={updateField("source")}
+                  placeholder="https://supplier.example.com/feeds/catalog.csv"
+                  helpText="An https URL, or a file in the feed directory if the app's operator set one up. The feed is read once per sync."
+                  autoComplete="off"
+                />
+
+                <FormLayout.Group>
+                  <TextField
+                    label="Delimiter"
+                    value={form.delimiter}
+                    onChange={updateField("delimiter")}
+                    maxLength={1}
+                    autoComplete="off"
+                  />
+                  <TextField
+                    label="Image URL separator"
+                    value={form.imageSeparator}
+                    onChange={updateField("imageSeparator")}
+                    maxLength={1}
+                    autoComplete="off"
+                  />
+                  <TextField
+                    label="Product tag"
+                    value={form.productTag}
+                    onChange={updateField("productTag")}
+                    helpText="Added to imported products; defaults to the supplier name"
+                    autoComplete="off"
+                  />
+                </FormLayout.Group>
+
+                <TextField
+                  label="Brands to import"
+                  value={form.selectedBrands}
+                  onChange={updateField("selectedBrands")}
+                  helpText="Comma-separated brand names. Leave blank to import the whole feed."
+                  autoComplete="off"
+                />
+
+                <Box>
+                  <BlockStack gap="200">
+                    <Text variant="headingSm" as="h3">Column mapping</Text>
+                    <Text tone="subdued" as="p">CSV header read for each product field</Text>
+                  </BlockStack>
+                </Box>
+
+                <FormLayout.Group condensed>
+                  {Object.keys(COLUMN_LABELS).slice(0, 6).map(field => (
+                    <TextField
+                      key={field}
+                      label={COLUMN_LABELS[field]}
+                      value={form.columns[field]}
+                      onChange={updateColumn(field)}
+                      autoComplete="off"
+                    />
+                  ))}
+                </FormLayout.Group>
+                <FormLayout.Group condensed>
+                  {Object.keys(COLUMN_LABELS).slice(6).map(field => (
+                    <TextField
+                      key={field}
+                      label={COLUMN_LABELS[field]}
+                      value={form.columns[field]}
+                      onChange={updateColumn(field)}
+                      autoComplete="off"
+                    />
+                  ))}
+                </FormLayout.Group>
+
+                <Checkbox
+                  label="Active"
+                  checked={form.isActive}
+                  onChange={updateField("isActive")}
+                  helpText="Disabled suppliers are skipped by syncs"
+                />
+
+                <InlineStack gap="200">
+                  <Button variant="primary" onClick={handleSave} loading={isSubmitting}>
+                    {form.id ? "Save supplier" : "Add supplier"}
+                  </Button>
+                  {form.id && (
+                    <Button onClick={() => handleInspect(form.id)} loading={isSubmitting}>
+                      Test feed
+                    </Button>
+                  )}
+                </InlineStack>
+              </FormLayout>
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
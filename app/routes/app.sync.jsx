@@ -23,19 +23,59 @@ import {
   EmptyState,
   Spinner
 } from "@shopify/polaris";
-import { useState, useCallback, useEffect } from "react";
+import { useState, useCallback, useEffect, useMemo } from "react";
 import { ClockIcon, RefreshIcon, SettingsIcon, AlertTriangleIcon } from "@shopify/polaris-icons";
 
 import { authenticate } from "../shopify.server.js";
 import { prisma } from "../db.server.js";
 import { SyncEngine, SyncScheduleManager } from "../services/sync-engine.server.js";
+import { countJobPriceChanges } from "../services/price-history.server.js";
+import { enqueueSyncJob, requestSyncJobStop, resumeSyncJob } from "../services/sync-queue.server.js";
+import { getSyncLockTypes, getSyncLocks } from "../services/sync-locks.server.js";
+import { getSessionPausedSchedules, reconnectShop } from "../services/shop-sessions.server.js";
+import { CATCH_UP_POLICIES, FREQUENCY_CRONS, getScheduleCron, nextScheduledRuns } from "../utils/cron.js";
+
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+// Day presets for blackout windows; the value is the weekday list as JSON
+const BLACKOUT_DAY_OPTIONS = [
+  { label: "Every day", value: "[]" },
+  { label: "Weekdays", value: "[1,2,3,4,5]" },
+  { label: "Weekends", value: "[0,6]" },
+  ...WEEKDAYS.map((day, index) => ({ label: day, value: `[${index}]` }))
+];
+
+// Schedule times are shown in the shop's time zone, not the browser's
+function formatInTimeZone(date, timeZone) {
+  return new Date(date).toLocaleString(undefined, {
+    timeZone,
+    dateStyle: "medium",
+    timeStyle: "short"
+  });
+}
+
+function describeFrequency(schedule) {
+  if (schedule.frequency === "custom") {
+    return `Cron: ${schedule.schedule}`;
+  }
+  return schedule.frequency.charAt(0).toUpperCase() + schedule.frequency.slice(1);
+}
+
+// The form's blackout rows as stored: `days` goes from preset JSON to a list
+function toBlackoutWindows(rows) {
+  return rows.map(row => ({ days: JSON.parse(row.days), start: row.start, end: row.end }));
+}
 
 export const loader = async ({ request }) => {
-  const { session, admin } = await authenticate.admin(request);
+  const { session } = await authenticate.admin(request);
   const shop = session.shop;
 
   // Get sync schedules
   const schedules = await SyncScheduleManager.getActiveSchedules(shop);
+  const sessionPausedSchedules = await getSessionPausedSchedules(shop);
+
+  // Stored at install, or once the merchant picks one
+  const timeZone = await SyncScheduleManager.getShopTimeZone(shop);
 
   // Get recent sync jobs
   const recentJobs = await prisma.turn14SyncJob.findMany({
@@ -47,6 +87,8 @@ export const loader = async ({ request }) => {
     }
   });
 
+  const priceChangeCounts = await countJobPriceChanges(shop, recentJobs.map(job => job.id));
+
   // Get imported products summary
   const importedProductsStats = await prisma.turn14ImportedProduct.groupBy({
     by: ['syncStatus'],
@@ -66,16 +108,24 @@ export const loader = async ({ request }) => {
     productStats[stat.syncStatus] = stat._count;
   });
 
-  // Get Turn14 config
-  const turn14Config = await prisma.turn14Config.findUnique({
+  // Any Turn14 account counts as configured
+  const turn14Config = await prisma.turn14Config.findFirst({
     where: { shop }
   });
+  const sandboxAccountCount = await prisma.turn14Config.count({
+    where: { shop, profile: "sandbox" }
+  });
 
   return json({
     schedules,
+    sessionPausedSchedules,
     recentJobs,
+    priceChangeCounts,
     productStats,
-    isConfigured: !!turn14Config?.apiKey
+    timeZone,
+    timeZones: Intl.supportedValuesOf("timeZone"),
+    isConfigured: !!turn14Config?.apiKey,
+    hasSandboxProfile: sandboxAccountCount > 0
   });
 };
 
@@ -91,7 +141,11 @@ export const action = async ({ request }) => {
         const scheduleData = {
           name: formData.get("name"),
           syncType: formData.get("syncType"),
+          profile: formData.get("profile") || "production",
           frequency: formData.get("frequency"),
+          schedule: formData.get("schedule") || null,
+          catchUpPolicy: formData.get("catchUpPolicy") || "run_once",
+          blackoutWindows: formData.get("blackoutWindows") || null,
           syncSettings: formData.get("syncSettings") || "{}"
         };
 
@@ -103,12 +157,16 @@ export const action = async ({ request }) => {
         const scheduleId = formData.get("scheduleId");
         const updates = {
           name: formData.get("name"),
+          profile: formData.get("profile") || "production",
           frequency: formData.get("frequency"),
+          schedule: formData.get("schedule") || null,
+          catchUpPolicy: formData.get("catchUpPolicy") || "run_once",
+          blackoutWindows: formData.get("blackoutWindows") || null,
           isActive: formData.get("isActive") === "true",
           syncSettings: formData.get("syncSettings") || "{}"
         };
 
-        const schedule = await SyncScheduleManager.updateSchedule(scheduleId, updates);
+        const schedule = await SyncScheduleManager.updateSchedule(shop, scheduleId, updates);
         return json({ success: true, schedule });
       }
 
@@ -116,19 +174,68 @@ export const action = async ({ request }) => {
         const syncType = formData.get("syncType");
         const settings = JSON.parse(formData.get("settings") || "{}");
         
-        const syncEngine = new SyncEngine(shop, session.accessToken);
-        const result = await syncEngine.runSync(syncType, null, settings);
+        // Sync workers run the job; its progress shows in Recent Sync Jobs
+        const job = await enqueueSyncJob(shop, syncType, { settings });
+
+        // The job waits in the queue while a run of the same type holds the lock
+        const lockTypes = getSyncLockTypes(syncType);
+        const waitingFor = (await getSyncLocks(shop))
+          .filter(lock => lock.isHeld && lockTypes.includes(lock.syncType))
+          .map(lock => lock.syncType);
         
-        return json({ success: true, result });
+        return json({ success: true, queued: true, jobId: job.id, waitingFor });
       }
 
-      case "deleteSchedule": {
-        const scheduleId = formData.get("scheduleId");
-        
-        await prisma.turn14SyncSchedule.delete({
-          where: { id: scheduleId }
+      case "cancelJob":
+      case "pauseJob": {
+        const stopAction = actionType === "cancelJob" ? "cancel" : "pause";
+        const status = await requestSyncJobStop(shop, formData.get("jobId"), stopAction);
+
+        return json({
+          success: true,
+          message: status === "running"
+            ? `The sync will ${stopAction} after the item it is on`
+            : `Sync job ${status}`
         });
-        
+      }
+
+      case "resumeJob": {
+        await resumeSyncJob(shop, formData.get("jobId"));
+        return json({ success: true, queued: true });
+      }
+
+      case "rollbackJob": {
+        const syncEngine = new SyncEngine(shop, session.accessToken, admin);
+        const result = await syncEngine.rollbackPriceJob(formData.get("jobId"));
+
+        const conflictNote = result.conflictItems > 0
+          ? `; ${result.conflictItems} repriced since the job were left unchanged`
+          : "";
+
+        return json({
+          success: result.failedItems === 0,
+          rollback: result,
+          message: result.failedItems === 0
+            ? `Restored the previous prices of ${result.restoredItems} products${conflictNote}`
+            : `Restored ${result.restoredItems} products; ${result.failedItems} failed and can be retried${conflictNote}`
+        });
+      }
+
+      case "reconnect": {
+        const resumed = await reconnectShop(shop, () => authenticate.admin(request));
+        return json({
+          success: true,
+          message: `Reconnected; resumed ${resumed.length} scheduled ${resumed.length === 1 ? "sync" : "syncs"}`
+        });
+      }
+
+      case "saveTimeZone": {
+        const timeZone = await SyncScheduleManager.saveShopTimeZone(shop, formData.get("timeZone"));
+        return json({ success: true, message: `Schedules now run in ${timeZone}` });
+      }
+
+      case "deleteSchedule": {
+        await SyncScheduleManager.deleteSchedule(shop, formData.get("scheduleId"));
         return json({ success: true });
       }
 
@@ -142,19 +249,36 @@ export const action = async ({ request }) => {
 };
 
 export default function SyncPage() {
-  const { schedules, recentJobs, productStats, isConfigured } = useLoaderData();
+  const {
+    schedules,
+    sessionPausedSchedules,
+    recentJobs,
+    priceChangeCounts,
+    productStats,
+    timeZone,
+    timeZones,
+    isConfigured,
+    hasSandboxProfile
+  } = useLoaderData();
   const actionData = useActionData();
   const navigation = useNavigation();
   const fetcher = useFetcher();
 
   const [activeModal, setActiveModal] = useState(null);
+  const [manualProfile, setManualProfile] = useState("");
   const [selectedSchedule, setSelectedSchedule] = useState(null);
+  const [shopTimeZone, setShopTimeZone] = useState(timeZone);
   const [scheduleForm, setScheduleForm] = useState({
     name: "",
     syncType: "inventory",
+    profile: "production",
     frequency: "daily",
+    cron: FREQUENCY_CRONS.daily,
+    catchUpPolicy: "run_once",
+    blackoutWindows: [],
     maxNewProducts: "50",
-    defaultMarkup: "0"
+    defaultMarkup: "0",
+    delta: false
   });
 
   const isLoading = navigation.state === "submitting" || fetcher.state === "submitting";
@@ -164,9 +288,14 @@ export default function SyncPage() {
     setScheduleForm({
       name: "",
       syncType: "inventory",
+      profile: "production",
       frequency: "daily",
+      cron: FREQUENCY_CRONS.daily,
+      catchUpPolicy: "run_once",
+      blackoutWindows: [],
       maxNewProducts: "50",
-      defaultMarkup: "0"
+      defaultMarkup: "0",
+      delta: false
     });
     setActiveModal("scheduleForm");
   }, []);
@@ -177,9 +306,15 @@ export default function SyncPage() {
     setScheduleForm({
       name: schedule.name,
       syncType: schedule.syncType,
+      profile: schedule.profile || "production",
       frequency: schedule.frequency,
+      cron: schedule.schedule || FREQUENCY_CRONS[schedule.frequency] || FREQUENCY_CRONS.daily,
+      catchUpPolicy: schedule.catchUpPolicy || "run_once",
+      blackoutWindows: (schedule.blackoutWindows ? JSON.parse(schedule.blackoutWindows) : [])
+        .map(window => ({ ...window, days: JSON.stringify(window.days || []) })),
       maxNewProducts: settings.maxNewProducts || "50",
-      defaultMarkup: settings.defaultMarkup || "0"
+      defaultMarkup: settings.defaultMarkup || "0",
+      delta: Boolean(settings.delta)
     });
     setActiveModal("scheduleForm");
   }, []);
@@ -187,7 +322,8 @@ export default function SyncPage() {
   const handleRunManualSync = useCallback((syncType) => {
     const settings = {
       maxNewProducts: 50,
-      defaultMarkup: 0
+      defaultMarkup: 0,
+      ...(manualProfile && { profile: manualProfile })
     };
 
     fetcher.submit(
@@ -198,12 +334,13 @@ export default function SyncPage() {
       },
       { method: "post" }
     );
-  }, [fetcher]);
+  }, [manualProfile, fetcher]);
 
   const handleSaveSchedule = useCallback(() => {
     const syncSettings = {
       maxNewProducts: parseInt(scheduleForm.maxNewProducts),
-      defaultMarkup: parseFloat(scheduleForm.defaultMarkup)
+      defaultMarkup: parseFloat(scheduleForm.defaultMarkup),
+      delta: scheduleForm.delta
     };
 
     const formData = new FormData();
@@ -213,13 +350,76 @@ export default function SyncPage() {
     }
     formData.append("name", scheduleForm.name);
     formData.append("syncType", scheduleForm.syncType);
+    formData.append("profile", scheduleForm.profile);
     formData.append("frequency", scheduleForm.frequency);
+    if (scheduleForm.frequency === "custom") {
+      formData.append("schedule", scheduleForm.cron);
+    }
+    formData.append("catchUpPolicy", scheduleForm.catchUpPolicy);
+    if (scheduleForm.blackoutWindows.length > 0) {
+      formData.append("blackoutWindows", JSON.stringify(toBlackoutWindows(scheduleForm.blackoutWindows)));
+    }
     formData.append("syncSettings", JSON.stringify(syncSettings));
 
     fetcher.submit(formData, { method: "post" });
     setActiveModal(null);
   }, [scheduleForm, selectedSchedule, fetcher]);
 
+  const updateBlackoutWindow = useCallback((index, field, value) => {
+    setScheduleForm(prev => ({
+      ...prev,
+      blackoutWindows: prev.blackoutWindows.map((row, i) => (i === index ? { ...row, [field]: value } : row))
+    }));
+  }, []);
+
+  const handleReconnect = useCallback(() => {
+    fetcher.submit({ action: "reconnect" }, { method: "post" });
+  }, [fetcher]);
+
+  const handleSaveTimeZone = useCallback(() => {
+    fetcher.submit(
+      { action: "saveTimeZone", timeZone: shopTimeZone },
+      { method: "post" }
+    );
+  }, [shopTimeZone, fetcher]);
+
+  // Next five runs as the form stands, or the reason it can't be scheduled
+  const schedulePreview = useMemo(() => {
+    const cron = getScheduleCron(scheduleForm.frequency, scheduleForm.cron);
+    if (!cron) {
+      return { runs: [] };
+    }
+
+    try {
+      return {
+        runs: nextScheduledRuns(cron, {
+          count: 5,
+          timeZone,
+          blackoutWindows: toBlackoutWindows(scheduleForm.blackoutWindows)
+        })
+      };
+    } catch (error) {
+      return { runs: [], error: error.message };
+    }
+  }, [scheduleForm.frequency, scheduleForm.cron, scheduleForm.blackoutWindows, timeZone]);
+
+  const handleJobAction = useCallback((action, job) => {
+    if (action === "cancelJob" && !confirm("Cancel this sync job? Items it already synced stay synced.")) {
+      return;
+    }
+    fetcher.submit({ action, jobId: job.id }, { method: "post" });
+  }, [fetcher]);
+
+  const handleRollbackJob = useCallback((job) => {
+    const count = priceChangeCounts[job.id];
+    if (confirm(`Restore the prices of the ${count} products this job changed to what they were before it ran?`)) {
+      fetcher.submit(
+        { action: "rollbackJob", jobId: job.id },
+        { method: "post" }
+      );
+    }
+  }, [priceChangeCounts, fetcher]);
+
   const handleDeleteSchedule = useCallback((scheduleId) => {
     if (confirm("Are you sure you want to delete this sync schedule?")) {
       fetcher.submit(
@@ -231,13 +431,15 @@ export default function SyncPage() {
 
   // Schedule table data
   const scheduleRows = schedules.map((schedule) => [
-    schedule.name,
+    schedule.profile === "sandbox"
+      ? <InlineStack gap="100">{schedule.name}<Badge tone="attention">Sandbox</Badge></InlineStack>
+      : schedule.name,
     <Badge tone={schedule.syncType === 'full' ? 'info' : 'success'}>
       {schedule.syncType.charAt(0).toUpperCase() + schedule.syncType.slice(1)}
     </Badge>,
-    schedule.frequency.charAt(0).toUpperCase() + schedule.frequency.slice(1),
-    schedule.lastRun ? new Date(schedule.lastRun).toLocaleDateString() : "Never",
-    schedule.nextRun ? new Date(schedule.nextRun).toLocaleDateString() : "Manual",
+    describeFrequency(schedule),
+    schedule.lastRun ? formatInTimeZone(schedule.lastRun, timeZone) : "Never",
+    schedule.nextRun ? formatInTimeZone(schedule.nextRun, timeZone) : "Manual",
     <Badge tone={schedule.isActive ? 'success' : 'warning'}>
       {schedule.isActive ? 'Active' : 'Paused'}
     </Badge>,
@@ -265,13 +467,42 @@ export default function SyncPage() {
     <Badge tone={
       job.status === 'completed' ? 'success' : 
       job.status === 'failed' ? 'critical' : 
-      job.status === 'running' ? 'info' : 'warning'
+      job.status === 'running' ? 'info' :
+      job.status === 'paused' ? 'attention' :
+      job.status === 'cancelled' ? undefined : 'warning'
     }>
-      {job.status.charAt(0).toUpperCase() + job.status.slice(1)}
+      {job.requestedAction
+        ? (job.requestedAction === "cancel" ? "Cancelling" : "Pausing")
+        : job.status.charAt(0).toUpperCase() + job.status.slice(1)}
     </Badge>,
-    `${job.successItems}/${job.totalItems}`,
-    new Date(job.createdAt).toLocaleString(),
-    job.endTime ? `${Math.round((new Date(job.endTime) - new Date(job.startTime)) / 1000)}s` : "-"
+    job.skippedItems > 0
+      ? `${job.successItems}/${job.totalItems} (${job.skippedItems} unchanged)`
+      : `${job.successItems}/${job.totalItems}`,
+    formatInTimeZone(job.createdAt, timeZone),
+    job.endTime ? `${Math.round((new Date(job.endTime) - new Date(job.startTime)) / 1000)}s` : "-",
+    job.rolledBackAt ? (
+      <Badge tone="attention">Rolled back</Badge>
+    ) : priceChangeCounts[job.id] > 0 && !["queued", "pending", "running", "paused"].includes(job.status) ? (
+      <Button size="micro" onClick={() => handleRollbackJob(job)} loading={isLoading}>
+        {`Roll back ${priceChangeCounts[job.id]} prices`}
+      </Button>
+    ) : "-",
+    ["queued", "pending", "running", "paused"].includes(job.status) && !job.requestedAction ? (
+      <ButtonGroup>
+        {job.status === "paused" ? (
+          <Button size="micro" onClick={() => handleJobAction("resumeJob", job)} loading={isLoading}>
+            Resume
+          </Button>
+        ) : (
+          <Button size="micro" onClick={() => handleJobAction("pauseJob", job)} loading={isLoading}>
+            Pause
+          </Button>
+        )}
+        <Button size="micro" tone="critical" onClick={() => handleJobAction("cancelJob", job)} loading={isLoading}>
+          Cancel
+        </Button>
+      </ButtonGroup>
+    ) : "-"
   ]);
 
   if (!isConfigured) {
@@ -333,6 +564,62 @@ export default function SyncPage() {
           </Layout.Section>
         )}
 
+        {sessionPausedSchedules.length > 0 && (
+          <Layout.Section>
+            <Banner
+              tone="warning"
+              title="Scheduled syncs are paused"
+              action={{ content: "Reconnect", onAction: handleReconnect, loading: isLoading }}
+            >
+              <p>
+                {sessionPausedSchedules[0].pausedReason}. Reconnect the app to resume{" "}
+                {sessionPausedSchedules.map(schedule => schedule.name).join(", ")}.
+              </p>
+            </Banner>
+          </Layout.Section>
+        )}
+
+        {fetcher.data?.error && (
+          <Layout.Section>
+            <Banner tone="critical" title="Error">
+              <p>{fetcher.data.error}</p>
+            </Banner>
+          </Layout.Section>
+        )}
+
+        {fetcher.data?.success && fetcher.data?.message && !fetcher.data?.rollback && (
+          <Layout.Section>
+            <Banner tone="success" title={fetcher.data.message} />
+          </Layout.Section>
+        )}
+
+        {fetcher.data?.queued && (
+          <Layout.Section>
+            <Banner tone="info" title="Sync queued">
+              <p>
+                {fetcher.data.waitingFor?.length > 0
+                  ? `It starts once the running ${fetcher.data.waitingFor.join(" and ")} sync finishes.`
+                  : "A sync worker will pick it up shortly."}
+                {" "}Reload to follow its progress under Recent Sync Jobs.
+              </p>
+            </Banner>
+          </Layout.Section>
+        )}
+
+        {fetcher.data?.rollback && (
+          <Layout.Section>
+            <Banner tone={fetcher.data.success ? "success" : "warning"} title={fetcher.data.message}>
+              {fetcher.data.rollback.errors.length > 0 && (
+                <ul>
+                  {fetcher.data.rollback.errors.map((error) => (
+                    <li key={error.sku}>{error.sku}: {error.error}</li>
+                  ))}
+                </ul>
+              )}
+            </Banner>
+          </Layout.Section>
+        )}
+
         {/* Product Statistics */}
         <Layout.Section>
           <Card>
@@ -378,6 +665,25 @@ export default function SyncPage() {
               </InlineStack>
             </Box>
             
+            <Box paddingInline="400" paddingBlockEnd="400">
+              <InlineStack gap="200" blockAlign="end">
+                <Select
+                  label="Time zone"
+                  options={timeZones}
+                  value={shopTimeZone}
+                  onChange={setShopTimeZone}
+                  helpText="Schedules, blackout windows and the times on this page use this time zone"
+                />
+                <Button
+                  onClick={handleSaveTimeZone}
+                  disabled={shopTimeZone === timeZone}
+                  loading={isLoading}
+                >
+                  Save
+                </Button>
+              </InlineStack>
+            </Box>
+
             {schedules.length > 0 ? (
               <DataTable
                 columnContentTypes={['text', 'text', 'text', 'text', 'text', 'text', 'text']}
@@ -407,8 +713,8 @@ export default function SyncPage() {
             
             {recentJobs.length > 0 ? (
               <DataTable
-                columnContentTypes={['text', 'text', 'text', 'text', 'text', 'text']}
-                headings={['Schedule', 'Type', 'Status', 'Success Rate', 'Started', 'Duration']}
+                columnContentTypes={['text', 'text', 'text', 'text', 'text', 'text', 'text', 'text']}
+                headings={['Schedule', 'Type', 'Status', 'Success Rate', 'Started', 'Duration', 'Prices', 'Actions']}
                 rows={jobRows}
               />
             ) : (
@@ -458,24 +764,142 @@ export default function SyncPage() {
                 { label: "Inventory Only", value: "inventory" },
                 { label: "Pricing Only", value: "pricing" },
                 { label: "New Products", value: "products" },
-                { label: "Full Sync (All)", value: "full" }
+                { label: "Product Content Refresh", value: "content" },
+                { label: "Full Sync (All)", value: "full" },
+                { label: "Catalog Feed Refresh", value: "feed" }
               ]}
               value={scheduleForm.syncType}
               onChange={(value) => setScheduleForm(prev => ({ ...prev, syncType: value }))}
             />
 
+            {(hasSandboxProfile || scheduleForm.profile === "sandbox") && (
+              <Select
+                label="Profile"
+                options={[
+                  { label: "Production", value: "production" },
+                  { label: "Sandbox", value: "sandbox" }
+                ]}
+                value={scheduleForm.profile}
+                onChange={(value) => setScheduleForm(prev => ({ ...prev, profile: value }))}
+                helpText="The schedule only syncs accounts and products in this profile"
+              />
+            )}
+
             <Select
               label="Frequency"
               options={[
                 { label: "Hourly", value: "hourly" },
                 { label: "Daily", value: "daily" },
                 { label: "Weekly", value: "weekly" },
+                { label: "Custom (cron)", value: "custom" },
                 { label: "Manual Only", value: "manual" }
               ]}
               value={scheduleForm.frequency}
-              onChange={(value) => setScheduleForm(prev => ({ ...prev, frequency: value }))}
+              onChange={(value) => setScheduleForm(prev => ({
+                ...prev,
+                frequency: value,
+                // Start a custom schedule from the preset it replaces
+                cron: value === "custom" ? prev.cron : FREQUENCY_CRONS[value] || prev.cron
+              }))}
             />
 
+            {scheduleForm.frequency === "custom" && (
+              <TextField
+                label="Cron Expression"
+                value={scheduleForm.cron}
+                onChange={(value) => setScheduleForm(prev => ({ ...prev, cron: value }))}
+                placeholder="0 */4 * * 1-5"
+                helpText={`minute hour day-of-month month day-of-week, in ${timeZone}`}
+                error={schedulePreview.error}
+                autoComplete="off"
+              />
+            )}
+
+            {scheduleForm.frequency !== "manual" && (
+              <>
+                <Select
+                  label="Missed Runs"
+                  options={CATCH_UP_POLICIES}
+                  value={scheduleForm.catchUpPolicy}
+                  onChange={(value) => setScheduleForm(prev => ({ ...prev, catchUpPolicy: value }))}
+                  helpText="What to do about runs missed while the app was down"
+                />
+
+                <Stack gap="200">
+                  <Text variant="headingSm" as="h3">Blackout Windows</Text>
+                  <Text variant="bodySm" tone="subdued">
+                    Runs due inside a window are skipped, e.g. to never sync during store hours.
+                  </Text>
+                  {scheduleForm.blackoutWindows.map((row, index) => (
+                    <InlineStack key={index} gap="200" blockAlign="end">
+                      <Select
+                        label="Days"
+                        options={BLACKOUT_DAY_OPTIONS}
+                        value={row.days}
+                        onChange={(value) => updateBlackoutWindow(index, "days", value)}
+                      />
+                      <TextField
+                        label="From"
+                        type="time"
+                        value={row.start}
+                        onChange={(value) => updateBlackoutWindow(index, "start", value)}
+                        autoComplete="off"
+                      />
+                      <TextField
+                        label="To"
+                        type="time"
+                        value={row.end}
+                        onChange={(value) => updateBlackoutWindow(index, "end", value)}
+                        autoComplete="off"
+                      />
+                      <Button
+                        tone="critical"
+                        onClick={() => setScheduleForm(prev => ({
+                          ...prev,
+                          blackoutWindows: prev.blackoutWindows.filter((_, i) => i !== index)
+                        }))}
+                      >
+                        Remove
+                      </Button>
+                    </InlineStack>
+                  ))}
+                  <Box>
+                    <Button
+                      size="micro"
+                      onClick={() => setScheduleForm(prev => ({
+                        ...prev,
+                        blackoutWindows: [...prev.blackoutWindows, { days: "[1,2,3,4,5]", start: "09:00", end: "17:00" }]
+                      }))}
+                    >
+                      Add Blackout Window
+                    </Button>
+                  </Box>
+                </Stack>
+
+                <Stack gap="100">
+                  <Text variant="headingSm" as="h3">Next Runs</Text>
+                  {schedulePreview.runs.length > 0 ? (
+                    schedulePreview.runs.map((run) => (
+                      <Text key={run.getTime()} variant="bodySm">{formatInTimeZone(run, timeZone)}</Text>
+                    ))
+                  ) : (
+                    <Text variant="bodySm" tone="subdued">
+                      {schedulePreview.error ? "Fix the cron expression to see upcoming runs" : "No upcoming runs outside the blackout windows"}
+                    </Text>
+                  )}
+                </Stack>
+              </>
+            )}
+
+            {["inventory", "pricing", "full"].includes(scheduleForm.syncType) && (
+              <Checkbox
+                label="Delta sync"
+                helpText="Only update items Turn 14 reports as changed since the last successful run"
+                checked={scheduleForm.delta}
+                onChange={(value) => setScheduleForm(prev => ({ ...prev, delta: value }))}
+              />
+            )}
+
             {(scheduleForm.syncType === "products" || scheduleForm.syncType === "full") && (
               <>
                 <TextField
@@ -517,6 +941,19 @@ export default function SyncPage() {
             <Text variant="bodyMd">
               Choose the type of sync to run immediately:
             </Text>
+
+            {hasSandboxProfile && (
+              <Select
+                label="Profile"
+                options={[
+                  { label: "All profiles", value: "" },
+                  { label: "Production", value: "production" },
+                  { label: "Sandbox", value: "sandbox" }
+                ]}
+                value={manualProfile}
+                onChange={setManualProfile}
+              />
+            )}
             
             <ButtonGroup>
               <Button 
@@ -537,6 +974,18 @@ export default function SyncPage() {
               >
                 Import New Products
               </Button>
+              <Button 
+                onClick={() => handleRunManualSync("content")}
+                loading={fetcher.state === "submitting"}
+              >
+                Refresh Product Content
+              </Button>
+              <Button 
+                onClick={() => handleRunManualSync("feed")}
+                loading={fetcher.state === "submitting"}
+              >
+                Refresh Catalog Feeds
+              </Button>
               <Button 
                 variant="primary"
                 onClick={() => handleRunManualSync("full")}
@@ -548,7 +997,7 @@ export default function SyncPage() {
 
             {fetcher.state === "submitting" && (
               <Banner status="info">
-                <p>Running sync... This may take a few minutes.</p>
+                <p>Queueing sync...</p>
                 <ProgressBar progress={undefined} />
               </Banner>
             )}
@@ -0,0 +1,224 @@
+// Turn 14 API Call Log Page
+
+// app/routes/app.turn14-api-logs.jsx
+import { json } from "@remix-run/node";
+import { useLoaderData, useSearchParams } from "@remix-run/react";
+import { useCallback, useState } from "react";
+import {
+  Page,
+  Layout,
+  Card,
+  DataTable,
+  Text,
+  Badge,
+  Button,
+  TextField,
+  Select,
+  InlineStack,
+  BlockStack,
+  Box,
+  Modal,
+  Pagination,
+  EmptyState
+} from "@shopify/polaris";
+import { authenticate } from "../shopify.server";
+import {
+  DEFAULT_API_CALL_LOG_RETENTION_DAYS,
+  searchTurn14ApiCalls
+} from "../services/turn14-audit-log.server";
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const url = new URL(request.url);
+
+  const filters = {
+    search: url.searchParams.get("search") || "",
+    status: url.searchParams.get("status") || "all",
+    jobId: url.searchParams.get("jobId") || "",
+    page: parseInt(url.searchParams.get("page") || "1"),
+    limit: 50
+  };
+
+  const result = await searchTurn14ApiCalls(session.shop, filters);
+
+  return json({
+    ...result,
+    filters,
+    retentionDays: parseInt(process.env.TURN14_API_LOG_RETENTION_DAYS) || DEFAULT_API_CALL_LOG_RETENTION_DAYS
+  });
+};
+
+function statusBadge(status) {
+  if (!status) return <Badge tone="critical">No response</Badge>;
+  if (status >= 500) return <Badge tone="critical">{status}</Badge>;
+  if (status === 429) return <Badge tone="warning">{status}</Badge>;
+  if (status >= 400) return <Badge tone="attention">{status}</Badge>;
+  return <Badge tone="success">{status}</Badge>;
+}
+
+export default function Turn14ApiLogsPage() {
+  const { calls, total, pagination, filters, retentionDays } = useLoaderData();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [searchValue, setSearchValue] = useState(filters.search);
+  const [selectedCall, setSelectedCall] = useState(null);
+
+  const updateParams = useCallback((updates) => {
+    const newParams = new URLSearchParams(searchParams);
+    Object.entries(updates).forEach(([key, value]) => {
+      if (value) {
+        newParams.set(key, value);
+      } else {
+        newParams.delete(key);
+      }
+    });
+    if (!("page" in updates)) {
+      newParams.set("page", "1");
+    }
+    setSearchParams(newParams);
+  }, [searchParams, setSearchParams]);
+
+  const rows = calls.map((call) => [
+    new Date(call.createdAt).toLocaleString(),
+    call.method,
+    <Text key={`${call.id}-endpoint`} as="span" breakWord>{call.endpoint}</Text>,
+    statusBadge(call.status),
+    call.latencyMs !== null ? `${call.latencyMs} ms` : "-",
+    call.jobId ? (
+      <Button key={`${call.id}-job`} variant="plain" onClick={() => updateParams({ jobId: call.jobId })}>
+        {call.jobId.slice(-8)}
+      </Button>
+    ) : "-",
+    <Button key={`${call.id}-details`} size="micro" onClick={() => setSelectedCall(call)}>
+      Details
+    </Button>
+  ]);
+
+  return (
+    <Page
+      title="Turn 14 API Call Log"
+      subtitle={`Every request made to Turn 14, kept for ${retentionDays} days. Credentials are redacted.`}
+      backAction={{ content: "Sync Logs", url: "/app/turn14-sync" }}
+    >
+      <Layout>
+        <Layout.Section>
+          <Card>
+            <Box padding="400">
+              <BlockStack gap="300">
+                <InlineStack gap="300" wrap={false} blockAlign="end">
+                  <Box minWidth="320px">
+                    <TextField
+                      label="Search"
+                      value={searchValue}
+                      onChange={setSearchValue}
+                      placeholder="Endpoint, request id, job id or error"
+                      autoComplete="off"
+                      clearButton
+                      onClearButtonClick={() => {
+                        setSearchValue("");
+                        updateParams({ search: "" });
+                      }}
+                      connectedRight={
+                        <Button onClick={() => updateParams({ search: searchValue })}>Search</Button>
+                      }
+                    />
+                  </Box>
+                  <Select
+                    label="Status"
+                    options={[
+                      { label: "All", value: "all" },
+                      { label: "Errors only", value: "errors" },
+                      { label: "2xx", value: "2xx" },
+                      { label: "4xx", value: "4xx" },
+                      { label: "5xx", value: "5xx" }
+                    ]}
+                    value={filters.status}
+                    onChange={(value) => updateParams({ status: value === "all" ? "" : value })}
+                  />
+                </InlineStack>
+
+                {filters.jobId && (
+                  <InlineStack gap="200" blockAlign="center">
+                    <Text variant="bodyMd" as="span">Showing calls for sync job {filters.jobId}</Text>
+                    <Button variant="plain" onClick={() => updateParams({ jobId: "" })}>Show all jobs</Button>
+                  </InlineStack>
+                )}
+
+                <Text variant="bodySm" tone="subdued" as="p">{total} matching calls</Text>
+              </BlockStack>
+            </Box>
+
+            {calls.length > 0 ? (
+              <>
+                <DataTable
+                  columnContentTypes={["text", "text", "text", "text", "numeric", "text", "text"]}
+                  headings={["Time", "Method", "Endpoint", "Status", "Latency", "Job", ""]}
+                  rows={rows}
+                />
+                <Box padding="400">
+                  <InlineStack align="center">
+                    <Pagination
+                      hasPrevious={pagination.hasPrevPage}
+                      onPrevious={() => updateParams({ page: String(pagination.currentPage - 1) })}
+                      hasNext={pagination.hasNextPage}
+                      onNext={() => updateParams({ page: String(pagination.currentPage + 1) })}
+                    />
+                  </InlineStack>
+                </Box>
+              </>
+            ) : (
+              <Box padding="400">
+                <EmptyState
+                  heading="No API calls found"
+                  image="https://cdn.shopify.com/s/files/1/0757/9955/files/empty-state.svg"
+                >
+                  <p>Turn 14 requests will appear here as syncs and admin pages call the API.</p>
+                </EmptyState>
+              </Box>
+            )}
+          </Card>
+        </Layout.Section>
+      </Layout>
+
+      <Modal
+        open={Boolean(selectedCall)}
+        onClose={() => setSelectedCall(null)}
+        title={selectedCall ? `${selectedCall.method} ${selectedCall.endpoint}` : ""}
+        secondaryActions={[{ content: "Close", onAction: () => setSelectedCall(null) }]}
+        large
+      >
+        {selectedCall && (
+          <Modal.Section>
+            <BlockStack gap="400">
+              <InlineStack gap="400">
+                {statusBadge(selectedCall.status)}
+                <Text as="span">Attempt {selectedCall.attempt + 1}</Text>
+                {selectedCall.latencyMs !== null && <Text as="span">{selectedCall.latencyMs} ms</Text>}
+              </InlineStack>
+              <Text as="p">Request id: {selectedCall.requestId || "-"}</Text>
+              <Text as="p">Sync job: {selectedCall.jobId || "-"}</Text>
+              {selectedCall.errorMessage && (
+                <Text as="p" tone="critical">Error: {selectedCall.errorMessage}</Text>
+              )}
+              <BlockStack gap="200">
+                <Text variant="headingSm" as="h3">Request body</Text>
+                <Box background="bg-surface-secondary" padding="300" borderRadius="200">
+                  <pre style={{ margin: 0, whiteSpace: "pre-wrap", wordBreak: "break-all" }}>
+                    {selectedCall.requestBody || "(empty)"}
+                  </pre>
+                </Box>
+              </BlockStack>
+              <BlockStack gap="200">
+                <Text variant="headingSm" as="h3">Response body</Text>
+                <Box background="bg-surface-secondary" padding="300" borderRadius="200">
+                  <pre style={{ margin: 0, whiteSpace: "pre-wrap", wordBreak: "break-all" }}>
+                    {selectedCall.responseBody || "(empty)"}
+                  </pre>
+                </Box>
+              </BlockStack>
+            </BlockStack>
+          </Modal.Section>
+        )}
+      </Modal>
+    </Page>
+  );
+}
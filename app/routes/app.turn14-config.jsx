@@ -1,4 +1,4 @@
-import { useState, useCallback } from "react";
+import { useState, useCallback, useEffect, useRef } from "react";
 import { json, redirect } from "@remix-run/node";
 import { useLoaderData, useFetcher, useNavigation } from "@remix-run/react";
 import {
@@ -20,44 +20,94 @@ import {
 } from "@shopify/polaris";
 import { authenticate } from "../shopify.server";
 import { 
-  getTurn14Config, 
+  getTurn14Account,
+  listTurn14Accounts,
   saveTurn14Config, 
+  createTurn14Account,
+  setDefaultTurn14Account,
+  deleteTurn14Account,
   validateTurn14Credentials,
-  fetchAccountInfo 
+  fetchAccountInfo,
+  maskTurn14Credentials
 } from "../services/turn14-api.server";
+import {
+  countSandboxProducts,
+  promoteSandboxProfile,
+  purgeSandboxProducts
+} from "../services/turn14-profiles.server";
+import {
+  DEFAULT_RATE_LIMIT_SETTINGS,
+  resolveRateLimitSettings
+} from "../services/turn14-rate-limiter.server";
+
+// Environments each profile may use
+const PROFILE_ENVIRONMENT_OPTIONS = {
+  production: [
+    { label: 'Production', value: 'production' },
+    { label: 'Mock (offline fixtures)', value: 'mock' }
+  ],
+  sandbox: [
+    { label: 'Sandbox', value: 'sandbox' },
+    { label: 'Mock (offline fixtures)', value: 'mock' }
+  ]
+};
 
 export async function loader({ request }) {
   const { session } = await authenticate.admin(request);
-  
-  try {
-    const config = await getTurn14Config(session.shop);
-    return json({
-      config: {
-        ...config,
-        // Don't send sensitive data to the frontend
-        apiKey: config.apiKey ? '••••••••••••' + config.apiKey.slice(-4) : '',
-        apiSecret: config.apiSecret ? '••••••••••••' + config.apiSecret.slice(-4) : ''
-      },
-      hasConfig: true
-    });
-  } catch (error) {
+  const url = new URL(request.url);
+  const accountParam = url.searchParams.get('account');
+  const isNewAccount = accountParam === 'new';
+  const newProfile = url.searchParams.get('profile') === 'sandbox' ? 'sandbox' : 'production';
+
+  const accounts = (await listTurn14Accounts(session.shop)).map(account => ({
+    id: account.id,
+    name: account.name,
+    profile: account.profile,
+    isDefault: account.isDefault,
+    isActive: account.isActive,
+    environment: account.environment,
+    dealerCode: account.dealerCode
+  }));
+
+  // Show the requested account, or the default one; inactive accounts are
+  // included so they can be fixed and re-validated
+  const config = isNewAccount ? null : await getTurn14Account(session.shop, accountParam);
+  const sandboxProductCount = await countSandboxProducts(session.shop);
+
+  if (!config) {
     return json({
+      accounts,
+      sandboxProductCount,
       config: {
-        environment: 'production',
+        id: null,
+        name: accounts.length === 0 ? 'Default' : '',
+        profile: newProfile,
+        environment: newProfile,
         isActive: false,
         dealerCode: '',
         selectedBrands: [],
         syncSettings: {}
       },
+      rateLimits: DEFAULT_RATE_LIMIT_SETTINGS,
       hasConfig: false
     });
   }
+
+  return json({
+    accounts,
+    sandboxProductCount,
+    // Don't send sensitive data to the frontend
+    config: maskTurn14Credentials(config),
+    rateLimits: resolveRateLimitSettings(config.syncSettings),
+    hasConfig: true
+  });
 }
 
 export async function action({ request }) {
-  const { session } = await authenticate.admin(request);
+  const { session, admin } = await authenticate.admin(request);
   const formData = await request.formData();
   const action = formData.get('_action');
+  const accountId = formData.get('accountId') || null;
 
   try {
     switch (action) {
@@ -66,6 +116,7 @@ export async function action({ request }) {
         const apiSecret = formData.get('apiSecret');
         const environment = formData.get('environment');
         const dealerCode = formData.get('dealerCode');
+        const name = formData.get('name')?.trim();
 
         if (!apiKey) {
           return json({ 
@@ -74,29 +125,51 @@ export async function action({ request }) {
           }, { status: 400 });
         }
 
-        const config = await saveTurn14Config(session.shop, {
+        if (!name) {
+          return json({ 
+            error: 'Account name is required',
+            success: false 
+          }, { status: 400 });
+        }
+
+        const configData = {
+          name,
+          profile: formData.get('profile') || 'production',
           apiKey,
-          apiSecret,
+          // A blank secret keeps the stored one; the form never receives it
+          ...(apiSecret && { apiSecret }),
           environment,
           dealerCode,
           isActive: false // Will be activated after validation
-        });
+        };
+
+        // A new account opens on its own page so it can be tested next
+        if (!accountId) {
+          const created = await createTurn14Account(session.shop, configData);
+          return redirect(`/app/turn14-config?account=${created.id}`);
+        }
+
+        const config = await saveTurn14Config(session.shop, configData, accountId);
 
         return json({
           success: true,
           message: 'Configuration saved. Please test your credentials.',
-          config
+          config: maskTurn14Credentials(config)
         });
       }
 
       case 'test_credentials': {
-        const existingConfig = await getTurn14Config(session.shop);
+        const existingConfig = await getTurn14Account(session.shop, accountId);
+        if (!existingConfig) {
+          return json({ error: 'Turn 14 account not found', success: false }, { status: 404 });
+        }
         
         const validation = await validateTurn14Credentials(
           session.shop,
           existingConfig.apiKey,
           existingConfig.apiSecret,
-          existingConfig.environment
+          existingConfig.environment,
+          existingConfig.id
         );
 
         if (validation.isValid) {
@@ -114,14 +187,79 @@ export async function action({ request }) {
         }
       }
 
+      case 'save_rate_limits': {
+        const existingConfig = await getTurn14Account(session.shop, accountId);
+        if (!existingConfig) {
+          return json({ error: 'Turn 14 account not found', success: false }, { status: 404 });
+        }
+        const rateLimit = resolveRateLimitSettings({
+          rateLimit: {
+            requestsPerSecond: formData.get('requestsPerSecond'),
+            burst: formData.get('burst'),
+            maxRetries: formData.get('maxRetries')
+          }
+        });
+
+        await saveTurn14Config(session.shop, {
+          syncSettings: {
+            ...existingConfig.syncSettings,
+            rateLimit
+          }
+        }, existingConfig.id);
+
+        return json({
+          success: true,
+          message: 'Rate limit settings saved.'
+        });
+      }
+
       case 'fetch_account': {
-        const accountInfo = await fetchAccountInfo(session.shop);
+        const accountInfo = await fetchAccountInfo({ shop: session.shop, accountId });
         return json({
           success: true,
           accountInfo
         });
       }
 
+      case 'set_default': {
+        await setDefaultTurn14Account(session.shop, accountId);
+        return json({
+          success: true,
+          message: 'Default account updated. Products without an account now sync through it.'
+        });
+      }
+
+      case 'delete_account': {
+        await deleteTurn14Account(session.shop, accountId);
+        return redirect('/app/turn14-config');
+      }
+
+      case 'promote_sandbox': {
+        const promotion = await promoteSandboxProfile(session.shop);
+        const brands = promotion.accounts.reduce((sum, account) => sum + account.brands, 0);
+        return json({
+          success: true,
+          message: `Promoted ${brands} brands and ${promotion.schedulesCreated + promotion.schedulesUpdated} schedules from sandbox to production.`,
+          promotion
+        });
+      }
+
+      case 'purge_sandbox': {
+        const purge = await purgeSandboxProducts(session.shop, admin);
+        if (purge.failed > 0) {
+          return json({
+            error: `Removed ${purge.deleted} sandbox products; ${purge.failed} could not be deleted from Shopify.`,
+            success: false,
+            purge
+          }, { status: 500 });
+        }
+        return json({
+          success: true,
+          message: `Removed ${purge.deleted} sandbox products from Shopify.`,
+          purge
+        });
+      }
+
       default:
         return json({ error: 'Invalid action' }, { status: 400 });
     }
@@ -133,21 +271,47 @@ export async function action({ request }) {
   }
 }
 
-export default function Turn14Config() {
-  const { config, hasConfig } = useLoaderData();
-  const fetcher = useFetcher();
-  const navigation = useNavigation();
-
-  const [formData, setFormData] = useState({
+// Form values for an account; secrets are never sent back to the browser
+function toFormData(config) {
+  return {
+    name: config.name || '',
     apiKey: '',
     apiSecret: '',
     environment: config.environment || 'production',
     dealerCode: config.dealerCode || ''
-  });
+  };
+}
+
+function toRateLimitData(rateLimits) {
+  return {
+    requestsPerSecond: String(rateLimits.requestsPerSecond),
+    burst: String(rateLimits.burst),
+    maxRetries: String(rateLimits.maxRetries)
+  };
+}
+
+export default function Turn14Config() {
+  const { accounts, sandboxProductCount, config, rateLimits, hasConfig } = useLoaderData();
+  const fetcher = useFetcher();
+  const navigation = useNavigation();
+
+  const [formData, setFormData] = useState(() => toFormData(config));
+  const [rateLimitData, setRateLimitData] = useState(() => toRateLimitData(rateLimits));
+
+  // The loader data behind the forms; every revalidation replaces it, so only
+  // switching accounts resets what the merchant has typed
+  const accountData = useRef({ config, rateLimits });
+  accountData.current = { config, rateLimits };
+
+  useEffect(() => {
+    setFormData(toFormData(accountData.current.config));
+    setRateLimitData(toRateLimitData(accountData.current.rateLimits));
+  }, [config.id]);
 
   const isLoading = navigation.state === 'submitting' || fetcher.state === 'submitting';
   const isTestingCredentials = fetcher.formData?.get('_action') === 'test_credentials';
   const isSavingConfig = fetcher.formData?.get('_action') === 'save_config';
+  const isSavingRateLimits = fetcher.formData?.get('_action') === 'save_rate_limits';
 
   const handleInputChange = useCallback((field) => (value) => {
     setFormData(prev => ({ ...prev, [field]: value }));
@@ -156,29 +320,94 @@ export default function Turn14Config() {
   const handleSaveConfig = useCallback(() => {
     const data = new FormData();
     data.append('_action', 'save_config');
+    data.append('accountId', config.id || '');
+    data.append('profile', config.profile);
+    data.append('name', formData.name);
     data.append('apiKey', formData.apiKey);
     data.append('apiSecret', formData.apiSecret);
     data.append('environment', formData.environment);
     data.append('dealerCode', formData.dealerCode);
     fetcher.submit(data, { method: 'post' });
-  }, [formData, fetcher]);
+  }, [config.id, config.profile, formData, fetcher]);
+
+  const handleRateLimitChange = useCallback((field) => (value) => {
+    setRateLimitData(prev => ({ ...prev, [field]: value }));
+  }, []);
 
-  const handleTestCredentials = useCallback(() => {
+  const handleSaveRateLimits = useCallback(() => {
     const data = new FormData();
-    data.append('_action', 'test_credentials');
+    data.append('_action', 'save_rate_limits');
+    data.append('accountId', config.id);
+    data.append('requestsPerSecond', rateLimitData.requestsPerSecond);
+    data.append('burst', rateLimitData.burst);
+    data.append('maxRetries', rateLimitData.maxRetries);
     fetcher.submit(data, { method: 'post' });
-  }, [fetcher]);
+  }, [config.id, rateLimitData, fetcher]);
 
-  const handleFetchAccount = useCallback(() => {
+  // Submit an action that only needs the current account
+  const submitAccountAction = useCallback((action) => {
     const data = new FormData();
-    data.append('_action', 'fetch_account');
+    data.append('_action', action);
+    data.append('accountId', config.id);
     fetcher.submit(data, { method: 'post' });
-  }, [fetcher]);
+  }, [config.id, fetcher]);
+
+  const handleTestCredentials = useCallback(() => submitAccountAction('test_credentials'), [submitAccountAction]);
+  const handleFetchAccount = useCallback(() => submitAccountAction('fetch_account'), [submitAccountAction]);
+  const handleSetDefault = useCallback(() => submitAccountAction('set_default'), [submitAccountAction]);
+  const handlePromoteSandbox = useCallback(() => submitAccountAction('promote_sandbox'), [submitAccountAction]);
+
+  const handlePurgeSandbox = useCallback(() => {
+    if (window.confirm(`Delete ${sandboxProductCount} sandbox products from Shopify? This can't be undone.`)) {
+      submitAccountAction('purge_sandbox');
+    }
+  }, [sandboxProductCount, submitAccountAction]);
+
+  const hasSandboxProfile = accounts.some(account => account.profile === 'sandbox');
+  const environmentOptions = [...PROFILE_ENVIRONMENT_OPTIONS[config.profile || 'production']];
+  // Keep an older account's environment selectable even if its profile wouldn't allow it now
+  if (!environmentOptions.some(option => option.value === formData.environment)) {
+    environmentOptions.push({ label: formData.environment, value: formData.environment });
+  }
+
+  const handleDeleteAccount = useCallback(() => {
+    if (window.confirm(`Remove the "${config.name}" account? Its products will sync through the default account.`)) {
+      submitAccountAction('delete_account');
+    }
+  }, [config.name, submitAccountAction]);
+
+  const accountRows = accounts.map(account => [
+    <InlineStack key={`${account.id}-name`} gap="200">
+      <Text as="span" fontWeight={account.id === config.id ? "semibold" : "regular"}>{account.name}</Text>
+      {account.isDefault && <Badge status="info">Default</Badge>}
+    </InlineStack>,
+    <Badge key={`${account.id}-profile`} status={account.profile === 'sandbox' ? "warning" : "success"}>
+      {account.profile === 'sandbox' ? 'Sandbox' : 'Production'}
+    </Badge>,
+    account.environment,
+    account.dealerCode || '-',
+    <Badge key={`${account.id}-status`} status={account.isActive ? "success" : "critical"}>
+      {account.isActive ? "Active" : "Inactive"}
+    </Badge>,
+    <Button key={`${account.id}-manage`} size="slim" url={`/app/turn14-config?account=${account.id}`} disabled={account.id === config.id}>
+      Manage
+    </Button>
+  ]);
 
   return (
     <Page
       title="Turn 14 API Configuration"
-      subtitle="Configure your Turn 14 Distribution API credentials and settings"
+      subtitle="Configure your Turn 14 Distribution accounts, credentials and settings"
+      primaryAction={accounts.length > 0 ? {
+        content: 'Add account',
+        url: '/app/turn14-config?account=new',
+        disabled: !hasConfig
+      } : undefined}
+      secondaryActions={accounts.length > 0 ? [{
+        content: 'Add sandbox account',
+        url: '/app/turn14-config?account=new&profile=sandbox',
+        disabled: !hasConfig
+      }] : []}
     >
       <Layout>
         <Layout.Section>
@@ -195,10 +424,77 @@ export default function Turn14Config() {
             </Banner>
           )}
 
+          {/* Dealer Accounts */}
+          {accounts.length > 0 && (
+            <Card sectioned>
+              <BlockStack gap="400">
+                <Text variant="headingMd">Dealer Accounts</Text>
+                <Text variant="bodyMd" color="subdued">
+                  Each account has its own credentials, dealer code, price list and selected brands. Products sync through the account they were imported from.
+                </Text>
+                <DataTable
+                  columnContentTypes={['text', 'text', 'text', 'text', 'text', 'text']}
+                  headings={['Name', 'Profile', 'Environment', 'Dealer Code', 'Status', '']}
+                  rows={accountRows}
+                />
+              </BlockStack>
+            </Card>
+          )}
+
+          {/* Sandbox Profile */}
+          {(hasSandboxProfile || sandboxProductCount > 0) && (
+            <Card sectioned>
+              <BlockStack gap="400">
+                <Text variant="headingMd">Sandbox Profile</Text>
+                <Text variant="bodyMd" color="subdued">
+                  Sandbox accounts run next to production without touching its products. Products imported through a sandbox account are tagged so they can be removed together. When you're happy with the sandbox setup, promote its brand selection, schedules and pricing settings to production.
+                </Text>
+                <Text variant="bodyMd">
+                  {sandboxProductCount} sandbox products in Shopify
+                </Text>
+                <InlineStack gap="300">
+                  <Button
+                    onClick={handlePromoteSandbox}
+                    loading={fetcher.formData?.get('_action') === 'promote_sandbox'}
+                    disabled={!hasSandboxProfile || isLoading}
+                  >
+                    Promote Sandbox to Production
+                  </Button>
+                  <Button
+                    destructive
+                    onClick={handlePurgeSandbox}
+                    loading={fetcher.formData?.get('_action') === 'purge_sandbox'}
+                    disabled={sandboxProductCount === 0 || isLoading}
+                  >
+                    Purge Sandbox Products
+                  </Button>
+                </InlineStack>
+              </BlockStack>
+            </Card>
+          )}
+
           {/* Configuration Status */}
           <Card sectioned>
             <BlockStack gap="400">
-              <Text variant="headingMd">Configuration Status</Text>
+              <InlineStack gap="300" align="space-between">
+                <Text variant="headingMd">
+                  {hasConfig
+                    ? `Configuration Status: ${config.name}`
+                    : config.profile === 'sandbox' ? 'New Sandbox Account' : 'New Account'}
+                </Text>
+                {hasConfig && accounts.length > 1 && (
+                  <InlineStack gap="200">
+                    {!config.isDefault && (
+                      <Button onClick={handleSetDefault} disabled={isLoading}>
+                        Make Default
+                      </Button>
+                    )}
+                    <Button destructive onClick={handleDeleteAccount} disabled={isLoading}>
+                      Remove Account
+                    </Button>
+                  </InlineStack>
+                )}
+              </InlineStack>
               
               <InlineStack gap="300" align="start">
                 <Badge status={config.isActive ? "success" : "critical"}>
@@ -234,6 +530,15 @@ export default function Turn14Config() {
               <Text variant="headingMd">API Credentials</Text>
               
               <FormLayout>
+                <TextField
+                  label="Account Name"
+                  value={formData.name}
+                  onChange={handleInputChange('name')}
+                  placeholder="e.g. Main dealer account"
+                  autoComplete="off"
+                  helpText="Used to tell your Turn 14 accounts apart"
+                />
+
                 <TextField
                   label="API Key"
                   value={formData.apiKey}
@@ -256,13 +561,12 @@ export default function Turn14Config() {
 
                 <Select
                   label="Environment"
-                  options={[
-                    { label: 'Production', value: 'production' },
-                    { label: 'Sandbox', value: 'sandbox' }
-                  ]}
+                  options={environmentOptions}
                   value={formData.environment}
                   onChange={handleInputChange('environment')}
-                  helpText="Select the API environment"
+                  helpText={config.profile === 'sandbox'
+                    ? "Sandbox accounts can't use production credentials"
+                    : "Add a sandbox account to test against Turn 14's sandbox"}
                 />
 
                 <TextField
@@ -279,7 +583,7 @@ export default function Turn14Config() {
                   primary
                   onClick={handleSaveConfig}
                   loading={isSavingConfig}
-                  disabled={!formData.apiKey || isLoading}
+                  disabled={!formData.apiKey || !formData.name || isLoading}
                 >
                   Save Configuration
                 </Button>
@@ -297,6 +601,60 @@ export default function Turn14Config() {
             </BlockStack>
           </Card>
 
+          {/* API Rate Limits */}
+          {hasConfig && (
+            <Card sectioned>
+              <BlockStack gap="400">
+                <Text variant="headingMd">API Rate Limits</Text>
+                <Text variant="bodyMd" color="subdued">
+                  Requests to Turn 14 are throttled per account. Throttled (429) and failed (5xx) requests are retried with exponential backoff.
+                </Text>
+
+                <FormLayout>
+                  <FormLayout.Group>
+                    <TextField
+                      label="Requests per second"
+                      type="number"
+                      value={rateLimitData.requestsPerSecond}
+                      onChange={handleRateLimitChange('requestsPerSecond')}
+                      min="0.1"
+                      step="0.5"
+                      autoComplete="off"
+                    />
+                    <TextField
+                      label="Burst size"
+                      type="number"
+                      value={rateLimitData.burst}
+                      onChange={handleRateLimitChange('burst')}
+                      min="1"
+                      autoComplete="off"
+                      helpText="Requests allowed back to back"
+                    />
+                    <TextField
+                      label="Max retries"
+                      type="number"
+                      value={rateLimitData.maxRetries}
+                      onChange={handleRateLimitChange('maxRetries')}
+                      min="0"
+                      max="10"
+                      autoComplete="off"
+                    />
+                  </FormLayout.Group>
+                </FormLayout>
+
+                <InlineStack gap="300">
+                  <Button
+                    onClick={handleSaveRateLimits}
+                    loading={isSavingRateLimits}
+                    disabled={isLoading}
+                  >
+                    Save Rate Limits
+                  </Button>
+                </InlineStack>
+              </BlockStack>
+            </Card>
+          )}
+
           {/* Account Information */}
           {config.isActive && (
             <Card sectioned>
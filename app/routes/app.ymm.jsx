@@ -196,11 +196,14 @@ export const action = async ({ request }) => {
       }
 
       case "syncProductCompatibility": {
-        const turn14Sku = formData.get("turn14Sku");
-        const result = await ymmService.syncProductCompatibility(turn14Sku);
+        const productId = formData.get("productId");
+        const sku = formData.get("sku");
+        const result = await ymmService.syncProductCompatibility(productId);
         return json({ 
           success: true, 
-          message: `Compatibility synced for ${turn14Sku}: ${result.created} records created`,
+          message: result.unsupported
+            ? `The supplier of ${sku} does not provide fitment data`
+            : `Compatibility synced for ${sku}: ${result.created} records created`,
           result 
         });
       }
@@ -289,9 +292,9 @@ export default function YMMPage() {
     );
   }, [fetcher]);
 
-  const handleSyncProductCompatibility = useCallback((turn14Sku) => {
+  const handleSyncProductCompatibility = useCallback((product) => {
     fetcher.submit(
-      { action: "syncProductCompatibility", turn14Sku },
+      { action: "syncProductCompatibility", productId: product.id, sku: product.sku },
       { method: "post" }
     );
   }, [fetcher]);
@@ -333,10 +336,10 @@ export default function YMMPage() {
   // Compatible products table data
   const compatibleProductRows = compatibleProducts.map((comp) => [
     <Stack spacing="tight">
-      <Text variant="bodyMd" fontWeight="semibold">{comp.product.turn14Sku}</Text>
-      <Text variant="bodySm" tone="subdued">{comp.product.turn14Brand}</Text>
+      <Text variant="bodyMd" fontWeight="semibold">{comp.product.sku}</Text>
+      <Text variant="bodySm" tone="subdued">{comp.product.brand}</Text>
     </Stack>,
-    comp.product.turn14Category || "-",
+    comp.product.category || "-",
     `${comp.year} ${comp.make} ${comp.model}${comp.submodel ? ` ${comp.submodel}` : ""}`,
     comp.engine || "-",
     comp.notes || "-",
@@ -345,7 +348,7 @@ export default function YMMPage() {
     </Badge>,
     <Button 
       size="micro" 
-      onClick={() => handleSyncProductCompatibility(comp.product.turn14Sku)}
+      onClick={() => handleSyncProductCompatibility(comp.product)}
       loading={fetcher.state === "submitting"}
     >
       Sync
@@ -366,10 +369,10 @@ export default function YMMPage() {
   // Product compatibility table data
   const productRows = products.map((product) => [
     <Stack spacing="tight">
-      <Text variant="bodyMd" fontWeight="semibold">{product.turn14Sku}</Text>
-      <Text variant="bodySm" tone="subdued">{product.turn14Brand}</Text>
+      <Text variant="bodyMd" fontWeight="semibold">{product.sku}</Text>
+      <Text variant="bodySm" tone="subdued">{product.brand}</Text>
     </Stack>,
-    product.turn14Category || "-",
+    product.category || "-",
     <Badge tone={product.vehicleCompatibility.length > 0 ? "success" : "warning"}>
       {product.vehicleCompatibility.length} vehicles
     </Badge>,
@@ -391,7 +394,7 @@ export default function YMMPage() {
     ),
     <Button 
       size="micro" 
-      onClick={() => handleSyncProductCompatibility(product.turn14Sku)}
+      onClick={() => handleSyncProductCompatibility(product)}
       loading={fetcher.state === "submitting"}
     >
       Sync Compatibility
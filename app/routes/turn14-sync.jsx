@@ -129,6 +129,9 @@ export default function Turn14SyncLogsPage() {
                             <InlineStack gap="300" align="space-between">
                                 <Text variant="headingMd">Integration Status</Text>
                                 <InlineStack gap="200">
+                                    <Link to="/app/turn14-api-logs">
+                                        <Button size="slim">View API call log</Button>
+                                    </Link>
                                     <Badge status="success">Active</Badge>
                                     <Badge status={config?.environment === 'production' ? 'info' : 'warning'}>
                                         {config?.environment || 'Unknown'}
@@ -1,5 +1,6 @@
 import { authenticate } from "../shopify.server";
 import db from "../db.server";
+import { pauseShopSchedules } from "../services/shop-sessions.server.js";
 
 export const action = async ({ request }) => {
   const { shop, session, topic } = await authenticate.webhook(request);
@@ -12,5 +13,8 @@ export const action = async ({ request }) => {
     await db.session.deleteMany({ where: { shop } });
   }
 
+  // Scheduled syncs can't run without the shop's session; they resume on reconnect
+  await pauseShopSchedules(shop, "The app was uninstalled");
+
   return new Response();
 };
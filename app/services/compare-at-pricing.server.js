@@ -0,0 +1,83 @@
+// Compare-at prices from supplier retail/MSRP, so themes show the saving
+
+// app/services/compare-at-pricing.server.js
+import { prisma } from '../db.server.js';
+
+export const DEFAULT_COMPARE_AT_SETTING = {
+  enabled: true,
+  minDiscountPercent: 0
+};
+
+// CompareAtBrandSetting row holding the shop-wide default
+const DEFAULT_SETTING_BRAND = '*';
+
+function toSetting(row) {
+  return { enabled: row.enabled, minDiscountPercent: row.minDiscountPercent };
+}
+
+/**
+ * A shop's compare-at settings: `{ defaultSetting, brands }`, with `brands`
+ * keyed by lower-cased brand name
+ */
+export async function getCompareAtSettings(shop) {
+  const rows = await prisma.compareAtBrandSetting.findMany({ where: { shop }, orderBy: { brand: 'asc' } });
+  const defaultRow = rows.find(row => row.brand === DEFAULT_SETTING_BRAND);
+
+  return {
+    defaultSetting: defaultRow ? toSetting(defaultRow) : DEFAULT_COMPARE_AT_SETTING,
+    brands: Object.fromEntries(rows
+      .filter(row => row.brand !== DEFAULT_SETTING_BRAND)
+      .map(row => [row.brand.toLowerCase(), { brand: row.brand, ...toSetting(row) }]))
+  };
+}
+
+/**
+ * Replace a shop's compare-at settings with
+ * `{ defaultSetting, brands: [{ brand, enabled, minDiscountPercent }] }`
+ */
+export async function saveCompareAtSettings(shop, { defaultSetting, brands = [] }) {
+  const entries = [
+    { brand: DEFAULT_SETTING_BRAND, ...DEFAULT_COMPARE_AT_SETTING, ...defaultSetting },
+    ...brands
+      .map(entry => ({ ...entry, brand: String(entry.brand ?? '').trim() }))
+      .filter(entry => entry.brand && entry.brand !== DEFAULT_SETTING_BRAND)
+  ].map(entry => ({
+    brand: entry.brand,
+    enabled: entry.enabled !== false,
+    minDiscountPercent: parseFloat(entry.minDiscountPercent) || 0
+  }));
+
+  const seen = new Set();
+  for (const entry of entries) {
+    const label = entry.brand === DEFAULT_SETTING_BRAND ? 'The default' : entry.brand;
+    if (entry.minDiscountPercent < 0 || entry.minDiscountPercent >= 100) {
+      throw new Error(`${label}: the minimum discount must be at least 0% and below 100%`);
+    }
+    if (seen.has(entry.brand.toLowerCase())) {
+      throw new Error(`${entry.brand} has more than one compare-at setting`);
+    }
+    seen.add(entry.brand.toLowerCase());
+  }
+
+  await prisma.$transaction([
+    prisma.compareAtBrandSetting.deleteMany({ where: { shop } }),
+    ...entries.map(entry => prisma.compareAtBrandSetting.create({ data: { shop, ...entry } }))
+  ]);
+
+  return getCompareAtSettings(shop);
+}
+
+/**
+ * Compare-at price for a selling price: the retail/MSRP when the brand shows
+ * compare-at prices and the saving reaches its minimum discount, otherwise null
+ */
+export function getCompareAtPrice(settings, brand, price, retailPrice) {
+  const setting = settings.brands[String(brand ?? '').toLowerCase()] || settings.defaultSetting;
+
+  if (!setting.enabled || !(retailPrice > 0) || !(price < retailPrice)) {
+    return null;
+  }
+
+  const discountPercent = ((retailPrice - price) / retailPrice) * 100;
+  return discountPercent >= setting.minDiscountPercent ? retailPrice : null;
+}
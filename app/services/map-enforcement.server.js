@@ -0,0 +1,197 @@
+// Minimum Advertised Price (MAP) enforcement and violation tracking
+
+// app/services/map-enforcement.server.js
+import { prisma } from '../db.server.js';
+import { logger } from '../utils/logger.server.js';
+
+// clamp: raise the price to MAP. hide: keep the price but take the product off
+// the storefront. flag: keep the price and only report it. ignore: the brand
+// doesn't enforce MAP.
+export const MAP_POLICIES = ['clamp', 'hide', 'flag', 'ignore'];
+
+export const DEFAULT_MAP_POLICY = 'clamp';
+
+// MapBrandPolicy row holding the shop-wide default
+const DEFAULT_POLICY_BRAND = '*';
+
+const VIOLATION_ACTIONS = {
+  clamp: 'clamped',
+  hide: 'hidden',
+  flag: 'flagged'
+};
+
+/**
+ * A shop's MAP policies: `{ defaultPolicy, brands }`, with `brands` keyed by
+ * lower-cased brand name
+ */
+export async function getMapPolicies(shop) {
+  const rows = await prisma.mapBrandPolicy.findMany({ where: { shop }, orderBy: { brand: 'asc' } });
+  const defaultRow = rows.find(row => row.brand === DEFAULT_POLICY_BRAND);
+
+  return {
+    defaultPolicy: defaultRow?.policy || DEFAULT_MAP_POLICY,
+    brands: Object.fromEntries(rows
+      .filter(row => row.brand !== DEFAULT_POLICY_BRAND)
+      .map(row => [row.brand.toLowerCase(), { brand: row.brand, policy: row.policy }]))
+  };
+}
+
+/**
+ * Replace a shop's MAP policies with `{ defaultPolicy, brands: [{ brand, policy }] }`
+ */
+export async function saveMapPolicies(shop, { defaultPolicy, brands = [] }) {
+  const entries = [
+    { brand: DEFAULT_POLICY_BRAND, policy: defaultPolicy || DEFAULT_MAP_POLICY },
+    ...brands
+      .map(entry => ({ brand: String(entry.brand ?? '').trim(), policy: entry.policy }))
+      .filter(entry => entry.brand && entry.brand !== DEFAULT_POLICY_BRAND)
+  ];
+
+  const seen = new Set();
+  for (const entry of entries) {
+    if (!MAP_POLICIES.includes(entry.policy)) {
+      throw new Error(`Unknown MAP policy "${entry.policy}" for ${entry.brand === DEFAULT_POLICY_BRAND ? 'the default' : entry.brand}`);
+    }
+    if (seen.has(entry.brand.toLowerCase())) {
+      throw new Error(`${entry.brand} has more than one MAP policy`);
+    }
+    seen.add(entry.brand.toLowerCase());
+  }
+
+  await prisma.$transaction([
+    prisma.mapBrandPolicy.deleteMany({ where: { shop } }),
+    ...entries.map(entry => prisma.mapBrandPolicy.create({ data: { shop, ...entry } }))
+  ]);
+
+  return getMapPolicies(shop);
+}
+
+// The policy that applies to a brand
+export function resolveMapPolicy(policies, brand) {
+  return policies.brands[String(brand ?? '').toLowerCase()]?.policy || policies.defaultPolicy;
+}
+
+/**
+ * Apply a MAP policy to a computed price. Returns `{ price, action }`, where
+ * `action` is null when the price respects MAP (or MAP isn't enforced) and
+ * otherwise what was done about it.
+ */
+export function enforceMapPrice(price, mapPrice, policy) {
+  // Compare in cents so float noise never reads as a violation
+  if (!(mapPrice > 0) || policy === 'ignore' || Math.round(price * 100) >= Math.round(mapPrice * 100)) {
+    return { price, action: null };
+  }
+
+  return {
+    price: policy === 'clamp' ? mapPrice : price,
+    action: VIOLATION_ACTIONS[policy] || VIOLATION_ACTIONS.flag
+  };
+}
+
+/**
+ * Open violations of a shop keyed by imported product id
+ */
+export async function getOpenMapViolations(shop, productIds = null) {
+  const violations = await prisma.mapViolation.findMany({
+    where: {
+      shop,
+      status: 'open',
+      ...(productIds && { importedProductId: { in: productIds } })
+    }
+  });
+
+  return new Map(violations.map(violation => [violation.importedProductId, violation]));
+}
+
+/**
+ * Record that a sync priced a product below MAP, extending the product's open
+ * violation if it has one. An undefined `previousStatus` keeps the open
+ * violation's.
+ */
+export async function recordMapViolation(shop, product, details, openViolation = null) {
+  const { mapPrice, computedPrice, appliedPrice, action, previousStatus, jobId = null } = details;
+
+  if (openViolation) {
+    return prisma.mapViolation.update({
+      where: { id: openViolation.id },
+      data: {
+        mapPrice,
+        computedPrice,
+        appliedPrice,
+        action,
+        ...(previousStatus !== undefined && { previousStatus }),
+        lastSeenAt: new Date()
+      }
+    });
+  }
+
+  logger.warn('Price below MAP', { shop, sku: product.sku, brand: product.brand, mapPrice, computedPrice, action });
+
+  return prisma.mapViolation.create({
+    data: {
+      shop,
+      importedProductId: product.id,
+      supplier: product.supplier,
+      sku: product.sku,
+      brand: product.brand,
+      mapPrice,
+      computedPrice,
+      appliedPrice,
+      action,
+      previousStatus: previousStatus ?? null,
+      jobId
+    }
+  });
+}
+
+/**
+ * Close a product's open violation once it is priced at or above MAP again
+ */
+export async function resolveMapViolation(violation) {
+  return prisma.mapViolation.update({
+    where: { id: violation.id },
+    data: { status: 'resolved', resolvedAt: new Date() }
+  });
+}
+
+/**
+ * Violations for the compliance report, newest first. `status` is "open",
+ * "resolved" or null for both.
+ */
+export async function listMapViolations(shop, { status = null, brand = null, page = 1, limit = 50 } = {}) {
+  const where = {
+    shop,
+    ...(status && { status }),
+    ...(brand && { brand })
+  };
+
+  const [violations, total, openCount, brands] = await Promise.all([
+    prisma.mapViolation.findMany({
+      where,
+      orderBy: { lastSeenAt: 'desc' },
+      skip: (page - 1) * limit,
+      take: limit
+    }),
+    prisma.mapViolation.count({ where }),
+    prisma.mapViolation.count({ where: { shop, status: 'open' } }),
+    prisma.mapViolation.findMany({
+      where: { shop, brand: { not: null } },
+      distinct: ['brand'],
+      select: { brand: true },
+      orderBy: { brand: 'asc' }
+    })
+  ]);
+
+  return {
+    violations,
+    total,
+    openCount,
+    brands: brands.map(row => row.brand),
+    pagination: {
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      hasNextPage: page * limit < total,
+      hasPrevPage: page > 1
+    }
+  };
+}
@@ -0,0 +1,85 @@
+// Price history of imported products, and what a sync job changed
+
+// app/services/price-history.server.js
+import { prisma } from '../db.server.js';
+
+/**
+ * Record a change to a product's cost or selling price. `change` holds the new
+ * `cost`, `price` and `compareAtPrice`; the old values are read from the
+ * product's tracking record before it is updated. Nothing is recorded when
+ * none of them changed.
+ */
+export async function recordPriceChange(shop, product, change, { source, jobId = null }) {
+  const { cost = product.originalPrice, price, compareAtPrice = null } = change;
+
+  if (
+    cost === product.originalPrice &&
+    price === product.currentPrice &&
+    compareAtPrice === product.compareAtPrice
+  ) {
+    return null;
+  }
+
+  return prisma.priceHistory.create({
+    data: {
+      shop,
+      importedProductId: product.id,
+      sku: product.sku,
+      oldCost: product.originalPrice,
+      newCost: cost,
+      oldPrice: product.currentPrice,
+      newPrice: price,
+      oldCompareAtPrice: product.compareAtPrice ?? null,
+      newCompareAtPrice: compareAtPrice,
+      source,
+      jobId
+    }
+  });
+}
+
+/**
+ * A product's price changes, oldest first, for charting
+ */
+export async function getPriceHistory(shop, importedProductId, { limit = 100 } = {}) {
+  const changes = await prisma.priceHistory.findMany({
+    where: { shop, importedProductId },
+    orderBy: { createdAt: 'desc' },
+    take: limit
+  });
+
+  return changes.reverse();
+}
+
+/**
+ * The price changes a sync job made, keyed by imported product id. A product
+ * changed more than once by the job keeps its earliest change, whose old
+ * values are what the job started from.
+ */
+export async function getJobPriceChanges(shop, jobId) {
+  const changes = await prisma.priceHistory.findMany({
+    where: { shop, jobId, source: 'sync', importedProductId: { not: null } },
+    orderBy: { createdAt: 'asc' }
+  });
+
+  const byProduct = new Map();
+  for (const change of changes) {
+    if (!byProduct.has(change.importedProductId)) {
+      byProduct.set(change.importedProductId, change);
+    }
+  }
+
+  return byProduct;
+}
+
+/**
+ * Number of price changes per sync job, for the jobs listed
+ */
+export async function countJobPriceChanges(shop, jobIds) {
+  const counts = await prisma.priceHistory.groupBy({
+    by: ['jobId'],
+    where: { shop, source: 'sync', jobId: { in: jobIds } },
+    _count: true
+  });
+
+  return Object.fromEntries(counts.map(row => [row.jobId, row._count]));
+}
@@ -0,0 +1,109 @@
+// Pricing rules per supplier connection
+
+// app/services/pricing-rules.server.js
+import { saveTurn14Config } from './turn14-api.server.js';
+import { SupplierError } from './supplier-adapter.server.js';
+import { getSupplierAdapters, saveSupplierConfig } from './supplier-registry.server.js';
+import {
+  COST_BASES,
+  PRICING_METHODS,
+  ROUNDING_STRATEGIES
+} from '../utils/pricing-rules.js';
+
+function toOptionalNumber(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : NaN;
+}
+
+// Trim rules from the editor and check they can be evaluated; throws on the first bad rule
+function cleanPricingRules(rules) {
+  const names = new Set();
+
+  return (rules || []).map((rule, index) => {
+    const cleaned = {
+      name: String(rule.name ?? '').trim() || `Rule ${index + 1}`,
+      enabled: rule.enabled !== false,
+      brand: String(rule.brand ?? '').trim(),
+      category: String(rule.category ?? '').trim(),
+      minCost: toOptionalNumber(rule.minCost),
+      maxCost: toOptionalNumber(rule.maxCost),
+      costBasis: rule.costBasis || 'cost',
+      method: rule.method || 'markup',
+      value: toOptionalNumber(rule.value) ?? 0,
+      minMargin: toOptionalNumber(rule.minMargin),
+      rounding: rule.rounding || 'none'
+    };
+    const label = `Pricing rule "${cleaned.name}"`;
+
+    if (names.has(cleaned.name.toLowerCase())) {
+      throw new SupplierError(`${label} is defined twice; rule names must be unique`);
+    }
+    names.add(cleaned.name.toLowerCase());
+
+    if ([cleaned.minCost, cleaned.maxCost, cleaned.value, cleaned.minMargin].some(Number.isNaN)) {
+      throw new SupplierError(`${label} has a value that is not a number`);
+    }
+    if (cleaned.minCost !== null && cleaned.maxCost !== null && cleaned.minCost >= cleaned.maxCost) {
+      throw new SupplierError(`${label}: the cost band's lower bound must be below its upper bound`);
+    }
+    if (!COST_BASES.some(basis => basis.value === cleaned.costBasis)) {
+      throw new SupplierError(`${label} has an unknown cost basis: ${cleaned.costBasis}`);
+    }
+    if (!PRICING_METHODS.some(method => method.value === cleaned.method)) {
+      throw new SupplierError(`${label} has an unknown pricing method: ${cleaned.method}`);
+    }
+    if (!ROUNDING_STRATEGIES.some(strategy => strategy.value === cleaned.rounding)) {
+      throw new SupplierError(`${label} has an unknown rounding strategy: ${cleaned.rounding}`);
+    }
+    if (cleaned.method === 'margin' && (cleaned.value < 0 || cleaned.value >= 100)) {
+      throw new SupplierError(`${label}: a margin must be at least 0% and below 100%`);
+    }
+    if (cleaned.minMargin !== null && (cleaned.minMargin < 0 || cleaned.minMargin >= 100)) {
+      throw new SupplierError(`${label}: the minimum margin must be at least 0% and below 100%`);
+    }
+
+    return cleaned;
+  });
+}
+
+/**
+ * Every supplier connection of a shop with its pricing rules, in evaluation order
+ */
+export async function listPricingRuleSets(shop) {
+  const adapters = await getSupplierAdapters(shop);
+
+  return adapters
+    .filter(adapter => adapter.supports('pricing'))
+    .map(adapter => ({
+      id: adapter.id,
+      supplier: adapter.supplier,
+      label: adapter.label,
+      name: adapter.name,
+      profile: adapter.profile,
+      rules: adapter.getPricingRules()
+    }));
+}
+
+/**
+ * Replace a supplier connection's pricing rules. Turn 14 accounts keep them in
+ * syncSettings, so sandbox rules are promoted with the rest of the pricing setup.
+ */
+export async function savePricingRules(shop, connectionId, rules) {
+  const adapters = await getSupplierAdapters(shop);
+  const adapter = adapters.find(candidate => candidate.id === connectionId);
+  if (!adapter) {
+    throw new SupplierError('Supplier not found');
+  }
+
+  const pricingRules = cleanPricingRules(rules);
+  const settings = { ...adapter.settings, pricingRules };
+
+  if (adapter.supplier === 'turn14') {
+    await saveTurn14Config(shop, { syncSettings: settings }, connectionId);
+  } else {
+    await saveSupplierConfig(shop, { settings }, connectionId);
+  }
+
+  return pricingRules;
+}
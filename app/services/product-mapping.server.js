@@ -0,0 +1,122 @@
+// Per-shop field mapping used when importing supplier products
+
+// app/services/product-mapping.server.js
+import { prisma } from '../db.server.js';
+import {
+  DEFAULT_FIELD_MAPPING,
+  METAFIELD_TYPES,
+  TAG_RULE_OPERATORS
+} from '../utils/product-mapping.js';
+
+const TEMPLATE_FIELDS = ['titleTemplate', 'descriptionTemplate', 'vendorTemplate', 'productTypeTemplate'];
+const LIST_FIELDS = ['tags', 'tagRules', 'vendorRenames', 'metafields'];
+
+const METAFIELD_KEY_PATTERN = /^[a-zA-Z0-9_-]{2,64}$/;
+
+function parseList(json, fallback) {
+  try {
+    const value = JSON.parse(json);
+    return Array.isArray(value) ? value : fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+/**
+ * The shop's field mapping, or the default mapping if it never saved one
+ */
+export async function getFieldMapping(shop) {
+  const row = await prisma.productFieldMapping.findUnique({ where: { shop } });
+  if (!row) {
+    return { ...DEFAULT_FIELD_MAPPING, isDefault: true };
+  }
+
+  return {
+    ...Object.fromEntries(TEMPLATE_FIELDS.map(field => [field, row[field]])),
+    ...Object.fromEntries(LIST_FIELDS.map(field => [field, parseList(row[field], DEFAULT_FIELD_MAPPING[field])])),
+    isDefault: false,
+    updatedAt: row.updatedAt
+  };
+}
+
+// Trim a mapping from the editor and drop blank rows; throws on invalid rules
+function cleanFieldMapping(data) {
+  const mapping = Object.fromEntries(TEMPLATE_FIELDS.map(field => [field, String(data[field] ?? '').trim()]));
+
+  if (!mapping.titleTemplate) {
+    throw new Error('A title template is required');
+  }
+
+  mapping.tags = (data.tags || []).map(tag => String(tag).trim()).filter(Boolean);
+
+  const operators = TAG_RULE_OPERATORS.map(operator => operator.value);
+  mapping.tagRules = (data.tagRules || [])
+    .map(rule => ({
+      field: String(rule.field ?? '').trim(),
+      operator: rule.operator,
+      value: String(rule.value ?? '').trim(),
+      tag: String(rule.tag ?? '').trim()
+    }))
+    .filter(rule => rule.field || rule.tag);
+  for (const rule of mapping.tagRules) {
+    if (!rule.field || !rule.tag) {
+      throw new Error('Every tag rule needs an attribute and a tag');
+    }
+    if (!operators.includes(rule.operator)) {
+      throw new Error(`Unknown tag rule operator: ${rule.operator}`);
+    }
+  }
+
+  mapping.vendorRenames = (data.vendorRenames || [])
+    .map(rename => ({ from: String(rename.from ?? '').trim(), to: String(rename.to ?? '').trim() }))
+    .filter(rename => rename.from && rename.to);
+
+  mapping.metafields = (data.metafields || [])
+    .map(metafield => ({
+      namespace: String(metafield.namespace ?? '').trim(),
+      key: String(metafield.key ?? '').trim(),
+      template: String(metafield.template ?? '').trim(),
+      type: metafield.type || 'single_line_text_field'
+    }))
+    .filter(metafield => metafield.key || metafield.template);
+  for (const metafield of mapping.metafields) {
+    if (!metafield.namespace || !metafield.template) {
+      throw new Error(`Metafield "${metafield.key}" needs a namespace and a template`);
+    }
+    if (!METAFIELD_KEY_PATTERN.test(metafield.key)) {
+      throw new Error(`Invalid metafield key "${metafield.key}": use 2-64 letters, numbers, _ or -`);
+    }
+    if (!METAFIELD_TYPES.includes(metafield.type)) {
+      throw new Error(`Unsupported metafield type: ${metafield.type}`);
+    }
+  }
+
+  return mapping;
+}
+
+/**
+ * Validate and store the shop's field mapping
+ */
+export async function saveFieldMapping(shop, data) {
+  const mapping = cleanFieldMapping(data);
+  const fields = {
+    ...Object.fromEntries(TEMPLATE_FIELDS.map(field => [field, mapping[field]])),
+    ...Object.fromEntries(LIST_FIELDS.map(field => [field, JSON.stringify(mapping[field])]))
+  };
+
+  await prisma.productFieldMapping.upsert({
+    where: { shop },
+    create: { shop, ...fields },
+    update: fields
+  });
+
+  return getFieldMapping(shop);
+}
+
+/**
+ * Go back to the default mapping
+ */
+export async function resetFieldMapping(shop) {
+  await prisma.productFieldMapping.deleteMany({ where: { shop } });
+  return getFieldMapping(shop);
+}
@@ -0,0 +1,121 @@
+// Offline Shopify sessions for background syncs, and pausing schedules when a shop's is unusable
+
+// app/services/shop-sessions.server.js
+import { SessionNotFoundError } from '@shopify/shopify-app-remix/server';
+import { prisma } from '../db.server.js';
+import { sessionStorage, unauthenticated } from '../shopify.server.js';
+import { logger } from '../utils/logger.server.js';
+
+/**
+ * A shop's offline session can't be used for background work: it is
+ * `missing` (never stored, or deleted on uninstall) or was `revoked`
+ */
+export class ShopSessionError extends Error {
+  constructor(message, shop, reason) {
+    super(message);
+    this.name = 'ShopSessionError';
+    this.shop = shop;
+    this.reason = reason;
+  }
+}
+
+// Shopify answers 401 once an app is uninstalled or its token is revoked
+function isRevokedTokenError(error) {
+  return error?.response?.code === 401;
+}
+
+/**
+ * The admin API context of a shop's stored offline session, for work that runs
+ * outside a merchant's request
+ */
+export async function getOfflineAdminContext(shop) {
+  try {
+    return await unauthenticated.admin(shop);
+  } catch (error) {
+    if (error instanceof SessionNotFoundError) {
+      throw new ShopSessionError(`No offline session is stored for ${shop}`, shop, 'missing');
+    }
+    throw error;
+  }
+}
+
+/**
+ * Like getOfflineAdminContext, but also makes a cheap API call so a revoked
+ * token is caught before a sync starts rather than on every product
+ */
+export async function verifyOfflineAdminContext(shop) {
+  const context = await getOfflineAdminContext(shop);
+
+  try {
+    await context.admin.graphql(`#graphql
+      query verifyOfflineSession {
+        shop {
+          id
+        }
+      }`);
+  } catch (error) {
+    if (isRevokedTokenError(error)) {
+      throw new ShopSessionError(`The offline access token for ${shop} was revoked`, shop, 'revoked');
+    }
+    throw error;
+  }
+
+  return context;
+}
+
+/**
+ * Pause a shop's active schedules until it reconnects, recording why
+ */
+export async function pauseShopSchedules(shop, reason) {
+  const { count } = await prisma.turn14SyncSchedule.updateMany({
+    where: { shop, isActive: true },
+    data: { isActive: false, pausedReason: reason }
+  });
+
+  if (count > 0) {
+    logger.warn('Paused sync schedules until the shop reconnects', { shop, schedules: count, reason });
+  }
+
+  return count;
+}
+
+/**
+ * Schedules the app paused for a shop because of its session
+ */
+export async function getSessionPausedSchedules(shop) {
+  return prisma.turn14SyncSchedule.findMany({
+    where: { shop, pausedReason: { not: null } },
+    orderBy: { name: 'asc' }
+  });
+}
+
+/**
+ * Check a shop's offline session after the merchant reconnects, replacing a
+ * revoked one, and resume the schedules paused because of it. `authenticate`
+ * re-runs the request's admin authentication, which stores a fresh offline
+ * session once the stale one is gone. Resumed schedules that are overdue
+ * follow their catch-up policy. Returns the schedules it resumed.
+ */
+export async function reconnectShop(shop, authenticate) {
+  try {
+    await verifyOfflineAdminContext(shop);
+  } catch (error) {
+    if (!(error instanceof ShopSessionError)) {
+      throw error;
+    }
+
+    // Drop the stale token so authenticating exchanges the merchant's session for a new one
+    await sessionStorage.deleteSession(`offline_${shop}`);
+    await authenticate();
+    await verifyOfflineAdminContext(shop);
+  }
+
+  const schedules = await getSessionPausedSchedules(shop);
+  await prisma.turn14SyncSchedule.updateMany({
+    where: { shop, pausedReason: { not: null } },
+    data: { isActive: true, pausedReason: null }
+  });
+
+  logger.info('Shop reconnected; resumed paused sync schedules', { shop, schedules: schedules.length });
+  return schedules;
+}
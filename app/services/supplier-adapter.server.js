@@ -0,0 +1,238 @@
+// Supplier adapter interface
+
+// app/services/supplier-adapter.server.js
+
+// Everything an adapter may implement. `changes` is updated-since lookups for
+// delta syncs, `vehicles` a vehicle database for YMM and `feeds` bulk catalog
+// feed ingestion.
+export const SUPPLIER_CAPABILITIES = [
+  'catalog',
+  'pricing',
+  'stock',
+  'fitment',
+  'orders',
+  'shipping',
+  'changes',
+  'vehicles',
+  'feeds'
+];
+
+export class SupplierError extends Error {
+  constructor(message, supplier = null) {
+    super(message);
+    this.name = 'SupplierError';
+    this.supplier = supplier;
+  }
+}
+
+// The supplier cannot be reached right now; syncs defer instead of failing
+export class SupplierUnavailableError extends SupplierError {
+  constructor(message, supplier = null, retryAt = null) {
+    super(message, supplier);
+    this.name = 'SupplierUnavailableError';
+    this.retryAt = retryAt;
+  }
+}
+
+// The supplier throttled a request after the client's own retries
+export class SupplierRateLimitError extends SupplierError {
+  constructor(message, supplier = null, retryAfterMs = null) {
+    super(message, supplier);
+    this.name = 'SupplierRateLimitError';
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+export class SupplierUnsupportedError extends SupplierError {
+  constructor(supplier, capability) {
+    super(`${supplier} does not support ${capability}`, supplier);
+    this.name = 'SupplierUnsupportedError';
+    this.capability = capability;
+  }
+}
+
+/**
+ * Base class for supplier adapters. One instance wraps one supplier connection
+ * (a Turn 14 dealer account, a CSV feed, ...) for one shop. Subclasses set the
+ * static `supplier`, `label` and `capabilities` and implement the methods for
+ * their capabilities; the rest throw SupplierUnsupportedError.
+ *
+ * Catalog methods yield products in one shape regardless of supplier:
+ * `{ sku, supplierItemId, name, description, brand, brandId, category, price,
+ * mapPrice, retailPrice, jobberPrice, inventoryQuantity, images, weight, barcode,
+ * attributes }`, with `images` an array of URLs and `attributes` the supplier's
+ * raw record, which field-mapping templates can reference. Bulk stock and pricing lookups return
+ * `{ items, errors }`, both Maps keyed by SKU, with `{ inventoryQuantity }` and
+ * `{ price, mapPrice, retailPrice, jobberPrice }` entries, `price` being the
+ * purchase cost.
+ */
+export class SupplierAdapter {
+  static supplier = 'supplier';
+  static label = 'Supplier';
+  static capabilities = [];
+
+  constructor(shop, { id, name, profile = 'production', isActive = true, settings = {} }) {
+    this.shop = shop;
+    this.id = id;
+    this.name = name;
+    this.profile = profile;
+    this.isActive = isActive;
+    this.settings = settings || {};
+  }
+
+  get supplier() {
+    return this.constructor.supplier;
+  }
+
+  get label() {
+    return this.constructor.label;
+  }
+
+  get capabilities() {
+    return this.constructor.capabilities;
+  }
+
+  /**
+   * Whether the adapter implements a capability from SUPPLIER_CAPABILITIES
+   */
+  supports(capability) {
+    return this.capabilities.includes(capability);
+  }
+
+  /**
+   * Throw SupplierUnsupportedError unless the adapter implements `capability`
+   */
+  assertSupports(capability) {
+    if (!this.supports(capability)) {
+      throw new SupplierUnsupportedError(`${this.label} "${this.name}"`, capability);
+    }
+  }
+
+  /**
+   * Establish a session before a sync so bad credentials fail fast
+   */
+  async connect() {
+    return true;
+  }
+
+  /**
+   * Columns that tag an imported product with this connection
+   */
+  getProductOwner() {
+    return { supplier: this.supplier };
+  }
+
+  /**
+   * Whether an imported product belongs to this connection
+   */
+  ownsProduct(product) {
+    return product.supplier === this.supplier;
+  }
+
+  /**
+   * Brand filters an import walks, one catalog pass each. `null` means the
+   * whole catalog; an empty list means nothing is selected.
+   */
+  getCatalogScopes() {
+    const brands = this.settings.selectedBrands || [];
+    return brands.length > 0 ? brands : [null];
+  }
+
+  /**
+   * Tag added to products imported from this connection
+   */
+  getProductTag() {
+    return this.settings.productTag || this.name;
+  }
+
+  /**
+   * Ordered pricing rules for this connection's products. A sync can pass its
+   * own `pricingRules`; otherwise the connection's settings apply.
+   */
+  getPricingRules(settings = {}) {
+    return settings.pricingRules ?? this.settings.pricingRules ?? [];
+  }
+
+  /**
+   * Iterate pages of `{ items }` for one scope from getCatalogScopes:
+   * `iterateCatalog(scope, { settings, pageSize })`
+   */
+  iterateCatalog() {
+    this.assertSupports('catalog');
+  }
+
+  /**
+   * One catalog product by SKU, or null if the supplier has no such product:
+   * `getProduct(sku)`
+   */
+  async getProduct() {
+    this.assertSupports('catalog');
+  }
+
+  /**
+   * Current stock for many SKUs: `getBulkInventory(skus, settings)`
+   */
+  async getBulkInventory() {
+    this.assertSupports('stock');
+  }
+
+  /**
+   * Current pricing for many SKUs: `getBulkPricing(skus, settings)`
+   */
+  async getBulkPricing() {
+    this.assertSupports('pricing');
+  }
+
+  /**
+   * Whether inventory and pricing syncs may use getChangedSkus:
+   * `usesDeltaSync(settings)`
+   */
+  usesDeltaSync() {
+    return false;
+  }
+
+  /**
+   * SKUs whose stock ("inventory") or pricing changed since the given time:
+   * `getChangedSkus(kind, since)`
+   */
+  async getChangedSkus() {
+    this.assertSupports('changes');
+  }
+
+  /**
+   * Vehicle fitment records for `getFitment(sku)`: `{ year, make, model,
+   * submodel, engine, engineSize, fuelType, transmission, driveType, bodyStyle,
+   * vehicleId, mmyId, notes, restrictions, isUniversal }`
+   */
+  async getFitment() {
+    this.assertSupports('fitment');
+  }
+
+  /**
+   * Iterate pages of `{ items }` from the supplier's vehicle database
+   */
+  iterateVehicles() {
+    this.assertSupports('vehicles');
+  }
+
+  /**
+   * Place a drop-ship order: `submitOrder(order)`
+   */
+  async submitOrder() {
+    this.assertSupports('orders');
+  }
+
+  /**
+   * Quote shipping: `getShippingRates(rateRequest)`
+   */
+  async getShippingRates() {
+    this.assertSupports('shipping');
+  }
+
+  /**
+   * Refresh staged catalog data from bulk feeds: `ingestFeeds(settings)`
+   */
+  async ingestFeeds() {
+    this.assertSupports('feeds');
+  }
+}
@@ -0,0 +1,309 @@
+// CSV / flat-file supplier adapter
+
+// app/services/supplier-csv.server.js
+import { lookup } from 'node:dns';
+import { readFile, realpath } from 'node:fs/promises';
+import { Agent } from 'node:https';
+import { BlockList, isIP } from 'node:net';
+import path from 'node:path';
+import axios from 'axios';
+import { SupplierAdapter, SupplierError, SupplierUnavailableError } from './supplier-adapter.server.js';
+import { parseCsv } from '../utils/csv.server.js';
+
+// Feed column read for each product field unless the supplier's settings map it elsewhere
+export const DEFAULT_CSV_COLUMNS = {
+  sku: 'sku',
+  name: 'name',
+  description: 'description',
+  brand: 'brand',
+  category: 'category',
+  price: 'price',
+  mapPrice: 'map_price',
+  retailPrice: 'retail_price',
+  jobberPrice: 'jobber_price',
+  inventoryQuantity: 'quantity',
+  images: 'images',
+  weight: 'weight',
+  barcode: 'upc'
+};
+
+const FEED_TIMEOUT_MS = 60000;
+
+// Loopback, private, link-local and other internal ranges feed URLs may not reach
+const INTERNAL_ADDRESSES = new BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 3]
+]) {
+  INTERNAL_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 127], ['::ffff:0:0', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  INTERNAL_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+function isInternalAddress(address) {
+  return INTERNAL_ADDRESSES.check(address, isIP(address) === 6 ? 'ipv6' : 'ipv4');
+}
+
+// DNS lookup that refuses internal addresses, so the check covers the address
+// actually connected to and not just the one seen when the URL was saved
+function publicLookup(hostname, options, callback) {
+  lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    if (addresses.some(entry => isInternalAddress(entry.address))) {
+      return callback(new Error(`${hostname} resolves to an internal address`));
+    }
+    callback(null, address, family);
+  });
+}
+
+const feedAgent = new Agent({ lookup: publicLookup });
+
+// Operator-configured directory feed files on the app server must sit in;
+// unset, only URLs can be read
+function getFeedDirectory() {
+  return process.env.CSV_FEED_DIR ? path.resolve(process.env.CSV_FEED_DIR) : null;
+}
+
+function isInsideDirectory(filePath, directory) {
+  return filePath.startsWith(directory + path.sep);
+}
+
+// A feed source as `{ url }` or `{ filePath }`, throwing for sources merchants
+// may not use: anything but https URLs to public hosts, and files outside the
+// feed directory
+function resolveFeedSource(source) {
+  if (/^[a-z][a-z\d+.-]*:/i.test(source)) {
+    let url;
+    try {
+      url = new URL(source);
+    } catch {
+      throw new SupplierError(`"${source}" is not a valid feed URL`, 'csv');
+    }
+    if (url.protocol !== 'https:') {
+      throw new SupplierError('Feed URLs must use https', 'csv');
+    }
+
+    // IP literals are connected to without a lookup, so check them here
+    const hostname = url.hostname.replace(/^\[|\]$/g, '');
+    if (isIP(hostname) && isInternalAddress(hostname)) {
+      throw new SupplierError('Feed URLs may not point at internal addresses', 'csv');
+    }
+    return { url: url.href };
+  }
+
+  const directory = getFeedDirectory();
+  if (!directory) {
+    throw new SupplierError('Feed files on the app server are not enabled; use an https URL', 'csv');
+  }
+  const filePath = path.resolve(directory, source);
+  if (!isInsideDirectory(filePath, directory)) {
+    throw new SupplierError('Feed files must be inside the feed directory', 'csv');
+  }
+  return { filePath };
+}
+
+// Read a feed file, following symlinks only if they stay in the feed directory
+async function readFeedFile(filePath) {
+  const [realFile, realDirectory] = await Promise.all([realpath(filePath), realpath(getFeedDirectory())]);
+  if (!isInsideDirectory(realFile, realDirectory)) {
+    throw new SupplierError('Feed files must be inside the feed directory', 'csv');
+  }
+  return readFile(realFile, 'utf8');
+}
+
+function toFloat(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const number = parseFloat(String(value).replace(/[$,]/g, ''));
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * A supplier that publishes its catalog, pricing and stock as one CSV file,
+ * downloaded from an https URL or, when the operator sets CSV_FEED_DIR, read
+ * from a file in that directory. Settings:
+ * `source`, `delimiter`, `columns` (product field to CSV header),
+ * `imageSeparator`, `selectedBrands` (brand names) and `productTag`.
+ */
+export class CsvSupplierAdapter extends SupplierAdapter {
+  static supplier = 'csv';
+  static label = 'CSV supplier';
+  static capabilities = ['catalog', 'pricing', 'stock'];
+
+  constructor(shop, config) {
+    super(shop, {
+      id: config.id,
+      name: config.name,
+      profile: config.profile,
+      isActive: config.isActive,
+      settings: config.settings ? JSON.parse(config.settings) : {}
+    });
+
+    this.columns = { ...DEFAULT_CSV_COLUMNS, ...this.settings.columns };
+    this.headers = [];
+    this.products = null;
+  }
+
+  /**
+   * Check settings before they are saved, throwing a SupplierError for a feed
+   * source that can't be used
+   */
+  static validateSettings(settings) {
+    if (settings.source) {
+      resolveFeedSource(settings.source);
+    }
+  }
+
+  getProductOwner() {
+    return { supplier: this.supplier, supplierConfigId: this.id };
+  }
+
+  ownsProduct(product) {
+    return product.supplier === this.supplier && product.supplierConfigId === this.id;
+  }
+
+  // Raw feed text from the configured URL or file path
+  async readFeed() {
+    const { source } = this.settings;
+    if (!source) {
+      throw new SupplierError(`CSV supplier "${this.name}" has no feed source`, this.supplier);
+    }
+
+    const { url, filePath } = resolveFeedSource(source);
+    try {
+      if (url) {
+        const response = await axios.get(url, {
+          responseType: 'text',
+          timeout: FEED_TIMEOUT_MS,
+          httpsAgent: feedAgent,
+          // Redirects keep the agent's lookup, but must stay on https
+          beforeRedirect: options => {
+            if (options.protocol !== 'https:') {
+              throw new Error('Feed redirected away from https');
+            }
+            resolveFeedSource(`https://${options.hostname}`);
+          }
+        });
+        return response.data;
+      }
+      return await readFeedFile(filePath);
+    } catch (error) {
+      // Missing or unreachable feeds are retried on the next run
+      throw new SupplierUnavailableError(
+        `Could not read the feed for CSV supplier "${this.name}": ${error.message}`,
+        this.supplier
+      );
+    }
+  }
+
+  // Feed row to the adapter product shape; rows without a SKU are skipped
+  toProduct(row) {
+    const value = field => row[this.columns[field]];
+    const sku = value('sku');
+    if (!sku) return null;
+
+    return {
+      sku,
+      supplierItemId: null,
+      name: value('name') || sku,
+      description: value('description') || '',
+      brand: value('brand') || null,
+      brandId: value('brand') || null,
+      category: value('category') || null,
+      price: toFloat(value('price')) ?? 0,
+      mapPrice: toFloat(value('mapPrice')),
+      retailPrice: toFloat(value('retailPrice')),
+      jobberPrice: toFloat(value('jobberPrice')),
+      inventoryQuantity: parseInt(value('inventoryQuantity')) || 0,
+      images: (value('images') || '')
+        .split(this.settings.imageSeparator || '|')
+        .map(url => url.trim())
+        .filter(Boolean),
+      weight: toFloat(value('weight')),
+      barcode: value('barcode') || null,
+      attributes: row
+    };
+  }
+
+  /**
+   * Every product in the feed keyed by SKU. The feed is read once per adapter,
+   * so one sync run sees one consistent file.
+   */
+  async loadProducts() {
+    if (!this.products) {
+      const rows = parseCsv(await this.readFeed(), { delimiter: this.settings.delimiter || ',' });
+      this.headers = rows.length > 0 ? Object.keys(rows[0]) : [];
+      this.products = new Map();
+      for (const row of rows) {
+        const product = this.toProduct(row);
+        if (product) this.products.set(product.sku, product);
+      }
+    }
+    return this.products;
+  }
+
+  /**
+   * Re-read the feed and report what the column mapping finds, for the settings page
+   */
+  async inspectFeed() {
+    this.products = null;
+    const products = await this.loadProducts();
+
+    return {
+      productCount: products.size,
+      missingColumns: Object.entries(this.columns)
+        .filter(([, column]) => !this.headers.includes(column))
+        .map(([field, column]) => ({ field, column })),
+      sample: [...products.values()].slice(0, 5).map(({ sku, name, brand, price, inventoryQuantity }) => ({
+        sku, name, brand, price, inventoryQuantity
+      }))
+    };
+  }
+
+  async *iterateCatalog(brand, { pageSize = 50 } = {}) {
+    const products = [...(await this.loadProducts()).values()].filter(product =>
+      !brand || (product.brand || '').toLowerCase() === String(brand).toLowerCase()
+    );
+
+    for (let start = 0; start < products.length; start += pageSize) {
+      yield { items: products.slice(start, start + pageSize) };
+    }
+  }
+
+  async getProduct(sku) {
+    return (await this.loadProducts()).get(sku) || null;
+  }
+
+  async getBulkInventory(skus) {
+    const products = await this.loadProducts();
+    const items = new Map();
+
+    for (const sku of skus) {
+      const product = products.get(sku);
+      if (product) items.set(sku, { inventoryQuantity: product.inventoryQuantity });
+    }
+
+    return { items, errors: new Map() };
+  }
+
+  async getBulkPricing(skus) {
+    const products = await this.loadProducts();
+    const items = new Map();
+
+    for (const sku of skus) {
+      const product = products.get(sku);
+      if (product) {
+        items.set(sku, {
+          price: product.price,
+          mapPrice: product.mapPrice,
+          retailPrice: product.retailPrice,
+          jobberPrice: product.jobberPrice
+        });
+      }
+    }
+
+    return { items, errors: new Map() };
+  }
+}
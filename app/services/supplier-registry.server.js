@@ -0,0 +1,190 @@
+// Supplier registry: builds adapters for a shop's supplier connections
+
+// app/services/supplier-registry.server.js
+import { prisma } from '../db.server.js';
+import { decryptTurn14Credentials } from './turn14-api.server.js';
+import { SupplierError } from './supplier-adapter.server.js';
+import { Turn14SupplierAdapter } from './supplier-turn14.server.js';
+import { CsvSupplierAdapter } from './supplier-csv.server.js';
+import { logger } from '../utils/logger.server.js';
+
+// Adapters for suppliers stored in SupplierConfig, keyed by SupplierConfig.supplier.
+// Turn 14 accounts live in Turn14Config and are loaded separately.
+const CONFIGURED_SUPPLIERS = {
+  [CsvSupplierAdapter.supplier]: CsvSupplierAdapter
+};
+
+export const SUPPLIER_LABELS = {
+  [Turn14SupplierAdapter.supplier]: Turn14SupplierAdapter.label,
+  [CsvSupplierAdapter.supplier]: CsvSupplierAdapter.label
+};
+
+/**
+ * Adapters for every supplier connection of a shop, optionally only one
+ * profile's: Turn 14 accounts first (production default leading), then other
+ * suppliers oldest first. Disabled connections are included unless `activeOnly`.
+ */
+export async function getSupplierAdapters(shop, { profile = null, activeOnly = false } = {}) {
+  const [turn14Configs, supplierConfigs] = await Promise.all([
+    prisma.turn14Config.findMany({
+      where: { shop, ...(profile && { profile }) },
+      orderBy: [{ profile: 'asc' }, { isDefault: 'desc' }, { createdAt: 'asc' }]
+    }),
+    prisma.supplierConfig.findMany({
+      where: { shop, ...(profile && { profile }) },
+      orderBy: { createdAt: 'asc' }
+    })
+  ]);
+
+  const adapters = turn14Configs.map(config => new Turn14SupplierAdapter(shop, decryptTurn14Credentials(config)));
+
+  // Products imported before accounts were tagged sync through the first account
+  if (adapters.length > 0) {
+    adapters[0].ownsUntaggedProducts = true;
+  }
+
+  for (const config of supplierConfigs) {
+    const Adapter = CONFIGURED_SUPPLIERS[config.supplier];
+    if (!Adapter) {
+      logger.warn('Skipping supplier with no adapter', { shop, supplier: config.supplier, id: config.id });
+      continue;
+    }
+    adapters.push(new Adapter(shop, config));
+  }
+
+  return activeOnly ? adapters.filter(adapter => adapter.isActive) : adapters;
+}
+
+/**
+ * The adapter an imported product syncs through, or null if its supplier
+ * connection was removed
+ */
+export async function getSupplierAdapterForProduct(shop, product) {
+  const adapters = await getSupplierAdapters(shop);
+  return adapters.find(adapter => adapter.ownsProduct(product)) || null;
+}
+
+/**
+ * First active adapter with a capability, e.g. the vehicle database for YMM
+ */
+export async function findSupplierAdapter(shop, capability) {
+  const adapters = await getSupplierAdapters(shop, { activeOnly: true });
+  return adapters.find(adapter => adapter.supports(capability)) || null;
+}
+
+// Parse a SupplierConfig row's settings for the admin UI
+function hydrateSupplierConfig(config) {
+  return {
+    ...config,
+    settings: config.settings ? JSON.parse(config.settings) : {}
+  };
+}
+
+/**
+ * Non-Turn 14 supplier connections of a shop
+ */
+export async function listSupplierConfigs(shop) {
+  const configs = await prisma.supplierConfig.findMany({
+    where: { shop },
+    orderBy: [{ profile: 'asc' }, { createdAt: 'asc' }]
+  });
+
+  return configs.map(hydrateSupplierConfig);
+}
+
+/**
+ * Create a supplier connection, or update it when `supplierId` is given
+ */
+export async function saveSupplierConfig(shop, data, supplierId = null) {
+  const { supplier, name, profile, isActive, settings } = data;
+
+  if (!supplierId && !CONFIGURED_SUPPLIERS[supplier]) {
+    throw new SupplierError(`Unknown supplier type: ${supplier}`, supplier);
+  }
+  if (name !== undefined && !name.trim()) {
+    throw new SupplierError('A supplier name is required', supplier);
+  }
+  if (settings !== undefined) {
+    CONFIGURED_SUPPLIERS[supplier]?.validateSettings?.(settings);
+  }
+
+  const fields = {
+    ...(name !== undefined && { name: name.trim() }),
+    ...(profile !== undefined && { profile }),
+    ...(isActive !== undefined && { isActive }),
+    ...(settings !== undefined && { settings: JSON.stringify(settings) })
+  };
+
+  try {
+    if (supplierId) {
+      const existing = await prisma.supplierConfig.findFirst({ where: { id: supplierId, shop } });
+      if (!existing) {
+        throw new SupplierError('Supplier not found');
+      }
+
+      return hydrateSupplierConfig(await prisma.supplierConfig.update({
+        where: { id: supplierId },
+        data: fields
+      }));
+    }
+
+    return hydrateSupplierConfig(await prisma.supplierConfig.create({
+      data: { shop, supplier, ...fields }
+    }));
+  } catch (error) {
+    if (error.code === 'P2002') {
+      throw new SupplierError(`A supplier named "${name}" already exists in this profile`, supplier);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Remove a supplier connection. Its imported products stay in Shopify but are
+ * paused, since nothing can sync them any more.
+ */
+export async function deleteSupplierConfig(shop, supplierId) {
+  const existing = await prisma.supplierConfig.findFirst({ where: { id: supplierId, shop } });
+  if (!existing) {
+    throw new SupplierError('Supplier not found');
+  }
+
+  await prisma.$transaction([
+    prisma.turn14ImportedProduct.updateMany({
+      where: { supplierConfigId: supplierId },
+      data: { supplierConfigId: null, syncStatus: 'paused' }
+    }),
+    prisma.turn14SyncState.deleteMany({ where: { accountId: supplierId } }),
+    prisma.supplierConfig.delete({ where: { id: supplierId } })
+  ]);
+
+  logger.info('Deleted supplier', { shop, supplierId, supplier: existing.supplier });
+}
+
+/**
+ * Read a supplier's feed and record whether it worked. Only adapters with an
+ * `inspectFeed` method (flat-file suppliers) can be checked this way.
+ */
+export async function inspectSupplierFeed(shop, supplierId) {
+  const config = await prisma.supplierConfig.findFirst({ where: { id: supplierId, shop } });
+  const Adapter = config && CONFIGURED_SUPPLIERS[config.supplier];
+  if (!Adapter) {
+    throw new SupplierError('Supplier not found');
+  }
+
+  const adapter = new Adapter(shop, config);
+  try {
+    const report = await adapter.inspectFeed();
+    await prisma.supplierConfig.update({
+      where: { id: supplierId },
+      data: { lastValidated: new Date(), validationError: null }
+    });
+    return report;
+  } catch (error) {
+    await prisma.supplierConfig.update({
+      where: { id: supplierId },
+      data: { validationError: error.message }
+    });
+    throw error;
+  }
+}
@@ -0,0 +1,259 @@
+// Turn 14 supplier adapter
+
+// app/services/supplier-turn14.server.js
+import {
+  Turn14ApiService,
+  Turn14CircuitOpenError,
+  Turn14RateLimitError,
+  fetchTurn14Product,
+  fetchTurn14ShippingRates,
+  submitTurn14Order,
+  toTurn14SupplierProduct
+} from './turn14-api.server.js';
+import {
+  getStagedInventory,
+  getStagedPricing,
+  ingestTurn14Feeds,
+  iterateStagedItemsByBrand
+} from './turn14-feed.server.js';
+import {
+  SUPPLIER_CAPABILITIES,
+  SupplierAdapter,
+  SupplierRateLimitError,
+  SupplierUnavailableError
+} from './supplier-adapter.server.js';
+
+// Turn 14 outages and throttling surface as the supplier-neutral errors the
+// sync engine handles; anything else passes through unchanged
+function toSupplierError(error) {
+  if (error instanceof Turn14CircuitOpenError) {
+    const wrapped = new SupplierUnavailableError(error.message, 'turn14', error.retryAt);
+    wrapped.cause = error;
+    return wrapped;
+  }
+  if (error instanceof Turn14RateLimitError) {
+    const wrapped = new SupplierRateLimitError(error.message, 'turn14', error.retryAfterMs);
+    wrapped.cause = error;
+    return wrapped;
+  }
+  return error;
+}
+
+function toFloat(value) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+function toFitment(record) {
+  return {
+    year: record.year,
+    make: record.make,
+    model: record.model,
+    submodel: record.submodel || null,
+    engine: record.engine,
+    engineSize: record.engine_size,
+    fuelType: record.fuel_type,
+    transmission: record.transmission,
+    driveType: record.drive_type,
+    bodyStyle: record.body_style,
+    vehicleId: record.vehicle_id,
+    mmyId: record.mmy_id,
+    notes: record.notes,
+    restrictions: record.restrictions,
+    isUniversal: record.is_universal || false
+  };
+}
+
+// Map every entry of a `{ items, errors }` lookup
+function mapLookup({ items, errors }, mapItem) {
+  return {
+    items: new Map([...items].map(([sku, item]) => [sku, mapItem(item)])),
+    errors: new Map([...errors].map(([sku, error]) => [sku, toSupplierError(error)]))
+  };
+}
+
+/**
+ * One Turn 14 dealer account. Wraps Turn14ApiService and the bulk-feed staging
+ * table; `config` is a Turn14Config row with decrypted credentials.
+ */
+export class Turn14SupplierAdapter extends SupplierAdapter {
+  static supplier = 'turn14';
+  static label = 'Turn 14';
+  static capabilities = SUPPLIER_CAPABILITIES;
+
+  constructor(shop, config) {
+    super(shop, {
+      id: config.id,
+      name: config.name,
+      profile: config.profile,
+      isActive: config.isActive,
+      settings: config.syncSettings ? JSON.parse(config.syncSettings) : {}
+    });
+
+    this.config = config;
+    this.account = { shop, accountId: config.id };
+    this.api = new Turn14ApiService(shop, config.id);
+    this.selectedBrands = config.selectedBrands ? JSON.parse(config.selectedBrands) : [];
+    // Set on the account that syncs products imported before accounts were tagged
+    this.ownsUntaggedProducts = false;
+  }
+
+  async connect() {
+    try {
+      return await this.api.authenticate(this.config.apiKey, this.config.apiSecret, this.config.environment);
+    } catch (error) {
+      throw toSupplierError(error);
+    }
+  }
+
+  getProductOwner() {
+    return { supplier: this.supplier, accountId: this.id };
+  }
+
+  ownsProduct(product) {
+    if (product.supplier !== this.supplier) return false;
+    return product.accountId ? product.accountId === this.id : this.ownsUntaggedProducts;
+  }
+
+  /**
+   * Turn 14 imports walk the account's selected brands; nothing is imported
+   * until at least one is selected
+   */
+  getCatalogScopes() {
+    return this.selectedBrands;
+  }
+
+  getProductTag() {
+    return 'Turn14';
+  }
+
+  /**
+   * Whether to read catalog data from the bulk-feed staging table instead of the
+   * REST API. Set `catalogSource: "feed"` per sync or in the account's syncSettings.
+   */
+  usesCatalogFeed(settings = {}) {
+    return (settings.catalogSource ?? this.settings.catalogSource) === 'feed';
+  }
+
+  /**
+   * Delta mode needs live updated-since data, so feed-sourced syncs never use it.
+   * Set `delta: true` per sync or `deltaSync: true` in the account's syncSettings.
+   */
+  usesDeltaSync(settings = {}) {
+    return Boolean(settings.delta ?? this.settings.deltaSync) && !this.usesCatalogFeed(settings);
+  }
+
+  /**
+   * Batch size and concurrency for bulk lookups; job settings override the
+   * account's syncSettings and unset values use the client defaults
+   */
+  getBatchOptions(settings = {}) {
+    return {
+      batchSize: parseInt(settings.batchSize ?? this.settings.batchSize) || undefined,
+      concurrency: parseInt(settings.batchConcurrency ?? this.settings.batchConcurrency) || undefined
+    };
+  }
+
+  async *iterateCatalog(brandId, { settings = {}, pageSize = 50 } = {}) {
+    const pages = this.usesCatalogFeed(settings)
+      ? iterateStagedItemsByBrand(this.account, brandId, { pageSize })
+      : this.api.iterateItemsByBrand(brandId, { pageSize });
+
+    try {
+      for await (const page of pages) {
+        yield { ...page, items: page.items.map(item => ({ ...toTurn14SupplierProduct(item), brandId: String(brandId) })) };
+      }
+    } catch (error) {
+      throw toSupplierError(error);
+    }
+  }
+
+  async getProduct(sku) {
+    try {
+      return toTurn14SupplierProduct(await fetchTurn14Product(this.account, sku));
+    } catch (error) {
+      throw toSupplierError(error);
+    }
+  }
+
+  async getBulkInventory(skus, settings = {}) {
+    try {
+      const lookup = this.usesCatalogFeed(settings)
+        ? await getStagedInventory(this.account, skus)
+        : await this.api.getBulkInventory(skus, this.getBatchOptions(settings));
+
+      return mapLookup(lookup, item => ({ inventoryQuantity: item.inventory_quantity || 0 }));
+    } catch (error) {
+      throw toSupplierError(error);
+    }
+  }
+
+  async getBulkPricing(skus, settings = {}) {
+    try {
+      const lookup = this.usesCatalogFeed(settings)
+        ? await getStagedPricing(this.account, skus)
+        : await this.api.getBulkPricing(skus, this.getBatchOptions(settings));
+
+      return mapLookup(lookup, item => ({
+        price: toFloat(item.price),
+        mapPrice: toFloat(item.map_price ?? item.mapPrice),
+        retailPrice: toFloat(item.retail_price ?? item.retailPrice ?? item.msrp),
+        jobberPrice: toFloat(item.jobber_price ?? item.jobberPrice ?? item.jobber)
+      }));
+    } catch (error) {
+      throw toSupplierError(error);
+    }
+  }
+
+  async getChangedSkus(kind, since) {
+    try {
+      return await this.api.getChangedSkus(kind, since);
+    } catch (error) {
+      throw toSupplierError(error);
+    }
+  }
+
+  async getFitment(sku) {
+    try {
+      const { items } = await this.api.getItemCompatibility(sku);
+      return items.map(toFitment);
+    } catch (error) {
+      throw toSupplierError(error);
+    }
+  }
+
+  async *iterateVehicles(params = {}) {
+    try {
+      yield* this.api.iterateVehicles(params);
+    } catch (error) {
+      throw toSupplierError(error);
+    }
+  }
+
+  async submitOrder(order) {
+    try {
+      return await submitTurn14Order(this.account, order);
+    } catch (error) {
+      throw toSupplierError(error);
+    }
+  }
+
+  async getShippingRates(rateRequest) {
+    try {
+      return await fetchTurn14ShippingRates(this.account, rateRequest);
+    } catch (error) {
+      throw toSupplierError(error);
+    }
+  }
+
+  async ingestFeeds(settings = {}) {
+    try {
+      return await ingestTurn14Feeds(this.account, settings.feedTypes, {
+        batchSize: parseInt(settings.feedBatchSize) || undefined,
+        filePaths: settings.feedFilePaths
+      });
+    } catch (error) {
+      throw toSupplierError(error);
+    }
+  }
+}
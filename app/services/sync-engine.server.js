@@ -1,57 +1,149 @@
+import { randomUUID } from "node:crypto";
 import { prisma } from "../db.server.js";
-import { Turn14ApiService } from "./turn14-api.server.js";
-import { getShopifyAdminApi } from "../utils/shopify.server.js";
+import {
+  SupplierRateLimitError,
+  SupplierUnavailableError
+} from "./supplier-adapter.server.js";
+import { getSupplierAdapters } from "./supplier-registry.server.js";
+import { getFieldMapping } from "./product-mapping.server.js";
+import { toProductSetInput, transformSupplierProduct } from "../utils/product-mapping.js";
+import { evaluatePricingRules } from "../utils/pricing-rules.js";
+import {
+  enforceMapPrice,
+  getMapPolicies,
+  getOpenMapViolations,
+  recordMapViolation,
+  resolveMapPolicy,
+  resolveMapViolation
+} from "./map-enforcement.server.js";
+import { getCompareAtPrice, getCompareAtSettings } from "./compare-at-pricing.server.js";
+import { getJobPriceChanges, recordPriceChange } from "./price-history.server.js";
+import {
+  CONTENT_FIELDS,
+  LOCKABLE_FIELDS,
+  fieldDiffers,
+  getLockedFields,
+  getUnlockedContent,
+  isFieldLocked
+} from "../utils/field-locks.js";
+import {
+  SYNC_JOB_LEASE_MS,
+  SYNC_STOP_POLL_MS,
+  SYNC_STOP_STATUSES,
+  SyncJobInterruptedError,
+  UNFINISHED_SYNC_STATUSES,
+  renewSyncJobLease,
+  saveSyncJobCheckpoint
+} from "./sync-queue.server.js";
+import {
+  CATCH_UP_POLICIES,
+  DEFAULT_TIME_ZONE,
+  FREQUENCY_CRONS,
+  getScheduleCron,
+  isValidTimeZone,
+  nextScheduledRuns,
+  parseCron,
+  validateBlackoutWindows
+} from "../utils/cron.js";
+import { runWithTurn14AuditContext } from "./turn14-audit-log.server.js";
+import {
+  acquireSyncLocks,
+  releaseSyncLocks,
+  renewSyncLocks
+} from "./sync-locks.server.js";
 import { logger } from "../utils/logger.server.js";
 
 export class SyncEngine {
-  constructor(shop, sessionToken) {
+  constructor(shop, sessionToken, admin) {
     this.shop = shop;
     this.sessionToken = sessionToken;
-    this.turn14Api = new Turn14ApiService();
-    this.shopifyAdmin = getShopifyAdminApi(sessionToken);
+    this.shopifyAdmin = admin;
+    // Sync job being run, for records that point back to it
+    this.jobId = null;
+    this.syncType = null;
+    // Worker holding the job's lease, this run's sync lock holder, its resume
+    // cursors, and why it must stop
+    this.workerId = null;
+    this.lockHolder = null;
+    this.checkpoint = {};
+    this.checkpointWrites = 0;
+    this.interruption = null;
+    // "cancel" or "pause" once the merchant asks the running job to stop
+    this.stopRequest = null;
   }
 
   /**
-   * Run a sync job based on type
+   * Run a job record, resuming from its checkpoint if an earlier attempt was
+   * interrupted. The job's lease is renewed while it runs so the reaper can
+   * tell a live job from one whose process died. Throws SyncLockedError,
+   * leaving the job untouched, while another run holds the sync type's lock.
    */
-  async runSync(syncType, scheduleId = null, settings = {}) {
-    const syncJob = await this.createSyncJob(syncType, scheduleId);
+  async executeSyncJob(syncJob, { workerId }) {
+    const { syncType } = syncJob;
+    const settings = syncJob.settings ? JSON.parse(syncJob.settings) : {};
+
+    this.jobId = syncJob.id;
+    this.syncType = syncType;
+    this.workerId = workerId;
+    // Unique per run, so neither another run nor a stale attempt at this job shares the locks
+    this.lockHolder = randomUUID();
+    this.checkpoint = syncJob.checkpoint ? JSON.parse(syncJob.checkpoint) : {};
+    this.interruption = null;
+    this.stopRequest = syncJob.requestedAction || null;
+
+    if (Object.keys(this.checkpoint).length > 0) {
+      logger.info("Resuming sync job from checkpoint", { shop: this.shop, jobId: syncJob.id, syncType });
+    }
+
+    await acquireSyncLocks(this.shop, syncType, this.lockHolder, { jobId: syncJob.id });
+
+    const heartbeat = setInterval(() => this.renewLease(), SYNC_JOB_LEASE_MS / 3);
+    const stopPoll = setInterval(() => this.checkStopRequest(), SYNC_STOP_POLL_MS);
     
     try {
       await this.updateSyncJob(syncJob.id, { 
         status: "running", 
-        startTime: new Date() 
+        startTime: syncJob.startTime || new Date(),
+        lockedBy: workerId,
+        leaseExpiresAt: new Date(Date.now() + SYNC_JOB_LEASE_MS),
+        heartbeatAt: new Date()
       });
 
-      let results;
-      switch (syncType) {
-        case "inventory":
-          results = await this.syncInventory(settings);
-          break;
-        case "pricing":
-          results = await this.syncPricing(settings);
-          break;
-        case "products":
-          results = await this.syncNewProducts(settings);
-          break;
-        case "full":
-          results = await this.fullSync(settings);
-          break;
-        default:
-          throw new Error(`Unknown sync type: ${syncType}`);
+      // Attribute every Turn 14 call made by this run to the job in the audit log
+      const results = await runWithTurn14AuditContext(
+        { jobId: syncJob.id },
+        () => this.runSyncType(syncType, settings)
+      );
+
+      // A cancelled or paused job keeps the counts of what it got through, and a
+      // paused one its checkpoint to resume from
+      const status = this.stopRequest ? SYNC_STOP_STATUSES[this.stopRequest] : "completed";
+      if (this.stopRequest) {
+        await saveSyncJobCheckpoint(this.jobId, this.workerId, this.checkpoint);
       }
 
-      await this.updateSyncJob(syncJob.id, {
-        status: "completed",
+      await this.finishSyncJob({
+        status,
+        requestedAction: null,
         endTime: new Date(),
-        ...results,
+        totalItems: results.totalItems || 0,
+        processedItems: results.processedItems || 0,
+        successItems: results.successItems || 0,
+        failedItems: results.failedItems || 0,
+        skippedItems: results.skippedItems || 0,
         results: JSON.stringify(results)
       });
 
-      return { success: true, jobId: syncJob.id, results };
+      return { success: true, jobId: syncJob.id, status, results };
     } catch (error) {
-      await this.updateSyncJob(syncJob.id, {
-        status: "failed",
+      // The checkpoint is saved; whoever holds or reclaims the job resumes it
+      if (error instanceof SyncJobInterruptedError) {
+        throw error;
+      }
+
+      // An unreachable supplier is an outage, not a broken job
+      await this.finishSyncJob({
+        status: error instanceof SupplierUnavailableError ? "deferred" : "failed",
         endTime: new Date(),
         errorMessage: error.message
       });
@@ -63,162 +155,516 @@ export class SyncEngine {
       });
       
       throw error;
+    } finally {
+      clearInterval(heartbeat);
+      clearInterval(stopPoll);
+      await releaseSyncLocks(this.shop, syncType, this.lockHolder);
     }
   }
 
   /**
-   * Sync inventory levels for imported products
+   * Record the running job's outcome and release its lease, unless the job was
+   * meanwhile requeued and claimed by another worker
    */
-  async syncInventory(settings = {}) {
-    const config = await this.getTurn14Config();
-    await this.turn14Api.authenticate(config.apiKey, config.apiSecret, config.environment);
+  async finishSyncJob(updates) {
+    await prisma.turn14SyncJob.updateMany({
+      where: { id: this.jobId, lockedBy: this.workerId },
+      data: { ...updates, lockedBy: null, leaseExpiresAt: null }
+    });
+  }
+
+  /**
+   * Renew the running job's lease and sync locks; once another worker or the
+   * reaper has taken the job, or another run the lock, stop at the next
+   * checkpoint
+   */
+  async renewLease() {
+    try {
+      if (!(await renewSyncJobLease(this.jobId, this.workerId))) {
+        this.interrupt(new SyncJobInterruptedError("Lost the lease on the sync job", { leaseLost: true }));
+      } else if (!(await renewSyncLocks(this.shop, this.syncType, this.lockHolder))) {
+        this.interrupt(new SyncJobInterruptedError(`Lost the ${this.syncType} sync lock`));
+      }
+    } catch (error) {
+      logger.warn("Could not renew sync job lease", { shop: this.shop, jobId: this.jobId, error: error.message });
+    }
+  }
 
-    const importedProducts = await prisma.turn14ImportedProduct.findMany({
+  /**
+   * Pick up a cancel or pause request for the running job; the sync loops stop
+   * after the item they are on
+   */
+  async checkStopRequest() {
+    try {
+      const job = await prisma.turn14SyncJob.findUnique({
+        where: { id: this.jobId },
+        select: { requestedAction: true }
+      });
+      if (job?.requestedAction && !this.stopRequest) {
+        logger.info("Stopping sync job on request", { shop: this.shop, jobId: this.jobId, action: job.requestedAction });
+        this.stopRequest = job.requestedAction;
+      }
+    } catch (error) {
+      logger.warn("Could not check sync job for a stop request", { shop: this.shop, jobId: this.jobId, error: error.message });
+    }
+  }
+
+  /**
+   * Ask the running sync to stop at its next checkpoint with `error`
+   */
+  interrupt(error) {
+    this.interruption = this.interruption || error;
+  }
+
+  /**
+   * Throw the pending interruption, if any
+   */
+  assertNotInterrupted() {
+    if (this.interruption) {
+      throw this.interruption;
+    }
+  }
+
+  /**
+   * Where a sync phase ("inventory", "pricing", "products") left off for one
+   * supplier connection in an earlier attempt at this job
+   */
+  getCheckpoint(phase, key) {
+    return this.checkpoint[phase]?.[key] ?? null;
+  }
+
+  /**
+   * Record progress for a phase and supplier connection. Writes are batched,
+   * and always flushed before an interruption is thrown.
+   * Syncs run outside a job (e.g. a single product) keep no checkpoint.
+   */
+  async saveCheckpoint(phase, key, value) {
+    if (!this.jobId || !this.workerId) {
+      return;
+    }
+
+    this.checkpoint = {
+      ...this.checkpoint,
+      [phase]: { ...this.checkpoint[phase], [key]: value }
+    };
+    this.checkpointWrites++;
+
+    if (this.interruption || this.checkpointWrites % 25 === 0) {
+      await saveSyncJobCheckpoint(this.jobId, this.workerId, this.checkpoint);
+    }
+
+    this.assertNotInterrupted();
+  }
+
+  /**
+   * Products of one supplier connection in SKU order, without those an earlier
+   * attempt at this job already synced in `phase`. Returns the remaining
+   * products and the cursor they resume after (null on a fresh run).
+   */
+  resumeFromCheckpoint(phase, adapter, products) {
+    const cursor = this.getCheckpoint(phase, adapter.id);
+    const sorted = [...products].sort((a, b) => (a.sku < b.sku ? -1 : a.sku > b.sku ? 1 : 0));
+
+    return {
+      cursor,
+      remaining: cursor ? sorted.filter(p => p.sku > cursor) : sorted
+    };
+  }
+
+  /**
+   * Dispatch to the sync for a job type
+   */
+  async runSyncType(syncType, settings) {
+    switch (syncType) {
+      case "inventory":
+        return await this.syncInventory(settings);
+      case "pricing":
+        return await this.syncPricing(settings);
+      case "products":
+        return await this.syncNewProducts(settings);
+      case "content":
+        return await this.syncContent(settings);
+      case "full":
+        return await this.fullSync(settings);
+      case "feed":
+        return await this.ingestCatalogFeeds(settings);
+      default:
+        throw new Error(`Unknown sync type: ${syncType}`);
+    }
+  }
+
+  /**
+   * Imported products a sync covers: active ones, limited to `settings.profile`
+   * and `settings.productIds` when set
+   */
+  async getSyncableProducts(settings) {
+    return prisma.turn14ImportedProduct.findMany({
       where: {
         shop: this.shop,
-        syncStatus: "active"
+        syncStatus: "active",
+        ...(settings.profile && { profile: settings.profile }),
+        ...(settings.productIds && { id: { in: settings.productIds } })
       }
     });
+  }
+
+  /**
+   * Sync inventory levels for imported products, per supplier connection
+   */
+  async syncInventory(settings = {}) {
+    const importedProducts = await this.getSyncableProducts(settings);
+
+    return this.syncProductsBySupplier(importedProducts, settings, (adapter, products) =>
+      this.syncSupplierInventory(adapter, products, settings)
+    );
+  }
+
+  /**
+   * Sync inventory levels for the products imported from one supplier connection
+   */
+  async syncSupplierInventory(adapter, importedProducts, settings) {
+    if (!adapter.supports("stock")) {
+      return this.skipUnsupported(adapter, importedProducts, "stock");
+    }
+
+    await adapter.connect();
 
     let totalItems = importedProducts.length;
     let processedItems = 0;
     let successItems = 0;
     let failedItems = 0;
+    let skippedItems = 0;
     const errors = [];
 
-    for (const product of importedProducts) {
+    // Products synced before an interruption count as processed
+    const { cursor, remaining } = this.resumeFromCheckpoint("inventory", adapter, importedProducts);
+    processedItems += importedProducts.length - remaining.length;
+
+    const startedAt = new Date();
+    const delta = await this.selectDeltaCandidates("inventory", remaining, settings, adapter);
+    skippedItems += remaining.length - delta.candidates.length;
+    processedItems += remaining.length - delta.candidates.length;
+
+    // Get current inventory from the supplier in as few requests as it allows
+    const inventoryLookup = await adapter.getBulkInventory(delta.candidates.map(p => p.sku), settings);
+
+    for (const product of delta.candidates) {
+      // Stop between items when the job is cancelled or paused
+      if (this.stopRequest) break;
+
       try {
-        // Get current inventory from Turn 14
-        const inventoryData = await this.turn14Api.getItemInventory(product.turn14Sku);
-        
-        if (inventoryData && inventoryData.items && inventoryData.items.length > 0) {
-          const inventory = inventoryData.items[0];
-          const newQuantity = inventory.inventory_quantity || 0;
-
-          // Update Shopify inventory if different
-          if (newQuantity !== product.inventoryQuantity) {
-            await this.updateShopifyInventory(
-              product.shopifyProductId,
-              product.shopifyVariantId,
-              newQuantity
-            );
-
-            // Update our tracking record
-            await prisma.turn14ImportedProduct.update({
-              where: { id: product.id },
-              data: {
-                inventoryQuantity: newQuantity,
-                lastSynced: new Date(),
-                syncStatus: "active"
-              }
-            });
-          }
+        const lookupError = inventoryLookup.errors.get(product.sku);
+        if (lookupError) {
+          throw lookupError;
         }
 
+        const inventory = inventoryLookup.items.get(product.sku);
+        const newQuantity = inventory ? inventory.inventoryQuantity || 0 : null;
+
+        // Only write to Shopify when the quantity differs from the last synced snapshot
+        if (newQuantity === null || newQuantity === product.inventoryQuantity) {
+          skippedItems++;
+          processedItems++;
+          continue;
+        }
+
+        await this.updateShopifyInventory(
+          product.shopifyProductId,
+          product.shopifyVariantId,
+          newQuantity
+        );
+
+        // Update our tracking record
+        await prisma.turn14ImportedProduct.update({
+          where: { id: product.id },
+          data: {
+            inventoryQuantity: newQuantity,
+            lastSynced: new Date(),
+            syncStatus: "active"
+          }
+        });
+
         successItems++;
       } catch (error) {
         failedItems++;
         errors.push({
-          sku: product.turn14Sku,
+          sku: product.sku,
           error: error.message
         });
 
-        // Update product with error status
-        await prisma.turn14ImportedProduct.update({
-          where: { id: product.id },
-          data: {
-            syncStatus: "error",
-            syncErrors: JSON.stringify([{
-              timestamp: new Date().toISOString(),
-              message: error.message
-            }])
-          }
-        });
+        await this.handleProductSyncError(product, error);
+      } finally {
+        await this.saveCheckpoint("inventory", adapter.id, product.sku);
       }
 
       processedItems++;
     }
 
+    // A resumed or stopped run didn't see every change, so it can't advance the mark
+    if (failedItems === 0 && !cursor && !this.stopRequest) {
+      await this.advanceHighWaterMark("inventory", startedAt, delta.strategy, settings, adapter);
+    }
+
     return {
       totalItems,
       processedItems,
       successItems,
       failedItems,
+      skippedItems,
+      deltaStrategy: delta.strategy,
       errors
     };
   }
 
   /**
-   * Sync pricing for imported products
+   * Sync pricing for imported products, each from its own supplier's price list
    */
   async syncPricing(settings = {}) {
-    const config = await this.getTurn14Config();
-    await this.turn14Api.authenticate(config.apiKey, config.apiSecret, config.environment);
+    const importedProducts = await this.getSyncableProducts(settings);
 
-    const importedProducts = await prisma.turn14ImportedProduct.findMany({
-      where: {
-        shop: this.shop,
-        syncStatus: "active"
-      }
-    });
+    return this.syncProductsBySupplier(importedProducts, settings, (adapter, products) =>
+      this.syncSupplierPricing(adapter, products, settings)
+    );
+  }
+
+  /**
+   * Sync pricing for the products imported from one supplier connection
+   */
+  async syncSupplierPricing(adapter, importedProducts, settings) {
+    if (!adapter.supports("pricing")) {
+      return this.skipUnsupported(adapter, importedProducts, "pricing");
+    }
+
+    await adapter.connect();
 
     let totalItems = importedProducts.length;
     let processedItems = 0;
     let successItems = 0;
     let failedItems = 0;
+    let skippedItems = 0;
     const errors = [];
+    let mapViolations = 0;
+    const pricingRules = adapter.getPricingRules(settings);
+    const mapPolicies = await getMapPolicies(this.shop);
+    const compareAtSettings = await getCompareAtSettings(this.shop);
+
+    // Products synced before an interruption count as processed, and products
+    // with a locked price keep the price the merchant set
+    const { cursor, remaining } = this.resumeFromCheckpoint("pricing", adapter, importedProducts);
+    const unlockedProducts = remaining.filter(p => !isFieldLocked(p, "price"));
+    const openViolations = await getOpenMapViolations(this.shop, unlockedProducts.map(p => p.id));
+    processedItems += importedProducts.length - remaining.length;
+
+    const startedAt = new Date();
+    const delta = await this.selectDeltaCandidates("pricing", unlockedProducts, settings, adapter);
+    skippedItems += remaining.length - delta.candidates.length;
+    processedItems += remaining.length - delta.candidates.length;
+
+    // Get current pricing from the supplier in as few requests as it allows
+    const pricingLookup = await adapter.getBulkPricing(delta.candidates.map(p => p.sku), settings);
+
+    for (const product of delta.candidates) {
+      // Stop between items when the job is cancelled or paused
+      if (this.stopRequest) break;
 
-    for (const product of importedProducts) {
       try {
-        // Get current pricing from Turn 14
-        const pricingData = await this.turn14Api.getItemPricing(product.turn14Sku);
-        
-        if (pricingData && pricingData.items && pricingData.items.length > 0) {
-          const pricing = pricingData.items[0];
-          const newPrice = pricing.price || product.originalPrice;
-
-          // Calculate price with markup
-          const finalPrice = newPrice * (1 + (product.priceMarkup / 100));
-
-          // Update Shopify pricing if different
-          if (newPrice !== product.originalPrice || finalPrice !== product.currentPrice) {
-            await this.updateShopifyPricing(
-              product.shopifyProductId,
-              product.shopifyVariantId,
-              finalPrice
-            );
-
-            // Update our tracking record
-            await prisma.turn14ImportedProduct.update({
-              where: { id: product.id },
-              data: {
-                originalPrice: newPrice,
-                currentPrice: finalPrice,
-                lastSynced: new Date(),
-                syncStatus: "active"
-              }
-            });
-          }
+        const lookupError = pricingLookup.errors.get(product.sku);
+        if (lookupError) {
+          throw lookupError;
+        }
+
+        const pricing = pricingLookup.items.get(product.sku);
+        if (!pricing) {
+          skippedItems++;
+          processedItems++;
+          continue;
+        }
+
+        const newPrice = pricing.price || product.originalPrice;
+        const mapPrice = pricing.mapPrice ?? null;
+        const retailPrice = pricing.retailPrice ?? null;
+
+        // Pricing rules set the sell price; the product's own markup applies when none match.
+        // The brand's MAP policy then decides what happens to a price below MAP.
+        const result = evaluatePricingRules(pricingRules, product, { ...pricing, price: newPrice }, {
+          fallbackMarkup: product.priceMarkup
+        });
+        const enforced = enforceMapPrice(result.price, mapPrice, resolveMapPolicy(mapPolicies, product.brand));
+        const finalPrice = enforced.price;
+        const compareAtPrice = getCompareAtPrice(compareAtSettings, product.brand, finalPrice, retailPrice);
+        const openViolation = openViolations.get(product.id);
+
+        // Only write to Shopify when pricing differs from the last synced snapshot
+        if (
+          newPrice === product.originalPrice &&
+          finalPrice === product.currentPrice &&
+          compareAtPrice === product.compareAtPrice &&
+          mapPrice === product.mapPrice &&
+          result.rule === product.pricingRule &&
+          enforced.action === (openViolation?.action ?? null)
+        ) {
+          skippedItems++;
+          processedItems++;
+          continue;
+        }
+
+        await this.updateShopifyPricing(
+          product.shopifyProductId,
+          product.shopifyVariantId,
+          finalPrice,
+          compareAtPrice
+        );
+
+        if (newPrice !== product.originalPrice || mapPrice !== product.mapPrice) {
+          await this.updateShopifyPriceMetafields(product, newPrice, mapPrice);
+        }
+
+        if (await this.applyMapViolation(product, {
+          mapPrice,
+          computedPrice: result.price,
+          appliedPrice: finalPrice,
+          action: enforced.action
+        }, openViolation)) {
+          mapViolations++;
         }
 
+        await recordPriceChange(this.shop, product, {
+          cost: newPrice,
+          price: finalPrice,
+          compareAtPrice
+        }, { source: "sync", jobId: this.jobId });
+
+        // Update our tracking record
+        await prisma.turn14ImportedProduct.update({
+          where: { id: product.id },
+          data: {
+            originalPrice: newPrice,
+            currentPrice: finalPrice,
+            compareAtPrice,
+            mapPrice,
+            retailPrice,
+            pricingRule: result.rule,
+            lastSynced: new Date(),
+            syncStatus: "active"
+          }
+        });
+
         successItems++;
       } catch (error) {
         failedItems++;
         errors.push({
-          sku: product.turn14Sku,
+          sku: product.sku,
           error: error.message
         });
 
+        await this.handleProductSyncError(product, error);
+      } finally {
+        await this.saveCheckpoint("pricing", adapter.id, product.sku);
+      }
+
+      processedItems++;
+    }
+
+    if (failedItems === 0 && !cursor && !this.stopRequest) {
+      await this.advanceHighWaterMark("pricing", startedAt, delta.strategy, settings, adapter);
+    }
+
+    return {
+      totalItems,
+      processedItems,
+      successItems,
+      failedItems,
+      skippedItems,
+      mapViolations,
+      deltaStrategy: delta.strategy,
+      errors
+    };
+  }
+
+  /**
+   * Refresh the title, description, images and tags of imported products from
+   * their supplier's catalog through the shop's field mapping, per supplier
+   * connection
+   */
+  async syncContent(settings = {}) {
+    const importedProducts = await this.getSyncableProducts(settings);
+    const fieldMapping = await getFieldMapping(this.shop);
+
+    return this.syncProductsBySupplier(importedProducts, settings, (adapter, products) =>
+      this.syncSupplierContent(adapter, products, settings, fieldMapping)
+    );
+  }
+
+  /**
+   * Refresh content for the products imported from one supplier connection.
+   * Locked fields are left as they are in Shopify.
+   */
+  async syncSupplierContent(adapter, importedProducts, settings, fieldMapping) {
+    if (!adapter.supports("catalog")) {
+      return this.skipUnsupported(adapter, importedProducts, "catalog");
+    }
+
+    await adapter.connect();
+
+    let totalItems = importedProducts.length;
+    let processedItems = 0;
+    let successItems = 0;
+    let failedItems = 0;
+    let skippedItems = 0;
+    const errors = [];
+
+    for (const product of importedProducts) {
+      // Content refreshes are idempotent, so an interrupted one just starts over
+      this.assertNotInterrupted();
+      if (this.stopRequest) break;
+
+      try {
+        const locked = getLockedFields(product);
+        const supplierProduct = Object.keys(CONTENT_FIELDS).every(field => locked.includes(field))
+          ? null
+          : await adapter.getProduct(product.sku);
+
+        // Nothing to refresh when every content field is locked or the supplier dropped the product
+        if (!supplierProduct) {
+          skippedItems++;
+          processedItems++;
+          continue;
+        }
+
+        const payload = transformSupplierProduct(supplierProduct, fieldMapping, {
+          tag: adapter.getProductTag(),
+          supplier: adapter.supplier
+        });
+
+        await this.shopifyAdmin.rest.resources.Product.save({
+          session: { shop: this.shop, accessToken: this.sessionToken },
+          id: product.shopifyProductId,
+          ...getUnlockedContent(product, payload)
+        });
+
         await prisma.turn14ImportedProduct.update({
           where: { id: product.id },
           data: {
-            syncStatus: "error",
-            syncErrors: JSON.stringify([{
-              timestamp: new Date().toISOString(),
-              message: error.message
-            }])
+            brand: supplierProduct.brand,
+            category: supplierProduct.category,
+            lastSynced: new Date(),
+            syncStatus: "active"
           }
         });
+
+        successItems++;
+      } catch (error) {
+        if (error instanceof SupplierUnavailableError) {
+          throw error;
+        }
+
+        failedItems++;
+        errors.push({
+          sku: product.sku,
+          error: error.message
+        });
+
+        await this.handleProductSyncError(product, error);
       }
 
       processedItems++;
@@ -229,29 +675,332 @@ export class SyncEngine {
       processedItems,
       successItems,
       failedItems,
+      skippedItems,
       errors
     };
   }
 
   /**
-   * Sync new products from Turn 14
+   * Each lockable field of an imported product with its value in Shopify, the
+   * value the supplier data would set, and whether it is locked or differs.
+   * The supplier side of the price is the last synced price.
+   */
+  async getFieldDifferences(productId) {
+    const product = await prisma.turn14ImportedProduct.findFirst({
+      where: { id: productId, shop: this.shop }
+    });
+
+    if (!product) {
+      throw new Error("Product not found");
+    }
+
+    const shopifyProduct = await this.shopifyAdmin.rest.resources.Product.find({
+      session: { shop: this.shop, accessToken: this.sessionToken },
+      id: product.shopifyProductId,
+      fields: "id,title,body_html,images,tags,variants"
+    });
+
+    if (!shopifyProduct) {
+      throw new Error("The product no longer exists in Shopify");
+    }
+
+    const adapter = (await this.getSupplierAdapters()).find(a => a.ownsProduct(product));
+    let supplierPayload = null;
+    if (adapter?.supports("catalog")) {
+      await adapter.connect();
+      const supplierProduct = await adapter.getProduct(product.sku);
+      if (supplierProduct) {
+        supplierPayload = transformSupplierProduct(supplierProduct, await getFieldMapping(this.shop), {
+          tag: adapter.getProductTag(),
+          supplier: adapter.supplier
+        });
+      }
+    }
+
+    const variant = shopifyProduct.variants?.find(v => String(v.id) === product.shopifyVariantId)
+      || shopifyProduct.variants?.[0];
+    const locked = getLockedFields(product);
+
+    return LOCKABLE_FIELDS.map(({ label, value: field }) => {
+      const shopifyValue = field === "price" ? variant?.price ?? null : shopifyProduct[CONTENT_FIELDS[field]];
+      const supplierValue = field === "price"
+        ? product.currentPrice
+        : supplierPayload?.[CONTENT_FIELDS[field]] ?? null;
+
+      return {
+        field,
+        label,
+        locked: locked.includes(field),
+        shopifyValue,
+        supplierValue,
+        differs: supplierValue !== null && fieldDiffers(field, shopifyValue, supplierValue)
+      };
+    });
+  }
+
+  /**
+   * Results for a supplier that cannot provide what the sync needs: every
+   * product is skipped rather than failed
+   */
+  skipUnsupported(adapter, products, capability) {
+    return {
+      totalItems: products.length,
+      processedItems: products.length,
+      successItems: 0,
+      failedItems: 0,
+      skippedItems: products.length,
+      deltaStrategy: null,
+      errors: [{ error: `${adapter.label} does not provide ${capability}; skipped ${products.length} products` }]
+    };
+  }
+
+  /**
+   * Split imported products by the supplier connection they came from and run
+   * `syncSupplier(adapter, products)` for each, limited to `settings.profile`
+   * when set. Products of disabled connections are skipped. An unreachable
+   * supplier is left for the next run while the others sync, and the job is
+   * deferred only when no supplier could be reached.
+   */
+  async syncProductsBySupplier(products, settings, syncSupplier) {
+    const adapters = await this.getSupplierAdapters(settings.profile);
+    const results = {
+      totalItems: products.length,
+      processedItems: 0,
+      successItems: 0,
+      failedItems: 0,
+      skippedItems: 0,
+      errors: [],
+      accounts: {}
+    };
+    let attempted = 0;
+    const deferred = [];
+
+    for (const adapter of adapters) {
+      // A cancelled or paused job starts no further suppliers
+      if (this.stopRequest) break;
+
+      const supplierProducts = products.filter(p => adapter.ownsProduct(p));
+      if (supplierProducts.length === 0) continue;
+
+      if (!adapter.isActive) {
+        results.processedItems += supplierProducts.length;
+        results.skippedItems += supplierProducts.length;
+        results.errors.push({
+          account: adapter.name,
+          error: `${adapter.label} connection is disabled; skipped ${supplierProducts.length} products`
+        });
+        continue;
+      }
+
+      attempted++;
+      let supplierResults;
+      try {
+        supplierResults = await syncSupplier(adapter, supplierProducts);
+      } catch (error) {
+        if (!(error instanceof SupplierUnavailableError)) {
+          throw error;
+        }
+
+        deferred.push(error);
+        results.processedItems += supplierProducts.length;
+        results.skippedItems += supplierProducts.length;
+        results.errors.push({ account: adapter.name, error: error.message });
+        continue;
+      }
+
+      results.processedItems += supplierResults.processedItems;
+      results.successItems += supplierResults.successItems;
+      results.failedItems += supplierResults.failedItems;
+      results.skippedItems += supplierResults.skippedItems;
+      results.errors.push(...supplierResults.errors.map(error => ({ account: adapter.name, ...error })));
+      if (supplierResults.mapViolations) {
+        results.mapViolations = (results.mapViolations || 0) + supplierResults.mapViolations;
+      }
+      results.accounts[adapter.name] = {
+        supplier: adapter.supplier,
+        accountId: adapter.id,
+        totalItems: supplierResults.totalItems,
+        successItems: supplierResults.successItems,
+        failedItems: supplierResults.failedItems,
+        skippedItems: supplierResults.skippedItems,
+        deltaStrategy: supplierResults.deltaStrategy
+      };
+    }
+
+    if (attempted > 0 && deferred.length === attempted) {
+      throw deferred[0];
+    }
+
+    return results;
+  }
+
+  /**
+   * Pick the products a sync needs to look up. In delta mode with a stored
+   * high-water mark, only SKUs the supplier reports as changed since then are
+   * looked up. Otherwise every product is looked up and diffed against the last
+   * synced snapshot, which also covers suppliers without updated-since data.
+   */
+  async selectDeltaCandidates(syncType, products, settings, adapter) {
+    if (!adapter.supports("changes") || !adapter.usesDeltaSync(settings)) {
+      return { candidates: products, strategy: "snapshot" };
+    }
+
+    const state = await prisma.turn14SyncState.findUnique({
+      where: { accountId_syncType: { accountId: adapter.id, syncType } }
+    });
+
+    if (!state?.highWaterMark) {
+      return { candidates: products, strategy: "snapshot" };
+    }
+
+    try {
+      const changedSkus = await adapter.getChangedSkus(syncType, state.highWaterMark);
+
+      return {
+        candidates: products.filter(p => changedSkus.has(p.sku)),
+        strategy: "updated_since"
+      };
+    } catch (error) {
+      if (error instanceof SupplierUnavailableError) {
+        throw error;
+      }
+
+      logger.warn("Updated-since lookup failed; diffing against the last snapshot", {
+        shop: this.shop,
+        supplier: adapter.supplier,
+        accountId: adapter.id,
+        syncType,
+        error: error.message
+      });
+
+      return { candidates: products, strategy: "snapshot" };
+    }
+  }
+
+  /**
+   * Store the start time of a run that synced every change as the next delta
+   * sync's high-water mark. Only delta-capable runs keep one: feed-sourced
+   * data reflects the snapshot's age, not the run's.
+   */
+  async advanceHighWaterMark(syncType, startedAt, strategy, settings, adapter) {
+    if (!adapter.supports("changes") || !adapter.usesDeltaSync(settings)) {
+      return;
+    }
+
+    await prisma.turn14SyncState.upsert({
+      where: { accountId_syncType: { accountId: adapter.id, syncType } },
+      update: { highWaterMark: startedAt, strategy },
+      create: { shop: this.shop, accountId: adapter.id, syncType, highWaterMark: startedAt, strategy }
+    });
+  }
+
+  /**
+   * Record a per-product sync failure. Throttling and outages are not the product's
+   * fault: a rate-limited SKU keeps its status for the next run, and an
+   * unreachable supplier aborts the job.
+   */
+  async handleProductSyncError(product, error) {
+    // Stop the whole job instead of flagging every remaining product
+    if (error instanceof SupplierUnavailableError) {
+      throw error;
+    }
+
+    // The client already backed off and retried; leave the product for the next run
+    if (error instanceof SupplierRateLimitError) {
+      return;
+    }
+
+    await prisma.turn14ImportedProduct.update({
+      where: { id: product.id },
+      data: {
+        syncStatus: "error",
+        syncErrors: JSON.stringify([{
+          timestamp: new Date().toISOString(),
+          message: error.message
+        }])
+      }
+    });
+  }
+
+  /**
+   * Sync new products from each active supplier connection's catalog. A SKU
+   * offered by several connections of the same supplier is imported once, from
+   * the first one (Turn 14 default first) that has it, and tagged with it.
    */
   async syncNewProducts(settings = {}) {
-    const config = await this.getTurn14Config();
-    await this.turn14Api.authenticate(config.apiKey, config.apiSecret, config.environment);
+    const adapters = (await this.getSupplierAdapters(settings.profile)).filter(adapter =>
+      adapter.isActive && adapter.supports("catalog") && adapter.getCatalogScopes().length > 0
+    );
 
-    const selectedBrands = config.selectedBrands ? JSON.parse(config.selectedBrands) : [];
-    
-    if (selectedBrands.length === 0) {
+    if (adapters.length === 0) {
       throw new Error("No brands selected for product sync");
     }
 
-    // Get existing Turn 14 SKUs to avoid duplicates
+    // Get existing supplier SKUs to avoid duplicates
     const existingProducts = await prisma.turn14ImportedProduct.findMany({
       where: { shop: this.shop },
-      select: { turn14Sku: true }
+      select: { supplier: true, sku: true }
     });
-    const existingSKUs = new Set(existingProducts.map(p => p.turn14Sku));
+    const existingSKUs = new Set(existingProducts.map(p => `${p.supplier}:${p.sku}`));
+    const fieldMapping = await getFieldMapping(this.shop);
+
+    const results = {
+      totalItems: 0,
+      processedItems: 0,
+      successItems: 0,
+      failedItems: 0,
+      errors: [],
+      accounts: {}
+    };
+
+    const deferred = [];
+
+    for (const adapter of adapters) {
+      // A cancelled or paused job starts no further suppliers
+      if (this.stopRequest) break;
+
+      let supplierResults;
+      try {
+        supplierResults = await this.syncSupplierNewProducts(adapter, existingSKUs, settings, fieldMapping);
+      } catch (error) {
+        if (!(error instanceof SupplierUnavailableError)) {
+          throw error;
+        }
+
+        // Try this supplier's catalog again next run; other suppliers still import
+        deferred.push(error);
+        results.errors.push({ account: adapter.name, error: error.message });
+        continue;
+      }
+
+      results.totalItems += supplierResults.totalItems;
+      results.processedItems += supplierResults.processedItems;
+      results.successItems += supplierResults.successItems;
+      results.failedItems += supplierResults.failedItems;
+      results.errors.push(...supplierResults.errors.map(error => ({ account: adapter.name, ...error })));
+      results.accounts[adapter.name] = {
+        supplier: adapter.supplier,
+        accountId: adapter.id,
+        totalItems: supplierResults.totalItems,
+        successItems: supplierResults.successItems,
+        failedItems: supplierResults.failedItems
+      };
+    }
+
+    if (deferred.length === adapters.length) {
+      throw deferred[0];
+    }
+
+    return results;
+  }
+
+  /**
+   * Import new products from one supplier connection's catalog scopes (Turn 14
+   * brands, CSV brand filters). `existingSKUs` holds "supplier:sku" keys, is
+   * shared across connections and is updated as products are imported.
+   */
+  async syncSupplierNewProducts(adapter, existingSKUs, settings, fieldMapping) {
+    await adapter.connect();
 
     let totalItems = 0;
     let processedItems = 0;
@@ -259,67 +1008,102 @@ export class SyncEngine {
     let failedItems = 0;
     const errors = [];
 
-    // Process each selected brand
-    for (const brandId of selectedBrands) {
+    // Walk every page of each scope's catalog.
+    // maxNewProducts caps how many new products one scope may import per run.
+    const maxNewProducts = settings.maxNewProducts || Infinity;
+    const importContext = {
+      fieldMapping,
+      pricingRules: adapter.getPricingRules(settings),
+      mapPolicies: await getMapPolicies(this.shop),
+      compareAtSettings: await getCompareAtSettings(this.shop),
+      defaultMarkup: settings.defaultMarkup || 0
+    };
+
+    // Scopes an earlier attempt at this job finished and, for the scope it
+    // stopped in, how many catalog items it got through (the supplier's catalog
+    // order is stable) and how many it imported, so resuming keeps maxNewProducts.
+    // Products imported after the last batched write are skipped as existing.
+    const checkpoint = this.getCheckpoint("products", adapter.id) ||
+      { completedScopes: [], scope: null, offset: 0, imported: 0 };
+    const completedScopes = [...checkpoint.completedScopes];
+
+    for (const scope of adapter.getCatalogScopes()) {
+      if (completedScopes.includes(scope)) {
+        continue;
+      }
+
       try {
-        const products = await this.turn14Api.getItemsByBrand(brandId, {
-          page: 1,
-          pageSize: settings.maxNewProducts || 50
-        });
+        const resumeOffset = checkpoint.scope === scope ? checkpoint.offset : 0;
+        let importedForScope = checkpoint.scope === scope ? checkpoint.imported : 0;
+        let offset = 0;
+
+        for await (const page of adapter.iterateCatalog(scope, { settings, pageSize: 50 })) {
+          totalItems += page.items.length;
+          this.assertNotInterrupted();
 
-        if (products && products.items) {
-          totalItems += products.items.length;
+          for (const product of page.items) {
+            // Stop between items when the job is cancelled or paused
+            if (this.stopRequest) break;
 
-          for (const product of products.items) {
-            if (existingSKUs.has(product.id)) {
+            // Items an earlier attempt got through count as processed
+            if (offset < resumeOffset) {
+              offset++;
+              processedItems++;
+              continue;
+            }
+
+            const key = `${adapter.supplier}:${product.sku}`;
+            if (existingSKUs.has(key)) {
+              offset++;
               processedItems++;
               continue; // Skip already imported products
             }
 
-            try {
-              // Import new product to Shopify
-              const shopifyProduct = await this.importProductToShopify(product, {
-                priceMarkup: settings.defaultMarkup || 0,
-                status: 'draft'
-              });
+            if (importedForScope >= maxNewProducts) {
+              break;
+            }
 
-              // Track the imported product
-              await prisma.turn14ImportedProduct.create({
-                data: {
-                  shop: this.shop,
-                  turn14Sku: product.id,
-                  shopifyProductId: shopifyProduct.id.toString(),
-                  shopifyVariantId: shopifyProduct.variants?.[0]?.id?.toString(),
-                  turn14Brand: product.brand_name,
-                  turn14Category: product.category,
-                  originalPrice: product.price,
-                  currentPrice: product.price * (1 + ((settings.defaultMarkup || 0) / 100)),
-                  priceMarkup: settings.defaultMarkup || 0,
-                  inventoryQuantity: product.inventory_quantity || 0,
-                  lastSynced: new Date(),
-                  syncStatus: "active",
-                  metaData: JSON.stringify({
-                    turn14Id: product.id,
-                    importedAt: new Date().toISOString()
-                  })
-                }
-              });
+            try {
+              await this.importSupplierProduct(adapter, product, importContext);
 
+              existingSKUs.add(key);
+              importedForScope++;
               successItems++;
             } catch (error) {
               failedItems++;
               errors.push({
-                sku: product.id,
+                sku: product.sku,
                 error: error.message
               });
             }
 
+            offset++;
             processedItems++;
+            await this.saveCheckpoint("products", adapter.id, {
+              completedScopes,
+              scope,
+              offset,
+              imported: importedForScope
+            });
+          }
+
+          if (importedForScope >= maxNewProducts || this.stopRequest) {
+            break;
           }
         }
+
+        // A stopped run hasn't finished the scope; resuming picks it up from the checkpoint
+        if (this.stopRequest) break;
+
+        completedScopes.push(scope);
+        await this.saveCheckpoint("products", adapter.id, { completedScopes, scope: null, offset: 0, imported: 0 });
       } catch (error) {
+        if (error instanceof SupplierUnavailableError || error instanceof SyncJobInterruptedError) {
+          throw error;
+        }
+
         errors.push({
-          brand: brandId,
+          brand: scope,
           error: error.message
         });
       }
@@ -334,25 +1118,202 @@ export class SyncEngine {
     };
   }
 
+  /**
+   * Price a supplier product with its connection's pricing rules, the brand's
+   * MAP policy and compare-at setting, create it in Shopify as a draft and start
+   * tracking it. `context` holds the field mapping, pricing rules, MAP policies,
+   * compare-at settings and the markup used when no rule matches.
+   */
+  async importSupplierProduct(adapter, product, context) {
+    const { fieldMapping, pricingRules, mapPolicies, compareAtSettings, defaultMarkup } = context;
+
+    const pricing = evaluatePricingRules(pricingRules, product, product, {
+      fallbackMarkup: defaultMarkup
+    });
+    const enforced = enforceMapPrice(
+      pricing.price,
+      product.mapPrice,
+      resolveMapPolicy(mapPolicies, product.brand)
+    );
+    const compareAtPrice = getCompareAtPrice(
+      compareAtSettings,
+      product.brand,
+      enforced.price,
+      product.retailPrice
+    );
+
+    const shopifyProduct = await this.importProductToShopify(product, fieldMapping, {
+      price: enforced.price,
+      compareAtPrice,
+      status: 'draft',
+      tag: adapter.getProductTag(),
+      supplier: adapter.supplier
+    });
+
+    // Track the imported product
+    const importedProduct = await prisma.turn14ImportedProduct.create({
+      data: {
+        shop: this.shop,
+        ...adapter.getProductOwner(),
+        profile: adapter.profile,
+        sku: product.sku,
+        shopifyProductId: shopifyProduct.id,
+        shopifyVariantId: shopifyProduct.variantId,
+        brand: product.brand,
+        category: product.category,
+        originalPrice: product.price,
+        currentPrice: enforced.price,
+        compareAtPrice,
+        mapPrice: product.mapPrice,
+        retailPrice: product.retailPrice,
+        priceMarkup: defaultMarkup,
+        pricingRule: pricing.rule,
+        inventoryQuantity: product.inventoryQuantity || 0,
+        lastSynced: new Date(),
+        syncStatus: "active",
+        metaData: JSON.stringify({
+          supplierItemId: product.supplierItemId,
+          importedAt: new Date().toISOString()
+        })
+      }
+    });
+
+    // Products are imported as drafts, so there is nothing to hide yet
+    if (enforced.action) {
+      await recordMapViolation(this.shop, importedProduct, {
+        mapPrice: product.mapPrice,
+        computedPrice: pricing.price,
+        appliedPrice: enforced.price,
+        action: enforced.action,
+        jobId: this.jobId
+      });
+    }
+
+    return { importedProduct, shopifyProduct };
+  }
+
+  /**
+   * Import one Turn 14 product by SKU on the merchant's request, from the
+   * default account and priced like the products a sync imports.
+   * `priceMarkup` applies when no pricing rule matches.
+   */
+  async importCatalogProduct(sku, { priceMarkup = 0 } = {}) {
+    const adapter = (await this.getSupplierAdapters()).find(candidate =>
+      candidate.supplier === "turn14" && candidate.isActive && candidate.supports("catalog")
+    );
+    if (!adapter) {
+      throw new Error("Turn 14 is not configured");
+    }
+
+    const existing = await prisma.turn14ImportedProduct.findFirst({
+      where: { shop: this.shop, supplier: adapter.supplier, sku }
+    });
+    if (existing) {
+      throw new Error(`${sku} is already imported`);
+    }
+
+    await adapter.connect();
+    const product = await adapter.getProduct(sku);
+    if (!product) {
+      throw new Error(`Turn 14 has no product ${sku}`);
+    }
+
+    return this.importSupplierProduct(adapter, product, {
+      fieldMapping: await getFieldMapping(this.shop),
+      pricingRules: adapter.getPricingRules(),
+      mapPolicies: await getMapPolicies(this.shop),
+      compareAtSettings: await getCompareAtSettings(this.shop),
+      defaultMarkup: priceMarkup
+    });
+  }
+
+  /**
+   * Refresh staged catalog data from bulk feeds, once per active connection
+   * whose supplier has them, since each dealer account has its own catalog
+   */
+  async ingestCatalogFeeds(settings = {}) {
+    const adapters = (await this.getSupplierAdapters(settings.profile)).filter(adapter =>
+      adapter.isActive && adapter.supports("feeds")
+    );
+    const feeds = {};
+    const runs = [];
+    const deferred = [];
+
+    for (const adapter of adapters) {
+      try {
+        feeds[adapter.name] = await adapter.ingestFeeds(settings);
+      } catch (error) {
+        if (!(error instanceof SupplierUnavailableError)) {
+          throw error;
+        }
+
+        deferred.push(error);
+        feeds[adapter.name] = { error: error.message };
+        continue;
+      }
+      runs.push(...Object.values(feeds[adapter.name]));
+    }
+
+    if (adapters.length > 0 && deferred.length === adapters.length) {
+      throw deferred[0];
+    }
+
+    return {
+      totalItems: runs.reduce((sum, run) => sum + run.recordsRead, 0),
+      processedItems: runs.reduce((sum, run) => sum + run.recordsRead, 0),
+      successItems: runs.reduce((sum, run) => sum + run.recordsWritten, 0),
+      failedItems: runs.reduce((sum, run) => sum + run.recordsSkipped, 0),
+      feeds
+    };
+  }
+
   /**
    * Full sync - inventory, pricing, and new products
    */
   async fullSync(settings = {}) {
+    // A cancelled or paused job runs no further phases
+    const notRun = { totalItems: 0, processedItems: 0, successItems: 0, failedItems: 0, skippedItems: 0, errors: [] };
+
     const inventoryResults = await this.syncInventory(settings);
-    const pricingResults = await this.syncPricing(settings);
-    const newProductsResults = await this.syncNewProducts(settings);
+    const pricingResults = this.stopRequest ? notRun : await this.syncPricing(settings);
+    const newProductsResults = this.stopRequest ? notRun : await this.syncNewProducts(settings);
 
     return {
       totalItems: inventoryResults.totalItems + pricingResults.totalItems + newProductsResults.totalItems,
       processedItems: inventoryResults.processedItems + pricingResults.processedItems + newProductsResults.processedItems,
       successItems: inventoryResults.successItems + pricingResults.successItems + newProductsResults.successItems,
       failedItems: inventoryResults.failedItems + pricingResults.failedItems + newProductsResults.failedItems,
+      skippedItems: inventoryResults.skippedItems + pricingResults.skippedItems,
       inventory: inventoryResults,
       pricing: pricingResults,
       newProducts: newProductsResults
     };
   }
 
+  /**
+   * Sync one imported product's inventory and pricing now, under the same locks
+   * as the queued syncs. Throws SyncLockedError while one of them is running.
+   */
+  async syncProduct(productId) {
+    const holder = randomUUID();
+    const lockedTypes = [];
+
+    try {
+      for (const syncType of ["inventory", "pricing"]) {
+        await acquireSyncLocks(this.shop, syncType, holder);
+        lockedTypes.push(syncType);
+      }
+
+      const inventory = await this.syncInventory({ productIds: [productId] });
+      const pricing = await this.syncPricing({ productIds: [productId] });
+      return { inventory, pricing };
+    } finally {
+      for (const syncType of lockedTypes) {
+        await releaseSyncLocks(this.shop, syncType, holder);
+      }
+    }
+  }
+
   /**
    * Update Shopify inventory
    */
@@ -360,14 +1321,14 @@ export class SyncEngine {
     if (!variantId) return;
 
     // Get inventory item ID
-    const variant = await this.shopifyAdmin.rest.ProductVariant.find({
+    const variant = await this.shopifyAdmin.rest.resources.ProductVariant.find({
       session: { shop: this.shop, accessToken: this.sessionToken },
       id: variantId
     });
 
     if (variant && variant.inventory_item_id) {
       // Update inventory level
-      await this.shopifyAdmin.rest.InventoryLevel.adjust({
+      await this.shopifyAdmin.rest.resources.InventoryLevel.adjust({
         session: { shop: this.shop, accessToken: this.sessionToken },
         body: {
           inventory_item_id: variant.inventory_item_id,
@@ -378,89 +1339,285 @@ export class SyncEngine {
   }
 
   /**
-   * Update Shopify pricing
+   * Update Shopify pricing. A null compare-at price clears any sale display.
    */
-  async updateShopifyPricing(productId, variantId, price) {
+  async updateShopifyPricing(productId, variantId, price, compareAtPrice = null) {
     if (!variantId) return;
 
-    await this.shopifyAdmin.rest.ProductVariant.save({
+    await this.shopifyAdmin.rest.resources.ProductVariant.save({
       session: { shop: this.shop, accessToken: this.sessionToken },
       id: variantId,
-      price: price.toFixed(2)
+      price: price.toFixed(2),
+      compare_at_price: compareAtPrice !== null ? compareAtPrice.toFixed(2) : null
     });
   }
 
   /**
-   * Import a Turn 14 product to Shopify
+   * Write the supplier prices behind a product's price to its metafields, in the
+   * supplier's namespace (e.g. `turn14.original_price`)
    */
-  async importProductToShopify(turn14Product, options = {}) {
-    const { priceMarkup = 0, status = 'draft' } = options;
+  async updateShopifyPriceMetafields(product, originalPrice, mapPrice) {
+    const values = { original_price: originalPrice, map_price: mapPrice };
 
-    const finalPrice = turn14Product.price * (1 + (priceMarkup / 100));
+    for (const [key, value] of Object.entries(values)) {
+      if (value === null || value === undefined) continue;
 
-    const shopifyProduct = new this.shopifyAdmin.rest.Product({
-      session: { shop: this.shop, accessToken: this.sessionToken }
+      await this.shopifyAdmin.rest.resources.Metafield.save({
+        session: { shop: this.shop, accessToken: this.sessionToken },
+        product_id: product.shopifyProductId,
+        namespace: product.supplier,
+        key,
+        value: String(value),
+        type: "single_line_text_field"
+      });
+    }
+  }
+
+  /**
+   * Set a Shopify product's status ("active", "draft", "archived")
+   */
+  async updateShopifyProductStatus(productId, status) {
+    await this.shopifyAdmin.rest.resources.Product.save({
+      session: { shop: this.shop, accessToken: this.sessionToken },
+      id: productId,
+      status
     });
+  }
 
-    shopifyProduct.title = turn14Product.item_name;
-    shopifyProduct.body_html = turn14Product.item_description || '';
-    shopifyProduct.vendor = turn14Product.brand_name;
-    shopifyProduct.product_type = turn14Product.category;
-    shopifyProduct.status = status;
-    shopifyProduct.tags = [
-      'Turn14',
-      turn14Product.brand_name,
-      turn14Product.category
-    ].filter(Boolean).join(', ');
+  /**
+   * Take a product off the storefront by making it a draft. Returns the status
+   * to restore later, or null if the product wasn't active.
+   */
+  async hideShopifyProduct(productId) {
+    const shopifyProduct = await this.shopifyAdmin.rest.resources.Product.find({
+      session: { shop: this.shop, accessToken: this.sessionToken },
+      id: productId,
+      fields: "id,status"
+    });
 
-    shopifyProduct.variants = [{
-      price: finalPrice.toFixed(2),
-      sku: turn14Product.id,
-      inventory_quantity: turn14Product.inventory_quantity || 0,
-      inventory_management: 'shopify'
-    }];
+    if (shopifyProduct?.status !== "active") {
+      return null;
+    }
 
-    if (turn14Product.images && turn14Product.images.length > 0) {
-      shopifyProduct.images = turn14Product.images.map(img => ({
-        src: img.url
-      }));
+    await this.updateShopifyProductStatus(productId, "draft");
+    return "active";
+  }
+
+  /**
+   * Record or resolve a product's MAP violation after a pricing sync, hiding or
+   * restoring the product as its policy requires. Returns whether the product
+   * is priced below MAP.
+   */
+  async applyMapViolation(product, details, openViolation) {
+    const wasHidden = openViolation?.action === "hidden" && openViolation.previousStatus;
+
+    if (!details.action) {
+      if (openViolation) {
+        await resolveMapViolation(openViolation);
+        if (wasHidden) {
+          await this.updateShopifyProductStatus(product.shopifyProductId, openViolation.previousStatus);
+        }
+      }
+      return false;
     }
 
-    await shopifyProduct.save();
-    return shopifyProduct;
+    // The policy may have changed since the violation opened
+    let previousStatus;
+    if (details.action === "hidden" && !wasHidden) {
+      previousStatus = await this.hideShopifyProduct(product.shopifyProductId);
+    } else if (details.action !== "hidden" && wasHidden) {
+      await this.updateShopifyProductStatus(product.shopifyProductId, openViolation.previousStatus);
+      previousStatus = null;
+    }
+
+    await recordMapViolation(this.shop, product, { ...details, previousStatus, jobId: this.jobId }, openViolation);
+    return true;
   }
 
   /**
-   * Get Turn 14 configuration for the shop
+   * Set an imported product's selling price by hand. The compare-at price is
+   * recomputed against the new price.
    */
-  async getTurn14Config() {
-    const config = await prisma.turn14Config.findUnique({
-      where: { shop: this.shop }
+  async setManualPrice(productId, price) {
+    const product = await prisma.turn14ImportedProduct.findFirst({
+      where: { id: productId, shop: this.shop }
     });
 
-    if (!config) {
-      throw new Error("Turn 14 configuration not found");
+    if (!product) {
+      throw new Error("Product not found");
     }
+    if (!(price > 0)) {
+      throw new Error("Price must be greater than 0");
+    }
+
+    const compareAtSettings = await getCompareAtSettings(this.shop);
+    const compareAtPrice = getCompareAtPrice(compareAtSettings, product.brand, price, product.retailPrice);
 
-    return config;
+    await this.updateShopifyPricing(product.shopifyProductId, product.shopifyVariantId, price, compareAtPrice);
+    await recordPriceChange(this.shop, product, { price, compareAtPrice }, { source: "manual" });
+
+    return prisma.turn14ImportedProduct.update({
+      where: { id: product.id },
+      data: { currentPrice: price, compareAtPrice }
+    });
   }
 
   /**
-   * Create a new sync job record
+   * Restore the prices a pricing sync job changed to what they were before the
+   * job ran. Products deleted since are skipped, and products whose price has
+   * changed again since the job are reported as conflicts and left alone. A job
+   * can be rolled back once.
    */
-  async createSyncJob(syncType, scheduleId = null) {
-    return await prisma.turn14SyncJob.create({
-      data: {
-        shop: this.shop,
-        scheduleId,
-        syncType,
-        status: "pending",
-        totalItems: 0,
-        processedItems: 0,
-        successItems: 0,
-        failedItems: 0
-      }
+  async rollbackPriceJob(jobId) {
+    const job = await prisma.turn14SyncJob.findFirst({
+      where: { id: jobId, shop: this.shop }
     });
+
+    if (!job) {
+      throw new Error("Sync job not found");
+    }
+    if (job.rolledBackAt) {
+      throw new Error(`This job was already rolled back on ${job.rolledBackAt.toLocaleString()}`);
+    }
+    if (UNFINISHED_SYNC_STATUSES.includes(job.status)) {
+      throw new Error("A job that hasn't finished can't be rolled back");
+    }
+
+    const changes = await getJobPriceChanges(this.shop, jobId);
+    if (changes.size === 0) {
+      throw new Error("This job didn't change any prices");
+    }
+
+    const products = await prisma.turn14ImportedProduct.findMany({
+      where: { shop: this.shop, id: { in: [...changes.keys()] } }
+    });
+
+    let restoredItems = 0;
+    const errors = [];
+    const conflicts = [];
+
+    for (const product of products) {
+      const change = changes.get(product.id);
+
+      // A later sync or a manual edit repriced it; restoring would undo that
+      if (change.newPrice !== null && product.currentPrice !== change.newPrice) {
+        conflicts.push({ sku: product.sku, jobPrice: change.newPrice, currentPrice: product.currentPrice });
+        continue;
+      }
+
+      try {
+        if (change.oldPrice !== null) {
+          await this.updateShopifyPricing(
+            product.shopifyProductId,
+            product.shopifyVariantId,
+            change.oldPrice,
+            change.oldCompareAtPrice
+          );
+        }
+        if (change.oldCost !== null && change.oldCost !== product.originalPrice) {
+          await this.updateShopifyPriceMetafields(product, change.oldCost, null);
+        }
+
+        await recordPriceChange(this.shop, product, {
+          cost: change.oldCost,
+          price: change.oldPrice,
+          compareAtPrice: change.oldCompareAtPrice
+        }, { source: "rollback", jobId });
+
+        await prisma.turn14ImportedProduct.update({
+          where: { id: product.id },
+          data: {
+            ...(change.oldCost !== null && { originalPrice: change.oldCost }),
+            currentPrice: change.oldPrice,
+            compareAtPrice: change.oldCompareAtPrice
+          }
+        });
+
+        restoredItems++;
+      } catch (error) {
+        errors.push({ sku: product.sku, error: error.message });
+        logger.error("Price rollback failed", { shop: this.shop, jobId, sku: product.sku, error: error.message });
+      }
+    }
+
+    // Partial rollbacks stay open so the failed products can be retried
+    if (errors.length === 0) {
+      await this.updateSyncJob(jobId, { rolledBackAt: new Date() });
+    }
+
+    return {
+      totalItems: changes.size,
+      restoredItems,
+      skippedItems: changes.size - products.length,
+      conflictItems: conflicts.length,
+      failedItems: errors.length,
+      conflicts,
+      errors
+    };
+  }
+
+  /**
+   * Import a normalized supplier product to Shopify using the shop's field
+   * mapping, then set its stock. Returns the product's title and numeric
+   * product and variant ids, as the REST calls of later syncs use.
+   */
+  async importProductToShopify(supplierProduct, fieldMapping, options = {}) {
+    const payload = transformSupplierProduct(supplierProduct, fieldMapping, options);
+
+    const response = await this.shopifyAdmin.graphql(
+      `#graphql
+        mutation importProduct($input: ProductSetInput!) {
+          productSet(input: $input, synchronous: true) {
+            product {
+              id
+              title
+              variants(first: 1) {
+                nodes {
+                  id
+                }
+              }
+            }
+            userErrors {
+              field
+              message
+            }
+          }
+        }`,
+      { variables: { input: toProductSetInput(payload) } }
+    );
+
+    const { productSet } = (await response.json()).data;
+    if (productSet.userErrors.length > 0) {
+      throw new Error(productSet.userErrors[0].message);
+    }
+
+    const shopifyProduct = {
+      id: productSet.product.id.split("/").pop(),
+      variantId: productSet.product.variants.nodes[0]?.id.split("/").pop() || null,
+      title: productSet.product.title
+    };
+
+    if (supplierProduct.inventoryQuantity > 0) {
+      await this.updateShopifyInventory(shopifyProduct.id, shopifyProduct.variantId, supplierProduct.inventoryQuantity);
+    }
+
+    return shopifyProduct;
+  }
+
+  /**
+   * The shop's supplier connections, optionally only one profile's, Turn 14
+   * production default first
+   */
+  async getSupplierAdapters(profile = null) {
+    const adapters = await getSupplierAdapters(this.shop, { profile });
+
+    if (adapters.length === 0) {
+      throw new Error(profile
+        ? `No suppliers in the ${profile} profile`
+        : "No suppliers configured");
+    }
+
+    return adapters;
   }
 
   /**
@@ -488,8 +1645,68 @@ export class SyncScheduleManager {
     });
   }
 
+  /**
+   * The IANA time zone a shop's schedules run in, or null if none is stored
+   */
+  static async getStoredTimeZone(shop) {
+    const settings = await prisma.shopSyncSettings.findUnique({ where: { shop } });
+    return settings?.timeZone || null;
+  }
+
+  static async getShopTimeZone(shop) {
+    return (await this.getStoredTimeZone(shop)) || DEFAULT_TIME_ZONE;
+  }
+
+  /**
+   * Store a shop's time zone and move its schedules' next runs to match
+   */
+  static async saveShopTimeZone(shop, timeZone) {
+    if (!isValidTimeZone(timeZone)) {
+      throw new Error(`Unknown time zone "${timeZone}"`);
+    }
+
+    await prisma.shopSyncSettings.upsert({
+      where: { shop },
+      create: { shop, timeZone },
+      update: { timeZone }
+    });
+
+    const schedules = await this.getActiveSchedules(shop);
+    for (const schedule of schedules) {
+      await prisma.turn14SyncSchedule.update({
+        where: { id: schedule.id },
+        data: { nextRun: this.calculateNextRun(schedule, timeZone) }
+      });
+    }
+
+    return timeZone;
+  }
+
+  /**
+   * Check a schedule's frequency, cron expression, blackout windows and
+   * catch-up policy, throwing an Error for the first problem
+   */
+  static validateSchedule({ frequency, schedule, blackoutWindows, catchUpPolicy }) {
+    if (frequency !== undefined && !['custom', 'manual', ...Object.keys(FREQUENCY_CRONS)].includes(frequency)) {
+      throw new Error(`Unknown frequency "${frequency}"`);
+    }
+    if (frequency === 'custom') {
+      if (!schedule) {
+        throw new Error('Custom schedules need a cron expression');
+      }
+      parseCron(schedule);
+    }
+    if (blackoutWindows) {
+      validateBlackoutWindows(JSON.parse(blackoutWindows));
+    }
+    if (catchUpPolicy !== undefined && !CATCH_UP_POLICIES.some(policy => policy.value === catchUpPolicy)) {
+      throw new Error(`Unknown catch-up policy "${catchUpPolicy}"`);
+    }
+  }
+
   static async createSchedule(shop, scheduleData) {
-    const nextRun = this.calculateNextRun(scheduleData.frequency, scheduleData.schedule);
+    this.validateSchedule(scheduleData);
+    const nextRun = this.calculateNextRun(scheduleData, await this.getShopTimeZone(shop));
     
     return await prisma.turn14SyncSchedule.create({
       data: {
@@ -500,15 +1717,24 @@ export class SyncScheduleManager {
     });
   }
 
-  static async updateSchedule(scheduleId, updates) {
-    const schedule = await prisma.turn14SyncSchedule.update({
-      where: { id: scheduleId },
+  /**
+   * Update one of a shop's schedules; schedules of other shops are not found
+   */
+  static async updateSchedule(shop, scheduleId, updates) {
+    this.validateSchedule(updates);
+
+    const { count } = await prisma.turn14SyncSchedule.updateMany({
+      where: { id: scheduleId, shop },
       data: updates
     });
+    if (count === 0) {
+      throw new Error("Schedule not found");
+    }
+    const schedule = await prisma.turn14SyncSchedule.findUnique({ where: { id: scheduleId } });
 
-    // Recalculate next run if frequency changed
-    if (updates.frequency || updates.schedule) {
-      const nextRun = this.calculateNextRun(schedule.frequency, schedule.schedule);
+    // Recalculate next run if when the schedule runs changed
+    if (updates.frequency || updates.schedule || updates.blackoutWindows !== undefined) {
+      const nextRun = this.calculateNextRun(schedule, await this.getShopTimeZone(schedule.shop));
       await prisma.turn14SyncSchedule.update({
         where: { id: scheduleId },
         data: { nextRun }
@@ -518,6 +1744,18 @@ export class SyncScheduleManager {
     return schedule;
   }
 
+  /**
+   * Delete one of a shop's schedules; schedules of other shops are not found
+   */
+  static async deleteSchedule(shop, scheduleId) {
+    const { count } = await prisma.turn14SyncSchedule.deleteMany({
+      where: { id: scheduleId, shop }
+    });
+    if (count === 0) {
+      throw new Error("Schedule not found");
+    }
+  }
+
   static async getSchedulesDue() {
     return await prisma.turn14SyncSchedule.findMany({
       where: {
@@ -537,7 +1775,7 @@ export class SyncScheduleManager {
     if (!schedule) return;
 
     const now = new Date();
-    const nextRun = this.calculateNextRun(schedule.frequency, schedule.schedule);
+    const nextRun = this.calculateNextRun(schedule, await this.getShopTimeZone(schedule.shop), now);
 
     await prisma.turn14SyncSchedule.update({
       where: { id: scheduleId },
@@ -548,30 +1786,33 @@ export class SyncScheduleManager {
     });
   }
 
-  static calculateNextRun(frequency, cronSchedule = null) {
-    const now = new Date();
+  /**
+   * Move a due schedule to its next run without running it, e.g. for runs
+   * missed during downtime or due inside a blackout window
+   */
+  static async skipScheduleRun(schedule, timeZone) {
+    return prisma.turn14SyncSchedule.update({
+      where: { id: schedule.id },
+      data: { nextRun: this.calculateNextRun(schedule, timeZone) }
+    });
+  }
 
-    if (cronSchedule) {
-      // TODO: Implement cron parsing for complex schedules
-      // For now, fall back to frequency-based calculation
-    }
-
-    switch (frequency) {
-      case 'hourly':
-        return new Date(now.getTime() + 60 * 60 * 1000);
-      case 'daily':
-        const tomorrow = new Date(now);
-        tomorrow.setDate(tomorrow.getDate() + 1);
-        tomorrow.setHours(2, 0, 0, 0); // 2 AM
-        return tomorrow;
-      case 'weekly':
-        const nextWeek = new Date(now);
-        nextWeek.setDate(nextWeek.getDate() + 7);
-        nextWeek.setHours(2, 0, 0, 0); // 2 AM
-        return nextWeek;
-      case 'manual':
-      default:
-        return null;
+  /**
+   * The next run of a schedule after `after`, in the shop's time zone and
+   * outside its blackout windows; null for manual schedules
+   */
+  static calculateNextRun(schedule, timeZone = DEFAULT_TIME_ZONE, after = new Date()) {
+    const cron = getScheduleCron(schedule.frequency, schedule.schedule);
+    if (!cron) {
+      return null;
     }
+
+    const [nextRun] = nextScheduledRuns(cron, {
+      after,
+      timeZone,
+      blackoutWindows: schedule.blackoutWindows ? JSON.parse(schedule.blackoutWindows) : []
+    });
+
+    return nextRun || null;
   }
-} 
\ No newline at end of file
+}
@@ -0,0 +1,117 @@
+// Distributed per-shop, per-sync-type locks that keep sync runs from overlapping
+
+// app/services/sync-locks.server.js
+import { prisma } from '../db.server.js';
+import { logger } from '../utils/logger.server.js';
+
+// Holders renew well within this; a lock whose holder died frees itself after it
+export const SYNC_LOCK_TTL_MS = 2 * 60 * 1000;
+
+// A full sync runs these phases, so it conflicts with each of them
+const FULL_SYNC_LOCKS = ['inventory', 'pricing', 'products'];
+
+/**
+ * A sync couldn't start because another run holds its lock
+ */
+export class SyncLockedError extends Error {
+  constructor(message, lock) {
+    super(message);
+    this.name = 'SyncLockedError';
+    this.lock = lock;
+  }
+}
+
+/**
+ * The lock keys a sync type needs
+ */
+export function getSyncLockTypes(syncType) {
+  return syncType === 'full' ? FULL_SYNC_LOCKS : [syncType];
+}
+
+// Take one lock if it is free, expired or already held by this exact holder;
+// returns whether we hold it
+async function acquireLock(shop, syncType, holder, jobId, now, ttlMs) {
+  const data = { holder, jobId, acquiredAt: now, expiresAt: new Date(now.getTime() + ttlMs) };
+
+  const { count } = await prisma.syncLock.updateMany({
+    where: { shop, syncType, OR: [{ holder }, { expiresAt: { lt: now } }] },
+    data
+  });
+  if (count === 1) {
+    return true;
+  }
+
+  try {
+    await prisma.syncLock.create({ data: { shop, syncType, ...data } });
+    return true;
+  } catch (error) {
+    // Another holder created or renewed it first
+    if (error.code === 'P2002') {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Take every lock a sync type needs for `holder`, or none of them. `holder`
+ * must be unique to one run, such as a random UUID, since a lock already held
+ * by the same holder is re-entered. Throws SyncLockedError naming the run that
+ * holds a conflicting lock.
+ */
+export async function acquireSyncLocks(shop, syncType, holder, { jobId = null, ttlMs = SYNC_LOCK_TTL_MS } = {}) {
+  const now = new Date();
+  const acquired = [];
+
+  for (const lockType of getSyncLockTypes(syncType)) {
+    if (await acquireLock(shop, lockType, holder, jobId, now, ttlMs)) {
+      acquired.push(lockType);
+      continue;
+    }
+
+    await prisma.syncLock.deleteMany({ where: { shop, syncType: { in: acquired }, holder } });
+
+    const lock = await prisma.syncLock.findUnique({ where: { shop_syncType: { shop, syncType: lockType } } });
+    throw new SyncLockedError(
+      `A ${lockType} sync is already running for ${shop}${lock?.jobId ? ` (job ${lock.jobId})` : ''}`,
+      lock
+    );
+  }
+
+  logger.info('Sync locks acquired', { shop, syncType, holder, jobId });
+}
+
+/**
+ * Extend a holder's locks. Returns false when it no longer holds all of them.
+ */
+export async function renewSyncLocks(shop, syncType, holder, { ttlMs = SYNC_LOCK_TTL_MS } = {}) {
+  const lockTypes = getSyncLockTypes(syncType);
+  const { count } = await prisma.syncLock.updateMany({
+    where: { shop, syncType: { in: lockTypes }, holder },
+    data: { expiresAt: new Date(Date.now() + ttlMs) }
+  });
+
+  return count === lockTypes.length;
+}
+
+/**
+ * Release a holder's locks; locks taken over by someone else are left alone
+ */
+export async function releaseSyncLocks(shop, syncType, holder) {
+  await prisma.syncLock.deleteMany({
+    where: { shop, syncType: { in: getSyncLockTypes(syncType) }, holder }
+  });
+}
+
+/**
+ * A shop's sync locks, with whether each is still held or has expired
+ */
+export async function getSyncLocks(shop) {
+  const now = new Date();
+  const locks = await prisma.syncLock.findMany({
+    where: { shop },
+    orderBy: { syncType: 'asc' }
+  });
+
+  return locks.map(lock => ({ ...lock, isHeld: lock.expiresAt > now }));
+}
@@ -0,0 +1,304 @@
+// Database-backed sync job queue: leases, heartbeats, checkpoints and the stale job reaper
+
+// app/services/sync-queue.server.js
+import { prisma } from '../db.server.js';
+import { logger } from '../utils/logger.server.js';
+
+// A running job's worker renews its lease well within this; a job whose lease
+// lapsed has lost its worker (crash, deploy, OOM)
+export const SYNC_JOB_LEASE_MS = 2 * 60 * 1000;
+
+export const DEFAULT_MAX_ATTEMPTS = 3;
+
+// How often a running job checks whether it was asked to stop
+export const SYNC_STOP_POLL_MS = 5 * 1000;
+
+// Status a job ends in for each stop request
+export const SYNC_STOP_STATUSES = {
+  cancel: 'cancelled',
+  pause: 'paused'
+};
+
+// Jobs that haven't finished yet and may still run or resume
+export const UNFINISHED_SYNC_STATUSES = ['queued', 'pending', 'running', 'paused'];
+
+// Requeued jobs wait a little longer after each lost worker
+const REQUEUE_BACKOFF_MS = 60 * 1000;
+
+// Jobs started before leases existed, or inline runs whose process died before
+// taking one, have nothing to expire; they are stale after this long
+const UNLEASED_STALE_MS = 6 * 60 * 60 * 1000;
+
+/**
+ * Thrown inside a running sync when its worker must stop: the lease was lost to
+ * the reaper or the worker is shutting down. The job's checkpoint is kept so the
+ * next claim resumes from it.
+ */
+export class SyncJobInterruptedError extends Error {
+  constructor(message, { leaseLost = false } = {}) {
+    super(message);
+    this.name = 'SyncJobInterruptedError';
+    this.leaseLost = leaseLost;
+  }
+}
+
+/**
+ * Add a sync job to the queue for the next free worker
+ */
+export async function enqueueSyncJob(shop, syncType, {
+  scheduleId = null,
+  settings = {},
+  runAfter = new Date(),
+  maxAttempts = DEFAULT_MAX_ATTEMPTS
+} = {}) {
+  const job = await prisma.turn14SyncJob.create({
+    data: {
+      shop,
+      scheduleId,
+      syncType,
+      status: 'queued',
+      settings: JSON.stringify(settings),
+      runAfter,
+      maxAttempts
+    }
+  });
+
+  logger.info('Sync job queued', { shop, syncType, jobId: job.id, scheduleId });
+  return job;
+}
+
+/**
+ * A job for the same shop, sync type and settings that is still waiting in
+ * the queue, if any
+ */
+export async function findQueuedSyncJob(shop, syncType, settings = {}) {
+  return prisma.turn14SyncJob.findFirst({
+    where: { shop, syncType, status: 'queued', settings: JSON.stringify(settings) },
+    orderBy: { createdAt: 'asc' }
+  });
+}
+
+/**
+ * Claim the oldest due queued job for a worker, or null when none is waiting.
+ * Claims are conditional updates, so two workers never run the same job.
+ */
+export async function claimNextSyncJob(workerId, { leaseMs = SYNC_JOB_LEASE_MS } = {}) {
+  const now = new Date();
+  const candidates = await prisma.turn14SyncJob.findMany({
+    where: { status: 'queued', runAfter: { lte: now } },
+    orderBy: [{ runAfter: 'asc' }, { createdAt: 'asc' }],
+    select: { id: true },
+    take: 5
+  });
+
+  for (const candidate of candidates) {
+    const { count } = await prisma.turn14SyncJob.updateMany({
+      where: { id: candidate.id, status: 'queued' },
+      data: {
+        status: 'running',
+        lockedBy: workerId,
+        leaseExpiresAt: new Date(now.getTime() + leaseMs),
+        heartbeatAt: now,
+        attempts: { increment: 1 }
+      }
+    });
+
+    if (count === 1) {
+      return prisma.turn14SyncJob.findUnique({ where: { id: candidate.id } });
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Extend a worker's lease on its running job. Returns false when the worker no
+ * longer holds the job.
+ */
+export async function renewSyncJobLease(jobId, workerId, { leaseMs = SYNC_JOB_LEASE_MS } = {}) {
+  const now = new Date();
+  const { count } = await prisma.turn14SyncJob.updateMany({
+    where: { id: jobId, lockedBy: workerId, status: 'running' },
+    data: {
+      leaseExpiresAt: new Date(now.getTime() + leaseMs),
+      heartbeatAt: now
+    }
+  });
+
+  return count === 1;
+}
+
+/**
+ * Store a running job's checkpoint. Returns false when the worker no longer
+ * holds the job.
+ */
+export async function saveSyncJobCheckpoint(jobId, workerId, checkpoint) {
+  const { count } = await prisma.turn14SyncJob.updateMany({
+    where: { id: jobId, lockedBy: workerId, status: 'running' },
+    data: { checkpoint: JSON.stringify(checkpoint) }
+  });
+
+  return count === 1;
+}
+
+/**
+ * Put a job a worker is giving up back on the queue, e.g. on shutdown or while
+ * another run holds its sync lock. The claim doesn't count as an attempt.
+ */
+export async function releaseSyncJob(jobId, workerId, { runAfter = new Date() } = {}) {
+  const { count } = await prisma.turn14SyncJob.updateMany({
+    where: { id: jobId, lockedBy: workerId, status: 'running' },
+    data: {
+      status: 'queued',
+      lockedBy: null,
+      leaseExpiresAt: null,
+      runAfter,
+      attempts: { decrement: 1 }
+    }
+  });
+
+  return count === 1;
+}
+
+/**
+ * Fail a claimed job without running it, e.g. when its shop can't be reached.
+ * Returns false when the worker no longer holds the job.
+ */
+export async function failSyncJob(jobId, workerId, errorMessage) {
+  const now = new Date();
+  const { count } = await prisma.turn14SyncJob.updateMany({
+    where: { id: jobId, lockedBy: workerId, status: 'running' },
+    data: {
+      status: 'failed',
+      lockedBy: null,
+      leaseExpiresAt: null,
+      startTime: now,
+      endTime: now,
+      errorMessage
+    }
+  });
+
+  return count === 1;
+}
+
+/**
+ * Cancel or pause a job. Jobs no worker is running stop right away (and paused
+ * ones can still be cancelled); a running job is asked to stop and its worker
+ * does so after the item it is on. Returns the job's status afterwards.
+ */
+export async function requestSyncJobStop(shop, jobId, action) {
+  const status = SYNC_STOP_STATUSES[action];
+  if (!status) {
+    throw new Error(`Unknown sync job action "${action}"`);
+  }
+
+  const job = await prisma.turn14SyncJob.findFirst({ where: { id: jobId, shop } });
+  if (!job) {
+    throw new Error('Sync job not found');
+  }
+
+  const { count: stopped } = await prisma.turn14SyncJob.updateMany({
+    where: {
+      id: jobId,
+      status: { in: action === 'cancel' ? ['queued', 'pending', 'paused'] : ['queued', 'pending'] },
+      lockedBy: null
+    },
+    data: { status, endTime: new Date(), requestedAction: null }
+  });
+  if (stopped === 1) {
+    logger.info(`Sync job ${status}`, { shop, jobId, syncType: job.syncType });
+    return status;
+  }
+
+  const { count: requested } = await prisma.turn14SyncJob.updateMany({
+    where: { id: jobId, status: 'running' },
+    data: { requestedAction: action }
+  });
+  if (requested === 0) {
+    throw new Error(`Only pending or running sync jobs can be ${status}`);
+  }
+
+  logger.info(`Asked running sync job to ${action}`, { shop, jobId, syncType: job.syncType, lockedBy: job.lockedBy });
+  return 'running';
+}
+
+/**
+ * Put a paused job back on the queue; it resumes from its checkpoint
+ */
+export async function resumeSyncJob(shop, jobId) {
+  const { count } = await prisma.turn14SyncJob.updateMany({
+    where: { id: jobId, shop, status: 'paused' },
+    data: { status: 'queued', runAfter: new Date(), endTime: null, requestedAction: null }
+  });
+  if (count === 0) {
+    throw new Error('Only paused sync jobs can be resumed');
+  }
+
+  logger.info('Sync job resumed', { shop, jobId });
+}
+
+/**
+ * Requeue running jobs whose worker stopped renewing its lease, or fail them
+ * once they have used up their attempts. Unleased jobs left pending or running
+ * for hours are failed. Returns how many jobs were requeued and failed.
+ */
+export async function reapStaleSyncJobs({ now = new Date() } = {}) {
+  const staleJobs = await prisma.turn14SyncJob.findMany({
+    where: {
+      OR: [
+        { status: 'running', leaseExpiresAt: { lt: now } },
+        {
+          status: { in: ['pending', 'running'] },
+          leaseExpiresAt: null,
+          createdAt: { lt: new Date(now.getTime() - UNLEASED_STALE_MS) }
+        }
+      ]
+    }
+  });
+
+  let requeued = 0;
+  let failed = 0;
+
+  for (const job of staleJobs) {
+    const retry = job.leaseExpiresAt && job.attempts < job.maxAttempts;
+    const worker = job.lockedBy ? `Worker ${job.lockedBy}` : 'The job\'s process';
+
+    // Conditional on the lease we saw, in case the worker renewed it meanwhile
+    const { count } = await prisma.turn14SyncJob.updateMany({
+      where: { id: job.id, status: job.status, leaseExpiresAt: job.leaseExpiresAt },
+      data: retry
+        ? {
+            status: 'queued',
+            lockedBy: null,
+            leaseExpiresAt: null,
+            runAfter: new Date(now.getTime() + REQUEUE_BACKOFF_MS * job.attempts),
+            errorMessage: `${worker} stopped responding; requeued (attempt ${job.attempts} of ${job.maxAttempts})`
+          }
+        : {
+            status: 'failed',
+            lockedBy: null,
+            leaseExpiresAt: null,
+            endTime: now,
+            errorMessage: `${worker} stopped responding${job.leaseExpiresAt ? ` after ${job.attempts} attempts` : ''}`
+          }
+    });
+
+    if (count === 0) continue;
+
+    if (retry) {
+      requeued++;
+    } else {
+      failed++;
+    }
+
+    logger.warn(retry ? 'Requeued stale sync job' : 'Failed stale sync job', {
+      shop: job.shop,
+      jobId: job.id,
+      syncType: job.syncType,
+      lockedBy: job.lockedBy,
+      attempts: job.attempts
+    });
+  }
+
+  return { requeued, failed };
+}
@@ -1,10 +1,31 @@
 import { prisma } from "../db.server.js";
-import { SyncEngine, SyncScheduleManager } from "./sync-engine.server.js";
+import { SyncScheduleManager } from "./sync-engine.server.js";
+import { getTurn14ShopCircuitStatus } from "./turn14-api.server.js";
+import { UNFINISHED_SYNC_STATUSES, enqueueSyncJob, findQueuedSyncJob } from "./sync-queue.server.js";
+import { getSyncLocks } from "./sync-locks.server.js";
+import {
+  ShopSessionError,
+  pauseShopSchedules,
+  verifyOfflineAdminContext
+} from "./shop-sessions.server.js";
+import {
+  DEFAULT_API_CALL_LOG_RETENTION_DAYS,
+  cleanupTurn14ApiCallLogs
+} from "./turn14-audit-log.server.js";
+import { isInBlackout } from "../utils/cron.js";
 import { logger } from "../utils/logger.server.js";
+import { chunkArray } from "../utils/batch.server.js";
+
+// A due run this late was missed (downtime, a stopped scheduler) rather than
+// picked up on a normal check
+const MISSED_RUN_GRACE_MS = 5 * 60 * 1000;
+
+// Old jobs are deleted this many at a time, each batch with its price history
+const CLEANUP_BATCH_SIZE = 500;
 
 /**
  * Background Sync Scheduler
- * Handles automated synchronization tasks
+ * Queues due scheduled syncs; sync workers run them
  */
 export class SyncScheduler {
   constructor() {
@@ -57,6 +78,21 @@ export class SyncScheduler {
       logger.info(`Found ${dueSchedules.length} due sync schedules`);
 
       for (const schedule of dueSchedules) {
+        if (await this.skipIfNotRunnable(schedule)) {
+          continue;
+        }
+
+        // Defer only when every Turn 14 account is down and no other supplier
+        // is connected; otherwise the reachable ones sync
+        const circuit = await getTurn14ShopCircuitStatus(schedule.shop);
+        const otherSuppliers = circuit.isOpen
+          ? await prisma.supplierConfig.count({ where: { shop: schedule.shop, isActive: true } })
+          : 0;
+        if (circuit.isOpen && otherSuppliers === 0) {
+          await this.deferScheduledSync(schedule, circuit.retryAt, circuit.lastError);
+          continue;
+        }
+
         await this.runScheduledSync(schedule);
       }
     } catch (error) {
@@ -65,54 +101,99 @@ export class SyncScheduler {
   }
 
   /**
-   * Run a specific scheduled sync
+   * Move a due schedule on to its next run without queueing it when its runs
+   * were missed and its catch-up policy skips them, or when it is due inside
+   * a blackout window. Returns whether the run was skipped.
+   */
+  async skipIfNotRunnable(schedule, now = new Date()) {
+    const timeZone = await SyncScheduleManager.getShopTimeZone(schedule.shop);
+    const missed = now.getTime() - schedule.nextRun.getTime() > MISSED_RUN_GRACE_MS;
+    const blackoutWindows = schedule.blackoutWindows ? JSON.parse(schedule.blackoutWindows) : [];
+
+    let reason = null;
+    if (missed && schedule.catchUpPolicy === 'skip') {
+      reason = 'missed runs are skipped';
+    } else if (isInBlackout(now, blackoutWindows, timeZone)) {
+      reason = 'inside a blackout window';
+    }
+
+    if (!reason) {
+      return false;
+    }
+
+    const updated = await SyncScheduleManager.skipScheduleRun(schedule, timeZone);
+    logger.info(`Skipping scheduled sync: ${schedule.name} (${reason})`, {
+      scheduleId: schedule.id,
+      shop: schedule.shop,
+      dueAt: schedule.nextRun,
+      nextRun: updated.nextRun
+    });
+
+    return true;
+  }
+
+  /**
+   * Queue a specific scheduled sync
    */
   async runScheduledSync(schedule) {
     try {
-      logger.info(`Running scheduled sync: ${schedule.name} (${schedule.syncType})`);
+      logger.info(`Queueing scheduled sync: ${schedule.name} (${schedule.syncType})`);
 
-      // Get shop's session data (in a real app, you'd need to store and retrieve this)
-      const shopConfig = await prisma.turn14Config.findUnique({
-        where: { shop: schedule.shop }
-      });
+      const [turn14Accounts, otherSuppliers] = await Promise.all([
+        prisma.turn14Config.count({ where: { shop: schedule.shop } }),
+        prisma.supplierConfig.count({ where: { shop: schedule.shop } })
+      ]);
 
-      if (!shopConfig) {
-        logger.error(`No Turn14 config found for shop: ${schedule.shop}`);
+      if (turn14Accounts + otherSuppliers === 0) {
+        logger.error(`No suppliers configured for shop: ${schedule.shop}`);
         return;
       }
 
-      // Create a temporary session object for the sync engine
-      // In a production app, you'd need to properly handle session tokens
-      const tempSession = {
-        shop: schedule.shop,
-        accessToken: process.env.SHOPIFY_ACCESS_TOKEN // This would be stored per shop
+      // Workers sync with the shop's offline session; without a usable one,
+      // pause the shop's schedules until the merchant reconnects
+      try {
+        await verifyOfflineAdminContext(schedule.shop);
+      } catch (error) {
+        if (!(error instanceof ShopSessionError)) {
+          throw error;
+        }
+        await pauseShopSchedules(schedule.shop, error.message);
+        return;
+      }
+
+      // Parse sync settings; a schedule only syncs its own profile's accounts
+      const syncSettings = {
+        ...(schedule.syncSettings ? JSON.parse(schedule.syncSettings) : {}),
+        profile: schedule.profile
       };
 
-      const syncEngine = new SyncEngine(schedule.shop, tempSession.accessToken);
-      
-      // Parse sync settings
-      const syncSettings = schedule.syncSettings 
-        ? JSON.parse(schedule.syncSettings) 
-        : {};
-
-      // Run the sync
-      const result = await syncEngine.runSync(
-        schedule.syncType, 
-        schedule.id, 
-        syncSettings
-      );
+      // A run still waiting in the queue covers this one too
+      const queuedJob = await findQueuedSyncJob(schedule.shop, schedule.syncType, syncSettings);
+      if (queuedJob) {
+        await SyncScheduleManager.markScheduleRun(schedule.id);
+        logger.info(`Scheduled sync already queued: ${schedule.name}`, {
+          scheduleId: schedule.id,
+          jobId: queuedJob.id
+        });
+        return;
+      }
+
+      const job = await enqueueSyncJob(schedule.shop, schedule.syncType, {
+        scheduleId: schedule.id,
+        settings: syncSettings
+      });
 
       // Mark the schedule as run
       await SyncScheduleManager.markScheduleRun(schedule.id);
 
-      logger.info(`Scheduled sync completed: ${schedule.name}`, {
+      logger.info(`Scheduled sync queued: ${schedule.name}`, {
         scheduleId: schedule.id,
         syncType: schedule.syncType,
-        result: result.results
+        jobId: job.id
       });
 
     } catch (error) {
-      logger.error(`Error running scheduled sync: ${schedule.name}`, {
+      logger.error(`Error queueing scheduled sync: ${schedule.name}`, {
         scheduleId: schedule.id,
         error: error.message
       });
@@ -137,23 +218,47 @@ export class SyncScheduler {
   }
 
   /**
-   * Run a manual sync for a specific shop
+   * Skip a due sync while Turn 14 is unreachable: record a deferred job and
+   * push the schedule's next run to when the circuit breaker allows a retry
    */
-  async runManualSync(shop, syncType, settings = {}, sessionToken = null) {
-    try {
-      logger.info(`Running manual sync for shop: ${shop}`, { syncType, settings });
-
-      const syncEngine = new SyncEngine(shop, sessionToken);
-      const result = await syncEngine.runSync(syncType, null, settings);
+  async deferScheduledSync(schedule, retryAt, reason = null) {
+    logger.warn(`Deferring scheduled sync while Turn 14 is unreachable: ${schedule.name}`, {
+      scheduleId: schedule.id,
+      shop: schedule.shop,
+      retryAt
+    });
+
+    await prisma.turn14SyncJob.create({
+      data: {
+        shop: schedule.shop,
+        scheduleId: schedule.id,
+        syncType: schedule.syncType,
+        status: "deferred",
+        startTime: new Date(),
+        endTime: new Date(),
+        errorMessage: `Turn 14 API unreachable${reason ? `: ${reason}` : ""}`,
+        totalItems: 0,
+        processedItems: 0,
+        successItems: 0,
+        failedItems: 0
+      }
+    });
 
-      logger.info(`Manual sync completed for shop: ${shop}`, {
-        syncType,
-        result: result.results
-      });
+    await prisma.turn14SyncSchedule.update({
+      where: { id: schedule.id },
+      data: { nextRun: retryAt }
+    });
+  }
 
-      return result;
+  /**
+   * Queue a manual sync for a specific shop
+   */
+  async runManualSync(shop, syncType, settings = {}) {
+    try {
+      logger.info(`Queueing manual sync for shop: ${shop}`, { syncType, settings });
+      return await enqueueSyncJob(shop, syncType, { settings });
     } catch (error) {
-      logger.error(`Error running manual sync for shop: ${shop}`, {
+      logger.error(`Error queueing manual sync for shop: ${shop}`, {
         syncType,
         error: error.message
       });
@@ -187,13 +292,17 @@ export class SyncScheduler {
       // Get sync statistics
       const syncStats = await this.calculateSyncStats(shop);
 
+      // Locks held by running syncs; expired ones belong to runs that died
+      const locks = await getSyncLocks(shop);
+
       return {
         activeSchedules: activeSchedules.length,
         recentJobs: recentJobs.length,
         lastSync: recentJobs[0]?.createdAt || null,
         stats: syncStats,
         schedules: activeSchedules,
-        jobs: recentJobs
+        jobs: recentJobs,
+        locks
       };
     } catch (error) {
       logger.error(`Error getting sync status for shop: ${shop}`, error);
@@ -256,34 +365,53 @@ export class SyncScheduler {
   }
 
   /**
-   * Clean up old sync jobs and logs
+   * Clean up old sync jobs and logs. Jobs that may still run or resume are
+   * kept however old; a finished job's price history goes with it, since it
+   * can't be rolled back once the job is gone. API call records hold response
+   * bodies, so they get their own, shorter retention window.
    */
-  async cleanupOldSyncData(retentionDays = 30) {
+  async cleanupOldSyncData(retentionDays = 30, apiCallRetentionDays = DEFAULT_API_CALL_LOG_RETENTION_DAYS) {
     try {
       const cutoffDate = new Date();
       cutoffDate.setDate(cutoffDate.getDate() - retentionDays);
 
-      const deletedJobs = await prisma.turn14SyncJob.deleteMany({
+      const oldJobs = await prisma.turn14SyncJob.findMany({
         where: {
-          createdAt: { lt: cutoffDate }
-        }
+          createdAt: { lt: cutoffDate },
+          status: { notIn: UNFINISHED_SYNC_STATUSES }
+        },
+        select: { id: true }
       });
 
+      let deletedJobs = 0;
+      for (const jobIds of chunkArray(oldJobs.map(job => job.id), CLEANUP_BATCH_SIZE)) {
+        const [, deleted] = await prisma.$transaction([
+          prisma.priceHistory.deleteMany({ where: { jobId: { in: jobIds } } }),
+          prisma.turn14SyncJob.deleteMany({ where: { id: { in: jobIds } } })
+        ]);
+        deletedJobs += deleted.count;
+      }
+
       const deletedLogs = await prisma.turn14SyncLog.deleteMany({
         where: {
           createdAt: { lt: cutoffDate }
         }
       });
 
+      const deletedApiCalls = await cleanupTurn14ApiCallLogs(apiCallRetentionDays);
+
       logger.info(`Cleaned up old sync data`, {
-        deletedJobs: deletedJobs.count,
+        deletedJobs,
         deletedLogs: deletedLogs.count,
-        retentionDays
+        deletedApiCalls,
+        retentionDays,
+        apiCallRetentionDays
       });
 
       return {
-        deletedJobs: deletedJobs.count,
-        deletedLogs: deletedLogs.count
+        deletedJobs,
+        deletedLogs: deletedLogs.count,
+        deletedApiCalls
       };
     } catch (error) {
       logger.error("Error cleaning up old sync data:", error);
@@ -333,7 +461,11 @@ export function initializeSyncScheduler() {
   // Set up cleanup job to run daily
   setInterval(async () => {
     try {
-      await scheduler.cleanupOldSyncData(30); // Keep 30 days of data
+      // Keep 30 days of sync data; TURN14_API_LOG_RETENTION_DAYS overrides the API call log window
+      await scheduler.cleanupOldSyncData(
+        30,
+        parseInt(process.env.TURN14_API_LOG_RETENTION_DAYS) || DEFAULT_API_CALL_LOG_RETENTION_DAYS
+      );
     } catch (error) {
       logger.error("Error in scheduled cleanup:", error);
     }
@@ -342,6 +474,3 @@ export function initializeSyncScheduler() {
   logger.info("Sync scheduler initialized");
   return scheduler;
 }
-
-// Export the scheduler instance for use in routes
-export { SyncScheduler }; 
\ No newline at end of file
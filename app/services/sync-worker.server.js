@@ -0,0 +1,198 @@
+import os from "node:os";
+import { prisma } from "../db.server.js";
+import { SyncEngine } from "./sync-engine.server.js";
+import { SupplierUnavailableError } from "./supplier-adapter.server.js";
+import {
+  SYNC_JOB_LEASE_MS,
+  SyncJobInterruptedError,
+  claimNextSyncJob,
+  failSyncJob,
+  reapStaleSyncJobs,
+  releaseSyncJob
+} from "./sync-queue.server.js";
+import { SyncLockedError } from "./sync-locks.server.js";
+import {
+  ShopSessionError,
+  pauseShopSchedules,
+  verifyOfflineAdminContext
+} from "./shop-sessions.server.js";
+import { logger } from "../utils/logger.server.js";
+
+// How long a job waits in the queue before retrying a sync lock held by another run
+const LOCK_RETRY_MS = 30 * 1000;
+
+/**
+ * Sync Worker
+ * Claims queued sync jobs one at a time and runs them. Run as many worker
+ * processes as needed (`npm run sync:worker`); leases keep them from running
+ * the same job, and each worker also reaps jobs whose worker died.
+ */
+export class SyncWorker {
+  constructor({
+    workerId = `${os.hostname()}:${process.pid}`,
+    pollInterval = 5000,
+    reapInterval = 60000,
+    leaseMs = SYNC_JOB_LEASE_MS
+  } = {}) {
+    this.workerId = workerId;
+    this.pollInterval = pollInterval;
+    this.reapInterval = reapInterval;
+    this.leaseMs = leaseMs;
+    this.isRunning = false;
+    this.currentEngine = null;
+    this.lastReap = 0;
+    this.loop = null;
+    this.wake = null;
+  }
+
+  /**
+   * Start claiming jobs until stop() is called
+   */
+  start() {
+    if (this.isRunning) {
+      logger.warn("Sync worker is already running", { workerId: this.workerId });
+      return this.loop;
+    }
+
+    this.isRunning = true;
+    logger.info("Sync worker started", { workerId: this.workerId });
+
+    this.loop = (async () => {
+      while (this.isRunning) {
+        const ranJob = await this.tick();
+        if (!ranJob && this.isRunning) {
+          await this.sleep(this.pollInterval);
+        }
+      }
+    })();
+
+    return this.loop;
+  }
+
+  /**
+   * Stop claiming jobs. A running job stops at its next checkpoint and goes
+   * back on the queue for another worker to resume.
+   */
+  async stop() {
+    if (!this.isRunning) {
+      return;
+    }
+
+    this.isRunning = false;
+    this.currentEngine?.interrupt(new SyncJobInterruptedError("Sync worker is shutting down"));
+    this.wake?.();
+
+    await this.loop;
+    logger.info("Sync worker stopped", { workerId: this.workerId });
+  }
+
+  /**
+   * Reap stale jobs when due, then run the next queued job. Returns whether a
+   * job was run.
+   */
+  async tick() {
+    try {
+      if (Date.now() - this.lastReap >= this.reapInterval) {
+        this.lastReap = Date.now();
+        await reapStaleSyncJobs();
+      }
+
+      const job = await claimNextSyncJob(this.workerId, { leaseMs: this.leaseMs });
+      if (!job) {
+        return false;
+      }
+
+      await this.runJob(job);
+      return true;
+    } catch (error) {
+      logger.error("Sync worker error", { workerId: this.workerId, error: error.message });
+      return false;
+    }
+  }
+
+  /**
+   * Run one claimed job to completion, failure or interruption
+   */
+  async runJob(job) {
+    logger.info("Running queued sync job", {
+      workerId: this.workerId,
+      jobId: job.id,
+      shop: job.shop,
+      syncType: job.syncType,
+      attempt: job.attempts
+    });
+
+    let context;
+    try {
+      context = await verifyOfflineAdminContext(job.shop);
+    } catch (error) {
+      if (!(error instanceof ShopSessionError)) {
+        throw error;
+      }
+
+      // No point retrying until the merchant reconnects
+      await failSyncJob(job.id, this.workerId, `${error.message}; reconnect the app to resume syncing`);
+      await pauseShopSchedules(job.shop, error.message);
+      return;
+    }
+
+    const syncEngine = new SyncEngine(job.shop, context.session.accessToken, context.admin);
+    this.currentEngine = syncEngine;
+
+    try {
+      const result = await syncEngine.executeSyncJob(job, { workerId: this.workerId });
+
+      logger.info(`Queued sync job ${result.status}`, {
+        jobId: job.id,
+        shop: job.shop,
+        syncType: job.syncType,
+        result: result.results
+      });
+    } catch (error) {
+      // Another run of this sync type is in progress; wait in the queue for it
+      if (error instanceof SyncLockedError) {
+        await releaseSyncJob(job.id, this.workerId, { runAfter: new Date(Date.now() + LOCK_RETRY_MS) });
+        logger.info("Sync job waiting for a running sync to finish", {
+          jobId: job.id,
+          shop: job.shop,
+          reason: error.message
+        });
+        return;
+      }
+
+      if (error instanceof SyncJobInterruptedError) {
+        // A lost lease means the reaper already requeued the job
+        if (!error.leaseLost) {
+          await releaseSyncJob(job.id, this.workerId);
+        }
+        logger.warn("Sync job interrupted; it resumes from its checkpoint", {
+          jobId: job.id,
+          shop: job.shop,
+          reason: error.message
+        });
+        return;
+      }
+
+      // The engine recorded the job as deferred; retry the schedule after the cooldown
+      if (error instanceof SupplierUnavailableError && job.scheduleId && error.retryAt) {
+        await prisma.turn14SyncSchedule.update({
+          where: { id: job.scheduleId },
+          data: { nextRun: error.retryAt }
+        });
+      }
+    } finally {
+      this.currentEngine = null;
+    }
+  }
+
+  // Wait between polls; stop() cuts the wait short
+  sleep(ms) {
+    return new Promise(resolve => {
+      const timer = setTimeout(resolve, ms);
+      this.wake = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+    });
+  }
+}
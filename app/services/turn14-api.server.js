@@ -1,8 +1,45 @@
 // Enhanced Turn 14 API Service with proper authentication and configuration
 
 // app/services/turn14-api.server.js
+import { randomUUID } from 'node:crypto';
 import axios from 'axios';
 import { db } from '../db.server.js';
+import {
+  Turn14APIError,
+  Turn14AuthError,
+  Turn14CircuitOpenError,
+  Turn14ConfigError,
+  Turn14RateLimitError
+} from './turn14-errors.server.js';
+import { turn14TokenManager } from './turn14-token-manager.server.js';
+import {
+  getRetryDelay,
+  getTurn14RateLimiter,
+  isRetryableError,
+  parseRetryAfter,
+  resolveRateLimitSettings,
+  sleep
+} from './turn14-rate-limiter.server.js';
+import {
+  getTurn14CircuitBreaker,
+  getTurn14CircuitStatus,
+  resolveCircuitBreakerSettings
+} from './turn14-circuit-breaker.server.js';
+import {
+  TURN14_MOCK_BASE_URL,
+  getTurn14Transport,
+  resolveTransportSettings
+} from './turn14-transport.server.js';
+import { recordTurn14ApiCall } from './turn14-audit-log.server.js';
+import { logger } from '../utils/logger.server.js';
+import {
+  decryptSecret,
+  encryptSecret,
+  maskSecret,
+  needsReencryption
+} from '../utils/encryption.server.js';
+import { chunkArray, mapWithConcurrency } from '../utils/batch.server.js';
+import { DEFAULT_FIELD_MAPPING, transformSupplierProduct } from '../utils/product-mapping.js';
 
 // Turn 14 API Base Configuration
 const TURN14_API_BASE_URL = 'https://api.turn14.com/v1';
@@ -30,50 +67,112 @@ function deserializeJsonField(jsonString) {
 }
 
 // API Error Classes
-export class Turn14APIError extends Error {
-  constructor(message, statusCode, response) {
-    super(message);
-    this.name = 'Turn14APIError';
-    this.statusCode = statusCode;
-    this.response = response;
-  }
+export {
+  Turn14APIError,
+  Turn14AuthError,
+  Turn14CircuitOpenError,
+  Turn14ConfigError,
+  Turn14RateLimitError
+};
+
+// Credential fields encrypted at rest
+const ENCRYPTED_CONFIG_FIELDS = ['apiKey', 'apiSecret'];
+
+// Accounts belong to a production or sandbox profile so test data never mixes
+// with real products. Mock transport works in either.
+export const TURN14_PROFILES = ['production', 'sandbox'];
+
+const PROFILE_ENVIRONMENTS = {
+  production: ['production', 'mock'],
+  sandbox: ['sandbox', 'mock']
+};
+
+// Decrypt the credentials of a Turn14Config row for server-side use
+export function decryptTurn14Credentials(config) {
+  if (!config) return config;
+
+  return {
+    ...config,
+    apiKey: decryptSecret(config.apiKey),
+    apiSecret: decryptSecret(config.apiSecret)
+  };
 }
 
-export class Turn14AuthError extends Turn14APIError {
-  constructor(message) {
-    super(message, 401);
-    this.name = 'Turn14AuthError';
-  }
+// Copy of a config that is safe to send to the browser: credentials are masked
+export function maskTurn14Credentials(config) {
+  return {
+    ...config,
+    apiKey: maskSecret(config.apiKey),
+    apiSecret: maskSecret(config.apiSecret)
+  };
+}
+
+// Decrypt credentials and deserialize JSON fields of a Turn14Config row
+function hydrateTurn14Config(config) {
+  return {
+    ...decryptTurn14Credentials(config),
+    selectedBrands: deserializeJsonField(config.selectedBrands) || [],
+    syncSettings: deserializeJsonField(config.syncSettings) || {}
+  };
 }
 
-export class Turn14ConfigError extends Error {
-  constructor(message) {
-    super(message);
-    this.name = 'Turn14ConfigError';
+// Accounts sorted production first, then the profile's default, then oldest first
+const ACCOUNT_ORDER = [{ profile: 'asc' }, { isDefault: 'desc' }, { createdAt: 'asc' }];
+
+// Reject environments that don't belong to the profile, e.g. production credentials in sandbox
+function checkProfileEnvironment(profile, environment) {
+  if (!TURN14_PROFILES.includes(profile)) {
+    throw new Turn14ConfigError(`Unknown Turn 14 profile: ${profile}`);
+  }
+  if (environment && !PROFILE_ENVIRONMENTS[profile].includes(environment)) {
+    throw new Turn14ConfigError(`The ${profile} profile can't use the ${environment} environment`);
   }
 }
 
-// Get Turn 14 Configuration for a shop
-export async function getTurn14Config(shop) {
+// Find a shop's account row: the given account, or the shop's default account
+async function findTurn14Account(shop, accountId = null) {
+  return db.turn14Config.findFirst({
+    where: accountId ? { id: accountId, shop } : { shop },
+    orderBy: ACCOUNT_ORDER
+  });
+}
+
+// Fetch functions and the API service take either a shop domain, meaning the
+// shop's default account, or `{ shop, accountId }` for a specific account
+function toAccountRef(shopOrAccount) {
+  return typeof shopOrAccount === 'string'
+    ? { shop: shopOrAccount, accountId: null }
+    : { shop: shopOrAccount.shop, accountId: shopOrAccount.accountId || null };
+}
+
+// Pin an account reference to a concrete, active account: `{ shop, accountId }`
+export async function resolveTurn14Account(shopOrAccount) {
+  const { shop, accountId } = toAccountRef(shopOrAccount);
+  const config = await getTurn14Config(shop, accountId);
+  return { shop: config.shop, accountId: config.id };
+}
+
+// Key for per-account state (token cache, rate limiter, circuit breaker)
+function getAccountKey(config) {
+  return config.id || config.shop;
+}
+
+// Get an active Turn 14 account for a shop: the given account or the shop's default
+export async function getTurn14Config(shop, accountId = null) {
   try {
-    const config = await db.turn14Config.findUnique({
-      where: { shop }
-    });
+    const config = await findTurn14Account(shop, accountId);
     
     if (!config) {
-      throw new Turn14ConfigError(`No Turn 14 configuration found for shop: ${shop}`);
+      throw new Turn14ConfigError(accountId
+        ? `Turn 14 account ${accountId} not found for shop: ${shop}`
+        : `No Turn 14 configuration found for shop: ${shop}`);
     }
     
     if (!config.isActive) {
-      throw new Turn14ConfigError(`Turn 14 configuration is disabled for shop: ${shop}`);
+      throw new Turn14ConfigError(`Turn 14 account "${config.name}" is disabled for shop: ${shop}`);
     }
     
-    // Deserialize JSON fields
-    return {
-      ...config,
-      selectedBrands: deserializeJsonField(config.selectedBrands) || [],
-      syncSettings: deserializeJsonField(config.syncSettings) || {}
-    };
+    return hydrateTurn14Config(config);
   } catch (error) {
     if (error instanceof Turn14ConfigError) {
       throw error;
@@ -82,47 +181,270 @@ export async function getTurn14Config(shop) {
   }
 }
 
-// Save or update Turn 14 Configuration
-export async function saveTurn14Config(shop, configData) {
+// Get a shop's account whether or not it is active, or null when there is none
+export async function getTurn14Account(shop, accountId = null) {
+  const config = await findTurn14Account(shop, accountId);
+  return config ? hydrateTurn14Config(config) : null;
+}
+
+// List a shop's Turn 14 accounts, production first and each profile's default first
+export async function listTurn14Accounts(shop, { activeOnly = false, profile = null } = {}) {
+  const configs = await db.turn14Config.findMany({
+    where: {
+      shop,
+      ...(activeOnly && { isActive: true }),
+      ...(profile && { profile })
+    },
+    orderBy: ACCOUNT_ORDER
+  });
+  return configs.map(hydrateTurn14Config);
+}
+
+// Prepare config fields for writing: encrypt credentials, serialize JSON fields
+function prepareConfigData(configData) {
+  // Identity fields are never written from caller data
+  const { id, shop, createdAt, profile, ...fields } = configData;
+
+  return {
+    ...fields,
+    ...Object.fromEntries(ENCRYPTED_CONFIG_FIELDS
+      .filter(field => fields[field] !== undefined)
+      .map(field => [field, encryptSecret(fields[field])])),
+    // Leave JSON fields untouched when the caller doesn't provide them
+    ...(fields.selectedBrands !== undefined && {
+      selectedBrands: serializeJsonField(fields.selectedBrands)
+    }),
+    ...(fields.syncSettings !== undefined && {
+      syncSettings: serializeJsonField(fields.syncSettings)
+    }),
+    updatedAt: new Date()
+  };
+}
+
+// Save or update a Turn 14 account: the given account, or the shop's default.
+// A shop without any account gets a default production account created. An
+// account's profile is fixed when it is created.
+export async function saveTurn14Config(shop, configData, accountId = null) {
   try {
-    // Prepare data with serialized JSON fields
-    const dataToSave = {
-      ...configData,
-      selectedBrands: configData.selectedBrands 
-        ? serializeJsonField(configData.selectedBrands) 
-        : null,
-      syncSettings: configData.syncSettings 
-        ? serializeJsonField(configData.syncSettings) 
-        : null,
-      updatedAt: new Date()
-    };
+    const existing = await findTurn14Account(shop, accountId);
+
+    if (!existing && accountId) {
+      throw new Turn14ConfigError(`Turn 14 account ${accountId} not found for shop: ${shop}`);
+    }
+
+    // Only a changed environment is checked so older rows keep saving as they are
+    if (configData.environment !== existing?.environment) {
+      checkProfileEnvironment(existing?.profile || 'production', configData.environment);
+    }
+
+    const dataToSave = prepareConfigData(configData);
+    const config = existing
+      ? await db.turn14Config.update({
+          where: { id: existing.id },
+          data: dataToSave
+        })
+      : await db.turn14Config.create({
+          data: { shop, isDefault: true, ...dataToSave }
+        });
+    
+    // Return config with decrypted credentials and deserialized JSON fields
+    return hydrateTurn14Config(config);
+  } catch (error) {
+    if (error instanceof Turn14ConfigError) {
+      throw error;
+    }
+    throw new Turn14ConfigError(`Failed to save Turn 14 configuration: ${error.message}`);
+  }
+}
+
+// Add another named Turn 14 account to a shop's production or sandbox profile.
+// The first account in a profile becomes its default.
+export async function createTurn14Account(shop, configData) {
+  const profile = configData.profile || 'production';
+
+  if (!configData.name?.trim()) {
+    throw new Turn14ConfigError('An account name is required');
+  }
+  checkProfileEnvironment(profile, configData.environment);
 
-    const config = await db.turn14Config.upsert({
-      where: { shop },
-      update: dataToSave,
-      create: {
+  try {
+    const accountCount = await db.turn14Config.count({ where: { shop, profile } });
+    const config = await db.turn14Config.create({
+      data: {
         shop,
-        ...dataToSave
+        profile,
+        ...prepareConfigData({ ...configData, name: configData.name.trim() }),
+        isDefault: accountCount === 0
       }
     });
-    
-    // Return config with deserialized JSON fields
-    return {
-      ...config,
-      selectedBrands: deserializeJsonField(config.selectedBrands) || [],
-      syncSettings: deserializeJsonField(config.syncSettings) || {}
-    };
+
+    return hydrateTurn14Config(config);
   } catch (error) {
-    throw new Turn14ConfigError(`Failed to save Turn 14 configuration: ${error.message}`);
+    if (error.code === 'P2002') {
+      throw new Turn14ConfigError(`A ${profile} Turn 14 account named "${configData.name}" already exists`);
+    }
+    throw new Turn14ConfigError(`Failed to create Turn 14 account: ${error.message}`);
+  }
+}
+
+// Make an account its profile's default; untagged products sync through the
+// production default
+export async function setDefaultTurn14Account(shop, accountId) {
+  const account = await findTurn14Account(shop, accountId);
+  if (!account) {
+    throw new Turn14ConfigError(`Turn 14 account ${accountId} not found for shop: ${shop}`);
+  }
+
+  await db.$transaction([
+    db.turn14Config.updateMany({ where: { shop, profile: account.profile }, data: { isDefault: false } }),
+    db.turn14Config.update({ where: { id: accountId }, data: { isDefault: true } })
+  ]);
+}
+
+// Remove an account and its staged catalog. Products imported through it are
+// left untagged and sync through the default account from then on.
+export async function deleteTurn14Account(shop, accountId) {
+  const account = await findTurn14Account(shop, accountId);
+  if (!account) {
+    throw new Turn14ConfigError(`Turn 14 account ${accountId} not found for shop: ${shop}`);
+  }
+
+  await db.$transaction([
+    db.turn14ImportedProduct.updateMany({ where: { shop, accountId }, data: { accountId: null } }),
+    db.turn14CatalogItem.deleteMany({ where: { accountId } }),
+    db.turn14SyncState.deleteMany({ where: { accountId } }),
+    db.turn14Config.delete({ where: { id: accountId } })
+  ]);
+  clientCache.delete(accountId);
+
+  // Promote the next account so the profile keeps a default
+  if (account.isDefault) {
+    const next = await db.turn14Config.findFirst({
+      where: { shop, profile: account.profile },
+      orderBy: ACCOUNT_ORDER
+    });
+    if (next) {
+      await db.turn14Config.update({ where: { id: next.id }, data: { isDefault: true } });
+    }
+  }
+}
+
+// Re-encrypt stored credentials that are plain text or use a retired key with the
+// active key. Run after adding a new key to the front of TURN14_ENCRYPTION_KEYS.
+export async function rotateTurn14CredentialEncryption() {
+  const configs = await db.turn14Config.findMany({
+    select: { id: true, shop: true, apiKey: true, apiSecret: true }
+  });
+  let reencrypted = 0;
+
+  for (const config of configs) {
+    const fields = ENCRYPTED_CONFIG_FIELDS.filter(field => needsReencryption(config[field]));
+    if (fields.length === 0) continue;
+
+    await db.turn14Config.update({
+      where: { id: config.id },
+      data: Object.fromEntries(fields.map(field => [
+        field,
+        encryptSecret(decryptSecret(config[field]))
+      ]))
+    });
+    reencrypted++;
+  }
+
+  logger.info('Rotated Turn 14 credential encryption', { scanned: configs.length, reencrypted });
+  return { scanned: configs.length, reencrypted };
+}
+
+// Resolve the API base URL for an environment
+function getTurn14BaseUrl(environment) {
+  if (environment === 'mock') return TURN14_MOCK_BASE_URL;
+  return environment === 'sandbox' ? TURN14_SANDBOX_URL : TURN14_API_BASE_URL;
+}
+
+// Wrap an error with context while keeping auth/throttling/outage failures and status codes intact
+function wrapTurn14Error(error, message) {
+  if (
+    error instanceof Turn14AuthError ||
+    error instanceof Turn14RateLimitError ||
+    error instanceof Turn14CircuitOpenError
+  ) {
+    return error;
+  }
+  return new Turn14APIError(`${message}: ${error.message}`, error.statusCode, error.response);
+}
+
+// Work out whether a list response has another page: a resumable cursor when
+// Turn 14 returns one, otherwise the reported page count or item total
+function getNextPageInfo(data, page, limit) {
+  const nextCursor = data?.next_cursor || data?.meta?.next_cursor || null;
+  const total = data?.total ?? data?.meta?.total ?? null;
+  const totalPages = data?.meta?.total_pages ?? data?.total_pages
+    ?? (total !== null && limit ? Math.ceil(total / limit) : null);
+
+  return {
+    nextCursor,
+    totalPages,
+    hasNextPage: Boolean(nextCursor) || (totalPages !== null && page < totalPages)
+  };
+}
+
+// Walk a paged list endpoint, yielding one page at a time. `fetchPage` gets
+// `{ page, cursor }` and returns `{ items, hasNextPage, nextCursor }`. Start from
+// a saved `page`/`cursor` to resume an interrupted walk.
+async function* paginateTurn14(fetchPage, { page = 1, cursor = null, maxPages = Infinity } = {}) {
+  let currentPage = page;
+  let currentCursor = cursor;
+  let pagesFetched = 0;
+
+  while (pagesFetched < maxPages) {
+    const { items, hasNextPage, nextCursor } = await fetchPage({
+      page: currentPage,
+      cursor: currentCursor
+    });
+    pagesFetched++;
+
+    yield {
+      items,
+      page: currentPage,
+      cursor: currentCursor,
+      nextPage: hasNextPage ? currentPage + 1 : null,
+      nextCursor: hasNextPage ? nextCursor : null
+    };
+
+    if (!hasNextPage || items.length === 0) {
+      return;
+    }
+
+    currentPage++;
+    currentCursor = nextCursor;
   }
 }
 
 // Create authenticated axios instance
 function createTurn14Client(config) {
-  const baseURL = config.environment === 'sandbox' ? TURN14_SANDBOX_URL : TURN14_API_BASE_URL;
+  const baseURL = getTurn14BaseUrl(config.environment);
+  const adapter = getTurn14Transport(
+    resolveTransportSettings(config.environment, config.syncSettings)
+  );
+  const accountKey = getAccountKey(config);
+  const credentials = {
+    shop: config.shop,
+    accountKey,
+    clientId: config.apiKey,
+    clientSecret: config.apiSecret,
+    baseURL,
+    adapter
+  };
+  const rateLimitSettings = resolveRateLimitSettings(config.syncSettings);
+  const rateLimiter = getTurn14RateLimiter(accountKey, rateLimitSettings);
+  const circuitBreaker = getTurn14CircuitBreaker(
+    accountKey,
+    resolveCircuitBreakerSettings(config.syncSettings)
+  );
   
   const client = axios.create({
     baseURL,
+    ...(adapter && { adapter }),
     timeout: 30000,
     headers: {
       'Content-Type': 'application/json',
@@ -131,42 +453,169 @@ function createTurn14Client(config) {
     }
   });
 
-  // Add authentication interceptor
-  client.interceptors.request.use((config) => {
-    if (config.apiKey) {
-      config.headers.Authorization = `Bearer ${config.apiKey}`;
+  // Add circuit breaker, rate limiting and authentication interceptor
+  client.interceptors.request.use(async (requestConfig) => {
+    // Retries of an admitted request skip the check so a half-open trial can retry
+    if (!requestConfig._circuitAdmitted) {
+      if (!circuitBreaker.canRequest()) {
+        const { retryAt } = circuitBreaker.getStatus();
+        throw new Turn14CircuitOpenError(
+          'Turn 14 API is unreachable; requests are paused until the supplier recovers',
+          retryAt
+        );
+      }
+      requestConfig._circuitAdmitted = true;
     }
-    return config;
+
+    await rateLimiter.acquire();
+    const accessToken = await turn14TokenManager.getAccessToken(credentials);
+    requestConfig.headers.Authorization = `Bearer ${accessToken}`;
+
+    // Tag each attempt so the audit log and Turn 14 support can match it up
+    requestConfig._auditRequestId = randomUUID();
+    requestConfig._auditStartedAt = Date.now();
+    requestConfig.headers['X-Request-Id'] = requestConfig._auditRequestId;
+    return requestConfig;
   });
 
-  // Add response interceptor for error handling
-  client.interceptors.response.use(
-    (response) => response,
-    (error) => {
-      if (error.response?.status === 401) {
-        throw new Turn14AuthError('Invalid Turn 14 API credentials');
+  // Handle a failed request: retry it, or turn it into a Turn 14 error
+  const handleResponseError = async (error) => {
+    // Token request failures and short-circuited calls are already Turn 14 errors
+    if (error instanceof Turn14APIError) {
+      throw error;
+    }
+
+    if (error.response?.status === 401) {
+      // The token may have been revoked early: refresh it and retry once
+      if (error.config && !error.config._authRetried) {
+        error.config._authRetried = true;
+        turn14TokenManager.invalidate(accountKey);
+        return client.request(error.config);
+      }
+      throw new Turn14AuthError('Invalid Turn 14 API credentials');
+    }
+
+    const requestConfig = error.config;
+    const attempt = requestConfig?._retryCount || 0;
+    const canRetry = requestConfig && attempt < rateLimitSettings.maxRetries;
+
+    if (error.response?.status === 429) {
+      // Throttled: hold every request for this account until Turn 14 lets us back in
+      const retryAfterMs = parseRetryAfter(error.response.headers?.['retry-after'])
+        ?? getRetryDelay(attempt, rateLimitSettings);
+
+      if (canRetry) {
+        requestConfig._retryCount = attempt + 1;
+        rateLimiter.pauseFor(retryAfterMs);
+        logger.warn('Turn 14 API rate limit hit, retrying', {
+          shop: config.shop,
+          accountId: config.id,
+          url: requestConfig.url,
+          attempt: attempt + 1,
+          retryAfterMs
+        });
+        return client.request(requestConfig);
       }
-      
-      const message = error.response?.data?.message || error.message || 'Unknown API error';
-      throw new Turn14APIError(
-        `Turn 14 API Error: ${message}`,
-        error.response?.status || 500,
-        error.response?.data
+
+      throw new Turn14RateLimitError(
+        'Turn 14 API rate limit exceeded',
+        retryAfterMs,
+        error.response.data
       );
     }
+
+    if (canRetry && isRetryableError(error)) {
+      const delay = getRetryDelay(attempt, rateLimitSettings);
+      requestConfig._retryCount = attempt + 1;
+      logger.warn('Turn 14 API request failed, retrying', {
+        shop: config.shop,
+        accountId: config.id,
+        url: requestConfig.url,
+        status: error.response?.status,
+        code: error.code,
+        attempt: attempt + 1,
+        delay
+      });
+      await sleep(delay);
+      return client.request(requestConfig);
+    }
+    
+    const message = error.response?.data?.message || error.message || 'Unknown API error';
+    throw new Turn14APIError(
+      `Turn 14 API Error: ${message}`,
+      error.response?.status || 500,
+      error.response?.data
+    );
+  };
+
+  // Add response interceptor for error handling and circuit breaker bookkeeping
+  client.interceptors.response.use(
+    async (response) => {
+      await circuitBreaker.recordSuccess();
+      recordTurn14ApiCall(config.shop, response.config, { response, accountId: config.id });
+      return response;
+    },
+    async (error) => {
+      // Log every failed attempt that reached Turn 14, including ones that get retried
+      if (error.config && !(error instanceof Turn14APIError)) {
+        recordTurn14ApiCall(config.shop, error.config, { error, accountId: config.id });
+      }
+
+      try {
+        return await handleResponseError(error);
+      } catch (finalError) {
+        // Retries rethrow through every level; count each failure once
+        if (!(finalError instanceof Turn14CircuitOpenError) && !finalError._circuitRecorded) {
+          finalError._circuitRecorded = true;
+          if (finalError.statusCode >= 500) {
+            await circuitBreaker.recordFailure(finalError);
+          } else {
+            // Auth, throttling and 4xx answers still mean Turn 14 is reachable
+            await circuitBreaker.recordSuccess();
+          }
+        }
+        throw finalError;
+      }
+    }
   );
 
   return client;
 }
 
-// Validate API credentials
-export async function validateTurn14Credentials(shop, apiKey, apiSecret, environment = 'production') {
+// Authenticated clients shared across calls, keyed by account
+const clientCache = new Map();
+
+// Get the shared authenticated client for a shop's default account or a given account
+export async function getTurn14Client(shopOrAccount) {
+  const { shop, accountId } = toAccountRef(shopOrAccount);
+  const config = await getTurn14Config(shop, accountId);
+  const fingerprint = [
+    config.environment,
+    config.apiKey,
+    config.apiSecret,
+    JSON.stringify(resolveRateLimitSettings(config.syncSettings)),
+    JSON.stringify(resolveCircuitBreakerSettings(config.syncSettings)),
+    JSON.stringify(resolveTransportSettings(config.environment, config.syncSettings))
+  ].join('|');
+  const cached = clientCache.get(config.id);
+
+  if (cached && cached.fingerprint === fingerprint) {
+    return cached.client;
+  }
+
+  const client = createTurn14Client(config);
+  clientCache.set(config.id, { fingerprint, client });
+  return client;
+}
+
+// Validate API credentials and record the result on the account
+export async function validateTurn14Credentials(shop, apiKey, apiSecret, environment = 'production', accountId = null) {
   try {
-    const config = { apiKey, apiSecret, environment };
+    const config = { id: accountId, shop, apiKey, apiSecret, environment };
     const client = createTurn14Client(config);
     
     // Test the credentials with a simple API call
-    const response = await client.get('/account', { apiKey });
+    const response = await client.get('/account');
     
     // Update validation status in database
     await saveTurn14Config(shop, {
@@ -176,7 +625,7 @@ export async function validateTurn14Credentials(shop, apiKey, apiSecret, environ
       lastValidated: new Date(),
       validationError: null,
       isActive: true
-    });
+    }, accountId);
     
     return {
       isValid: true,
@@ -192,7 +641,7 @@ export async function validateTurn14Credentials(shop, apiKey, apiSecret, environ
       lastValidated: new Date(),
       validationError: error.message,
       isActive: false
-    });
+    }, accountId);
     
     return {
       isValid: false,
@@ -204,47 +653,49 @@ export async function validateTurn14Credentials(shop, apiKey, apiSecret, environ
 
 // Fetch account information
 export async function fetchAccountInfo(shop) {
-  const config = await getTurn14Config(shop);
-  const client = createTurn14Client(config);
+  const client = await getTurn14Client(shop);
   
   try {
-    const response = await client.get('/account', { apiKey: config.apiKey });
+    const response = await client.get('/account');
     return response.data;
   } catch (error) {
-    throw new Turn14APIError(`Failed to fetch account info: ${error.message}`);
+    throw wrapTurn14Error(error, 'Failed to fetch account info');
   }
 }
 
 // Fetch available brands
-export async function fetchTurn14Brands(shop) {
-  const config = await getTurn14Config(shop);
-  const client = createTurn14Client(config);
+export async function fetchTurn14Brands(shop, params = {}) {
+  const client = await getTurn14Client(shop);
   
   try {
-    const response = await client.get('/brands', { apiKey: config.apiKey });
+    const response = await client.get('/brands', {
+      params: {
+        ...(params.page && { page: params.page }),
+        ...(params.limit && { limit: params.limit }),
+        ...(params.cursor && { cursor: params.cursor })
+      }
+    });
     return response.data;
   } catch (error) {
-    throw new Turn14APIError(`Failed to fetch brands: ${error.message}`);
+    throw wrapTurn14Error(error, 'Failed to fetch brands');
   }
 }
 
 // Fetch available categories
 export async function fetchTurn14Categories(shop) {
-  const config = await getTurn14Config(shop);
-  const client = createTurn14Client(config);
+  const client = await getTurn14Client(shop);
   
   try {
-    const response = await client.get('/categories', { apiKey: config.apiKey });
+    const response = await client.get('/categories');
     return response.data;
   } catch (error) {
-    throw new Turn14APIError(`Failed to fetch categories: ${error.message}`);
+    throw wrapTurn14Error(error, 'Failed to fetch categories');
   }
 }
 
 // Fetch inventory with advanced filtering
 export async function fetchTurn14Inventory(shop, options = {}) {
-  const config = await getTurn14Config(shop);
-  const client = createTurn14Client(config);
+  const client = await getTurn14Client(shop);
   
   const {
     page = 1,
@@ -256,13 +707,15 @@ export async function fetchTurn14Inventory(shop, options = {}) {
     priceMax = null,
     inStock = null,
     carb = null,
-    prop65 = null
+    prop65 = null,
+    cursor = null
   } = options;
 
   try {
     const params = {
       page,
       limit,
+      ...(cursor && { cursor }),
       ...(brands.length && { brands: brands.join(',') }),
       ...(categories.length && { categories: categories.join(',') }),
       ...(search && { search }),
@@ -274,10 +727,11 @@ export async function fetchTurn14Inventory(shop, options = {}) {
     };
 
     const response = await client.get('/inventory', { 
-      apiKey: config.apiKey,
       params 
     });
 
+    const { nextCursor, hasNextPage } = getNextPageInfo(response.data, page, limit);
+
     return {
       products: response.data.products || [],
       total: response.data.total || 0,
@@ -285,264 +739,271 @@ export async function fetchTurn14Inventory(shop, options = {}) {
         currentPage: page,
         totalPages: Math.ceil((response.data.total || 0) / limit),
         limit,
-        hasNextPage: page < Math.ceil((response.data.total || 0) / limit),
-        hasPrevPage: page > 1
+        hasNextPage,
+        hasPrevPage: page > 1,
+        nextCursor
       }
     };
   } catch (error) {
-    throw new Turn14APIError(`Failed to fetch inventory: ${error.message}`);
+    throw wrapTurn14Error(error, 'Failed to fetch inventory');
   }
 }
 
 // Fetch product details by SKU
 export async function fetchTurn14Product(shop, sku) {
-  const config = await getTurn14Config(shop);
-  const client = createTurn14Client(config);
+  const client = await getTurn14Client(shop);
   
   try {
-    const response = await client.get(`/products/${sku}`, { apiKey: config.apiKey });
+    const response = await client.get(`/products/${sku}`);
     return response.data;
   } catch (error) {
-    throw new Turn14APIError(`Failed to fetch product ${sku}: ${error.message}`);
+    throw wrapTurn14Error(error, `Failed to fetch product ${sku}`);
   }
 }
 
 // Fetch pricing information
 export async function fetchTurn14Pricing(shop, skus = []) {
-  const config = await getTurn14Config(shop);
-  const client = createTurn14Client(config);
+  const client = await getTurn14Client(shop);
   
   try {
     const response = await client.post('/pricing', {
       skus: Array.isArray(skus) ? skus : [skus]
-    }, { apiKey: config.apiKey });
+    }, { idempotent: true });
     
     return response.data;
   } catch (error) {
-    throw new Turn14APIError(`Failed to fetch pricing: ${error.message}`);
+    throw wrapTurn14Error(error, 'Failed to fetch pricing');
   }
 }
 
 // Fetch real-time inventory levels
 export async function fetchTurn14Stock(shop, skus = []) {
-  const config = await getTurn14Config(shop);
-  const client = createTurn14Client(config);
+  const client = await getTurn14Client(shop);
   
   try {
     const response = await client.post('/inventory/stock', {
       skus: Array.isArray(skus) ? skus : [skus]
-    }, { apiKey: config.apiKey });
+    }, { idempotent: true });
     
     return response.data;
   } catch (error) {
-    throw new Turn14APIError(`Failed to fetch stock levels: ${error.message}`);
+    throw wrapTurn14Error(error, 'Failed to fetch stock levels');
+  }
+}
+
+// Fetch a page of SKUs whose stock or pricing changed at Turn 14 since a point in time.
+// `kind` is "inventory" or "pricing".
+export async function fetchTurn14Changes(shop, kind, { since, page = 1, limit = 500, cursor } = {}) {
+  const client = await getTurn14Client(shop);
+  const path = kind === 'pricing' ? '/pricing/changes' : '/inventory/updates';
+
+  try {
+    const response = await client.get(path, {
+      params: {
+        updated_since: new Date(since).toISOString(),
+        page,
+        limit,
+        ...(cursor && { cursor })
+      }
+    });
+
+    const { nextCursor, hasNextPage } = getNextPageInfo(response.data, page, limit);
+
+    return {
+      items: extractItems(response.data, 'items'),
+      pagination: {
+        currentPage: page,
+        limit,
+        hasNextPage,
+        nextCursor
+      }
+    };
+  } catch (error) {
+    throw wrapTurn14Error(error, `Failed to fetch ${kind} changes`);
   }
 }
 
 // Submit order to Turn 14
 export async function submitTurn14Order(shop, orderData) {
-  const config = await getTurn14Config(shop);
-  const client = createTurn14Client(config);
+  const client = await getTurn14Client(shop);
   
   try {
-    const response = await client.post('/orders', orderData, { apiKey: config.apiKey });
+    const response = await client.post('/orders', orderData);
     return response.data;
   } catch (error) {
-    throw new Turn14APIError(`Failed to submit order: ${error.message}`);
+    throw wrapTurn14Error(error, 'Failed to submit order');
   }
 }
 
 // Get shipping rates
 export async function fetchTurn14ShippingRates(shop, rateRequest) {
-  const config = await getTurn14Config(shop);
-  const client = createTurn14Client(config);
+  const client = await getTurn14Client(shop);
   
   try {
-    const response = await client.post('/shipping/rates', rateRequest, { apiKey: config.apiKey });
+    const response = await client.post('/shipping/rates', rateRequest, { idempotent: true });
     return response.data;
   } catch (error) {
-    throw new Turn14APIError(`Failed to fetch shipping rates: ${error.message}`);
+    throw wrapTurn14Error(error, 'Failed to fetch shipping rates');
   }
 }
 
-// Transform Turn 14 product for Shopify
+// Transform a Turn 14 product (as returned by fetchTurn14Product) for Shopify using
+// the shop's field mapping, or the default mapping when none is given
 export function transformProductForShopify(turn14Product, config = {}) {
-  const {
-    priceMarkup = 0,
-    defaultWeight = 1,
-    defaultWeightUnit = 'lb'
-  } = config;
-
-  // Calculate price with markup
-  const basePrice = parseFloat(turn14Product.price || 0);
-  const finalPrice = priceMarkup > 0 ? basePrice * (1 + priceMarkup / 100) : basePrice;
-
-  // Generate product handle
-  const productName = turn14Product.name || turn14Product.title || 'Untitled Product';
-  const handle = productName
-    .toLowerCase()
-    .replace(/[^a-z0-9]+/g, '-')
-    .replace(/^-+|-+$/g, '')
-    .substring(0, 100);
-
-  // Clean description
-  const cleanDescription = turn14Product.description 
-    ? turn14Product.description.replace(/<[^>]*>/g, '').replace(/&[^;]+;/g, ' ').trim()
-    : 'No description available';
+  const { priceMarkup = 0, mapping = DEFAULT_FIELD_MAPPING } = config;
 
-  return {
-    title: productName,
-    handle: handle,
-    body_html: cleanDescription,
-    vendor: turn14Product.manufacturer || turn14Product.brand || 'Turn 14',
-    product_type: turn14Product.category || 'Auto Parts',
-    tags: [
-      'Turn14',
-      turn14Product.manufacturer,
-      turn14Product.category,
-      ...(turn14Product.carbCompliant ? ['CARB Compliant'] : []),
-      ...(turn14Product.prop65Warning ? ['Prop 65 Warning'] : [])
-    ].filter(Boolean).join(','),
-    status: 'draft', // Import as draft by default
-    variants: [{
-      price: finalPrice.toFixed(2),
-      sku: turn14Product.sku,
-      inventory_quantity: turn14Product.stock || 0,
-      inventory_management: 'shopify',
-      weight: turn14Product.weight || defaultWeight,
-      weight_unit: turn14Product.weightUnit || defaultWeightUnit,
-      barcode: turn14Product.upc || turn14Product.barcode || null,
-      requires_shipping: true
-    }],
-    images: turn14Product.images ? turn14Product.images.map(img => ({ 
-      src: img.url || img,
-      alt: productName
-    })) : [],
-    metafields: [
-      {
-        namespace: 'turn14',
-        key: 'sku',
-        value: turn14Product.sku,
-        type: 'single_line_text_field'
-      },
-      {
-        namespace: 'turn14',
-        key: 'manufacturer',
-        value: turn14Product.manufacturer || turn14Product.brand || '',
-        type: 'single_line_text_field'
-      },
-      {
-        namespace: 'turn14',
-        key: 'original_price',
-        value: turn14Product.price.toString(),
-        type: 'single_line_text_field'
-      },
-      {
-        namespace: 'turn14',
-        key: 'carb_compliant',
-        value: turn14Product.carbCompliant ? 'true' : 'false',
-        type: 'single_line_text_field'
-      },
-      {
-        namespace: 'turn14',
-        key: 'prop65_warning',
-        value: turn14Product.prop65Warning ? 'true' : 'false',
-        type: 'single_line_text_field'
-      },
-      ...(turn14Product.fitments ? [{
-        namespace: 'turn14',
-        key: 'fitments',
-        value: JSON.stringify(turn14Product.fitments),
-        type: 'json_string'
-      }] : [])
-    ]
-  };
+  return transformSupplierProduct(toTurn14SupplierProduct(turn14Product), mapping, {
+    priceMarkup,
+    tag: 'Turn14',
+    supplier: 'turn14'
+  });
 }
 
 // YMM (Year/Make/Model) Related Functions
 
 // Fetch vehicle compatibility for a product
 export async function fetchTurn14Compatibility(shop, sku) {
-  const config = await getTurn14Config(shop);
-  const client = createTurn14Client(config);
+  const client = await getTurn14Client(shop);
   
   try {
-    const response = await client.get(`/products/${sku}/compatibility`, { apiKey: config.apiKey });
+    const response = await client.get(`/products/${sku}/compatibility`);
     return response.data;
   } catch (error) {
-    throw new Turn14APIError(`Failed to fetch compatibility for ${sku}: ${error.message}`);
+    throw wrapTurn14Error(error, `Failed to fetch compatibility for ${sku}`);
   }
 }
 
 // Fetch all vehicles from Turn 14 database
 export async function fetchTurn14Vehicles(shop, params = {}) {
-  const config = await getTurn14Config(shop);
-  const client = createTurn14Client(config);
+  const client = await getTurn14Client(shop);
   
   try {
     const queryParams = {
       page: params.page || 1,
       limit: params.limit || 1000,
+      ...(params.cursor && { cursor: params.cursor }),
       ...(params.year && { year: params.year }),
       ...(params.make && { make: params.make }),
       ...(params.model && { model: params.model })
     };
 
     const response = await client.get('/vehicles', { 
-      apiKey: config.apiKey,
       params: queryParams 
     });
     
+    const { nextCursor, hasNextPage } = getNextPageInfo(
+      response.data,
+      queryParams.page,
+      queryParams.limit
+    );
+
     return {
       vehicles: response.data.vehicles || [],
       total: response.data.total || 0,
       pagination: {
         currentPage: queryParams.page,
         totalPages: Math.ceil((response.data.total || 0) / queryParams.limit),
-        limit: queryParams.limit
+        limit: queryParams.limit,
+        hasNextPage,
+        nextCursor
       }
     };
   } catch (error) {
-    throw new Turn14APIError(`Failed to fetch vehicles: ${error.message}`);
+    throw wrapTurn14Error(error, 'Failed to fetch vehicles');
   }
 }
 
+// Paginated iterators: each yields `{ items, page, cursor, nextPage, nextCursor }`
+// per page. Pass `page`/`cursor` from a saved page to resume.
+
+// Iterate every page of catalog items matching the inventory filters
+export function iterateTurn14Inventory(shop, options = {}) {
+  const { page, cursor, maxPages, ...filters } = options;
+
+  return paginateTurn14(async (position) => {
+    const result = await fetchTurn14Inventory(shop, { ...filters, ...position });
+    return {
+      items: result.products,
+      hasNextPage: result.pagination.hasNextPage,
+      nextCursor: result.pagination.nextCursor
+    };
+  }, { page, cursor, maxPages });
+}
+
+// Iterate every page of brands
+export function iterateTurn14Brands(shop, options = {}) {
+  const { page, cursor, maxPages, limit = 100 } = options;
+
+  return paginateTurn14(async (position) => {
+    const data = await fetchTurn14Brands(shop, { ...position, limit });
+    const { hasNextPage, nextCursor } = getNextPageInfo(data, position.page, limit);
+    return {
+      items: extractItems(data, 'brands'),
+      hasNextPage,
+      nextCursor
+    };
+  }, { page, cursor, maxPages });
+}
+
+// Iterate every page of the vehicle database
+export function iterateTurn14Vehicles(shop, options = {}) {
+  const { page, cursor, maxPages, ...filters } = options;
+
+  return paginateTurn14(async (position) => {
+    const result = await fetchTurn14Vehicles(shop, { ...filters, ...position });
+    return {
+      items: result.vehicles,
+      hasNextPage: result.pagination.hasNextPage,
+      nextCursor: result.pagination.nextCursor
+    };
+  }, { page, cursor, maxPages });
+}
+
+// Iterate every page of stock or pricing changes since a point in time
+export function iterateTurn14Changes(shop, kind, options = {}) {
+  const { page, cursor, maxPages, ...filters } = options;
+
+  return paginateTurn14(async (position) => {
+    const result = await fetchTurn14Changes(shop, kind, { ...filters, ...position });
+    return {
+      items: result.items,
+      hasNextPage: result.pagination.hasNextPage,
+      nextCursor: result.pagination.nextCursor
+    };
+  }, { page, cursor, maxPages });
+}
+
 // Fetch makes for a specific year
 export async function fetchTurn14Makes(shop, year) {
-  const config = await getTurn14Config(shop);
-  const client = createTurn14Client(config);
+  const client = await getTurn14Client(shop);
   
   try {
     const response = await client.get(`/vehicles/makes`, { 
-      apiKey: config.apiKey,
       params: { year }
     });
     return response.data.makes || [];
   } catch (error) {
-    throw new Turn14APIError(`Failed to fetch makes for year ${year}: ${error.message}`);
+    throw wrapTurn14Error(error, `Failed to fetch makes for year ${year}`);
   }
 }
 
 // Fetch models for a specific year and make
 export async function fetchTurn14Models(shop, year, make) {
-  const config = await getTurn14Config(shop);
-  const client = createTurn14Client(config);
+  const client = await getTurn14Client(shop);
   
   try {
     const response = await client.get(`/vehicles/models`, { 
-      apiKey: config.apiKey,
       params: { year, make }
     });
     return response.data.models || [];
   } catch (error) {
-    throw new Turn14APIError(`Failed to fetch models for ${year} ${make}: ${error.message}`);
+    throw wrapTurn14Error(error, `Failed to fetch models for ${year} ${make}`);
   }
 }
 
 // Search products by vehicle compatibility
 export async function searchTurn14ProductsByVehicle(shop, vehicleParams = {}) {
-  const config = await getTurn14Config(shop);
-  const client = createTurn14Client(config);
+  const client = await getTurn14Client(shop);
   
   try {
     const params = {
@@ -557,7 +1018,6 @@ export async function searchTurn14ProductsByVehicle(shop, vehicleParams = {}) {
     };
 
     const response = await client.get('/products/search/vehicle', { 
-      apiKey: config.apiKey,
       params 
     });
 
@@ -573,6 +1033,320 @@ export async function searchTurn14ProductsByVehicle(shop, vehicleParams = {}) {
       }
     };
   } catch (error) {
-    throw new Turn14APIError(`Failed to search products by vehicle: ${error.message}`);
+    throw wrapTurn14Error(error, 'Failed to search products by vehicle');
+  }
+}
+
+// Class-based client used by the sync engine and YMM service
+
+// Pull the item list out of a Turn 14 response, whichever key it uses
+function extractItems(data, key) {
+  if (!data) return [];
+  if (Array.isArray(data)) return data;
+  return data.items || data[key] || [];
+}
+
+// Find the entry for a SKU in a list response
+function findItemBySku(items, sku) {
+  return items.find(item => item.sku === sku || item.id === sku) || null;
+}
+
+// Normalize stock and pricing entries to the field names the sync engine expects
+function normalizeStockItem(item, sku) {
+  return {
+    ...item,
+    sku,
+    inventory_quantity: item.inventory_quantity ?? item.stock ?? item.quantity ?? 0
+  };
+}
+
+function normalizePricingItem(item, sku) {
+  return {
+    ...item,
+    sku,
+    price: parseFloat(item.price ?? item.purchase_cost ?? 0)
+  };
+}
+
+// Defaults for bulk pricing and stock lookups
+export const DEFAULT_BATCH_OPTIONS = {
+  batchSize: 250,
+  concurrency: 2
+};
+
+// Normalize a catalog item to the field names the sync engine expects
+export function normalizeCatalogItem(product) {
+  return {
+    ...product,
+    id: product.sku || product.id,
+    turn14Id: product.id,
+    item_name: product.item_name || product.name || product.title,
+    item_description: product.item_description || product.description || '',
+    brand_name: product.brand_name || product.brand || product.manufacturer,
+    price: parseFloat(product.price || 0),
+    inventory_quantity: product.inventory_quantity ?? product.stock ?? 0,
+    images: (product.images || []).map(img => (typeof img === 'string' ? { url: img } : img))
+  };
+}
+
+function toFloat(value) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+// Turn 14 catalog item (raw, normalized or staged from a feed) to the supplier
+// adapter product shape. The raw item is kept as `attributes` for field mapping.
+export function toTurn14SupplierProduct(product) {
+  const item = product.item_name ? product : normalizeCatalogItem(product);
+
+  return {
+    sku: String(item.id),
+    supplierItemId: item.turn14Id ? String(item.turn14Id) : null,
+    name: item.item_name,
+    description: item.item_description || '',
+    brand: item.brand_name || null,
+    brandId: item.brand_id ? String(item.brand_id) : null,
+    category: item.category || null,
+    price: toFloat(item.price) ?? 0,
+    mapPrice: toFloat(item.map_price ?? item.mapPrice),
+    retailPrice: toFloat(item.retail_price ?? item.retailPrice ?? item.msrp),
+    jobberPrice: toFloat(item.jobber_price ?? item.jobberPrice ?? item.jobber),
+    inventoryQuantity: item.inventory_quantity || 0,
+    images: (item.images || []).map(img => img.url).filter(Boolean),
+    weight: toFloat(item.weight),
+    barcode: item.upc || item.barcode || null,
+    attributes: product
+  };
+}
+
+// Circuit status across a shop's active accounts. `isOpen` is set only when
+// every account is unreachable; `openAccounts` lists the ones that are.
+export async function getTurn14ShopCircuitStatus(shop) {
+  const accounts = await listTurn14Accounts(shop, { activeOnly: true });
+  const statuses = await Promise.all(accounts.map(async account => ({
+    accountId: account.id,
+    name: account.name,
+    ...(await getTurn14CircuitStatus(account.id))
+  })));
+  const openAccounts = statuses.filter(status => status.isOpen);
+  const retryTimes = openAccounts.map(status => new Date(status.retryAt).getTime());
+
+  return {
+    isOpen: statuses.length > 0 && openAccounts.length === statuses.length,
+    retryAt: retryTimes.length > 0 ? new Date(Math.min(...retryTimes)) : null,
+    lastError: openAccounts[0]?.lastError || null,
+    openAccounts,
+    accounts: statuses
+  };
+}
+
+/**
+ * Turn 14 API Service
+ * Account-scoped wrapper around the Turn 14 fetch functions. Without an
+ * account id it uses the shop's default account.
+ */
+export class Turn14ApiService {
+  constructor(shop, accountId = null) {
+    if (!shop) {
+      throw new Turn14ConfigError('A shop is required to create a Turn 14 API service');
+    }
+
+    this.shop = shop;
+    this.accountId = accountId;
+    this.account = { shop, accountId };
+    this.isAuthenticated = false;
+  }
+
+  /**
+   * Obtain an access token for the given credentials so bad credentials fail fast
+   */
+  async authenticate(apiKey, apiSecret, environment = 'production') {
+    if (!apiKey) {
+      throw new Turn14AuthError('Turn 14 API key is required');
+    }
+
+    // Key the circuit and token cache by the resolved account, as its client
+    // does; credentials for an account not saved yet fall back to the shop
+    const config = await getTurn14Account(this.shop, this.accountId);
+    const accountKey = getAccountKey(config || { shop: this.shop });
+    const circuit = await getTurn14CircuitStatus(accountKey);
+    if (circuit.isOpen) {
+      throw new Turn14CircuitOpenError(
+        'Turn 14 API is unreachable; requests are paused until the supplier recovers',
+        circuit.retryAt
+      );
+    }
+
+    await turn14TokenManager.getAccessToken({
+      shop: this.shop,
+      accountKey,
+      clientId: apiKey,
+      clientSecret: apiSecret,
+      baseURL: getTurn14BaseUrl(environment),
+      adapter: getTurn14Transport(resolveTransportSettings(environment))
+    });
+
+    this.isAuthenticated = true;
+    return true;
+  }
+
+  /**
+   * Get current stock for a single SKU
+   */
+  async getItemInventory(sku) {
+    const data = await fetchTurn14Stock(this.account, [sku]);
+    const item = findItemBySku(extractItems(data, 'stock'), sku);
+
+    return { items: item ? [normalizeStockItem(item, sku)] : [] };
+  }
+
+  /**
+   * Get current pricing for a single SKU
+   */
+  async getItemPricing(sku) {
+    const data = await fetchTurn14Pricing(this.account, [sku]);
+    const item = findItemBySku(extractItems(data, 'pricing'), sku);
+
+    return { items: item ? [normalizePricingItem(item, sku)] : [] };
+  }
+
+  /**
+   * Get current stock for many SKUs in chunked batch requests
+   * Returns `{ items, errors }`, both Maps keyed by SKU
+   */
+  async getBulkInventory(skus, options = {}) {
+    return this.fetchInBatches(skus, options, {
+      fetchChunk: (chunk) => fetchTurn14Stock(this.account, chunk),
+      key: 'stock',
+      normalize: normalizeStockItem
+    });
+  }
+
+  /**
+   * Get current pricing for many SKUs in chunked batch requests
+   * Returns `{ items, errors }`, both Maps keyed by SKU
+   */
+  async getBulkPricing(skus, options = {}) {
+    return this.fetchInBatches(skus, options, {
+      fetchChunk: (chunk) => fetchTurn14Pricing(this.account, chunk),
+      key: 'pricing',
+      normalize: normalizePricingItem
+    });
+  }
+
+  /**
+   * Send SKUs in chunks with bounded concurrency and map the results back by SKU.
+   * A failed chunk records its error against each of its SKUs; an open circuit aborts.
+   */
+  async fetchInBatches(skus, options, { fetchChunk, key, normalize }) {
+    const batchSize = options.batchSize || DEFAULT_BATCH_OPTIONS.batchSize;
+    const concurrency = options.concurrency || DEFAULT_BATCH_OPTIONS.concurrency;
+    const items = new Map();
+    const errors = new Map();
+    const chunks = chunkArray([...new Set(skus)], batchSize);
+
+    await mapWithConcurrency(chunks, concurrency, async (chunk) => {
+      try {
+        const data = await fetchChunk(chunk);
+        const entries = extractItems(data, key);
+
+        for (const sku of chunk) {
+          const item = findItemBySku(entries, sku);
+          if (item) {
+            items.set(sku, normalize(item, sku));
+          }
+        }
+      } catch (error) {
+        if (error instanceof Turn14CircuitOpenError) {
+          throw error;
+        }
+
+        for (const sku of chunk) {
+          errors.set(sku, error);
+        }
+      }
+    });
+
+    return { items, errors };
+  }
+
+  /**
+   * Get a page of catalog items for a brand
+   */
+  async getItemsByBrand(brandId, { page = 1, pageSize = 50 } = {}) {
+    const result = await fetchTurn14Inventory(this.account, {
+      page,
+      limit: pageSize,
+      brands: [brandId]
+    });
+
+    return {
+      items: result.products.map(normalizeCatalogItem),
+      total: result.total,
+      pagination: result.pagination
+    };
+  }
+
+  /**
+   * Iterate every page of catalog items for a brand, normalized for the sync engine
+   */
+  async *iterateItemsByBrand(brandId, { pageSize = 50, page, cursor } = {}) {
+    const pages = iterateTurn14Inventory(this.account, {
+      brands: [brandId],
+      limit: pageSize,
+      page,
+      cursor
+    });
+
+    for await (const result of pages) {
+      yield { ...result, items: result.items.map(normalizeCatalogItem) };
+    }
+  }
+
+  /**
+   * Get a page of the Turn 14 vehicle database
+   */
+  async getVehicles(params = {}) {
+    const result = await fetchTurn14Vehicles(this.account, params);
+
+    return {
+      items: result.vehicles,
+      total: result.total,
+      pagination: result.pagination
+    };
+  }
+
+  /**
+   * Iterate every page of the Turn 14 vehicle database
+   */
+  iterateVehicles(params = {}) {
+    return iterateTurn14Vehicles(this.account, params);
+  }
+
+  /**
+   * SKUs whose stock ("inventory") or pricing changed at Turn 14 since the given time
+   */
+  async getChangedSkus(kind, since) {
+    const skus = new Set();
+
+    for await (const page of iterateTurn14Changes(this.account, kind, { since })) {
+      for (const item of page.items) {
+        const sku = item.sku || item.attributes?.sku || item.part_number;
+        if (sku) skus.add(String(sku));
+      }
+    }
+
+    return skus;
+  }
+
+  /**
+   * Get vehicle fitment records for a SKU
+   */
+  async getItemCompatibility(sku) {
+    const data = await fetchTurn14Compatibility(this.account, sku);
+
+    return {
+      items: extractItems(data, 'compatibility')
+    };
   }
 }
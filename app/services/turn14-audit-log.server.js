@@ -0,0 +1,173 @@
+// Turn 14 API call audit log
+
+// app/services/turn14-audit-log.server.js
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { prisma } from '../db.server.js';
+import { logger } from '../utils/logger.server.js';
+
+export const DEFAULT_API_CALL_LOG_RETENTION_DAYS = 14;
+
+// Stored request and response bodies are cut to this many characters
+const MAX_BODY_LENGTH = 2000;
+
+// Keys whose values never reach the audit log
+const SENSITIVE_KEY_PATTERN = /(secret|password|token|authorization|api[_-]?key|client[_-]?id|credential)/i;
+
+const REDACTED = '[REDACTED]';
+
+// Sync job the current async call chain is working for
+const auditContext = new AsyncLocalStorage();
+
+/**
+ * Run `fn` with every Turn 14 call inside it attributed to the given job
+ */
+export function runWithTurn14AuditContext(context, fn) {
+  return auditContext.run({ ...auditContext.getStore(), ...context }, fn);
+}
+
+/**
+ * Deep-copy a payload with credential-like fields replaced
+ */
+export function redactPayload(value, depth = 0) {
+  if (value === null || value === undefined || depth > 8) return value;
+
+  if (Array.isArray(value)) {
+    return value.map(item => redactPayload(item, depth + 1));
+  }
+
+  if (typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+      key,
+      SENSITIVE_KEY_PATTERN.test(key) ? REDACTED : redactPayload(item, depth + 1)
+    ]));
+  }
+
+  return value;
+}
+
+// Serialize a redacted body, truncated to MAX_BODY_LENGTH
+function serializeBody(body) {
+  if (body === null || body === undefined || body === '') return null;
+
+  // Streams (bulk feed downloads) are not logged
+  if (typeof body === 'object' && typeof body.pipe === 'function') return '[stream]';
+
+  let parsed = body;
+  if (typeof body === 'string') {
+    try {
+      parsed = JSON.parse(body);
+    } catch {
+      parsed = body;
+    }
+  }
+
+  const text = typeof parsed === 'string' ? parsed : JSON.stringify(redactPayload(parsed));
+  return text.length > MAX_BODY_LENGTH
+    ? `${text.slice(0, MAX_BODY_LENGTH)}… [truncated ${text.length - MAX_BODY_LENGTH} chars]`
+    : text;
+}
+
+// Endpoint with the query string; credential query parameters are redacted
+function getEndpoint(requestConfig) {
+  const params = redactPayload(requestConfig.params || {});
+  const query = new URLSearchParams(
+    Object.entries(params).filter(([, value]) => value !== undefined && value !== null)
+  ).toString();
+
+  return query ? `${requestConfig.url}?${query}` : requestConfig.url;
+}
+
+/**
+ * Record one Turn 14 request attempt. Writes happen in the background and a
+ * failed write is only logged, so auditing never breaks an API call.
+ */
+export function recordTurn14ApiCall(shop, requestConfig, { response, error, accountId = null } = {}) {
+  if (!shop || !requestConfig) return;
+
+  const context = auditContext.getStore() || {};
+  const startedAt = requestConfig._auditStartedAt || Date.now();
+  const status = response?.status ?? error?.response?.status ?? null;
+  const headers = response?.headers || error?.response?.headers || {};
+
+  const entry = {
+    shop,
+    accountId,
+    jobId: context.jobId || null,
+    method: (requestConfig.method || 'get').toUpperCase(),
+    endpoint: getEndpoint(requestConfig),
+    status,
+    latencyMs: Date.now() - startedAt,
+    requestId: headers['x-request-id'] || requestConfig._auditRequestId || null,
+    attempt: (requestConfig._retryCount || 0) + (requestConfig._authRetried ? 1 : 0),
+    errorMessage: error ? (error.response?.data?.message || error.message) : null,
+    requestBody: serializeBody(requestConfig.data),
+    responseBody: serializeBody(response?.data ?? error?.response?.data)
+  };
+
+  prisma.turn14ApiCallLog.create({ data: entry }).catch((writeError) => {
+    logger.warn('Failed to write Turn 14 API call log', { shop, error: writeError.message });
+  });
+}
+
+/**
+ * Search a shop's API call log, newest first
+ */
+export async function searchTurn14ApiCalls(shop, filters = {}) {
+  const { search = '', status = 'all', jobId = '', page = 1, limit = 50 } = filters;
+
+  const where = {
+    shop,
+    ...(jobId && { jobId }),
+    ...(status === 'errors' && {
+      OR: [{ status: { gte: 400 } }, { status: null }]
+    }),
+    ...(status === '2xx' && { status: { gte: 200, lt: 300 } }),
+    ...(status === '4xx' && { status: { gte: 400, lt: 500 } }),
+    ...(status === '5xx' && { status: { gte: 500 } }),
+    ...(search && {
+      AND: [{
+        OR: [
+          { endpoint: { contains: search } },
+          { requestId: { contains: search } },
+          { errorMessage: { contains: search } },
+          { jobId: { contains: search } }
+        ]
+      }]
+    })
+  };
+
+  const [calls, total] = await Promise.all([
+    prisma.turn14ApiCallLog.findMany({
+      where,
+      orderBy: { createdAt: 'desc' },
+      skip: (page - 1) * limit,
+      take: limit
+    }),
+    prisma.turn14ApiCallLog.count({ where })
+  ]);
+
+  return {
+    calls,
+    total,
+    pagination: {
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      hasNextPage: page * limit < total,
+      hasPrevPage: page > 1
+    }
+  };
+}
+
+/**
+ * Delete API call records older than the retention window
+ */
+export async function cleanupTurn14ApiCallLogs(retentionDays = DEFAULT_API_CALL_LOG_RETENTION_DAYS) {
+  const cutoffDate = new Date();
+  cutoffDate.setDate(cutoffDate.getDate() - retentionDays);
+
+  const deleted = await prisma.turn14ApiCallLog.deleteMany({
+    where: { createdAt: { lt: cutoffDate } }
+  });
+
+  return deleted.count;
+}
@@ -0,0 +1,211 @@
+// Turn 14 API circuit breaker
+
+// app/services/turn14-circuit-breaker.server.js
+import { prisma } from '../db.server.js';
+import { logger } from '../utils/logger.server.js';
+
+export const DEFAULT_CIRCUIT_BREAKER_SETTINGS = {
+  failureThreshold: 5,
+  cooldownMs: 60000
+};
+
+export const CIRCUIT_STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+/**
+ * Merge the `circuitBreaker` block of Turn14Config.syncSettings over the defaults
+ */
+export function resolveCircuitBreakerSettings(syncSettings = {}) {
+  const overrides = syncSettings?.circuitBreaker || {};
+  const settings = { ...DEFAULT_CIRCUIT_BREAKER_SETTINGS };
+
+  for (const key of Object.keys(DEFAULT_CIRCUIT_BREAKER_SETTINGS)) {
+    const value = Number(overrides[key]);
+    if (overrides[key] !== undefined && overrides[key] !== '' && Number.isFinite(value) && value > 0) {
+      settings[key] = value;
+    }
+  }
+
+  return settings;
+}
+
+// Status of an account nothing has recorded an outage for
+const CLOSED_STATUS = {
+  state: CIRCUIT_STATES.CLOSED,
+  isOpen: false,
+  consecutiveFailures: 0,
+  openedAt: null,
+  retryAt: null,
+  lastError: null
+};
+
+// Record an opened circuit, or clear it, so processes other than the one
+// making the calls (the scheduler, the dashboard) see the outage. A failed
+// write only costs that visibility, so it is logged rather than thrown.
+async function persistCircuit(breaker) {
+  try {
+    if (breaker.state === CIRCUIT_STATES.OPEN) {
+      const data = {
+        consecutiveFailures: breaker.consecutiveFailures,
+        openedAt: breaker.openedAt,
+        retryAt: breaker.getRetryAt(),
+        lastError: breaker.lastError
+      };
+      await prisma.turn14CircuitState.upsert({
+        where: { accountKey: breaker.name },
+        create: { accountKey: breaker.name, ...data },
+        update: data
+      });
+    } else {
+      await prisma.turn14CircuitState.deleteMany({ where: { accountKey: breaker.name } });
+    }
+  } catch (error) {
+    logger.error('Could not record the Turn 14 circuit state', { account: breaker.name, error: error.message });
+  }
+}
+
+/**
+ * Circuit Breaker
+ * Opens after consecutive outage failures, lets a single trial request through
+ * once the cooldown has passed, and closes again when that trial succeeds.
+ * Opening and closing are recorded in Turn14CircuitState.
+ */
+export class CircuitBreaker {
+  constructor(name, settings = DEFAULT_CIRCUIT_BREAKER_SETTINGS) {
+    this.name = name;
+    this.settings = settings;
+    this.state = CIRCUIT_STATES.CLOSED;
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.lastError = null;
+    this.trialInFlight = false;
+  }
+
+  configure(settings) {
+    this.settings = settings;
+  }
+
+  /**
+   * Whether a request may be sent now
+   */
+  canRequest() {
+    if (this.state === CIRCUIT_STATES.CLOSED) {
+      return true;
+    }
+
+    if (this.state === CIRCUIT_STATES.OPEN && Date.now() >= this.getRetryAt().getTime()) {
+      this.state = CIRCUIT_STATES.HALF_OPEN;
+      this.trialInFlight = false;
+    }
+
+    if (this.state === CIRCUIT_STATES.HALF_OPEN && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return true;
+    }
+
+    return false;
+  }
+
+  async recordSuccess() {
+    const wasClosed = this.state === CIRCUIT_STATES.CLOSED;
+
+    this.state = CIRCUIT_STATES.CLOSED;
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.lastError = null;
+    this.trialInFlight = false;
+
+    if (!wasClosed) {
+      logger.info('Turn 14 circuit closed', { account: this.name });
+      await persistCircuit(this);
+    }
+  }
+
+  async recordFailure(error) {
+    this.consecutiveFailures++;
+    this.lastError = error?.message || 'Unknown error';
+    this.trialInFlight = false;
+
+    const shouldOpen = this.state === CIRCUIT_STATES.HALF_OPEN
+      || this.consecutiveFailures >= this.settings.failureThreshold;
+
+    if (shouldOpen) {
+      if (this.state !== CIRCUIT_STATES.OPEN) {
+        logger.warn('Turn 14 circuit opened', {
+          account: this.name,
+          consecutiveFailures: this.consecutiveFailures,
+          cooldownMs: this.settings.cooldownMs,
+          error: this.lastError
+        });
+      }
+
+      this.state = CIRCUIT_STATES.OPEN;
+      this.openedAt = new Date();
+      await persistCircuit(this);
+    }
+  }
+
+  getRetryAt() {
+    return this.openedAt
+      ? new Date(this.openedAt.getTime() + this.settings.cooldownMs)
+      : null;
+  }
+
+  getStatus() {
+    const retryAt = this.getRetryAt();
+
+    return {
+      state: this.state,
+      isOpen: this.state === CIRCUIT_STATES.OPEN && retryAt > new Date(),
+      consecutiveFailures: this.consecutiveFailures,
+      openedAt: this.openedAt,
+      retryAt,
+      lastError: this.lastError
+    };
+  }
+}
+
+// Circuit breakers shared by every client for a Turn 14 account
+const circuitBreakers = new Map();
+
+/**
+ * Get the account's circuit breaker, updating it to the given settings
+ */
+export function getTurn14CircuitBreaker(accountKey, settings = DEFAULT_CIRCUIT_BREAKER_SETTINGS) {
+  let breaker = circuitBreakers.get(accountKey);
+
+  if (!breaker) {
+    breaker = new CircuitBreaker(accountKey, settings);
+    circuitBreakers.set(accountKey, breaker);
+  } else {
+    breaker.configure(settings);
+  }
+
+  return breaker;
+}
+
+/**
+ * Current breaker status for an account, as last recorded by whichever process
+ * calls Turn 14 for it; accounts with no recorded outage are closed
+ */
+export async function getTurn14CircuitStatus(accountKey) {
+  const circuit = await prisma.turn14CircuitState.findUnique({ where: { accountKey } });
+
+  if (!circuit) {
+    return { ...CLOSED_STATUS };
+  }
+
+  // Past retryAt the next call is the trial request
+  const isOpen = circuit.retryAt > new Date();
+  return {
+    state: isOpen ? CIRCUIT_STATES.OPEN : CIRCUIT_STATES.HALF_OPEN,
+    isOpen,
+    consecutiveFailures: circuit.consecutiveFailures,
+    openedAt: circuit.openedAt,
+    retryAt: circuit.retryAt,
+    lastError: circuit.lastError
+  };
+}
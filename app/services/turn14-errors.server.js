@@ -0,0 +1,42 @@
+// Turn 14 API Error Classes
+
+// app/services/turn14-errors.server.js
+
+export class Turn14APIError extends Error {
+  constructor(message, statusCode, response) {
+    super(message);
+    this.name = 'Turn14APIError';
+    this.statusCode = statusCode;
+    this.response = response;
+  }
+}
+
+export class Turn14AuthError extends Turn14APIError {
+  constructor(message) {
+    super(message, 401);
+    this.name = 'Turn14AuthError';
+  }
+}
+
+export class Turn14ConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'Turn14ConfigError';
+  }
+}
+
+export class Turn14RateLimitError extends Turn14APIError {
+  constructor(message, retryAfterMs = null, response) {
+    super(message, 429, response);
+    this.name = 'Turn14RateLimitError';
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+export class Turn14CircuitOpenError extends Turn14APIError {
+  constructor(message, retryAt = null) {
+    super(message, 503);
+    this.name = 'Turn14CircuitOpenError';
+    this.retryAt = retryAt;
+  }
+}
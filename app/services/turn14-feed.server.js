@@ -0,0 +1,418 @@
+// Turn 14 bulk data-feed ingestion
+
+// app/services/turn14-feed.server.js
+import { createReadStream } from 'node:fs';
+import { randomUUID } from 'node:crypto';
+import { createInterface } from 'node:readline';
+import { Readable, pipeline } from 'node:stream';
+import { createGunzip } from 'node:zlib';
+import { prisma } from '../db.server.js';
+import { getTurn14Client, resolveTurn14Account } from './turn14-api.server.js';
+import { Turn14APIError, Turn14ConfigError } from './turn14-errors.server.js';
+import { chunkArray } from '../utils/batch.server.js';
+import { logger } from '../utils/logger.server.js';
+
+export const FEED_TYPES = ['items', 'pricing', 'inventory'];
+
+export const DEFAULT_FEED_OPTIONS = {
+  batchSize: 500
+};
+
+// Feed endpoints return a compressed snapshot of the dealer's full catalog
+const FEED_PATHS = {
+  items: '/feeds/items',
+  pricing: '/feeds/pricing',
+  inventory: '/feeds/inventory'
+};
+
+// Open the raw feed stream: a local file when `filePath` is given (for testing
+// and manual loads), otherwise a download from Turn 14 with the account's credentials
+async function openFeedSource(account, feedType, { filePath, url } = {}) {
+  if (filePath) {
+    return createReadStream(filePath);
+  }
+
+  const client = await getTurn14Client(account);
+
+  try {
+    const response = await client.get(url || FEED_PATHS[feedType], {
+      responseType: 'stream',
+      timeout: 0
+    });
+    return response.data;
+  } catch (error) {
+    if (error instanceof Turn14APIError) throw error;
+    throw new Turn14APIError(`Failed to download ${feedType} feed: ${error.message}`);
+  }
+}
+
+// Gunzip the stream when it starts with the gzip magic bytes; plain files pass through
+async function decodeFeedStream(source) {
+  const chunks = source[Symbol.asyncIterator]();
+  const first = await chunks.next();
+
+  const replay = Readable.from((async function* () {
+    if (first.done) return;
+    yield first.value;
+    for (;;) {
+      const next = await chunks.next();
+      if (next.done) return;
+      yield next.value;
+    }
+  })());
+
+  const isGzipped = !first.done && first.value[0] === 0x1f && first.value[1] === 0x8b;
+  if (!isGzipped) {
+    return replay;
+  }
+
+  // pipeline destroys the gunzip stream on source errors, so readers see them
+  return pipeline(replay, createGunzip(), () => {});
+}
+
+// Stream-parse newline-delimited JSON, yielding one record at a time.
+// Lines that are not valid JSON are reported as `{ error }` and skipped.
+async function* parseFeedRecords(stream) {
+  const lines = createInterface({ input: stream, crlfDelay: Infinity });
+  let lineNumber = 0;
+
+  for await (const line of lines) {
+    lineNumber++;
+    const text = line.trim().replace(/,$/, '');
+
+    // Tolerate feeds wrapped as a one-record-per-line JSON array
+    if (!text || text === '[' || text === ']') continue;
+
+    try {
+      yield { record: JSON.parse(text) };
+    } catch (error) {
+      yield { error: `Line ${lineNumber}: ${error.message}` };
+    }
+  }
+}
+
+function toNumber(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+// Map a feed record to the staging table columns it updates
+function normalizeFeedRecord(feedType, record) {
+  const attributes = record.attributes || record;
+  const sku = attributes.sku || attributes.part_number || record.id;
+
+  if (!sku) return null;
+
+  if (feedType === 'pricing') {
+    return {
+      sku: String(sku),
+      data: {
+        price: toNumber(attributes.price ?? attributes.purchase_cost),
+        mapPrice: toNumber(attributes.map_price ?? attributes.map),
+        retailPrice: toNumber(attributes.retail_price ?? attributes.msrp),
+        jobberPrice: toNumber(attributes.jobber_price ?? attributes.jobber),
+        pricingUpdatedAt: new Date()
+      }
+    };
+  }
+
+  if (feedType === 'inventory') {
+    return {
+      sku: String(sku),
+      data: {
+        inventoryQuantity: parseInt(
+          attributes.inventory_quantity ?? attributes.stock ?? attributes.quantity ?? 0
+        ) || 0,
+        inventoryUpdatedAt: new Date()
+      }
+    };
+  }
+
+  const images = (attributes.images || attributes.files || [])
+    .map(img => (typeof img === 'string' ? img : img.url))
+    .filter(Boolean);
+
+  return {
+    sku: String(sku),
+    data: {
+      turn14Id: record.id ? String(record.id) : null,
+      brandId: attributes.brand_id ? String(attributes.brand_id) : null,
+      brandName: attributes.brand_name || attributes.brand || null,
+      name: attributes.item_name || attributes.product_name || attributes.name || null,
+      description: attributes.item_description || attributes.part_description || attributes.description || null,
+      category: attributes.category || null,
+      images: images.length > 0 ? JSON.stringify(images) : null
+    }
+  };
+}
+
+// Upsert one batch of normalized records into the account's staging rows
+async function writeStagingBatch({ shop, accountId }, snapshotId, feedType, batch) {
+  await prisma.$transaction(batch.map(({ sku, data }) => {
+    const fields = feedType === 'items' ? { ...data, itemSnapshotId: snapshotId } : data;
+
+    return prisma.turn14CatalogItem.upsert({
+      where: { accountId_sku: { accountId, sku } },
+      update: fields,
+      create: { shop, accountId, sku, ...fields }
+    });
+  }));
+}
+
+/**
+ * Ingest one Turn 14 bulk feed into the Turn14CatalogItem staging table for a
+ * shop's default account or a given `{ shop, accountId }`. Records are streamed
+ * and written in batches so a full catalog never sits in memory. A completed
+ * items feed removes the account's staged items missing from the snapshot.
+ */
+export async function ingestTurn14Feed(shopOrAccount, feedType, options = {}) {
+  if (!FEED_TYPES.includes(feedType)) {
+    throw new Turn14ConfigError(`Unknown Turn 14 feed type: ${feedType}`);
+  }
+
+  const account = await resolveTurn14Account(shopOrAccount);
+  const { shop, accountId } = account;
+  const batchSize = options.batchSize || DEFAULT_FEED_OPTIONS.batchSize;
+  const snapshotId = randomUUID();
+
+  const ingestion = await prisma.turn14FeedIngestion.create({
+    data: {
+      shop,
+      accountId,
+      feedType,
+      source: options.filePath ? 'file' : 'download',
+      snapshotId,
+      status: 'running',
+      startTime: new Date()
+    }
+  });
+
+  let recordsRead = 0;
+  let recordsWritten = 0;
+  let recordsSkipped = 0;
+  const errors = [];
+
+  try {
+    const stream = await decodeFeedStream(await openFeedSource(account, feedType, options));
+    let batch = [];
+
+    for await (const { record, error } of parseFeedRecords(stream)) {
+      recordsRead++;
+
+      const normalized = record ? normalizeFeedRecord(feedType, record) : null;
+      if (!normalized) {
+        recordsSkipped++;
+        if (errors.length < 50) {
+          errors.push(error || `Record ${recordsRead}: missing SKU`);
+        }
+        continue;
+      }
+
+      batch.push(normalized);
+      if (batch.length >= batchSize) {
+        await writeStagingBatch(account, snapshotId, feedType, batch);
+        recordsWritten += batch.length;
+        batch = [];
+      }
+    }
+
+    if (batch.length > 0) {
+      await writeStagingBatch(account, snapshotId, feedType, batch);
+      recordsWritten += batch.length;
+    }
+
+    // A full items snapshot is authoritative: drop items Turn 14 no longer lists.
+    // Skip the purge on an empty feed so a truncated download can't wipe the table.
+    let recordsRemoved = 0;
+    if (feedType === 'items' && recordsWritten > 0) {
+      const removed = await prisma.turn14CatalogItem.deleteMany({
+        where: {
+          accountId,
+          OR: [
+            { itemSnapshotId: { not: snapshotId } },
+            { itemSnapshotId: null }
+          ]
+        }
+      });
+      recordsRemoved = removed.count;
+    }
+
+    const results = { recordsRead, recordsWritten, recordsSkipped, recordsRemoved, errors };
+
+    await prisma.turn14FeedIngestion.update({
+      where: { id: ingestion.id },
+      data: {
+        status: 'completed',
+        endTime: new Date(),
+        recordsRead,
+        recordsWritten,
+        recordsSkipped,
+        results: JSON.stringify(results)
+      }
+    });
+
+    logger.info('Turn 14 feed ingested', { shop, accountId, feedType, recordsRead, recordsWritten, recordsSkipped, recordsRemoved });
+
+    return { ingestionId: ingestion.id, feedType, ...results };
+  } catch (error) {
+    await prisma.turn14FeedIngestion.update({
+      where: { id: ingestion.id },
+      data: {
+        status: 'failed',
+        endTime: new Date(),
+        recordsRead,
+        recordsWritten,
+        recordsSkipped,
+        errorMessage: error.message
+      }
+    });
+
+    logger.error('Turn 14 feed ingestion failed', { shop, accountId, feedType, error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Ingest several feeds in order; items first so pricing and stock land on full rows
+ */
+export async function ingestTurn14Feeds(shopOrAccount, feedTypes = FEED_TYPES, options = {}) {
+  const account = await resolveTurn14Account(shopOrAccount);
+  const results = {};
+
+  for (const feedType of FEED_TYPES.filter(type => feedTypes.includes(type))) {
+    results[feedType] = await ingestTurn14Feed(account, feedType, {
+      ...options,
+      filePath: options.filePaths?.[feedType]
+    });
+  }
+
+  return results;
+}
+
+// Shape a staged row like a normalized Turn 14 catalog item
+function toCatalogItem(row) {
+  return {
+    id: row.sku,
+    sku: row.sku,
+    turn14Id: row.turn14Id,
+    item_name: row.name,
+    item_description: row.description || '',
+    brand_name: row.brandName,
+    category: row.category,
+    price: row.price || 0,
+    map_price: row.mapPrice,
+    retail_price: row.retailPrice,
+    jobber_price: row.jobberPrice,
+    inventory_quantity: row.inventoryQuantity ?? 0,
+    images: (row.images ? JSON.parse(row.images) : []).map(url => ({ url }))
+  };
+}
+
+// Fetch an account's staged rows for SKUs in chunks to stay under SQLite's variable limit
+async function findStagedItems({ accountId }, skus, select) {
+  const rows = [];
+
+  for (const chunk of chunkArray([...new Set(skus)], 500)) {
+    rows.push(...await prisma.turn14CatalogItem.findMany({
+      where: { accountId, sku: { in: chunk } },
+      select: { sku: true, ...select }
+    }));
+  }
+
+  return rows;
+}
+
+/**
+ * Stock lookup from an account's staged rows, in the same `{ items, errors }` shape
+ * as Turn14ApiService.getBulkInventory. SKUs without staged stock are left out.
+ */
+export async function getStagedInventory(account, skus) {
+  const rows = await findStagedItems(account, skus, { inventoryQuantity: true, inventoryUpdatedAt: true });
+  const items = new Map();
+
+  for (const row of rows) {
+    if (row.inventoryUpdatedAt) {
+      items.set(row.sku, { sku: row.sku, inventory_quantity: row.inventoryQuantity ?? 0 });
+    }
+  }
+
+  return { items, errors: new Map() };
+}
+
+/**
+ * Pricing lookup from an account's staged rows, in the same `{ items, errors }`
+ * shape as Turn14ApiService.getBulkPricing. SKUs without staged pricing are left out.
+ */
+export async function getStagedPricing(account, skus) {
+  const rows = await findStagedItems(account, skus, {
+    price: true,
+    mapPrice: true,
+    retailPrice: true,
+    jobberPrice: true,
+    pricingUpdatedAt: true
+  });
+  const items = new Map();
+
+  for (const row of rows) {
+    if (row.pricingUpdatedAt && row.price !== null) {
+      items.set(row.sku, {
+        sku: row.sku,
+        price: row.price,
+        map_price: row.mapPrice,
+        retail_price: row.retailPrice,
+        jobber_price: row.jobberPrice
+      });
+    }
+  }
+
+  return { items, errors: new Map() };
+}
+
+/**
+ * Iterate an account's staged catalog items for a brand, page by page, in the
+ * same shape as Turn14ApiService.iterateItemsByBrand
+ */
+export async function* iterateStagedItemsByBrand({ accountId }, brandId, { pageSize = 50 } = {}) {
+  let cursor = null;
+  let page = 1;
+
+  for (;;) {
+    const rows = await prisma.turn14CatalogItem.findMany({
+      where: { accountId, brandId: String(brandId), itemSnapshotId: { not: null } },
+      orderBy: { id: 'asc' },
+      take: pageSize,
+      ...(cursor && { cursor: { id: cursor }, skip: 1 })
+    });
+
+    if (rows.length === 0) return;
+
+    cursor = rows[rows.length - 1].id;
+    const hasNextPage = rows.length === pageSize;
+
+    yield {
+      items: rows.map(toCatalogItem),
+      page,
+      cursor: null,
+      nextPage: hasNextPage ? page + 1 : null,
+      nextCursor: hasNextPage ? cursor : null
+    };
+
+    if (!hasNextPage) return;
+    page++;
+  }
+}
+
+/**
+ * Latest ingestion run per feed type for an account
+ */
+export async function getLatestFeedIngestions({ accountId }) {
+  const runs = await Promise.all(FEED_TYPES.map(feedType =>
+    prisma.turn14FeedIngestion.findFirst({
+      where: { accountId, feedType },
+      orderBy: { createdAt: 'desc' }
+    })
+  ));
+
+  return Object.fromEntries(FEED_TYPES.map((feedType, index) => [feedType, runs[index]]));
+}
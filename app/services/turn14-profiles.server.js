@@ -0,0 +1,174 @@
+// Sandbox and production profiles: purge sandbox imports, promote sandbox setup
+
+// app/services/turn14-profiles.server.js
+import { prisma } from '../db.server.js';
+import {
+  Turn14ConfigError,
+  listTurn14Accounts,
+  saveTurn14Config
+} from './turn14-api.server.js';
+import { SyncScheduleManager } from './sync-engine.server.js';
+import { logger } from '../utils/logger.server.js';
+
+// Account sync settings a promotion copies. Connection settings (rate limits,
+// circuit breaker, mock transport) differ between environments and stay put.
+export const PROMOTED_SYNC_SETTINGS = [
+  'pricingRules',
+  'defaultMarkup',
+  'catalogSource',
+  'deltaSync',
+  'batchSize',
+  'batchConcurrency'
+];
+
+const PRODUCT_DELETE_MUTATION = `#graphql
+  mutation productDelete($input: ProductDeleteInput!) {
+    productDelete(input: $input) {
+      deletedProductId
+      userErrors {
+        field
+        message
+      }
+    }
+  }`;
+
+// The sync engine stores REST ids; GraphQL needs the global id
+function toProductGid(productId) {
+  const id = String(productId);
+  return id.startsWith('gid://') ? id : `gid://shopify/Product/${id}`;
+}
+
+/**
+ * Number of products imported under the sandbox profile
+ */
+export async function countSandboxProducts(shop) {
+  return prisma.turn14ImportedProduct.count({
+    where: { shop, profile: 'sandbox' }
+  });
+}
+
+/**
+ * Delete every product imported under the sandbox profile from Shopify and stop
+ * tracking it. `admin` is the Admin API client from `authenticate.admin`.
+ */
+export async function purgeSandboxProducts(shop, admin) {
+  const products = await prisma.turn14ImportedProduct.findMany({
+    where: { shop, profile: 'sandbox' },
+    select: { id: true, sku: true, shopifyProductId: true }
+  });
+
+  let deleted = 0;
+  const errors = [];
+
+  for (const product of products) {
+    try {
+      const response = await admin.graphql(PRODUCT_DELETE_MUTATION, {
+        variables: { input: { id: toProductGid(product.shopifyProductId) } }
+      });
+      const { data } = await response.json();
+      const userErrors = data.productDelete.userErrors;
+
+      // A product already removed in Shopify only needs its tracking row dropped
+      if (userErrors.length > 0 && !userErrors.some(e => /does not exist|not found/i.test(e.message))) {
+        throw new Error(userErrors[0].message);
+      }
+
+      await prisma.turn14ImportedProduct.delete({ where: { id: product.id } });
+      deleted++;
+    } catch (error) {
+      errors.push({ sku: product.sku, error: error.message });
+    }
+  }
+
+  logger.info('Purged sandbox products', { shop, total: products.length, deleted, failed: errors.length });
+
+  return { total: products.length, deleted, failed: errors.length, errors };
+}
+
+// Copy one sandbox account's brands and promoted settings onto a production account
+async function promoteAccount(shop, sandbox, production) {
+  const promotedSettings = Object.fromEntries(PROMOTED_SYNC_SETTINGS
+    .filter(key => sandbox.syncSettings[key] !== undefined)
+    .map(key => [key, sandbox.syncSettings[key]]));
+
+  await saveTurn14Config(shop, {
+    selectedBrands: sandbox.selectedBrands,
+    syncSettings: { ...production.syncSettings, ...promotedSettings }
+  }, production.id);
+
+  return {
+    from: sandbox.name,
+    to: production.name,
+    brands: sandbox.selectedBrands.length,
+    settings: Object.keys(promotedSettings)
+  };
+}
+
+/**
+ * Copy the sandbox setup to production once the merchant is happy with it.
+ * Each sandbox account's brand selection and pricing settings go to the
+ * production account with the same name, or the production default. Sandbox
+ * schedules are copied to production, replacing production schedules with the
+ * same name and sync type. Credentials and sandbox products are left alone.
+ */
+export async function promoteSandboxProfile(shop) {
+  const [sandboxAccounts, productionAccounts] = await Promise.all([
+    listTurn14Accounts(shop, { profile: 'sandbox' }),
+    listTurn14Accounts(shop, { profile: 'production' })
+  ]);
+
+  if (sandboxAccounts.length === 0) {
+    throw new Turn14ConfigError('There is no sandbox profile to promote');
+  }
+  if (productionAccounts.length === 0) {
+    throw new Turn14ConfigError('Add a production account before promoting the sandbox profile');
+  }
+
+  const accounts = [];
+  for (const sandbox of sandboxAccounts) {
+    const production = productionAccounts.find(account => account.name === sandbox.name)
+      || productionAccounts[0];
+    accounts.push(await promoteAccount(shop, sandbox, production));
+  }
+
+  const [sandboxSchedules, productionSchedules] = await Promise.all([
+    prisma.turn14SyncSchedule.findMany({ where: { shop, profile: 'sandbox' } }),
+    prisma.turn14SyncSchedule.findMany({ where: { shop, profile: 'production' } })
+  ]);
+
+  let schedulesCreated = 0;
+  let schedulesUpdated = 0;
+
+  for (const schedule of sandboxSchedules) {
+    const scheduleData = {
+      name: schedule.name,
+      syncType: schedule.syncType,
+      frequency: schedule.frequency,
+      schedule: schedule.schedule,
+      blackoutWindows: schedule.blackoutWindows,
+      catchUpPolicy: schedule.catchUpPolicy,
+      isActive: schedule.isActive,
+      syncSettings: schedule.syncSettings
+    };
+    const existing = productionSchedules.find(
+      s => s.name === schedule.name && s.syncType === schedule.syncType
+    );
+
+    if (existing) {
+      await SyncScheduleManager.updateSchedule(shop, existing.id, scheduleData);
+      schedulesUpdated++;
+    } else {
+      await SyncScheduleManager.createSchedule(shop, { ...scheduleData, profile: 'production' });
+      schedulesCreated++;
+    }
+  }
+
+  logger.info('Promoted sandbox profile to production', {
+    shop,
+    accounts: accounts.length,
+    schedulesCreated,
+    schedulesUpdated
+  });
+
+  return { accounts, schedulesCreated, schedulesUpdated };
+}
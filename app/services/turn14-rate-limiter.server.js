@@ -0,0 +1,182 @@
+// Turn 14 API rate limiting and retry policy
+
+// app/services/turn14-rate-limiter.server.js
+
+// Defaults follow Turn 14's published limit of 5 requests per second
+export const DEFAULT_RATE_LIMIT_SETTINGS = {
+  requestsPerSecond: 5,
+  burst: 5,
+  maxRetries: 5,
+  baseDelayMs: 500,
+  maxDelayMs: 30000
+};
+
+// Network error codes worth retrying
+const RETRYABLE_ERROR_CODES = new Set([
+  'ECONNABORTED',
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ETIMEDOUT',
+  'EAI_AGAIN',
+  'ENOTFOUND',
+  'EPIPE',
+  'ERR_NETWORK'
+]);
+
+export function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Merge the `rateLimit` block of Turn14Config.syncSettings over the defaults
+ */
+export function resolveRateLimitSettings(syncSettings = {}) {
+  const overrides = syncSettings?.rateLimit || {};
+  const settings = { ...DEFAULT_RATE_LIMIT_SETTINGS };
+
+  for (const key of Object.keys(DEFAULT_RATE_LIMIT_SETTINGS)) {
+    const value = Number(overrides[key]);
+    if (overrides[key] !== undefined && overrides[key] !== '' && Number.isFinite(value) && value >= 0) {
+      settings[key] = value;
+    }
+  }
+
+  // A bucket needs a positive rate and room for at least one request
+  settings.requestsPerSecond = Math.max(settings.requestsPerSecond, 0.1);
+  settings.burst = Math.max(settings.burst, 1);
+
+  return settings;
+}
+
+/**
+ * Exponential backoff with full jitter
+ */
+export function getRetryDelay(attempt, settings = DEFAULT_RATE_LIMIT_SETTINGS) {
+  const ceiling = Math.min(settings.maxDelayMs, settings.baseDelayMs * 2 ** attempt);
+  return Math.round(Math.random() * ceiling);
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date) into milliseconds
+ */
+export function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  if (!Number.isNaN(date)) {
+    return Math.max(0, date - Date.now());
+  }
+
+  return null;
+}
+
+/**
+ * Whether a failed axios request may be retried: 5xx and network errors only,
+ * and only for requests that are safe to send twice
+ */
+export function isRetryableError(error) {
+  const requestConfig = error.config || {};
+  const method = (requestConfig.method || 'get').toLowerCase();
+  const isIdempotent = method === 'get' || requestConfig.idempotent === true;
+
+  if (!isIdempotent) return false;
+
+  const status = error.response?.status;
+  if (status) {
+    return status >= 500;
+  }
+
+  return RETRYABLE_ERROR_CODES.has(error.code);
+}
+
+/**
+ * Token bucket rate limiter
+ * Requests wait in FIFO order for a token; a Retry-After pause holds every waiter
+ */
+export class TokenBucketRateLimiter {
+  constructor(settings = DEFAULT_RATE_LIMIT_SETTINGS) {
+    this.requestsPerSecond = settings.requestsPerSecond;
+    this.burst = settings.burst;
+    this.tokens = settings.burst;
+    this.lastRefill = Date.now();
+    this.pausedUntil = 0;
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Apply new limits without dropping queued requests or an active pause
+   */
+  configure({ requestsPerSecond, burst }) {
+    this.refill(Date.now());
+    this.requestsPerSecond = requestsPerSecond;
+    this.burst = burst;
+    this.tokens = Math.min(this.tokens, burst);
+  }
+
+  /**
+   * Wait until a request may be sent
+   */
+  acquire() {
+    const turn = this.queue.then(() => this.waitForToken());
+    this.queue = turn.catch(() => {});
+    return turn;
+  }
+
+  /**
+   * Hold all requests for the given time, e.g. after a 429
+   */
+  pauseFor(ms) {
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+    this.tokens = 0;
+  }
+
+  refill(now) {
+    const elapsedSeconds = (now - this.lastRefill) / 1000;
+    this.tokens = Math.min(this.burst, this.tokens + elapsedSeconds * this.requestsPerSecond);
+    this.lastRefill = now;
+  }
+
+  async waitForToken() {
+    for (;;) {
+      const now = Date.now();
+
+      if (this.pausedUntil > now) {
+        await sleep(this.pausedUntil - now);
+        this.lastRefill = Date.now();
+        continue;
+      }
+
+      this.refill(now);
+      if (this.tokens >= 1) {
+        this.tokens -= 1;
+        return;
+      }
+
+      await sleep(Math.ceil(((1 - this.tokens) / this.requestsPerSecond) * 1000));
+    }
+  }
+}
+
+// Rate limiters shared by every client for a Turn 14 account
+const rateLimiters = new Map();
+
+/**
+ * Get the account's rate limiter, updating its limits to the given settings
+ */
+export function getTurn14RateLimiter(accountKey, settings = DEFAULT_RATE_LIMIT_SETTINGS) {
+  let limiter = rateLimiters.get(accountKey);
+
+  if (!limiter) {
+    limiter = new TokenBucketRateLimiter(settings);
+    rateLimiters.set(accountKey, limiter);
+  } else if (limiter.requestsPerSecond !== settings.requestsPerSecond || limiter.burst !== settings.burst) {
+    limiter.configure(settings);
+  }
+
+  return limiter;
+}
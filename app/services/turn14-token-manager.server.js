@@ -0,0 +1,140 @@
+// Turn 14 OAuth2 client-credentials token management
+
+// app/services/turn14-token-manager.server.js
+import axios from 'axios';
+import { Turn14APIError, Turn14AuthError } from './turn14-errors.server.js';
+import { logger } from '../utils/logger.server.js';
+
+// Refresh tokens this long before Turn 14 says they expire
+const TOKEN_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+// Used when the token response does not include expires_in
+const DEFAULT_TOKEN_TTL_SECONDS = 3600;
+
+/**
+ * Turn 14 Token Manager
+ * Exchanges an account's client id/secret for access tokens and caches them per account
+ */
+export class Turn14TokenManager {
+  constructor(options = {}) {
+    this.refreshMarginMs = options.refreshMarginMs ?? TOKEN_REFRESH_MARGIN_MS;
+    this.tokens = new Map(); // account key -> { fingerprint, accessToken, expiresAt }
+    this.pendingRequests = new Map(); // account key -> Promise<token>
+  }
+
+  /**
+   * Get a valid access token for the given credentials, requesting a new one when
+   * the cached token is missing, issued for other credentials, or about to expire
+   */
+  async getAccessToken(credentials, { forceRefresh = false } = {}) {
+    // Accounts are keyed by id; credentials without one fall back to the shop
+    const key = credentials.accountKey || credentials.shop;
+    const fingerprint = this.getFingerprint(credentials);
+    const cached = this.tokens.get(key);
+
+    if (
+      !forceRefresh &&
+      cached &&
+      cached.fingerprint === fingerprint &&
+      cached.expiresAt - this.refreshMarginMs > Date.now()
+    ) {
+      return cached.accessToken;
+    }
+
+    // Share one in-flight token request between concurrent callers
+    const pending = this.pendingRequests.get(key);
+    if (pending && pending.fingerprint === fingerprint) {
+      return (await pending.promise).accessToken;
+    }
+
+    const promise = this.requestToken(credentials)
+      .then((token) => {
+        this.tokens.set(key, { fingerprint, ...token });
+        return token;
+      })
+      .finally(() => {
+        this.pendingRequests.delete(key);
+      });
+
+    this.pendingRequests.set(key, { fingerprint, promise });
+    return (await promise).accessToken;
+  }
+
+  /**
+   * Request a new access token from the Turn 14 token endpoint, through the
+   * client's transport when one is given
+   */
+  async requestToken({ shop, clientId, clientSecret, baseURL, adapter }) {
+    if (!clientId || !clientSecret) {
+      throw new Turn14AuthError('Turn 14 client id and secret are required to request an access token');
+    }
+
+    try {
+      const response = await axios.post(`${baseURL}/token`, {
+        grant_type: 'client_credentials',
+        client_id: clientId,
+        client_secret: clientSecret
+      }, {
+        ...(adapter && { adapter }),
+        timeout: 30000,
+        headers: {
+          'Content-Type': 'application/json',
+          'Accept': 'application/json',
+          'User-Agent': 'Shopify-Turn14-App/1.0'
+        }
+      });
+
+      const { access_token: accessToken, expires_in: expiresIn } = response.data || {};
+      if (!accessToken) {
+        throw new Turn14AuthError('Turn 14 token response did not include an access token');
+      }
+
+      logger.debug('Obtained Turn 14 access token', { shop, expiresIn });
+
+      return {
+        accessToken,
+        expiresAt: Date.now() + (expiresIn || DEFAULT_TOKEN_TTL_SECONDS) * 1000
+      };
+    } catch (error) {
+      if (error instanceof Turn14APIError) {
+        throw error;
+      }
+
+      const status = error.response?.status;
+      const message = error.response?.data?.error_description
+        || error.response?.data?.message
+        || error.message;
+
+      if (status === 400 || status === 401) {
+        throw new Turn14AuthError(`Invalid Turn 14 API credentials: ${message}`);
+      }
+
+      throw new Turn14APIError(
+        `Failed to obtain Turn 14 access token: ${message}`,
+        status || 500,
+        error.response?.data
+      );
+    }
+  }
+
+  /**
+   * Drop the cached token for an account so the next request fetches a fresh one
+   */
+  invalidate(accountKey) {
+    this.tokens.delete(accountKey);
+  }
+
+  /**
+   * Drop all cached tokens
+   */
+  clear() {
+    this.tokens.clear();
+  }
+
+  getFingerprint({ clientId, clientSecret, baseURL }) {
+    return `${baseURL}|${clientId}|${clientSecret}`;
+  }
+}
+
+// Shared token manager instance
+export const turn14TokenManager = new Turn14TokenManager();
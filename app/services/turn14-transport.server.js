@@ -0,0 +1,430 @@
+// Turn 14 API transports: live, record and mock/replay
+
+// app/services/turn14-transport.server.js
+import { createHash } from 'node:crypto';
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'node:fs';
+import path from 'node:path';
+import { Readable } from 'node:stream';
+import axios, { AxiosError } from 'axios';
+import { sleep } from './turn14-rate-limiter.server.js';
+import { logger } from '../utils/logger.server.js';
+
+export const TURN14_MOCK_BASE_URL = 'http://turn14.mock/v1';
+
+export const TRANSPORT_MODES = {
+  LIVE: 'live',
+  RECORD: 'record',
+  MOCK: 'mock'
+};
+
+// Mock behaviour; errorRate and rateLimitRate are the share (0-1) of requests that fail
+export const DEFAULT_MOCK_SETTINGS = {
+  latencyMs: 0,
+  errorRate: 0,
+  rateLimitRate: 0
+};
+
+function getFixturesDir() {
+  return process.env.TURN14_FIXTURES_DIR || path.join(process.cwd(), 'fixtures', 'turn14');
+}
+
+/**
+ * Pick the transport for a config: the "mock" environment always runs offline,
+ * and TURN14_TRANSPORT=record captures live responses to fixture files
+ */
+export function resolveTransportSettings(environment, syncSettings = {}) {
+  let mode = TRANSPORT_MODES.LIVE;
+  if (environment === 'mock') {
+    mode = TRANSPORT_MODES.MOCK;
+  } else if (process.env.TURN14_TRANSPORT === TRANSPORT_MODES.RECORD) {
+    mode = TRANSPORT_MODES.RECORD;
+  }
+
+  const overrides = syncSettings?.mock || {};
+  const settings = { mode, fixturesDir: getFixturesDir(), ...DEFAULT_MOCK_SETTINGS };
+
+  for (const key of Object.keys(DEFAULT_MOCK_SETTINGS)) {
+    const value = Number(overrides[key]);
+    if (overrides[key] !== undefined && overrides[key] !== '' && Number.isFinite(value) && value >= 0) {
+      settings[key] = value;
+    }
+  }
+
+  settings.errorRate = Math.min(settings.errorRate, 1);
+  settings.rateLimitRate = Math.min(settings.rateLimitRate, 1);
+
+  return settings;
+}
+
+/**
+ * Axios adapter for the resolved transport; undefined keeps axios' own HTTP adapter
+ */
+export function getTurn14Transport(settings) {
+  if (settings.mode === TRANSPORT_MODES.MOCK) {
+    return createMockTransport(settings);
+  }
+  if (settings.mode === TRANSPORT_MODES.RECORD) {
+    return createRecordingTransport(settings);
+  }
+  return undefined;
+}
+
+// Request path relative to the API base URL, e.g. "/brands"
+function getRequestPath(config) {
+  const url = config.url || '';
+  const relative = config.baseURL && url.startsWith(config.baseURL)
+    ? url.slice(config.baseURL.length)
+    : url.replace(/^https?:\/\/[^/]+(\/v\d+)?/, '');
+  return relative.split('?')[0] || '/';
+}
+
+function parseRequestBody(config) {
+  if (!config.data) return null;
+  if (typeof config.data !== 'string') return config.data;
+
+  try {
+    return JSON.parse(config.data);
+  } catch {
+    return config.data;
+  }
+}
+
+// Stable fixture key for a request: method, path, query and body
+function getFixtureKey(config) {
+  const method = (config.method || 'get').toLowerCase();
+  const requestPath = getRequestPath(config);
+  const params = Object.keys(config.params || {})
+    .sort()
+    .map(key => [key, config.params[key]]);
+  const hash = createHash('sha1')
+    .update(JSON.stringify({ params, body: parseRequestBody(config) }))
+    .digest('hex')
+    .slice(0, 12);
+  const slug = requestPath.replace(/^\/+/, '').replace(/[^a-zA-Z0-9]+/g, '-') || 'root';
+
+  return `${method}-${slug}-${hash}`;
+}
+
+function getRecordingPath(settings, config) {
+  return path.join(settings.fixturesDir, 'recorded', `${getFixtureKey(config)}.json`);
+}
+
+// Build the response (or AxiosError) an adapter hands back to axios
+function settleResponse(config, status, data, headers = {}) {
+  const response = {
+    data,
+    status,
+    statusText: String(status),
+    headers: { 'content-type': 'application/json', ...headers },
+    config,
+    request: {}
+  };
+
+  const validateStatus = config.validateStatus || (code => code >= 200 && code < 300);
+  if (validateStatus(status)) {
+    return response;
+  }
+
+  throw new AxiosError(
+    `Request failed with status code ${status}`,
+    status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST,
+    config,
+    response.request,
+    response
+  );
+}
+
+/**
+ * Record mode: send requests to Turn 14 and save each response under
+ * fixtures/turn14/recorded for later replay. Token exchanges are not recorded.
+ */
+export function createRecordingTransport(settings) {
+  const httpAdapter = axios.getAdapter(axios.defaults.adapter);
+
+  return async (config) => {
+    const isTokenRequest = getRequestPath(config) === '/token';
+    let response;
+    let failure = null;
+
+    try {
+      response = await httpAdapter(config);
+    } catch (error) {
+      failure = error;
+      response = error.response;
+    }
+
+    if (response && !isTokenRequest && config.responseType !== 'stream') {
+      const filePath = getRecordingPath(settings, config);
+      mkdirSync(path.dirname(filePath), { recursive: true });
+      writeFileSync(filePath, JSON.stringify({
+        request: {
+          method: (config.method || 'get').toLowerCase(),
+          path: getRequestPath(config),
+          params: config.params || null,
+          body: parseRequestBody(config)
+        },
+        response: {
+          status: response.status,
+          headers: { 'retry-after': response.headers?.['retry-after'] },
+          data: typeof response.data === 'string' ? safeJsonParse(response.data) : response.data
+        }
+      }, null, 2));
+      logger.debug('Recorded Turn 14 fixture', { path: filePath });
+    }
+
+    if (failure) throw failure;
+    return response;
+  };
+}
+
+function safeJsonParse(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+// Load a fixture file once per transport
+function createFixtureLoader(fixturesDir) {
+  const cache = new Map();
+
+  return (name, fallback) => {
+    if (!cache.has(name)) {
+      const filePath = path.join(fixturesDir, name);
+      cache.set(name, existsSync(filePath) ? JSON.parse(readFileSync(filePath, 'utf8')) : fallback);
+    }
+    return cache.get(name);
+  };
+}
+
+function paginate(items, params = {}, defaultLimit = 100) {
+  const page = parseInt(params.page) || 1;
+  const limit = parseInt(params.limit) || defaultLimit;
+
+  return {
+    items: items.slice((page - 1) * limit, page * limit),
+    total: items.length
+  };
+}
+
+function findBySku(items, sku) {
+  return items.find(item => item.sku === sku || item.id === sku);
+}
+
+function toList(value) {
+  if (!value) return [];
+  return Array.isArray(value) ? value.map(String) : String(value).split(',');
+}
+
+// Route a mock request to fixture data; returns [status, data]
+function routeMockRequest(method, requestPath, params, body, load) {
+  const brands = load('brands.json', []);
+  const items = load('items.json', []);
+  const vehicles = load('vehicles.json', []);
+  const compatibility = load('compatibility.json', {});
+  const route = `${method} ${requestPath}`;
+
+  if (route === 'post /token') {
+    return [200, { access_token: 'mock-access-token', token_type: 'Bearer', expires_in: 3600 }];
+  }
+
+  if (route === 'get /account') {
+    return [200, { dealer_code: 'MOCK', name: 'Turn 14 Mock Dealer', environment: 'mock' }];
+  }
+
+  if (route === 'get /brands') {
+    // Without paging params Turn 14 returns the full list
+    if (!params.page && !params.limit) return [200, { brands, total: brands.length }];
+    const page = paginate(brands, params);
+    return [200, { brands: page.items, total: page.total }];
+  }
+
+  if (route === 'get /categories') {
+    const categories = [...new Set(items.map(item => item.category).filter(Boolean))];
+    return [200, { categories: categories.map(name => ({ id: name, name })) }];
+  }
+
+  if (route === 'get /inventory') {
+    const brandIds = toList(params.brands);
+    const categories = toList(params.categories);
+    const search = (params.search || '').toLowerCase();
+    const filtered = items.filter(item =>
+      (brandIds.length === 0 || brandIds.includes(String(item.brand_id))) &&
+      (categories.length === 0 || categories.includes(item.category)) &&
+      (!search || `${item.sku} ${item.name}`.toLowerCase().includes(search)) &&
+      (params.in_stock === undefined || String(params.in_stock) !== 'true' || item.stock > 0)
+    );
+    const page = paginate(filtered, params);
+    return [200, { products: page.items, total: page.total }];
+  }
+
+  if (route === 'post /pricing') {
+    const priced = toList(body?.skus).map(sku => findBySku(items, sku)).filter(Boolean);
+    return [200, {
+      items: priced.map(item => ({
+        sku: item.sku,
+        price: item.price,
+        map_price: item.map_price,
+        retail_price: item.retail_price,
+        jobber_price: item.jobber_price
+      }))
+    }];
+  }
+
+  if (route === 'post /inventory/stock') {
+    const stocked = toList(body?.skus).map(sku => findBySku(items, sku)).filter(Boolean);
+    return [200, { items: stocked.map(item => ({ sku: item.sku, stock: item.stock })) }];
+  }
+
+  // The fixtures never change, so every item counts as changed
+  if (route === 'get /inventory/updates' || route === 'get /pricing/changes') {
+    const page = paginate(items.map(item => ({ sku: item.sku })), params, 500);
+    return [200, { items: page.items, total: page.total }];
+  }
+
+  if (route === 'get /vehicles') {
+    const filtered = vehicles.filter(vehicle =>
+      (!params.year || String(vehicle.year) === String(params.year)) &&
+      (!params.make || vehicle.make === params.make) &&
+      (!params.model || vehicle.model === params.model)
+    );
+    const page = paginate(filtered, params, 1000);
+    return [200, { vehicles: page.items, total: page.total }];
+  }
+
+  if (route === 'get /vehicles/makes') {
+    const makes = vehicles
+      .filter(vehicle => !params.year || String(vehicle.year) === String(params.year))
+      .map(vehicle => vehicle.make);
+    return [200, { makes: [...new Set(makes)] }];
+  }
+
+  if (route === 'get /vehicles/models') {
+    const models = vehicles
+      .filter(vehicle =>
+        (!params.year || String(vehicle.year) === String(params.year)) &&
+        (!params.make || vehicle.make === params.make)
+      )
+      .map(vehicle => vehicle.model);
+    return [200, { models: [...new Set(models)] }];
+  }
+
+  if (route === 'get /products/search/vehicle') {
+    const matching = vehicles
+      .filter(vehicle =>
+        (!params.year || String(vehicle.year) === String(params.year)) &&
+        (!params.make || vehicle.make === params.make) &&
+        (!params.model || vehicle.model === params.model)
+      )
+      .map(vehicle => vehicle.id);
+    const products = items.filter(item =>
+      (compatibility[item.sku] || []).some(id => matching.includes(id))
+    );
+    const page = paginate(products, params, 50);
+    return [200, { products: page.items, total: page.total }];
+  }
+
+  const compatibilityMatch = requestPath.match(/^\/products\/([^/]+)\/compatibility$/);
+  if (method === 'get' && compatibilityMatch) {
+    const sku = decodeURIComponent(compatibilityMatch[1]);
+    const ids = compatibility[sku] || [];
+    return [200, { compatibility: vehicles.filter(vehicle => ids.includes(vehicle.id)) }];
+  }
+
+  const productMatch = requestPath.match(/^\/products\/([^/]+)$/);
+  if (method === 'get' && productMatch) {
+    const item = findBySku(items, decodeURIComponent(productMatch[1]));
+    return item ? [200, item] : [404, { message: 'Product not found' }];
+  }
+
+  if (route === 'post /orders') {
+    return [201, {
+      order_id: `MOCK-${Date.now()}`,
+      status: 'received',
+      items: body?.items || []
+    }];
+  }
+
+  if (route === 'post /shipping/rates') {
+    return [200, {
+      rates: [
+        { carrier: 'UPS', service: 'Ground', cost: 14.95, days: 5 },
+        { carrier: 'UPS', service: '2nd Day Air', cost: 39.5, days: 2 }
+      ]
+    }];
+  }
+
+  return [404, { message: `No mock route for ${method.toUpperCase()} ${requestPath}` }];
+}
+
+// Bulk feeds are served as newline-delimited JSON streams
+function routeMockFeed(requestPath, load) {
+  const feedMatch = requestPath.match(/^\/feeds\/(items|pricing|inventory)$/);
+  if (!feedMatch) return null;
+
+  const items = load('items.json', []);
+  const records = items.map((item) => {
+    if (feedMatch[1] === 'pricing') {
+      return {
+        sku: item.sku,
+        price: item.price,
+        map_price: item.map_price,
+        retail_price: item.retail_price,
+        jobber_price: item.jobber_price
+      };
+    }
+    if (feedMatch[1] === 'inventory') {
+      return { sku: item.sku, stock: item.stock };
+    }
+    return { ...item, brand_name: item.brand };
+  });
+
+  return Readable.from(records.map(record => `${JSON.stringify(record)}\n`));
+}
+
+/**
+ * Mock mode: serve Turn 14 endpoints from fixtures/turn14. Recorded responses
+ * under fixtures/turn14/recorded replay first; everything else is generated
+ * from the brand, item, vehicle and compatibility fixtures. Latency, 5xx errors
+ * and 429s can be injected through syncSettings.mock.
+ */
+export function createMockTransport(settings) {
+  const load = createFixtureLoader(settings.fixturesDir);
+
+  return async (config) => {
+    const method = (config.method || 'get').toLowerCase();
+    const requestPath = getRequestPath(config);
+    const params = config.params || {};
+
+    if (settings.latencyMs > 0) {
+      await sleep(settings.latencyMs);
+    }
+
+    // Injected failures never hit the token endpoint so auth keeps working
+    if (requestPath !== '/token') {
+      if (Math.random() < settings.rateLimitRate) {
+        return settleResponse(config, 429, { message: 'Mock rate limit exceeded' }, { 'retry-after': '1' });
+      }
+      if (Math.random() < settings.errorRate) {
+        return settleResponse(config, 503, { message: 'Mock Turn 14 outage' });
+      }
+    }
+
+    const recordingPath = getRecordingPath(settings, config);
+    if (existsSync(recordingPath)) {
+      const { response } = JSON.parse(readFileSync(recordingPath, 'utf8'));
+      return settleResponse(config, response.status, response.data, response.headers);
+    }
+
+    if (config.responseType === 'stream') {
+      const feed = routeMockFeed(requestPath, load);
+      if (feed) {
+        return settleResponse(config, 200, feed, { 'content-type': 'application/x-ndjson' });
+      }
+    }
+
+    const [status, data] = routeMockRequest(method, requestPath, params, parseRequestBody(config), load);
+    return settleResponse(config, status, data);
+  };
+}
@@ -295,7 +295,7 @@ export class VehicleGarageService {
       };
 
       if (category) {
-        whereClause.turn14Category = category;
+        whereClause.category = category;
       }
 
       const products = await db.turn14ImportedProduct.findMany({
@@ -338,7 +338,7 @@ export class VehicleGarageService {
         where: {
           shop: this.shop,
           product: {
-            turn14Sku: turn14Sku
+            sku: turn14Sku
           },
           year: vehicle.year,
           make: vehicle.make,
@@ -364,7 +364,7 @@ export class VehicleGarageService {
         where: {
           shop: this.shop,
           product: {
-            turn14Sku: turn14Sku
+            sku: turn14Sku
           },
           isUniversal: true
         },
@@ -1,107 +1,113 @@
 import { prisma } from "../db.server.js";
-import { Turn14ApiService } from "./turn14-api.server.js";
+import {
+  findSupplierAdapter,
+  getSupplierAdapterForProduct
+} from "./supplier-registry.server.js";
 import { logger } from "../utils/logger.server.js";
 
 /**
  * YMM (Year/Make/Model) Service
- * Handles vehicle compatibility for Turn 14 automotive parts
+ * Handles vehicle compatibility for automotive parts from any supplier that
+ * provides fitment data
  */
 export class YMMService {
   constructor(shop) {
     this.shop = shop;
-    this.turn14Api = new Turn14ApiService();
   }
 
   /**
-   * Initialize Turn 14 API with shop credentials
+   * Connect to the first active supplier with a vehicle database (the Turn 14
+   * production default account); vehicle data is the same for every account
    */
-  async initializeApi() {
-    const config = await prisma.turn14Config.findUnique({
-      where: { shop: this.shop }
-    });
+  async getVehicleSupplier() {
+    const adapter = await findSupplierAdapter(this.shop, "vehicles");
 
-    if (!config) {
-      throw new Error("Turn 14 configuration not found");
+    if (!adapter) {
+      throw new Error("No connected supplier provides a vehicle database");
     }
 
-    await this.turn14Api.authenticate(config.apiKey, config.apiSecret, config.environment);
+    await adapter.connect();
+    return adapter;
   }
 
   /**
-   * Sync vehicle database from Turn 14
+   * Sync vehicle database from the vehicle supplier
    */
   async syncVehicleDatabase() {
     try {
-      await this.initializeApi();
-      
-      logger.info("Starting vehicle database sync", { shop: this.shop });
-
-      // Get vehicle data from Turn 14 API
-      const vehicleData = await this.turn14Api.getVehicles();
-      
-      if (!vehicleData || !vehicleData.items) {
-        throw new Error("No vehicle data received from Turn 14");
-      }
+      const supplier = await this.getVehicleSupplier();
+
+      logger.info("Starting vehicle database sync", { shop: this.shop, supplier: supplier.supplier });
 
       let processed = 0;
       let updated = 0;
       let created = 0;
-
-      for (const vehicle of vehicleData.items) {
-        try {
-          const vehicleRecord = await prisma.turn14VehicleDatabase.upsert({
-            where: {
-              year_make_model_submodel: {
+      let received = 0;
+
+      // Walk every page of the supplier's vehicle database
+      for await (const page of supplier.iterateVehicles()) {
+        received += page.items.length;
+
+        for (const vehicle of page.items) {
+          try {
+            const vehicleRecord = await prisma.turn14VehicleDatabase.upsert({
+              where: {
+                year_make_model_submodel: {
+                  year: vehicle.year,
+                  make: vehicle.make,
+                  model: vehicle.model,
+                  submodel: vehicle.submodel || null
+                }
+              },
+              update: {
+                engine: vehicle.engine,
+                engineSize: vehicle.engine_size,
+                fuelType: vehicle.fuel_type,
+                transmission: vehicle.transmission,
+                driveType: vehicle.drive_type,
+                bodyStyle: vehicle.body_style,
+                turn14VehicleId: vehicle.id,
+                turn14MmyId: vehicle.mmy_id,
+                lastUpdated: new Date(),
+                isActive: true
+              },
+              create: {
                 year: vehicle.year,
                 make: vehicle.make,
                 model: vehicle.model,
-                submodel: vehicle.submodel || null
+                submodel: vehicle.submodel || null,
+                engine: vehicle.engine,
+                engineSize: vehicle.engine_size,
+                fuelType: vehicle.fuel_type,
+                transmission: vehicle.transmission,
+                driveType: vehicle.drive_type,
+                bodyStyle: vehicle.body_style,
+                turn14VehicleId: vehicle.id,
+                turn14MmyId: vehicle.mmy_id,
+                isActive: true
               }
-            },
-            update: {
-              engine: vehicle.engine,
-              engineSize: vehicle.engine_size,
-              fuelType: vehicle.fuel_type,
-              transmission: vehicle.transmission,
-              driveType: vehicle.drive_type,
-              bodyStyle: vehicle.body_style,
-              turn14VehicleId: vehicle.id,
-              turn14MmyId: vehicle.mmy_id,
-              lastUpdated: new Date(),
-              isActive: true
-            },
-            create: {
-              year: vehicle.year,
-              make: vehicle.make,
-              model: vehicle.model,
-              submodel: vehicle.submodel || null,
-              engine: vehicle.engine,
-              engineSize: vehicle.engine_size,
-              fuelType: vehicle.fuel_type,
-              transmission: vehicle.transmission,
-              driveType: vehicle.drive_type,
-              bodyStyle: vehicle.body_style,
-              turn14VehicleId: vehicle.id,
-              turn14MmyId: vehicle.mmy_id,
-              isActive: true
+            });
+
+            if (vehicleRecord.lastUpdated.getTime() === vehicleRecord.createdAt.getTime()) {
+              created++;
+            } else {
+              updated++;
             }
-          });
 
-          if (vehicleRecord.lastUpdated.getTime() === vehicleRecord.createdAt.getTime()) {
-            created++;
-          } else {
-            updated++;
+            processed++;
+          } catch (error) {
+            logger.error(`Error processing vehicle: ${vehicle.year} ${vehicle.make} ${vehicle.model}`, {
+              error: error.message,
+              vehicle
+            });
           }
-
-          processed++;
-        } catch (error) {
-          logger.error(`Error processing vehicle: ${vehicle.year} ${vehicle.make} ${vehicle.model}`, {
-            error: error.message,
-            vehicle
-          });
         }
       }
 
+      if (received === 0) {
+        throw new Error("No vehicle data received from the supplier");
+      }
+
       logger.info("Vehicle database sync completed", {
         shop: this.shop,
         processed,
@@ -148,33 +154,45 @@ export class YMMService {
   }
 
   /**
-   * Sync product compatibility from Turn 14
+   * Sync an imported product's compatibility from the supplier it came from.
+   * Suppliers without fitment data leave the product's records untouched.
    */
-  async syncProductCompatibility(turn14Sku) {
-    try {
-      await this.initializeApi();
+  async syncProductCompatibility(productId) {
+    let sku = null;
 
+    try {
       // Get the imported product record
-      const product = await prisma.turn14ImportedProduct.findUnique({
-        where: {
-          shop_turn14Sku: {
-            shop: this.shop,
-            turn14Sku
-          }
-        }
+      const product = await prisma.turn14ImportedProduct.findFirst({
+        where: { id: productId, shop: this.shop }
       });
 
       if (!product) {
-        throw new Error(`Product not found: ${turn14Sku}`);
+        throw new Error(`Product not found: ${productId}`);
+      }
+      sku = product.sku;
+
+      const supplier = await getSupplierAdapterForProduct(this.shop, product);
+      if (!supplier) {
+        throw new Error(`The supplier connection for ${sku} was removed`);
+      }
+
+      if (!supplier.supports("fitment")) {
+        logger.warn("Supplier provides no fitment data", {
+          shop: this.shop,
+          sku,
+          supplier: supplier.supplier
+        });
+        return { processed: 0, created: 0, updated: 0, unsupported: true };
       }
 
-      // Get compatibility data from Turn 14
-      const compatibilityData = await this.turn14Api.getItemCompatibility(turn14Sku);
+      // Get compatibility data from the supplier
+      await supplier.connect();
+      const fitments = await supplier.getFitment(sku);
 
-      if (!compatibilityData || !compatibilityData.items) {
+      if (!fitments || fitments.length === 0) {
         logger.warn("No compatibility data found for product", {
           shop: this.shop,
-          turn14Sku
+          sku
         });
         return { processed: 0, created: 0, updated: 0 };
       }
@@ -190,7 +208,7 @@ export class YMMService {
       let processed = 0;
       let created = 0;
 
-      for (const compatibility of compatibilityData.items) {
+      for (const compatibility of fitments) {
         try {
           await prisma.turn14VehicleCompatibility.create({
             data: {
@@ -201,16 +219,16 @@ export class YMMService {
               model: compatibility.model,
               submodel: compatibility.submodel || null,
               engine: compatibility.engine,
-              engineSize: compatibility.engine_size,
-              fuelType: compatibility.fuel_type,
+              engineSize: compatibility.engineSize,
+              fuelType: compatibility.fuelType,
               transmission: compatibility.transmission,
-              driveType: compatibility.drive_type,
-              bodyStyle: compatibility.body_style,
-              turn14VehicleId: compatibility.vehicle_id,
-              turn14MmyId: compatibility.mmy_id,
+              driveType: compatibility.driveType,
+              bodyStyle: compatibility.bodyStyle,
+              turn14VehicleId: compatibility.vehicleId,
+              turn14MmyId: compatibility.mmyId,
               notes: compatibility.notes,
               restrictions: compatibility.restrictions,
-              isUniversal: compatibility.is_universal || false
+              isUniversal: compatibility.isUniversal || false
             }
           });
 
@@ -219,7 +237,7 @@ export class YMMService {
         } catch (error) {
           logger.error("Error creating compatibility record", {
             shop: this.shop,
-            turn14Sku,
+            sku,
             compatibility,
             error: error.message
           });
@@ -228,7 +246,7 @@ export class YMMService {
 
       logger.info("Product compatibility sync completed", {
         shop: this.shop,
-        turn14Sku,
+        sku,
         processed,
         created
       });
@@ -237,7 +255,8 @@ export class YMMService {
     } catch (error) {
       logger.error("Product compatibility sync failed", {
         shop: this.shop,
-        turn14Sku,
+        productId,
+        sku,
         error: error.message
       });
       throw error;
@@ -309,8 +328,8 @@ export class YMMService {
         syncStatus: 'active'
       };
 
-      if (category) productWhere.turn14Category = { contains: category, mode: 'insensitive' };
-      if (brand) productWhere.turn14Brand = { contains: brand, mode: 'insensitive' };
+      if (category) productWhere.category = { contains: category, mode: 'insensitive' };
+      if (brand) productWhere.brand = { contains: brand, mode: 'insensitive' };
 
       const compatibleProducts = await prisma.turn14VehicleCompatibility.findMany({
         where: compatibilityWhere,
@@ -323,7 +342,7 @@ export class YMMService {
         skip: offset,
         orderBy: {
           product: {
-            turn14Brand: 'asc'
+            brand: 'asc'
           }
         }
       });
@@ -487,7 +506,7 @@ export class YMMService {
       };
 
       if (brandFilter) {
-        where.turn14Brand = brandFilter;
+        where.brand = brandFilter;
       }
 
       const products = await prisma.turn14ImportedProduct.findMany({
@@ -503,12 +522,12 @@ export class YMMService {
 
       for (const product of products) {
         try {
-          await this.syncProductCompatibility(product.turn14Sku);
+          await this.syncProductCompatibility(product.id);
           successful++;
         } catch (error) {
           failed++;
           errors.push({
-            sku: product.turn14Sku,
+            sku: product.sku,
             error: error.message
           });
         }
@@ -6,7 +6,32 @@ import {
 } from "@shopify/shopify-app-remix/server";
 import { PrismaSessionStorage } from "@shopify/shopify-app-session-storage-prisma";
 import { restResources } from "@shopify/shopify-api/rest/admin/2024-07";
-import prisma from "./db.server";
+import prisma from "./db.server.js";
+
+// Start a new shop's schedules in the store's own time zone; a zone the
+// merchant already picked is kept
+async function storeShopTimeZone({ session, admin }) {
+  try {
+    const response = await admin.graphql(
+      `#graphql
+      query shopTimeZone {
+        shop {
+          ianaTimezone
+        }
+      }`
+    );
+    const responseJson = await response.json();
+    const timeZone = responseJson.data.shop.ianaTimezone;
+
+    await prisma.shopSyncSettings.upsert({
+      where: { shop: session.shop },
+      create: { shop: session.shop, timeZone },
+      update: {}
+    });
+  } catch (error) {
+    console.error("Could not store the shop's time zone:", error);
+  }
+}
 
 const shopify = shopifyApp({
   apiKey: process.env.SHOPIFY_API_KEY,
@@ -18,6 +43,9 @@ const shopify = shopifyApp({
   sessionStorage: new PrismaSessionStorage(prisma),
   distribution: AppDistribution.AppStore,
   restResources,
+  hooks: {
+    afterAuth: storeShopTimeZone,
+  },
   future: {
     unstable_newEmbeddedAuthStrategy: true,
   },
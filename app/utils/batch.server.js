@@ -0,0 +1,32 @@
+// Batch processing helpers
+
+// app/utils/batch.server.js
+
+// Split an array into chunks of at most `size` items
+export function chunkArray(items, size) {
+  const chunkSize = Math.max(1, Math.floor(size) || 1);
+  const chunks = [];
+
+  for (let i = 0; i < items.length; i += chunkSize) {
+    chunks.push(items.slice(i, i + chunkSize));
+  }
+
+  return chunks;
+}
+
+// Map over items with at most `concurrency` mappers running at once, keeping input order
+export async function mapWithConcurrency(items, concurrency, mapper) {
+  const results = new Array(items.length);
+  const workerCount = Math.min(items.length, Math.max(1, Math.floor(concurrency) || 1));
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await mapper(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: workerCount }, worker));
+  return results;
+}
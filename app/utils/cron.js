@@ -0,0 +1,326 @@
+// 5-field cron expressions evaluated in an IANA time zone, with blackout windows
+
+// app/utils/cron.js
+// Shared by the sync scheduler and the schedule form's next-run preview, so it
+// must stay free of server-only imports.
+
+// Schedule frequencies other than "custom" run on these expressions
+export const FREQUENCY_CRONS = {
+  hourly: '0 * * * *',
+  daily: '0 2 * * *',
+  weekly: '0 2 * * 0'
+};
+
+export const DEFAULT_TIME_ZONE = 'UTC';
+
+export const CATCH_UP_POLICIES = [
+  { label: 'Run once for all missed runs', value: 'run_once' },
+  { label: 'Skip missed runs', value: 'skip' }
+];
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'] },
+  { name: 'day of week', min: 0, max: 7, names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'] }
+];
+
+const MINUTE_MS = 60 * 1000;
+
+// Upper bound on search steps, so an expression that can never match (e.g.
+// "0 0 31 2 *") or is always blacked out gives up instead of spinning
+const MAX_SEARCH_STEPS = 50000;
+
+// Runs in a row that may fall in blackout windows before the search gives up
+const MAX_BLACKED_OUT_RUNS = 1000;
+
+function parseValue(value, field) {
+  const index = field.names?.indexOf(value.toUpperCase()) ?? -1;
+  const number = index >= 0 ? index + (field.name === 'month' ? 1 : 0) : Number(value);
+
+  if (!/^\w+$/.test(value) || !Number.isInteger(number) || number < field.min || number > field.max) {
+    throw new Error(`"${value}" is not a valid ${field.name}`);
+  }
+  return number;
+}
+
+function parseField(text, field) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`"${part}" has an invalid step in the ${field.name} field`);
+    }
+
+    let start;
+    let end;
+    if (range === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (range.includes('-')) {
+      [start, end] = range.split('-').map(value => parseValue(value, field));
+      if (start > end) {
+        throw new Error(`"${range}" is a backwards range in the ${field.name} field`);
+      }
+    } else {
+      start = parseValue(range, field);
+      end = stepText === undefined ? start : field.max;
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a 5-field cron expression (minute hour day-of-month month
+ * day-of-week). Supports lists, ranges, steps and month/day names; 0 and 7
+ * are both Sunday. Throws an Error describing the first invalid field.
+ */
+export function parseCron(expression) {
+  const parts = String(expression ?? '').trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error('A cron expression needs 5 fields: minute hour day-of-month month day-of-week');
+  }
+
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, i) => parseField(part, FIELDS[i]));
+  if (dayOfWeek.has(7)) {
+    dayOfWeek.add(0);
+  }
+
+  return {
+    minute,
+    hour,
+    dayOfMonth,
+    month,
+    dayOfWeek,
+    // As in standard cron, when both day fields are restricted either may match
+    dayOfMonthRestricted: parts[2] !== '*',
+    dayOfWeekRestricted: parts[4] !== '*'
+  };
+}
+
+/**
+ * The cron expression a schedule runs on, or null for manual schedules
+ */
+export function getScheduleCron(frequency, cronSchedule = null) {
+  if (frequency === 'custom') {
+    return cronSchedule || null;
+  }
+  return FREQUENCY_CRONS[frequency] || null;
+}
+
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      weekday: 'short'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Whether a string is an IANA time zone this runtime knows
+ */
+export function isValidTimeZone(timeZone) {
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Wall-clock fields of an instant in a time zone
+ */
+export function getZonedParts(date, timeZone) {
+  const parts = Object.fromEntries(getFormatter(timeZone).formatToParts(date).map(part => [part.type, part.value]));
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday)
+  };
+}
+
+// Wall-clock times are carried as UTC timestamps of the same calendar fields
+function wallTime({ year, month, day, hour, minute }) {
+  return Date.UTC(year, month - 1, day, hour, minute);
+}
+
+// UTC offset of a time zone at an instant, in milliseconds
+function zoneOffset(instant, timeZone) {
+  return wallTime(getZonedParts(new Date(instant), timeZone)) - instant;
+}
+
+// The instant a wall-clock time names in a time zone. Ambiguous times resolve
+// to their first occurrence; times skipped by a daylight-saving gap move past
+// it (02:30 becomes 03:30), as cron runs them.
+function wallTimeToInstant(wall, timeZone) {
+  let instant = wall;
+  for (let i = 0; i < 3; i++) {
+    instant = wall - zoneOffset(instant, timeZone);
+  }
+
+  const earlier = instant - 60 * MINUTE_MS;
+  if (wallTime(getZonedParts(new Date(earlier), timeZone)) === wall) {
+    return earlier;
+  }
+  if (wallTime(getZonedParts(new Date(instant), timeZone)) === wall) {
+    return instant;
+  }
+
+  // In a gap: apply the offset from before the transition
+  return wall - zoneOffset(wall - 12 * 60 * MINUTE_MS, timeZone);
+}
+
+function dayMatches(cron, date) {
+  const dayOfMonth = cron.dayOfMonth.has(date.getUTCDate());
+  const dayOfWeek = cron.dayOfWeek.has(date.getUTCDay());
+
+  if (cron.dayOfMonthRestricted && cron.dayOfWeekRestricted) {
+    return dayOfMonth || dayOfWeek;
+  }
+  return dayOfMonth && dayOfWeek;
+}
+
+function toMinutes(time) {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Check blackout windows: `[{ days, start, end }]` with `days` as weekday
+ * numbers (0 = Sunday, empty for every day) and `start`/`end` as "HH:MM" in
+ * the schedule's time zone. A window ending before it starts runs past
+ * midnight into the next day. Throws an Error for the first invalid window.
+ */
+export function validateBlackoutWindows(windows) {
+  if (!Array.isArray(windows)) {
+    throw new Error('Blackout windows must be a list');
+  }
+
+  for (const window of windows) {
+    for (const field of ['start', 'end']) {
+      if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(window[field] ?? '')) {
+        throw new Error(`Blackout window ${field} "${window[field] ?? ''}" must be a time like 09:00`);
+      }
+    }
+    if (window.start === window.end) {
+      throw new Error('A blackout window must end at a different time than it starts');
+    }
+    if (!Array.isArray(window.days || []) || (window.days || []).some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+      throw new Error('Blackout window days must be weekday numbers from 0 (Sunday) to 6');
+    }
+  }
+}
+
+/**
+ * Whether an instant falls in one of a schedule's blackout windows
+ */
+export function isInBlackout(date, windows, timeZone = DEFAULT_TIME_ZONE) {
+  if (!windows?.length) {
+    return false;
+  }
+
+  const parts = getZonedParts(date, timeZone);
+  const minutes = parts.hour * 60 + parts.minute;
+  const yesterday = (parts.weekday + 6) % 7;
+
+  return windows.some(window => {
+    const start = toMinutes(window.start);
+    const end = toMinutes(window.end);
+    const onDay = day => !window.days?.length || window.days.includes(day);
+
+    if (start < end) {
+      return onDay(parts.weekday) && minutes >= start && minutes < end;
+    }
+    // Overnight: the evening part belongs to today's window, the morning part to yesterday's
+    return (onDay(parts.weekday) && minutes >= start) || (onDay(yesterday) && minutes < end);
+  });
+}
+
+/**
+ * The next instant after `after` matching a cron expression in a time zone,
+ * or null if none is found within the search limit
+ */
+export function nextCronRun(expression, after = new Date(), timeZone = DEFAULT_TIME_ZONE) {
+  const cron = typeof expression === 'string' ? parseCron(expression) : expression;
+  const start = getZonedParts(new Date(after.getTime() + MINUTE_MS), timeZone);
+  let wall = new Date(wallTime(start));
+
+  for (let step = 0; step < MAX_SEARCH_STEPS; step++) {
+    if (!cron.month.has(wall.getUTCMonth() + 1)) {
+      wall = new Date(Date.UTC(wall.getUTCFullYear(), wall.getUTCMonth() + 1, 1));
+      continue;
+    }
+    if (!dayMatches(cron, wall)) {
+      wall = new Date(Date.UTC(wall.getUTCFullYear(), wall.getUTCMonth(), wall.getUTCDate() + 1));
+      continue;
+    }
+    if (!cron.hour.has(wall.getUTCHours())) {
+      wall = new Date(Date.UTC(wall.getUTCFullYear(), wall.getUTCMonth(), wall.getUTCDate(), wall.getUTCHours() + 1));
+      continue;
+    }
+    if (!cron.minute.has(wall.getUTCMinutes())) {
+      wall = new Date(wall.getTime() + MINUTE_MS);
+      continue;
+    }
+
+    const instant = wallTimeToInstant(wall.getTime(), timeZone);
+    if (instant > after.getTime()) {
+      return new Date(instant);
+    }
+    wall = new Date(wall.getTime() + MINUTE_MS);
+  }
+
+  return null;
+}
+
+/**
+ * The next `count` runs of a cron expression after `after`, leaving out those
+ * that fall in a blackout window
+ */
+export function nextScheduledRuns(expression, {
+  after = new Date(),
+  count = 1,
+  timeZone = DEFAULT_TIME_ZONE,
+  blackoutWindows = []
+} = {}) {
+  const cron = parseCron(expression);
+  const runs = [];
+  let cursor = after;
+
+  for (let skipped = 0; runs.length < count && skipped < MAX_BLACKED_OUT_RUNS;) {
+    const run = nextCronRun(cron, cursor, timeZone);
+    if (!run) break;
+
+    if (isInBlackout(run, blackoutWindows, timeZone)) {
+      skipped++;
+    } else {
+      runs.push(run);
+    }
+    cursor = run;
+  }
+
+  return runs;
+}
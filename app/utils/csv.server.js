@@ -0,0 +1,64 @@
+// CSV parsing for flat-file supplier feeds
+
+// app/utils/csv.server.js
+
+// Split CSV text into rows of fields. Handles quoted fields with embedded
+// delimiters, doubled quotes and line breaks, and CRLF line endings.
+export function parseCsvRows(text, { delimiter = ',' } = {}) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Drop a UTF-8 byte order mark left by spreadsheet exports
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Blank lines carry no data
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+// Parse CSV text with a header row into objects keyed by trimmed header names
+export function parseCsv(text, options = {}) {
+  const [header = [], ...rows] = parseCsvRows(text, options);
+  const columns = header.map(name => name.trim());
+
+  return rows.map(fields => Object.fromEntries(
+    columns.map((column, index) => [column, (fields[index] ?? '').trim()])
+  ));
+}
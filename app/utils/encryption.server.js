@@ -0,0 +1,129 @@
+// Envelope encryption for secrets stored in the database
+
+// app/utils/encryption.server.js
+import { createCipheriv, createDecipheriv, createHash, randomBytes } from 'node:crypto';
+
+// Stored format: enc:v1:<key id>:<wrapped data key>:<ciphertext>
+const ENCRYPTED_PREFIX = 'enc:v1:';
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+export class EncryptionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'EncryptionError';
+  }
+}
+
+// Accept a base64-encoded 32-byte key, or derive one from any other passphrase
+function toKeyBuffer(value) {
+  const decoded = Buffer.from(value, 'base64');
+  if (decoded.length === 32) {
+    return decoded;
+  }
+  return createHash('sha256').update(value, 'utf8').digest();
+}
+
+// Key-encryption keys from the environment. TURN14_ENCRYPTION_KEYS holds
+// comma-separated "id:key" pairs with the active key first; older keys stay
+// listed until rotation has re-encrypted every row. TURN14_ENCRYPTION_KEY is
+// shorthand for a single key with the id "default".
+function loadKeys() {
+  const entries = process.env.TURN14_ENCRYPTION_KEYS
+    ? process.env.TURN14_ENCRYPTION_KEYS.split(',').map(entry => entry.trim()).filter(Boolean)
+    : process.env.TURN14_ENCRYPTION_KEY
+      ? [`default:${process.env.TURN14_ENCRYPTION_KEY}`]
+      : [];
+
+  const keys = entries.map((entry) => {
+    const separator = entry.indexOf(':');
+    if (separator <= 0) {
+      throw new EncryptionError('TURN14_ENCRYPTION_KEYS entries must look like "id:key"');
+    }
+    return { id: entry.slice(0, separator), key: toKeyBuffer(entry.slice(separator + 1)) };
+  });
+
+  return {
+    primary: keys[0] || null,
+    byId: new Map(keys.map(key => [key.id, key.key]))
+  };
+}
+
+function seal(key, plaintext) {
+  const iv = randomBytes(IV_LENGTH);
+  const cipher = createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64');
+}
+
+function open(key, payload) {
+  const buffer = Buffer.from(payload, 'base64');
+  const decipher = createDecipheriv(ALGORITHM, key, buffer.subarray(0, IV_LENGTH));
+  decipher.setAuthTag(buffer.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+  return Buffer.concat([decipher.update(buffer.subarray(IV_LENGTH + TAG_LENGTH)), decipher.final()]);
+}
+
+export function isEncryptedSecret(value) {
+  return typeof value === 'string' && value.startsWith(ENCRYPTED_PREFIX);
+}
+
+// Key id a stored value was encrypted with, or null for plain text
+function getKeyId(value) {
+  return isEncryptedSecret(value) ? value.slice(ENCRYPTED_PREFIX.length).split(':')[0] : null;
+}
+
+// Encrypt a secret under a fresh data key, wrapped with the active key
+export function encryptSecret(plaintext) {
+  if (plaintext === null || plaintext === undefined || plaintext === '') {
+    return plaintext;
+  }
+
+  const { primary } = loadKeys();
+  if (!primary) {
+    throw new EncryptionError('TURN14_ENCRYPTION_KEYS must be set to store Turn 14 credentials');
+  }
+
+  const dataKey = randomBytes(32);
+  const wrappedKey = seal(primary.key, dataKey);
+  const ciphertext = seal(dataKey, Buffer.from(String(plaintext), 'utf8'));
+
+  return `${ENCRYPTED_PREFIX}${primary.id}:${wrappedKey}:${ciphertext}`;
+}
+
+// Decrypt a stored secret. Plain-text values from before encryption was
+// enabled pass through until rotation re-encrypts them.
+export function decryptSecret(value) {
+  if (!isEncryptedSecret(value)) {
+    return value;
+  }
+
+  const [keyId, wrappedKey, ciphertext] = value.slice(ENCRYPTED_PREFIX.length).split(':');
+  const key = loadKeys().byId.get(keyId);
+  if (!key) {
+    throw new EncryptionError(`Encryption key "${keyId}" is not configured`);
+  }
+
+  try {
+    const dataKey = open(key, wrappedKey);
+    return open(dataKey, ciphertext).toString('utf8');
+  } catch {
+    throw new EncryptionError(`Could not decrypt secret with key "${keyId}"`);
+  }
+}
+
+// Whether a stored value is plain text or encrypted with a key other than the active one
+export function needsReencryption(value) {
+  if (value === null || value === undefined || value === '') {
+    return false;
+  }
+
+  const { primary } = loadKeys();
+  return Boolean(primary) && getKeyId(value) !== primary.id;
+}
+
+// Masked form of a secret that is safe to show in the admin UI
+export function maskSecret(plaintext) {
+  if (!plaintext) return '';
+  return '••••••••••••' + String(plaintext).slice(-4);
+}
@@ -0,0 +1,86 @@
+// Per-product field locks: fields a merchant edited that syncs must not overwrite
+
+// app/utils/field-locks.js
+// Shared by the sync engine and the inventory page's edit modal, so it must
+// stay free of server-only imports.
+
+export const LOCKABLE_FIELDS = [
+  { label: 'Price', value: 'price' },
+  { label: 'Title', value: 'title' },
+  { label: 'Description', value: 'description' },
+  { label: 'Images', value: 'images' },
+  { label: 'Tags', value: 'tags' }
+];
+
+// Lockable content fields and the Shopify REST product field each one covers
+export const CONTENT_FIELDS = {
+  title: 'title',
+  description: 'body_html',
+  images: 'images',
+  tags: 'tags'
+};
+
+/**
+ * Known lockable fields from a list, without duplicates
+ */
+export function normalizeLockedFields(fields) {
+  const requested = new Set(Array.isArray(fields) ? fields : []);
+  return LOCKABLE_FIELDS.map(field => field.value).filter(field => requested.has(field));
+}
+
+/**
+ * The fields locked on an imported product, from its `lockedFields` JSON
+ */
+export function getLockedFields(product) {
+  if (!product?.lockedFields) {
+    return [];
+  }
+
+  try {
+    return normalizeLockedFields(JSON.parse(product.lockedFields));
+  } catch {
+    return [];
+  }
+}
+
+export function isFieldLocked(product, field) {
+  return getLockedFields(product).includes(field);
+}
+
+/**
+ * The part of a transformed REST product payload a content refresh may write:
+ * the content fields that aren't locked on the product
+ */
+export function getUnlockedContent(product, payload) {
+  const locked = getLockedFields(product);
+
+  return Object.fromEntries(Object.entries(CONTENT_FIELDS)
+    .filter(([field]) => !locked.includes(field))
+    .map(([, restField]) => [restField, payload[restField]]));
+}
+
+// Values compared as the storefront shows them: trimmed text, tags as a set,
+// images by file name since Shopify re-hosts them on its CDN
+function comparableValue(field, value) {
+  switch (field) {
+    case 'tags':
+      return String(value ?? '').split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean).sort().join(',');
+    case 'images':
+      return (value || []).map(image => String(image.src ?? '').split('?')[0].split('/').pop()).join(',');
+    case 'description':
+      return String(value ?? '').replace(/\s+/g, ' ').trim();
+    default:
+      return String(value ?? '').trim();
+  }
+}
+
+/**
+ * Whether a field's Shopify value differs from what the supplier data would set
+ */
+export function fieldDiffers(field, shopifyValue, supplierValue) {
+  if (field === 'price') {
+    return Math.round(parseFloat(shopifyValue) * 100) !== Math.round(parseFloat(supplierValue) * 100);
+  }
+
+  return comparableValue(field, shopifyValue) !== comparableValue(field, supplierValue);
+}
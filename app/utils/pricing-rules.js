@@ -0,0 +1,137 @@
+// Ordered pricing rules: tiered markups and margins by brand, category and cost band
+
+// app/utils/pricing-rules.js
+// Shared by the sync engine and the pricing rules editor's price calculator, so
+// it must stay free of server-only imports.
+
+// Supplier price a rule's markup or margin is applied to
+export const COST_BASES = [
+  { label: 'Purchase cost', value: 'cost' },
+  { label: 'Jobber price', value: 'jobber' },
+  { label: 'MAP price', value: 'map' },
+  { label: 'Retail price (MSRP)', value: 'retail' }
+];
+
+export const PRICING_METHODS = [
+  { label: 'Markup %', value: 'markup' },
+  { label: 'Margin %', value: 'margin' },
+  { label: 'Fixed amount ($)', value: 'fixed' }
+];
+
+export const ROUNDING_STRATEGIES = [
+  { label: 'No rounding', value: 'none' },
+  { label: 'End in .99', value: 'ending_99' },
+  { label: 'End in .95', value: 'ending_95' },
+  { label: 'Nearest dollar', value: 'nearest_1' },
+  { label: 'Nearest $5', value: 'nearest_5' },
+  { label: 'Nearest $10', value: 'nearest_10' }
+];
+
+const ROUNDING_STEPS = { nearest_1: 1, nearest_5: 5, nearest_10: 10 };
+
+function toCents(price) {
+  return Math.round(price * 100) / 100;
+}
+
+// The supplier price for a cost basis; pricing is `{ price, jobberPrice, mapPrice, retailPrice }`
+export function getBasisPrice(pricing, costBasis = 'cost') {
+  switch (costBasis) {
+    case 'jobber':
+      return pricing.jobberPrice ?? null;
+    case 'map':
+      return pricing.mapPrice ?? null;
+    case 'retail':
+      return pricing.retailPrice ?? null;
+    default:
+      return pricing.price ?? null;
+  }
+}
+
+/**
+ * Round a price with a rounding strategy. Price endings always round up;
+ * nearest-step strategies round to the closest step, or up when `roundUp` is set
+ * so a price floor is never undercut.
+ */
+export function roundPrice(price, strategy = 'none', { roundUp = false } = {}) {
+  switch (strategy) {
+    case 'ending_99':
+      return toCents(Math.ceil(toCents(price) + 0.01) - 0.01);
+    case 'ending_95':
+      return toCents(Math.ceil(toCents(price) + 0.05) - 0.05);
+    case 'nearest_1':
+    case 'nearest_5':
+    case 'nearest_10': {
+      const step = ROUNDING_STEPS[strategy];
+      const steps = roundUp ? Math.ceil(price / step) : Math.round(price / step);
+      return Math.max(steps, 1) * step;
+    }
+    default:
+      return roundUp ? Math.ceil(price * 100) / 100 : toCents(price);
+  }
+}
+
+// Whether a rule applies to a product; blank brand and category match anything
+// and the cost band is [minCost, maxCost) on the purchase cost
+export function matchesPricingRule(rule, product, cost) {
+  const same = (expected, actual) =>
+    !expected || String(expected).trim().toLowerCase() === String(actual ?? '').trim().toLowerCase();
+
+  if (rule.enabled === false) return false;
+  if (!same(rule.brand, product.brand) || !same(rule.category, product.category)) return false;
+  if (rule.minCost != null && rule.minCost !== '' && cost < Number(rule.minCost)) return false;
+  if (rule.maxCost != null && rule.maxCost !== '' && cost >= Number(rule.maxCost)) return false;
+  return true;
+}
+
+function applyPricingMethod(base, method, value) {
+  switch (method) {
+    case 'margin':
+      return base / (1 - value / 100);
+    case 'fixed':
+      return base + value;
+    default:
+      return base * (1 + value / 100);
+  }
+}
+
+/**
+ * Sell price for a product from the first matching rule. A rule whose cost
+ * basis the supplier doesn't provide is passed over. Without a match the
+ * `fallbackMarkup` percentage is applied to the purchase cost, as flat markups
+ * always were.
+ *
+ * Returns `{ price, rule, costBasis, floorApplied }`, where `rule` is the name of
+ * the rule that set the price or null for the fallback markup.
+ */
+export function evaluatePricingRules(rules, product, pricing, { fallbackMarkup = 0 } = {}) {
+  const cost = Number(pricing.price) || 0;
+
+  for (const rule of rules || []) {
+    if (!matchesPricingRule(rule, product, cost)) continue;
+
+    const base = Number(getBasisPrice(pricing, rule.costBasis));
+    if (!(base > 0)) continue;
+
+    let price = roundPrice(applyPricingMethod(base, rule.method, Number(rule.value) || 0), rule.rounding);
+    let floorApplied = false;
+
+    // Minimum margin over purchase cost, whatever the basis and rounding produced
+    const minMargin = Number(rule.minMargin) || 0;
+    if (minMargin > 0 && minMargin < 100 && cost > 0) {
+      const floor = cost / (1 - minMargin / 100);
+      if (price < floor) {
+        price = roundPrice(floor, rule.rounding, { roundUp: true });
+        floorApplied = true;
+      }
+    }
+
+    return { price, rule: rule.name, costBasis: rule.costBasis || 'cost', floorApplied };
+  }
+
+  return {
+    price: toCents(cost * (1 + (Number(fallbackMarkup) || 0) / 100)),
+    rule: null,
+    costBasis: 'cost',
+    floorApplied: false
+  };
+}
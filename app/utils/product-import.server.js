@@ -2,14 +2,15 @@
 
 import { prisma } from '../db.server.js';
 
-// Check if a Turn 14 product has already been imported
-export async function isProductImported(shop, turn14Sku) {
+// Check if a supplier's product has already been imported
+export async function isProductImported(shop, sku, supplier = 'turn14') {
   try {
     const existingProduct = await prisma.turn14ImportedProduct.findUnique({
       where: {
-        shop_turn14Sku: {
+        shop_supplier_sku: {
           shop,
-          turn14Sku
+          supplier,
+          sku
         }
       }
     });
@@ -21,48 +22,6 @@ export async function isProductImported(shop, turn14Sku) {
   }
 }
 
-// Mark a product as imported and track it
-export async function markProductAsImported(shop, turn14Product, shopifyProduct, options = {}) {
-  try {
-    const { priceMarkup = 0 } = options;
-    const finalPrice = calculateFinalPrice(turn14Product.price, priceMarkup);
-    
-    const importedProduct = await prisma.turn14ImportedProduct.create({
-      data: {
-        shop,
-        turn14Sku: turn14Product.id || turn14Product.sku,
-        shopifyProductId: shopifyProduct.id.toString(),
-        shopifyVariantId: shopifyProduct.variants?.[0]?.id?.toString(),
-        turn14Brand: turn14Product.brand_name || turn14Product.brand,
-        turn14Category: turn14Product.category,
-        originalPrice: parseFloat(turn14Product.price),
-        currentPrice: parseFloat(finalPrice),
-        priceMarkup: priceMarkup,
-        inventoryQuantity: turn14Product.inventory_quantity || 0,
-        lastSynced: new Date(),
-        syncStatus: "active",
-        metaData: JSON.stringify({
-          turn14Id: turn14Product.id,
-          importedAt: new Date().toISOString(),
-          shopifyHandle: shopifyProduct.handle,
-          originalData: {
-            name: turn14Product.item_name || turn14Product.name,
-            description: turn14Product.item_description || turn14Product.description,
-            weight: turn14Product.weight,
-            dimensions: turn14Product.dimensions
-          }
-        })
-      }
-    });
-    
-    console.log(`Product tracked: Turn14 SKU ${turn14Product.id} -> Shopify ID ${shopifyProduct.id}`);
-    return importedProduct;
-  } catch (error) {
-    console.error('Error marking product as imported:', error);
-    return null;
-  }
-}
-
 // Get import statistics
 export async function getImportStats(shop, days = 30) {
   try {
@@ -146,13 +105,6 @@ export function validateProductForImport(turn14Product) {
   };
 }
 
-// Calculate final price with markup
-export function calculateFinalPrice(originalPrice, markup = 0) {
-  const price = parseFloat(originalPrice) || 0;
-  const markupMultiplier = 1 + (markup / 100);
-  return (price * markupMultiplier).toFixed(2);
-}
-
 // Generate Shopify-compatible product handle
 export function generateProductHandle(productName, sku) {
   const baseName = productName || `product-${sku}`;
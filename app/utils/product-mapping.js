@@ -0,0 +1,254 @@
+// Field-mapping templates that turn supplier products into Shopify products
+
+// app/utils/product-mapping.js
+// Shared by the import paths and the mapping editor's live preview, so it
+// must stay free of server-only imports.
+
+// Operators a conditional tag rule can use
+export const TAG_RULE_OPERATORS = [
+  { label: 'equals', value: 'equals' },
+  { label: 'contains', value: 'contains' },
+  { label: 'starts with', value: 'starts_with' },
+  { label: 'is greater than', value: 'greater_than' },
+  { label: 'is less than', value: 'less_than' },
+  { label: 'is present', value: 'exists' },
+  { label: 'is true', value: 'is_true' }
+];
+
+export const METAFIELD_TYPES = [
+  'single_line_text_field',
+  'multi_line_text_field',
+  'number_decimal',
+  'number_integer',
+  'boolean',
+  'json'
+];
+
+// Reproduces what imports produced before mappings were configurable
+export const DEFAULT_FIELD_MAPPING = {
+  titleTemplate: '{{name}}',
+  descriptionTemplate: '{{description_text|No description available}}',
+  vendorTemplate: '{{brand}}',
+  productTypeTemplate: '{{category}}',
+  tags: ['{{supplier_tag}}', '{{brand}}', '{{category}}'],
+  tagRules: [
+    { field: 'carbCompliant', operator: 'is_true', value: '', tag: 'CARB Compliant' },
+    { field: 'prop65Warning', operator: 'is_true', value: '', tag: 'Prop 65 Warning' }
+  ],
+  vendorRenames: [],
+  metafields: [
+    { namespace: '{{supplier}}', key: 'sku', template: '{{sku}}', type: 'single_line_text_field' },
+    { namespace: '{{supplier}}', key: 'manufacturer', template: '{{brand}}', type: 'single_line_text_field' },
+    { namespace: '{{supplier}}', key: 'original_price', template: '{{price}}', type: 'single_line_text_field' },
+    { namespace: '{{supplier}}', key: 'map_price', template: '{{map_price}}', type: 'single_line_text_field' },
+    { namespace: '{{supplier}}', key: 'carb_compliant', template: '{{carbCompliant}}', type: 'single_line_text_field' },
+    { namespace: '{{supplier}}', key: 'prop65_warning', template: '{{prop65Warning}}', type: 'single_line_text_field' },
+    { namespace: '{{supplier}}', key: 'fitments', template: '{{fitments}}', type: 'json' }
+  ]
+};
+
+// `{{key}}`, `{{nested.key}}` or `{{key|fallback}}`
+const PLACEHOLDER_PATTERN = /\{\{\s*([\w.]+)\s*(?:\|([^}]*))?\}\}/g;
+
+// Look up a possibly dotted attribute path
+function getAttribute(attributes, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), attributes);
+}
+
+// Supplier descriptions as plain text, with tags and entities removed
+function stripHtml(html) {
+  if (!html) return '';
+  return String(html).replace(/<[^>]*>/g, '').replace(/&[^;]+;/g, ' ').trim();
+}
+
+// Template-friendly form of an attribute value
+function formatValue(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * Attributes a template can reference: every top-level supplier attribute
+ * (e.g. Turn 14's `part_number`) plus the normalized product fields in
+ * snake_case, which win when both exist. `description_text` is the
+ * description without HTML.
+ */
+export function getTemplateAttributes(product, { tag = null, supplier = null } = {}) {
+  return {
+    ...(product.attributes || {}),
+    sku: product.sku,
+    name: product.name,
+    description: product.description,
+    description_text: stripHtml(product.description),
+    brand: product.brand,
+    category: product.category,
+    price: product.price,
+    map_price: product.mapPrice,
+    retail_price: product.retailPrice,
+    jobber_price: product.jobberPrice,
+    inventory_quantity: product.inventoryQuantity,
+    weight: product.weight,
+    barcode: product.barcode,
+    supplier,
+    supplier_tag: tag
+  };
+}
+
+/**
+ * Replace `{{attribute}}` placeholders. Missing attributes render their
+ * fallback, or nothing, and the doubled spaces they leave behind are collapsed.
+ */
+export function renderTemplate(template, attributes) {
+  if (!template) return '';
+
+  return template
+    .replace(PLACEHOLDER_PATTERN, (match, key, fallback = '') =>
+      formatValue(getAttribute(attributes, key)) || fallback.trim())
+    .replace(/[ \t]{2,}/g, ' ')
+    .trim();
+}
+
+// Whether one conditional tag rule matches the product's attributes
+export function matchesTagRule(rule, attributes) {
+  const actual = getAttribute(attributes, rule.field);
+  const text = formatValue(actual).toLowerCase();
+  const expected = String(rule.value ?? '').toLowerCase();
+
+  switch (rule.operator) {
+    case 'equals':
+      return text === expected;
+    case 'contains':
+      return expected !== '' && text.includes(expected);
+    case 'starts_with':
+      return expected !== '' && text.startsWith(expected);
+    case 'greater_than':
+      return text !== '' && parseFloat(text) > parseFloat(expected);
+    case 'less_than':
+      return text !== '' && parseFloat(text) < parseFloat(expected);
+    case 'exists':
+      return text !== '';
+    case 'is_true':
+      return actual === true || ['true', 'yes', '1', 'y'].includes(text);
+    default:
+      return false;
+  }
+}
+
+// Apply the first vendor rename whose `from` matches, ignoring case
+function renameVendor(vendor, renames) {
+  const rename = (renames || []).find(entry =>
+    entry.from && entry.from.trim().toLowerCase() === vendor.toLowerCase()
+  );
+  return rename ? rename.to : vendor;
+}
+
+function toHandle(title) {
+  return title
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .substring(0, 100);
+}
+
+/**
+ * Build the REST product payload for a normalized supplier product using a
+ * shop's field mapping. `tag` is the supplier's product tag and `supplier` its
+ * adapter key; both are available to templates. `price` is the sell price when
+ * pricing rules set it; otherwise `priceMarkup` is applied to the cost.
+ * `compareAtPrice` shows the saving off retail.
+ */
+export function transformSupplierProduct(product, mapping = DEFAULT_FIELD_MAPPING, options = {}) {
+  const {
+    priceMarkup = 0,
+    price = null,
+    compareAtPrice = null,
+    status = 'draft',
+    tag = null,
+    supplier = null
+  } = options;
+  const attributes = getTemplateAttributes(product, { tag, supplier });
+  const finalPrice = price ?? (product.price || 0) * (1 + (priceMarkup / 100));
+
+  const title = renderTemplate(mapping.titleTemplate, attributes) || product.name || product.sku;
+  const vendor = renameVendor(renderTemplate(mapping.vendorTemplate, attributes), mapping.vendorRenames);
+
+  const tags = [
+    ...(mapping.tags || []).map(template => renderTemplate(template, attributes)),
+    ...(mapping.tagRules || [])
+      .filter(rule => rule.field && rule.tag && matchesTagRule(rule, attributes))
+      .map(rule => renderTemplate(rule.tag, attributes))
+  ].filter(Boolean);
+
+  const metafields = (mapping.metafields || [])
+    .map(metafield => ({
+      namespace: renderTemplate(metafield.namespace, attributes),
+      key: metafield.key,
+      value: renderTemplate(metafield.template, attributes),
+      type: metafield.type || 'single_line_text_field'
+    }))
+    .filter(metafield => metafield.namespace && metafield.key && metafield.value !== '');
+
+  return {
+    title,
+    handle: toHandle(title),
+    body_html: renderTemplate(mapping.descriptionTemplate, attributes),
+    vendor,
+    product_type: renderTemplate(mapping.productTypeTemplate, attributes),
+    status,
+    tags: [...new Set(tags)].join(', '),
+    variants: [{
+      price: finalPrice.toFixed(2),
+      ...(compareAtPrice && { compare_at_price: compareAtPrice.toFixed(2) }),
+      sku: product.sku,
+      inventory_quantity: product.inventoryQuantity || 0,
+      inventory_management: 'shopify',
+      ...(product.weight && { weight: product.weight, weight_unit: 'lb' }),
+      ...(product.barcode && { barcode: product.barcode }),
+      requires_shipping: true
+    }],
+    images: (product.images || []).map(src => ({ src, alt: title })),
+    metafields
+  };
+}
+
+// Every import creates a single-variant product
+const DEFAULT_OPTION = { name: 'Title', value: 'Default Title' };
+
+/**
+ * The GraphQL `productSet` input for a payload from transformSupplierProduct.
+ * Stock isn't set here: it needs a location, so callers set it once the
+ * product exists.
+ */
+export function toProductSetInput(payload) {
+  return {
+    title: payload.title,
+    handle: payload.handle,
+    descriptionHtml: payload.body_html,
+    vendor: payload.vendor,
+    productType: payload.product_type,
+    status: payload.status.toUpperCase(),
+    tags: payload.tags ? payload.tags.split(',').map(tag => tag.trim()).filter(Boolean) : [],
+    productOptions: [{ name: DEFAULT_OPTION.name, values: [{ name: DEFAULT_OPTION.value }] }],
+    variants: payload.variants.map(variant => ({
+      optionValues: [{ optionName: DEFAULT_OPTION.name, name: DEFAULT_OPTION.value }],
+      price: variant.price,
+      ...(variant.compare_at_price && { compareAtPrice: variant.compare_at_price }),
+      ...(variant.barcode && { barcode: variant.barcode }),
+      inventoryItem: {
+        sku: variant.sku,
+        tracked: variant.inventory_management === 'shopify',
+        requiresShipping: variant.requires_shipping,
+        ...(variant.weight && {
+          measurement: { weight: { value: parseFloat(variant.weight), unit: 'POUNDS' } }
+        })
+      }
+    })),
+    files: payload.images.map(image => ({
+      originalSource: image.src,
+      alt: image.alt,
+      contentType: 'IMAGE'
+    })),
+    metafields: payload.metafields
+  };
+}
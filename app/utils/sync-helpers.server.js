@@ -3,6 +3,7 @@
 // app/utils/sync-helpers.server.js
 import { prisma } from '~/db.server';
 import { fetchTurn14Inventory, transformProductForShopify } from '../services/turn14-api.server';
+import { getFieldMapping } from '../services/product-mapping.server';
 import { createSyncLog } from './sync-log.server';
 
 export async function performTurn14Sync(session, admin) {
@@ -22,12 +23,13 @@ export async function performTurn14Sync(session, admin) {
         const inventoryResult = await fetchTurn14Inventory(turn14ApiKey);
         const products = inventoryResult.products;
         totalProducts = products.length;
+        const mapping = await getFieldMapping(session.shop);
 
         // Sync products
         const syncResults = await Promise.all(
         products.map(async (product) => {
             try {
-            const shopifyProductData = await transformProductForShopify(product);
+            const shopifyProductData = transformProductForShopify(product, { mapping });
             
             const shopifyProduct = await admin.rest.Product.create({
                 session,
@@ -4,7 +4,7 @@
 interface ImportMetaEnv {
   readonly TURN14_API_BASE_URL?: string;
   readonly TURN14_SANDBOX_URL?: string;
-  readonly TURN14_DEFAULT_ENVIRONMENT?: 'production' | 'sandbox';
+  readonly TURN14_DEFAULT_ENVIRONMENT?: 'production' | 'sandbox' | 'mock';
 }
 
 interface ImportMeta {
@@ -15,6 +15,11 @@ declare namespace NodeJS {
   interface ProcessEnv {
     readonly TURN14_API_BASE_URL?: string;
     readonly TURN14_SANDBOX_URL?: string;
-    readonly TURN14_DEFAULT_ENVIRONMENT?: 'production' | 'sandbox';
+    readonly TURN14_DEFAULT_ENVIRONMENT?: 'production' | 'sandbox' | 'mock';
+    readonly TURN14_TRANSPORT?: 'live' | 'record';
+    readonly TURN14_FIXTURES_DIR?: string;
+    readonly TURN14_ENCRYPTION_KEYS?: string;
+    readonly TURN14_ENCRYPTION_KEY?: string;
+    readonly TURN14_API_LOG_RETENTION_DAYS?: string;
   }
 }
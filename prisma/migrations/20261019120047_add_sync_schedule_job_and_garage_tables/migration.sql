@@ -0,0 +1,308 @@
+-- CreateTable
+CREATE TABLE "Turn14SyncSchedule" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "syncType" TEXT NOT NULL,
+    "frequency" TEXT NOT NULL,
+    "schedule" TEXT,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "lastRun" DATETIME,
+    "nextRun" DATETIME,
+    "syncSettings" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateTable
+CREATE TABLE "Turn14SyncJob" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "scheduleId" TEXT,
+    "syncType" TEXT NOT NULL,
+    "status" TEXT NOT NULL,
+    "startTime" DATETIME,
+    "endTime" DATETIME,
+    "totalItems" INTEGER NOT NULL DEFAULT 0,
+    "processedItems" INTEGER NOT NULL DEFAULT 0,
+    "successItems" INTEGER NOT NULL DEFAULT 0,
+    "failedItems" INTEGER NOT NULL DEFAULT 0,
+    "errorMessage" TEXT,
+    "results" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "Turn14SyncJob_scheduleId_fkey" FOREIGN KEY ("scheduleId") REFERENCES "Turn14SyncSchedule" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+
+-- CreateTable
+CREATE TABLE "Turn14ImportedProduct" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "turn14Sku" TEXT NOT NULL,
+    "shopifyProductId" TEXT NOT NULL,
+    "shopifyVariantId" TEXT,
+    "turn14Brand" TEXT,
+    "turn14Category" TEXT,
+    "originalPrice" REAL,
+    "currentPrice" REAL,
+    "priceMarkup" REAL NOT NULL DEFAULT 0,
+    "inventoryQuantity" INTEGER NOT NULL DEFAULT 0,
+    "lastSynced" DATETIME,
+    "syncStatus" TEXT NOT NULL DEFAULT 'active',
+    "syncErrors" TEXT,
+    "metaData" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateTable
+CREATE TABLE "Turn14VehicleCompatibility" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "year" INTEGER NOT NULL,
+    "make" TEXT NOT NULL,
+    "model" TEXT NOT NULL,
+    "submodel" TEXT,
+    "engine" TEXT,
+    "engineSize" TEXT,
+    "fuelType" TEXT,
+    "transmission" TEXT,
+    "driveType" TEXT,
+    "bodyStyle" TEXT,
+    "turn14VehicleId" TEXT,
+    "turn14MmyId" TEXT,
+    "notes" TEXT,
+    "restrictions" TEXT,
+    "isUniversal" BOOLEAN NOT NULL DEFAULT false,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "Turn14VehicleCompatibility_productId_fkey" FOREIGN KEY ("productId") REFERENCES "Turn14ImportedProduct" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateTable
+CREATE TABLE "Turn14VehicleDatabase" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "year" INTEGER NOT NULL,
+    "make" TEXT NOT NULL,
+    "model" TEXT NOT NULL,
+    "submodel" TEXT,
+    "engine" TEXT,
+    "engineSize" TEXT,
+    "fuelType" TEXT,
+    "transmission" TEXT,
+    "driveType" TEXT,
+    "bodyStyle" TEXT,
+    "turn14VehicleId" TEXT,
+    "turn14MmyId" TEXT,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "lastUpdated" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateTable
+CREATE TABLE "CustomerVehicleGarage" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "customerId" TEXT NOT NULL,
+    "customerEmail" TEXT,
+    "name" TEXT,
+    "isDefault" BOOLEAN NOT NULL DEFAULT true,
+    "maxVehicles" INTEGER NOT NULL DEFAULT 5,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateTable
+CREATE TABLE "CustomerVehicle" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "garageId" TEXT NOT NULL,
+    "year" INTEGER NOT NULL,
+    "make" TEXT NOT NULL,
+    "model" TEXT NOT NULL,
+    "submodel" TEXT,
+    "engine" TEXT,
+    "engineSize" TEXT,
+    "fuelType" TEXT,
+    "transmission" TEXT,
+    "driveType" TEXT,
+    "bodyStyle" TEXT,
+    "nickname" TEXT,
+    "color" TEXT,
+    "mileage" INTEGER,
+    "vin" TEXT,
+    "licensePlate" TEXT,
+    "turn14VehicleId" TEXT,
+    "turn14MmyId" TEXT,
+    "isPrimary" BOOLEAN NOT NULL DEFAULT false,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "CustomerVehicle_garageId_fkey" FOREIGN KEY ("garageId") REFERENCES "CustomerVehicleGarage" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateTable
+CREATE TABLE "VehicleMaintenanceReminder" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "vehicleId" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "title" TEXT NOT NULL,
+    "description" TEXT,
+    "intervalType" TEXT NOT NULL,
+    "intervalMileage" INTEGER,
+    "intervalMonths" INTEGER,
+    "lastCompleted" DATETIME,
+    "lastMileage" INTEGER,
+    "nextDue" DATETIME,
+    "nextMileage" INTEGER,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "emailNotifications" BOOLEAN NOT NULL DEFAULT true,
+    "advanceNotice" INTEGER NOT NULL DEFAULT 7,
+    "recommendedProducts" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "VehicleMaintenanceReminder_vehicleId_fkey" FOREIGN KEY ("vehicleId") REFERENCES "CustomerVehicle" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateTable
+CREATE TABLE "VehiclePriceAlert" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "vehicleId" TEXT NOT NULL,
+    "turn14Sku" TEXT NOT NULL,
+    "productTitle" TEXT NOT NULL,
+    "currentPrice" REAL NOT NULL,
+    "targetPrice" REAL NOT NULL,
+    "alertType" TEXT NOT NULL,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "emailNotifications" BOOLEAN NOT NULL DEFAULT true,
+    "lastChecked" DATETIME,
+    "alertTriggered" BOOLEAN NOT NULL DEFAULT false,
+    "triggeredAt" DATETIME,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "VehiclePriceAlert_vehicleId_fkey" FOREIGN KEY ("vehicleId") REFERENCES "CustomerVehicle" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateTable
+CREATE TABLE "VehiclePurchaseHistory" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "vehicleId" TEXT NOT NULL,
+    "shopifyOrderId" TEXT NOT NULL,
+    "shopifyOrderNumber" TEXT,
+    "turn14Sku" TEXT NOT NULL,
+    "productTitle" TEXT NOT NULL,
+    "quantity" INTEGER NOT NULL,
+    "unitPrice" REAL NOT NULL,
+    "totalPrice" REAL NOT NULL,
+    "purchaseDate" DATETIME NOT NULL,
+    "installationDate" DATETIME,
+    "warrantyExpires" DATETIME,
+    "category" TEXT,
+    "subcategory" TEXT,
+    "rating" INTEGER,
+    "review" TEXT,
+    "wouldRecommend" BOOLEAN,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "VehiclePurchaseHistory_vehicleId_fkey" FOREIGN KEY ("vehicleId") REFERENCES "CustomerVehicle" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateTable
+CREATE TABLE "VehicleGarageAnalytics" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "date" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "totalGarages" INTEGER NOT NULL DEFAULT 0,
+    "totalVehicles" INTEGER NOT NULL DEFAULT 0,
+    "activeCustomers" INTEGER NOT NULL DEFAULT 0,
+    "garageViews" INTEGER NOT NULL DEFAULT 0,
+    "vehicleSearches" INTEGER NOT NULL DEFAULT 0,
+    "compatibilityChecks" INTEGER NOT NULL DEFAULT 0,
+    "garageConversions" INTEGER NOT NULL DEFAULT 0,
+    "averageOrderValue" REAL NOT NULL DEFAULT 0,
+    "maintenanceReminders" INTEGER NOT NULL DEFAULT 0,
+    "priceAlerts" INTEGER NOT NULL DEFAULT 0
+);
+
+-- CreateIndex
+CREATE INDEX "Turn14SyncSchedule_shop_isActive_idx" ON "Turn14SyncSchedule"("shop", "isActive");
+
+-- CreateIndex
+CREATE INDEX "Turn14SyncJob_shop_status_createdAt_idx" ON "Turn14SyncJob"("shop", "status", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "Turn14ImportedProduct_shop_syncStatus_idx" ON "Turn14ImportedProduct"("shop", "syncStatus");
+
+-- CreateIndex
+CREATE INDEX "Turn14ImportedProduct_shop_turn14Brand_idx" ON "Turn14ImportedProduct"("shop", "turn14Brand");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Turn14ImportedProduct_shop_turn14Sku_key" ON "Turn14ImportedProduct"("shop", "turn14Sku");
+
+-- CreateIndex
+CREATE INDEX "Turn14VehicleCompatibility_shop_year_make_model_idx" ON "Turn14VehicleCompatibility"("shop", "year", "make", "model");
+
+-- CreateIndex
+CREATE INDEX "Turn14VehicleCompatibility_shop_make_idx" ON "Turn14VehicleCompatibility"("shop", "make");
+
+-- CreateIndex
+CREATE INDEX "Turn14VehicleCompatibility_productId_idx" ON "Turn14VehicleCompatibility"("productId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Turn14VehicleCompatibility_productId_year_make_model_submodel_key" ON "Turn14VehicleCompatibility"("productId", "year", "make", "model", "submodel");
+
+-- CreateIndex
+CREATE INDEX "Turn14VehicleDatabase_year_make_model_idx" ON "Turn14VehicleDatabase"("year", "make", "model");
+
+-- CreateIndex
+CREATE INDEX "Turn14VehicleDatabase_make_idx" ON "Turn14VehicleDatabase"("make");
+
+-- CreateIndex
+CREATE INDEX "Turn14VehicleDatabase_year_idx" ON "Turn14VehicleDatabase"("year");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Turn14VehicleDatabase_year_make_model_submodel_key" ON "Turn14VehicleDatabase"("year", "make", "model", "submodel");
+
+-- CreateIndex
+CREATE INDEX "CustomerVehicleGarage_shop_customerId_idx" ON "CustomerVehicleGarage"("shop", "customerId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "CustomerVehicleGarage_shop_customerId_key" ON "CustomerVehicleGarage"("shop", "customerId");
+
+-- CreateIndex
+CREATE INDEX "CustomerVehicle_shop_garageId_idx" ON "CustomerVehicle"("shop", "garageId");
+
+-- CreateIndex
+CREATE INDEX "CustomerVehicle_shop_year_make_model_idx" ON "CustomerVehicle"("shop", "year", "make", "model");
+
+-- CreateIndex
+CREATE INDEX "VehicleMaintenanceReminder_shop_vehicleId_idx" ON "VehicleMaintenanceReminder"("shop", "vehicleId");
+
+-- CreateIndex
+CREATE INDEX "VehicleMaintenanceReminder_shop_nextDue_idx" ON "VehicleMaintenanceReminder"("shop", "nextDue");
+
+-- CreateIndex
+CREATE INDEX "VehiclePriceAlert_shop_vehicleId_idx" ON "VehiclePriceAlert"("shop", "vehicleId");
+
+-- CreateIndex
+CREATE INDEX "VehiclePriceAlert_shop_turn14Sku_idx" ON "VehiclePriceAlert"("shop", "turn14Sku");
+
+-- CreateIndex
+CREATE INDEX "VehiclePriceAlert_shop_isActive_lastChecked_idx" ON "VehiclePriceAlert"("shop", "isActive", "lastChecked");
+
+-- CreateIndex
+CREATE INDEX "VehiclePurchaseHistory_shop_vehicleId_idx" ON "VehiclePurchaseHistory"("shop", "vehicleId");
+
+-- CreateIndex
+CREATE INDEX "VehiclePurchaseHistory_shop_shopifyOrderId_idx" ON "VehiclePurchaseHistory"("shop", "shopifyOrderId");
+
+-- CreateIndex
+CREATE INDEX "VehiclePurchaseHistory_shop_purchaseDate_idx" ON "VehiclePurchaseHistory"("shop", "purchaseDate");
+
+-- CreateIndex
+CREATE INDEX "VehicleGarageAnalytics_shop_date_idx" ON "VehicleGarageAnalytics"("shop", "date");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "VehicleGarageAnalytics_shop_date_key" ON "VehicleGarageAnalytics"("shop", "date");
@@ -0,0 +1,49 @@
+-- CreateTable
+CREATE TABLE "Turn14CatalogItem" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "sku" TEXT NOT NULL,
+    "turn14Id" TEXT,
+    "brandId" TEXT,
+    "brandName" TEXT,
+    "name" TEXT,
+    "description" TEXT,
+    "category" TEXT,
+    "images" TEXT,
+    "price" REAL,
+    "mapPrice" REAL,
+    "retailPrice" REAL,
+    "inventoryQuantity" INTEGER,
+    "itemSnapshotId" TEXT,
+    "pricingUpdatedAt" DATETIME,
+    "inventoryUpdatedAt" DATETIME,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateTable
+CREATE TABLE "Turn14FeedIngestion" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "feedType" TEXT NOT NULL,
+    "source" TEXT NOT NULL,
+    "snapshotId" TEXT NOT NULL,
+    "status" TEXT NOT NULL,
+    "startTime" DATETIME,
+    "endTime" DATETIME,
+    "recordsRead" INTEGER NOT NULL DEFAULT 0,
+    "recordsWritten" INTEGER NOT NULL DEFAULT 0,
+    "recordsSkipped" INTEGER NOT NULL DEFAULT 0,
+    "errorMessage" TEXT,
+    "results" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE INDEX "Turn14CatalogItem_shop_brandId_idx" ON "Turn14CatalogItem"("shop", "brandId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Turn14CatalogItem_shop_sku_key" ON "Turn14CatalogItem"("shop", "sku");
+
+-- CreateIndex
+CREATE INDEX "Turn14FeedIngestion_shop_feedType_createdAt_idx" ON "Turn14FeedIngestion"("shop", "feedType", "createdAt");
@@ -0,0 +1,41 @@
+-- CreateTable
+CREATE TABLE "Turn14SyncState" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "syncType" TEXT NOT NULL,
+    "highWaterMark" DATETIME,
+    "strategy" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_Turn14SyncJob" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "scheduleId" TEXT,
+    "syncType" TEXT NOT NULL,
+    "status" TEXT NOT NULL,
+    "startTime" DATETIME,
+    "endTime" DATETIME,
+    "totalItems" INTEGER NOT NULL DEFAULT 0,
+    "processedItems" INTEGER NOT NULL DEFAULT 0,
+    "successItems" INTEGER NOT NULL DEFAULT 0,
+    "failedItems" INTEGER NOT NULL DEFAULT 0,
+    "skippedItems" INTEGER NOT NULL DEFAULT 0,
+    "errorMessage" TEXT,
+    "results" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "Turn14SyncJob_scheduleId_fkey" FOREIGN KEY ("scheduleId") REFERENCES "Turn14SyncSchedule" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+INSERT INTO "new_Turn14SyncJob" ("createdAt", "endTime", "errorMessage", "failedItems", "id", "processedItems", "results", "scheduleId", "shop", "startTime", "status", "successItems", "syncType", "totalItems") SELECT "createdAt", "endTime", "errorMessage", "failedItems", "id", "processedItems", "results", "scheduleId", "shop", "startTime", "status", "successItems", "syncType", "totalItems" FROM "Turn14SyncJob";
+DROP TABLE "Turn14SyncJob";
+ALTER TABLE "new_Turn14SyncJob" RENAME TO "Turn14SyncJob";
+CREATE INDEX "Turn14SyncJob_shop_status_createdAt_idx" ON "Turn14SyncJob"("shop", "status", "createdAt");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Turn14SyncState_shop_syncType_key" ON "Turn14SyncState"("shop", "syncType");
@@ -0,0 +1,25 @@
+-- CreateTable
+CREATE TABLE "Turn14ApiCallLog" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "jobId" TEXT,
+    "method" TEXT NOT NULL,
+    "endpoint" TEXT NOT NULL,
+    "status" INTEGER,
+    "latencyMs" INTEGER,
+    "requestId" TEXT,
+    "attempt" INTEGER NOT NULL DEFAULT 0,
+    "errorMessage" TEXT,
+    "requestBody" TEXT,
+    "responseBody" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE INDEX "Turn14ApiCallLog_shop_createdAt_idx" ON "Turn14ApiCallLog"("shop", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "Turn14ApiCallLog_shop_jobId_idx" ON "Turn14ApiCallLog"("shop", "jobId");
+
+-- CreateIndex
+CREATE INDEX "Turn14ApiCallLog_shop_status_idx" ON "Turn14ApiCallLog"("shop", "status");
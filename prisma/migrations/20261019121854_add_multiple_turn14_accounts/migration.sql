@@ -0,0 +1,136 @@
+/*
+  Warnings:
+
+  - The unique index `Turn14Config_shop_key` is replaced by `(shop, name)`, so a shop can store several dealer accounts.
+  - Each shop's existing config becomes its default account, named "Default".
+  - `accountId` on Turn14SyncState, Turn14CatalogItem, Turn14FeedIngestion, Turn14ImportedProduct and Turn14ApiCallLog is backfilled with the shop's existing config.
+  - Turn14SyncState, Turn14CatalogItem and Turn14FeedIngestion rows for shops without a config are dropped; they are rebuilt by the next sync or ingestion.
+
+*/
+-- AlterTable
+ALTER TABLE "Turn14ApiCallLog" ADD COLUMN "accountId" TEXT;
+UPDATE "Turn14ApiCallLog" SET "accountId" = (SELECT "id" FROM "Turn14Config" WHERE "Turn14Config"."shop" = "Turn14ApiCallLog"."shop");
+
+-- DropIndex
+DROP INDEX "Turn14Config_shop_key";
+
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_Turn14CatalogItem" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "accountId" TEXT NOT NULL,
+    "sku" TEXT NOT NULL,
+    "turn14Id" TEXT,
+    "brandId" TEXT,
+    "brandName" TEXT,
+    "name" TEXT,
+    "description" TEXT,
+    "category" TEXT,
+    "images" TEXT,
+    "price" REAL,
+    "mapPrice" REAL,
+    "retailPrice" REAL,
+    "inventoryQuantity" INTEGER,
+    "itemSnapshotId" TEXT,
+    "pricingUpdatedAt" DATETIME,
+    "inventoryUpdatedAt" DATETIME,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+INSERT INTO "new_Turn14CatalogItem" ("accountId", "brandId", "brandName", "category", "createdAt", "description", "id", "images", "inventoryQuantity", "inventoryUpdatedAt", "itemSnapshotId", "mapPrice", "name", "price", "pricingUpdatedAt", "retailPrice", "shop", "sku", "turn14Id", "updatedAt") SELECT "c"."id", "t"."brandId", "t"."brandName", "t"."category", "t"."createdAt", "t"."description", "t"."id", "t"."images", "t"."inventoryQuantity", "t"."inventoryUpdatedAt", "t"."itemSnapshotId", "t"."mapPrice", "t"."name", "t"."price", "t"."pricingUpdatedAt", "t"."retailPrice", "t"."shop", "t"."sku", "t"."turn14Id", "t"."updatedAt" FROM "Turn14CatalogItem" AS "t" INNER JOIN "Turn14Config" AS "c" ON "c"."shop" = "t"."shop";
+DROP TABLE "Turn14CatalogItem";
+ALTER TABLE "new_Turn14CatalogItem" RENAME TO "Turn14CatalogItem";
+CREATE INDEX "Turn14CatalogItem_accountId_brandId_idx" ON "Turn14CatalogItem"("accountId", "brandId");
+CREATE INDEX "Turn14CatalogItem_shop_idx" ON "Turn14CatalogItem"("shop");
+CREATE UNIQUE INDEX "Turn14CatalogItem_accountId_sku_key" ON "Turn14CatalogItem"("accountId", "sku");
+CREATE TABLE "new_Turn14Config" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "name" TEXT NOT NULL DEFAULT 'Default',
+    "isDefault" BOOLEAN NOT NULL DEFAULT false,
+    "apiKey" TEXT NOT NULL,
+    "apiSecret" TEXT,
+    "environment" TEXT NOT NULL DEFAULT 'production',
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "lastValidated" DATETIME,
+    "validationError" TEXT,
+    "dealerCode" TEXT,
+    "selectedBrands" TEXT,
+    "syncSettings" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+INSERT INTO "new_Turn14Config" ("apiKey", "apiSecret", "createdAt", "dealerCode", "environment", "id", "isActive", "lastValidated", "selectedBrands", "shop", "syncSettings", "updatedAt", "validationError", "isDefault") SELECT "apiKey", "apiSecret", "createdAt", "dealerCode", "environment", "id", "isActive", "lastValidated", "selectedBrands", "shop", "syncSettings", "updatedAt", "validationError", true FROM "Turn14Config";
+DROP TABLE "Turn14Config";
+ALTER TABLE "new_Turn14Config" RENAME TO "Turn14Config";
+CREATE INDEX "Turn14Config_shop_isDefault_idx" ON "Turn14Config"("shop", "isDefault");
+CREATE UNIQUE INDEX "Turn14Config_shop_name_key" ON "Turn14Config"("shop", "name");
+CREATE TABLE "new_Turn14FeedIngestion" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "accountId" TEXT NOT NULL,
+    "feedType" TEXT NOT NULL,
+    "source" TEXT NOT NULL,
+    "snapshotId" TEXT NOT NULL,
+    "status" TEXT NOT NULL,
+    "startTime" DATETIME,
+    "endTime" DATETIME,
+    "recordsRead" INTEGER NOT NULL DEFAULT 0,
+    "recordsWritten" INTEGER NOT NULL DEFAULT 0,
+    "recordsSkipped" INTEGER NOT NULL DEFAULT 0,
+    "errorMessage" TEXT,
+    "results" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+INSERT INTO "new_Turn14FeedIngestion" ("accountId", "createdAt", "endTime", "errorMessage", "feedType", "id", "recordsRead", "recordsSkipped", "recordsWritten", "results", "shop", "snapshotId", "source", "startTime", "status") SELECT "c"."id", "t"."createdAt", "t"."endTime", "t"."errorMessage", "t"."feedType", "t"."id", "t"."recordsRead", "t"."recordsSkipped", "t"."recordsWritten", "t"."results", "t"."shop", "t"."snapshotId", "t"."source", "t"."startTime", "t"."status" FROM "Turn14FeedIngestion" AS "t" INNER JOIN "Turn14Config" AS "c" ON "c"."shop" = "t"."shop";
+DROP TABLE "Turn14FeedIngestion";
+ALTER TABLE "new_Turn14FeedIngestion" RENAME TO "Turn14FeedIngestion";
+CREATE INDEX "Turn14FeedIngestion_shop_feedType_createdAt_idx" ON "Turn14FeedIngestion"("shop", "feedType", "createdAt");
+CREATE INDEX "Turn14FeedIngestion_accountId_feedType_createdAt_idx" ON "Turn14FeedIngestion"("accountId", "feedType", "createdAt");
+CREATE TABLE "new_Turn14ImportedProduct" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "accountId" TEXT,
+    "turn14Sku" TEXT NOT NULL,
+    "shopifyProductId" TEXT NOT NULL,
+    "shopifyVariantId" TEXT,
+    "turn14Brand" TEXT,
+    "turn14Category" TEXT,
+    "originalPrice" REAL,
+    "currentPrice" REAL,
+    "priceMarkup" REAL NOT NULL DEFAULT 0,
+    "inventoryQuantity" INTEGER NOT NULL DEFAULT 0,
+    "lastSynced" DATETIME,
+    "syncStatus" TEXT NOT NULL DEFAULT 'active',
+    "syncErrors" TEXT,
+    "metaData" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "Turn14ImportedProduct_accountId_fkey" FOREIGN KEY ("accountId") REFERENCES "Turn14Config" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+INSERT INTO "new_Turn14ImportedProduct" ("accountId", "createdAt", "currentPrice", "id", "inventoryQuantity", "lastSynced", "metaData", "originalPrice", "priceMarkup", "shop", "shopifyProductId", "shopifyVariantId", "syncErrors", "syncStatus", "turn14Brand", "turn14Category", "turn14Sku", "updatedAt") SELECT "c"."id", "t"."createdAt", "t"."currentPrice", "t"."id", "t"."inventoryQuantity", "t"."lastSynced", "t"."metaData", "t"."originalPrice", "t"."priceMarkup", "t"."shop", "t"."shopifyProductId", "t"."shopifyVariantId", "t"."syncErrors", "t"."syncStatus", "t"."turn14Brand", "t"."turn14Category", "t"."turn14Sku", "t"."updatedAt" FROM "Turn14ImportedProduct" AS "t" LEFT JOIN "Turn14Config" AS "c" ON "c"."shop" = "t"."shop";
+DROP TABLE "Turn14ImportedProduct";
+ALTER TABLE "new_Turn14ImportedProduct" RENAME TO "Turn14ImportedProduct";
+CREATE INDEX "Turn14ImportedProduct_shop_syncStatus_idx" ON "Turn14ImportedProduct"("shop", "syncStatus");
+CREATE INDEX "Turn14ImportedProduct_shop_turn14Brand_idx" ON "Turn14ImportedProduct"("shop", "turn14Brand");
+CREATE INDEX "Turn14ImportedProduct_accountId_idx" ON "Turn14ImportedProduct"("accountId");
+CREATE UNIQUE INDEX "Turn14ImportedProduct_shop_turn14Sku_key" ON "Turn14ImportedProduct"("shop", "turn14Sku");
+CREATE TABLE "new_Turn14SyncState" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "accountId" TEXT NOT NULL,
+    "syncType" TEXT NOT NULL,
+    "highWaterMark" DATETIME,
+    "strategy" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+INSERT INTO "new_Turn14SyncState" ("accountId", "createdAt", "highWaterMark", "id", "shop", "strategy", "syncType", "updatedAt") SELECT "c"."id", "t"."createdAt", "t"."highWaterMark", "t"."id", "t"."shop", "t"."strategy", "t"."syncType", "t"."updatedAt" FROM "Turn14SyncState" AS "t" INNER JOIN "Turn14Config" AS "c" ON "c"."shop" = "t"."shop";
+DROP TABLE "Turn14SyncState";
+ALTER TABLE "new_Turn14SyncState" RENAME TO "Turn14SyncState";
+CREATE INDEX "Turn14SyncState_shop_idx" ON "Turn14SyncState"("shop");
+CREATE UNIQUE INDEX "Turn14SyncState_accountId_syncType_key" ON "Turn14SyncState"("accountId", "syncType");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
@@ -0,0 +1,77 @@
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_Turn14Config" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "name" TEXT NOT NULL DEFAULT 'Default',
+    "profile" TEXT NOT NULL DEFAULT 'production',
+    "isDefault" BOOLEAN NOT NULL DEFAULT false,
+    "apiKey" TEXT NOT NULL,
+    "apiSecret" TEXT,
+    "environment" TEXT NOT NULL DEFAULT 'production',
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "lastValidated" DATETIME,
+    "validationError" TEXT,
+    "dealerCode" TEXT,
+    "selectedBrands" TEXT,
+    "syncSettings" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+INSERT INTO "new_Turn14Config" ("apiKey", "apiSecret", "createdAt", "dealerCode", "environment", "id", "isActive", "isDefault", "lastValidated", "name", "selectedBrands", "shop", "syncSettings", "updatedAt", "validationError") SELECT "apiKey", "apiSecret", "createdAt", "dealerCode", "environment", "id", "isActive", "isDefault", "lastValidated", "name", "selectedBrands", "shop", "syncSettings", "updatedAt", "validationError" FROM "Turn14Config";
+DROP TABLE "Turn14Config";
+ALTER TABLE "new_Turn14Config" RENAME TO "Turn14Config";
+CREATE INDEX "Turn14Config_shop_profile_isDefault_idx" ON "Turn14Config"("shop", "profile", "isDefault");
+CREATE UNIQUE INDEX "Turn14Config_shop_name_profile_key" ON "Turn14Config"("shop", "name", "profile");
+CREATE TABLE "new_Turn14ImportedProduct" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "accountId" TEXT,
+    "profile" TEXT NOT NULL DEFAULT 'production',
+    "turn14Sku" TEXT NOT NULL,
+    "shopifyProductId" TEXT NOT NULL,
+    "shopifyVariantId" TEXT,
+    "turn14Brand" TEXT,
+    "turn14Category" TEXT,
+    "originalPrice" REAL,
+    "currentPrice" REAL,
+    "priceMarkup" REAL NOT NULL DEFAULT 0,
+    "inventoryQuantity" INTEGER NOT NULL DEFAULT 0,
+    "lastSynced" DATETIME,
+    "syncStatus" TEXT NOT NULL DEFAULT 'active',
+    "syncErrors" TEXT,
+    "metaData" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "Turn14ImportedProduct_accountId_fkey" FOREIGN KEY ("accountId") REFERENCES "Turn14Config" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+INSERT INTO "new_Turn14ImportedProduct" ("accountId", "createdAt", "currentPrice", "id", "inventoryQuantity", "lastSynced", "metaData", "originalPrice", "priceMarkup", "shop", "shopifyProductId", "shopifyVariantId", "syncErrors", "syncStatus", "turn14Brand", "turn14Category", "turn14Sku", "updatedAt") SELECT "accountId", "createdAt", "currentPrice", "id", "inventoryQuantity", "lastSynced", "metaData", "originalPrice", "priceMarkup", "shop", "shopifyProductId", "shopifyVariantId", "syncErrors", "syncStatus", "turn14Brand", "turn14Category", "turn14Sku", "updatedAt" FROM "Turn14ImportedProduct";
+DROP TABLE "Turn14ImportedProduct";
+ALTER TABLE "new_Turn14ImportedProduct" RENAME TO "Turn14ImportedProduct";
+CREATE INDEX "Turn14ImportedProduct_shop_syncStatus_idx" ON "Turn14ImportedProduct"("shop", "syncStatus");
+CREATE INDEX "Turn14ImportedProduct_shop_turn14Brand_idx" ON "Turn14ImportedProduct"("shop", "turn14Brand");
+CREATE INDEX "Turn14ImportedProduct_shop_profile_idx" ON "Turn14ImportedProduct"("shop", "profile");
+CREATE INDEX "Turn14ImportedProduct_accountId_idx" ON "Turn14ImportedProduct"("accountId");
+CREATE UNIQUE INDEX "Turn14ImportedProduct_shop_turn14Sku_key" ON "Turn14ImportedProduct"("shop", "turn14Sku");
+CREATE TABLE "new_Turn14SyncSchedule" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "syncType" TEXT NOT NULL,
+    "profile" TEXT NOT NULL DEFAULT 'production',
+    "frequency" TEXT NOT NULL,
+    "schedule" TEXT,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "lastRun" DATETIME,
+    "nextRun" DATETIME,
+    "syncSettings" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+INSERT INTO "new_Turn14SyncSchedule" ("createdAt", "frequency", "id", "isActive", "lastRun", "name", "nextRun", "schedule", "shop", "syncSettings", "syncType", "updatedAt") SELECT "createdAt", "frequency", "id", "isActive", "lastRun", "name", "nextRun", "schedule", "shop", "syncSettings", "syncType", "updatedAt" FROM "Turn14SyncSchedule";
+DROP TABLE "Turn14SyncSchedule";
+ALTER TABLE "new_Turn14SyncSchedule" RENAME TO "Turn14SyncSchedule";
+CREATE INDEX "Turn14SyncSchedule_shop_isActive_idx" ON "Turn14SyncSchedule"("shop", "isActive");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
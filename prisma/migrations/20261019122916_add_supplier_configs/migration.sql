@@ -0,0 +1,60 @@
+-- CreateTable
+CREATE TABLE "SupplierConfig" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "supplier" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "profile" TEXT NOT NULL DEFAULT 'production',
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "settings" TEXT,
+    "lastValidated" DATETIME,
+    "validationError" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_Turn14ImportedProduct" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "supplier" TEXT NOT NULL DEFAULT 'turn14',
+    "accountId" TEXT,
+    "supplierConfigId" TEXT,
+    "profile" TEXT NOT NULL DEFAULT 'production',
+    "turn14Sku" TEXT NOT NULL,
+    "shopifyProductId" TEXT NOT NULL,
+    "shopifyVariantId" TEXT,
+    "turn14Brand" TEXT,
+    "turn14Category" TEXT,
+    "originalPrice" REAL,
+    "currentPrice" REAL,
+    "priceMarkup" REAL NOT NULL DEFAULT 0,
+    "inventoryQuantity" INTEGER NOT NULL DEFAULT 0,
+    "lastSynced" DATETIME,
+    "syncStatus" TEXT NOT NULL DEFAULT 'active',
+    "syncErrors" TEXT,
+    "metaData" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "Turn14ImportedProduct_accountId_fkey" FOREIGN KEY ("accountId") REFERENCES "Turn14Config" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    CONSTRAINT "Turn14ImportedProduct_supplierConfigId_fkey" FOREIGN KEY ("supplierConfigId") REFERENCES "SupplierConfig" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+INSERT INTO "new_Turn14ImportedProduct" ("accountId", "createdAt", "currentPrice", "id", "inventoryQuantity", "lastSynced", "metaData", "originalPrice", "priceMarkup", "profile", "shop", "shopifyProductId", "shopifyVariantId", "syncErrors", "syncStatus", "turn14Brand", "turn14Category", "turn14Sku", "updatedAt") SELECT "accountId", "createdAt", "currentPrice", "id", "inventoryQuantity", "lastSynced", "metaData", "originalPrice", "priceMarkup", "profile", "shop", "shopifyProductId", "shopifyVariantId", "syncErrors", "syncStatus", "turn14Brand", "turn14Category", "turn14Sku", "updatedAt" FROM "Turn14ImportedProduct";
+DROP TABLE "Turn14ImportedProduct";
+ALTER TABLE "new_Turn14ImportedProduct" RENAME TO "Turn14ImportedProduct";
+CREATE INDEX "Turn14ImportedProduct_shop_syncStatus_idx" ON "Turn14ImportedProduct"("shop", "syncStatus");
+CREATE INDEX "Turn14ImportedProduct_shop_turn14Brand_idx" ON "Turn14ImportedProduct"("shop", "turn14Brand");
+CREATE INDEX "Turn14ImportedProduct_shop_profile_idx" ON "Turn14ImportedProduct"("shop", "profile");
+CREATE INDEX "Turn14ImportedProduct_accountId_idx" ON "Turn14ImportedProduct"("accountId");
+CREATE INDEX "Turn14ImportedProduct_supplierConfigId_idx" ON "Turn14ImportedProduct"("supplierConfigId");
+CREATE UNIQUE INDEX "Turn14ImportedProduct_shop_supplier_turn14Sku_key" ON "Turn14ImportedProduct"("shop", "supplier", "turn14Sku");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
+
+-- CreateIndex
+CREATE INDEX "SupplierConfig_shop_profile_idx" ON "SupplierConfig"("shop", "profile");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "SupplierConfig_shop_supplier_name_profile_key" ON "SupplierConfig"("shop", "supplier", "name", "profile");
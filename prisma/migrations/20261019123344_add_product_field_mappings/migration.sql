@@ -0,0 +1,18 @@
+-- CreateTable
+CREATE TABLE "ProductFieldMapping" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "titleTemplate" TEXT NOT NULL,
+    "descriptionTemplate" TEXT NOT NULL,
+    "vendorTemplate" TEXT NOT NULL,
+    "productTypeTemplate" TEXT NOT NULL,
+    "tags" TEXT NOT NULL,
+    "tagRules" TEXT NOT NULL,
+    "vendorRenames" TEXT NOT NULL,
+    "metafields" TEXT NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ProductFieldMapping_shop_key" ON "ProductFieldMapping"("shop");
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "Turn14CatalogItem" ADD COLUMN "jobberPrice" REAL;
+
+-- AlterTable
+ALTER TABLE "Turn14ImportedProduct" ADD COLUMN "pricingRule" TEXT;
@@ -0,0 +1,42 @@
+-- AlterTable
+ALTER TABLE "Turn14ImportedProduct" ADD COLUMN "mapPrice" REAL;
+
+-- CreateTable
+CREATE TABLE "MapBrandPolicy" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "brand" TEXT NOT NULL,
+    "policy" TEXT NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateTable
+CREATE TABLE "MapViolation" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "importedProductId" TEXT,
+    "supplier" TEXT NOT NULL,
+    "sku" TEXT NOT NULL,
+    "brand" TEXT,
+    "mapPrice" REAL NOT NULL,
+    "computedPrice" REAL NOT NULL,
+    "appliedPrice" REAL NOT NULL,
+    "action" TEXT NOT NULL,
+    "previousStatus" TEXT,
+    "status" TEXT NOT NULL DEFAULT 'open',
+    "jobId" TEXT,
+    "detectedAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lastSeenAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "resolvedAt" DATETIME,
+    CONSTRAINT "MapViolation_importedProductId_fkey" FOREIGN KEY ("importedProductId") REFERENCES "Turn14ImportedProduct" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "MapBrandPolicy_shop_brand_key" ON "MapBrandPolicy"("shop", "brand");
+
+-- CreateIndex
+CREATE INDEX "MapViolation_shop_status_idx" ON "MapViolation"("shop", "status");
+
+-- CreateIndex
+CREATE INDEX "MapViolation_importedProductId_status_idx" ON "MapViolation"("importedProductId", "status");
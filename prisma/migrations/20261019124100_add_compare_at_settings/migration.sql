@@ -0,0 +1,17 @@
+-- AlterTable
+ALTER TABLE "Turn14ImportedProduct" ADD COLUMN "compareAtPrice" REAL;
+ALTER TABLE "Turn14ImportedProduct" ADD COLUMN "retailPrice" REAL;
+
+-- CreateTable
+CREATE TABLE "CompareAtBrandSetting" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "brand" TEXT NOT NULL,
+    "enabled" BOOLEAN NOT NULL DEFAULT true,
+    "minDiscountPercent" REAL NOT NULL DEFAULT 0,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "CompareAtBrandSetting_shop_brand_key" ON "CompareAtBrandSetting"("shop", "brand");
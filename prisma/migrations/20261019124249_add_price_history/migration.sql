@@ -0,0 +1,26 @@
+-- AlterTable
+ALTER TABLE "Turn14SyncJob" ADD COLUMN "rolledBackAt" DATETIME;
+
+-- CreateTable
+CREATE TABLE "PriceHistory" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "importedProductId" TEXT,
+    "sku" TEXT NOT NULL,
+    "oldCost" REAL,
+    "newCost" REAL,
+    "oldPrice" REAL,
+    "newPrice" REAL,
+    "oldCompareAtPrice" REAL,
+    "newCompareAtPrice" REAL,
+    "source" TEXT NOT NULL,
+    "jobId" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "PriceHistory_importedProductId_fkey" FOREIGN KEY ("importedProductId") REFERENCES "Turn14ImportedProduct" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "PriceHistory_importedProductId_createdAt_idx" ON "PriceHistory"("importedProductId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "PriceHistory_shop_jobId_idx" ON "PriceHistory"("shop", "jobId");
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "Turn14ImportedProduct" ADD COLUMN "lockedFields" TEXT;
@@ -0,0 +1,38 @@
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_Turn14SyncJob" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "scheduleId" TEXT,
+    "syncType" TEXT NOT NULL,
+    "status" TEXT NOT NULL,
+    "settings" TEXT,
+    "runAfter" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "maxAttempts" INTEGER NOT NULL DEFAULT 3,
+    "lockedBy" TEXT,
+    "leaseExpiresAt" DATETIME,
+    "heartbeatAt" DATETIME,
+    "checkpoint" TEXT,
+    "startTime" DATETIME,
+    "endTime" DATETIME,
+    "totalItems" INTEGER NOT NULL DEFAULT 0,
+    "processedItems" INTEGER NOT NULL DEFAULT 0,
+    "successItems" INTEGER NOT NULL DEFAULT 0,
+    "failedItems" INTEGER NOT NULL DEFAULT 0,
+    "skippedItems" INTEGER NOT NULL DEFAULT 0,
+    "errorMessage" TEXT,
+    "results" TEXT,
+    "rolledBackAt" DATETIME,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "Turn14SyncJob_scheduleId_fkey" FOREIGN KEY ("scheduleId") REFERENCES "Turn14SyncSchedule" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+INSERT INTO "new_Turn14SyncJob" ("createdAt", "endTime", "errorMessage", "failedItems", "id", "processedItems", "results", "rolledBackAt", "scheduleId", "shop", "skippedItems", "startTime", "status", "successItems", "syncType", "totalItems") SELECT "createdAt", "endTime", "errorMessage", "failedItems", "id", "processedItems", "results", "rolledBackAt", "scheduleId", "shop", "skippedItems", "startTime", "status", "successItems", "syncType", "totalItems" FROM "Turn14SyncJob";
+DROP TABLE "Turn14SyncJob";
+ALTER TABLE "new_Turn14SyncJob" RENAME TO "Turn14SyncJob";
+CREATE INDEX "Turn14SyncJob_shop_status_createdAt_idx" ON "Turn14SyncJob"("shop", "status", "createdAt");
+CREATE INDEX "Turn14SyncJob_status_runAfter_idx" ON "Turn14SyncJob"("status", "runAfter");
+CREATE INDEX "Turn14SyncJob_status_leaseExpiresAt_idx" ON "Turn14SyncJob"("status", "leaseExpiresAt");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
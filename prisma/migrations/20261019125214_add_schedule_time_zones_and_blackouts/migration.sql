@@ -0,0 +1,38 @@
+-- CreateTable
+CREATE TABLE "ShopSyncSettings" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "timeZone" TEXT NOT NULL DEFAULT 'UTC',
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_Turn14SyncSchedule" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "syncType" TEXT NOT NULL,
+    "profile" TEXT NOT NULL DEFAULT 'production',
+    "frequency" TEXT NOT NULL,
+    "schedule" TEXT,
+    "blackoutWindows" TEXT,
+    "catchUpPolicy" TEXT NOT NULL DEFAULT 'run_once',
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "lastRun" DATETIME,
+    "nextRun" DATETIME,
+    "syncSettings" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+INSERT INTO "new_Turn14SyncSchedule" ("createdAt", "frequency", "id", "isActive", "lastRun", "name", "nextRun", "profile", "schedule", "shop", "syncSettings", "syncType", "updatedAt") SELECT "createdAt", "frequency", "id", "isActive", "lastRun", "name", "nextRun", "profile", "schedule", "shop", "syncSettings", "syncType", "updatedAt" FROM "Turn14SyncSchedule";
+DROP TABLE "Turn14SyncSchedule";
+ALTER TABLE "new_Turn14SyncSchedule" RENAME TO "Turn14SyncSchedule";
+CREATE INDEX "Turn14SyncSchedule_shop_isActive_idx" ON "Turn14SyncSchedule"("shop", "isActive");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ShopSyncSettings_shop_key" ON "ShopSyncSettings"("shop");
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "Turn14SyncSchedule" ADD COLUMN "pausedReason" TEXT;
@@ -0,0 +1,13 @@
+-- CreateTable
+CREATE TABLE "SyncLock" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "syncType" TEXT NOT NULL,
+    "holder" TEXT NOT NULL,
+    "jobId" TEXT,
+    "acquiredAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "expiresAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "SyncLock_shop_syncType_key" ON "SyncLock"("shop", "syncType");
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "Turn14SyncJob" ADD COLUMN "requestedAction" TEXT;
@@ -0,0 +1,9 @@
+-- CreateTable
+CREATE TABLE "Turn14CircuitState" (
+    "accountKey" TEXT NOT NULL PRIMARY KEY,
+    "consecutiveFailures" INTEGER NOT NULL,
+    "openedAt" DATETIME NOT NULL,
+    "retryAt" DATETIME NOT NULL,
+    "lastError" TEXT,
+    "updatedAt" DATETIME NOT NULL
+);
@@ -0,0 +1,19 @@
+// Re-encrypt stored Turn 14 credentials with the active encryption key
+
+// scripts/rotate-turn14-keys.js
+//
+// Usage: put the new key first in TURN14_ENCRYPTION_KEYS, keep the old keys
+// listed after it, then run `npm run turn14:rotate-keys`. Old keys can be
+// removed from the environment once this reports every row re-encrypted.
+import { rotateTurn14CredentialEncryption } from '../app/services/turn14-api.server.js';
+import { prisma } from '../app/db.server.js';
+
+try {
+  const { scanned, reencrypted } = await rotateTurn14CredentialEncryption();
+  console.log(`Re-encrypted ${reencrypted} of ${scanned} Turn 14 configurations`);
+} catch (error) {
+  console.error('Turn 14 key rotation failed:', error.message);
+  process.exitCode = 1;
+} finally {
+  await prisma.$disconnect();
+}
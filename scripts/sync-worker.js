@@ -0,0 +1,29 @@
+// Run queued sync jobs until stopped
+
+// scripts/sync-worker.js
+//
+// Usage: `npm run sync:worker`. Run one per core or host as load requires.
+// SIGTERM/SIGINT stop the worker after its job's next checkpoint and put the
+// job back on the queue, so deploys don't lose progress.
+import { SyncWorker } from '../app/services/sync-worker.server.js';
+import { prisma } from '../app/db.server.js';
+
+const worker = new SyncWorker({
+  pollInterval: parseInt(process.env.SYNC_WORKER_POLL_MS) || 5000
+});
+
+for (const signal of ['SIGTERM', 'SIGINT']) {
+  process.once(signal, () => {
+    console.log(`Received ${signal}, stopping sync worker`);
+    worker.stop();
+  });
+}
+
+try {
+  await worker.start();
+} catch (error) {
+  console.error('Sync worker crashed:', error.message);
+  process.exitCode = 1;
+} finally {
+  await prisma.$disconnect();
+}